@@ -0,0 +1,13 @@
+// commands/index.js
+'use strict';
+
+// Comandos além da migração: node main.js <comando> [opções]. Cada um recebe os
+// argumentos restantes e resolve com o código de saída.
+module.exports = {
+  verify: require('./verify'),
+  rejects: require('./rejects'),
+  'media-audit': require('./mediaAudit'),
+  replicate: require('./replicate'),
+  rollback: require('./rollback'),
+  preflight: require('./preflight')
+};
@@ -0,0 +1,255 @@
+// commands/mediaAudit.js
+'use strict';
+
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const { arg, flag } = require('../utils/cli');
+const { buildContext } = require('../utils/context');
+const { scopeKeyOf } = require('../utils/stepState');
+const { createClient } = require('../utils/db');
+const { createProgressBar } = require('../utils/progress');
+const { TARGETS, TARGET, openTarget, openSource } = require('../utils/mediaStorage');
+const { buildManifest, manifestCollector } = require('../utils/mediaManifest');
+
+/**
+ * node main.js media-audit [--tenant=ID] [--input=media-names.txt] [--no-source] [--no-orphans]
+ *
+ * Confere as mídias referenciadas no destino (messages, campaigns, contacts — o mesmo manifesto
+ * da etapa MediaFiles) contra o armazenamento novo (MEDIA_TARGET):
+ *   missing     referência sem arquivo
+ *   empty       arquivo com 0 byte
+ *   truncated   menor que o arquivo da origem (legado por SFTP; --no-source pula)
+ *   mismatch    maior que o da origem
+ *   orphans     arquivos no armazenamento que nenhuma referência usa (--no-orphans pula)
+ * Com --input a lista vem de um arquivo, um nome por linha (scripts/buscar_arquivos.js), em vez
+ * do banco. O relatório por tenant vai para logs/<escopo>/media-audit-<data>.json.
+ *
+ * Saída: 0 = tudo certo (órfãos não contam), 1 = anexos quebrados (ou falha), 2 = uso inválido.
+ */
+const KNOWN = ['tenant', 'input', 'no-source', 'no-orphans', 'samples', 'json', 'help'];
+const PARALLEL = Math.max(1, Number(process.env.MEDIA_PARALLEL || 4));
+const KINDS = ['missing', 'empty', 'truncated', 'mismatch', 'orphans'];
+
+module.exports = async function mediaAudit(argv) {
+  const unknown = argv.filter(a => a.startsWith('--')).map(a => a.slice(2).split('=')[0]).filter(n => !KNOWN.includes(n));
+  if (unknown.length) {
+    console.error(chalk.red(`❌ Opção desconhecida: ${unknown.map(n => `--${n}`).join(', ')} (use media-audit --help)`));
+    return 2;
+  }
+  if (flag(argv, 'help', 'h')) {
+    printHelp();
+    return 0;
+  }
+
+  const samples = Number(arg(argv, 'samples', 20));
+  if (!Number.isInteger(samples) || samples < 0) {
+    console.error(chalk.red('❌ --samples precisa ser um inteiro >= 0.'));
+    return 2;
+  }
+  if (!TARGETS.includes(TARGET)) {
+    console.error(chalk.red(`❌ MEDIA_TARGET inválido: "${TARGET}" (use ${TARGETS.join(', ')}).`));
+    return 2;
+  }
+  const input = arg(argv, 'input');
+  if (input && !(await fs.pathExists(input))) {
+    console.error(chalk.red(`❌ Arquivo não encontrado em --input: ${input}`));
+    return 2;
+  }
+
+  const ctx = buildContext({ tenantId: arg(argv, 'tenant') });
+  const report = {
+    scope: scopeKeyOf(ctx),
+    tenantId: ctx.tenantId,
+    target: TARGET,
+    input: input || null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    ok: true,
+    totals: null,
+    tenants: {}
+  };
+
+  let target = null;
+  let source = null;
+  try {
+    target = await openTarget(TARGET, ctx);
+    console.log(chalk.cyan.bold(`🔎 Auditoria de mídias (${report.scope}) em ${target.describe()} (${TARGET})`));
+
+    const manifest = input
+      ? await manifestFromFile(input, ctx.tenantId, target)
+      : await manifestFromDb(ctx.tenantId, target);
+    console.log(`   • ${manifest.entries.length} arquivo(s) referenciado(s)${manifest.external ? `; ${manifest.external} URL(s) externa(s) ignorada(s)` : ''}`);
+
+    if (!flag(argv, 'no-source')) {
+      try {
+        source = await openSource(ctx);
+      } catch (err) {
+        console.log(chalk.yellow(`⚠️  Sem acesso à origem (${err.message}): arquivos truncados não serão detectados.`));
+      }
+    }
+
+    const bucket = tenant => {
+      const t = tenant == null ? '-' : String(tenant);
+      if (!report.tenants[t]) {
+        report.tenants[t] = { referenced: 0, ok: 0, missing: 0, empty: 0, truncated: 0, mismatch: 0, orphans: 0, samples: {} };
+        for (const k of KINDS) report.tenants[t].samples[k] = [];
+      }
+      return report.tenants[t];
+    };
+    const note = (b, kind, sample) => {
+      b[kind]++;
+      if (b.samples[kind].length < samples) b.samples[kind].push(sample);
+    };
+
+    // 1) Cada referência contra o armazenamento (e o tamanho contra a origem)
+    const used = new Set();
+    const bar = createProgressBar();
+    bar.start(manifest.entries.length, 0, { rate: '0.0' });
+    const startedAt = Date.now();
+    let done = 0;
+
+    await eachLimit(manifest.entries, PARALLEL, async entry => {
+      const b = bucket(entry.tenant != null ? entry.tenant : tenantOf(entry.rel));
+      b.referenced++;
+      for (const rel of entry.candidates) used.add(rel);
+
+      const found = await findIn(target, entry.candidates);
+      if (!found) {
+        note(b, 'missing', entry.rel);
+      } else if (found.size === 0) {
+        note(b, 'empty', found.rel);
+      } else {
+        const original = source ? await source.find(entry.candidates) : null;
+        if (original && found.size < original.size) note(b, 'truncated', `${found.rel} (${found.size}/${original.size})`);
+        else if (original && found.size > original.size) note(b, 'mismatch', `${found.rel} (${found.size}/${original.size})`);
+        else b.ok++;
+      }
+
+      done++;
+      bar.update(done, { rate: (done / Math.max(1, (Date.now() - startedAt) / 1000)).toFixed(1) });
+    });
+    bar.stop();
+
+    // 2) Arquivos que ninguém referencia (com tenant, só a pasta dele)
+    if (!flag(argv, 'no-orphans')) {
+      const files = await target.list(ctx.tenantId || '');
+      for (const f of files) {
+        if (used.has(f.rel)) continue;
+        note(bucket(tenantOf(f.rel)), 'orphans', f.rel);
+      }
+    }
+  } catch (err) {
+    console.error(chalk.red(`❌ ${err.message}`));
+    return 1;
+  } finally {
+    if (source) source.close();
+    if (target) target.close();
+  }
+
+  report.totals = { referenced: 0, ok: 0, missing: 0, empty: 0, truncated: 0, mismatch: 0, orphans: 0 };
+  for (const t of Object.values(report.tenants)) {
+    for (const k of Object.keys(report.totals)) report.totals[k] += t[k];
+  }
+  report.ok = !report.totals.missing && !report.totals.empty && !report.totals.truncated && !report.totals.mismatch;
+  report.finishedAt = new Date().toISOString();
+
+  const file = await writeReport(report);
+  printReport(report);
+  if (flag(argv, 'json')) {
+    process.stdout.write(`${JSON.stringify({ ...report, reportFile: file })}\n`);
+  }
+
+  if (!report.ok) {
+    console.error(chalk.red(`❌ Há anexos quebrados. Relatório: ${file}`));
+    return 1;
+  }
+  console.log(chalk.green.bold(`✅ Todas as mídias referenciadas estão íntegras. Relatório: ${file}`));
+  return 0;
+};
+
+// —— helpers
+
+async function manifestFromDb(tenantId, target) {
+  const dest = createClient('DST', 'media-audit');
+  await dest.connect();
+  try {
+    return await buildManifest(dest, tenantId, target);
+  } finally {
+    await dest.end().catch(() => {});
+  }
+}
+
+// Um media_name por linha; sem tenant no arquivo, vale o --tenant para nomes soltos
+async function manifestFromFile(file, tenantId, target) {
+  const collect = manifestCollector(target);
+  const lines = (await fs.readFile(file, 'utf8')).split(/\r?\n/);
+  for (const line of lines) {
+    if (line.trim()) collect.add(line.trim(), tenantId, 'messages');
+  }
+  return collect.result();
+}
+
+// A pasta de primeiro nível é o tenant (<tenant>/<nome>)
+function tenantOf(rel) {
+  const first = String(rel).split('/')[0];
+  return /^\d+$/.test(first) ? first : null;
+}
+
+async function findIn(target, candidates) {
+  for (const rel of candidates) {
+    const st = await target.stat(rel);
+    if (st) return { rel, size: Number(st.size) };
+  }
+  return null;
+}
+
+// Executa fn sobre os itens com no máximo `limit` em paralelo
+async function eachLimit(items, limit, fn) {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) await fn(items[next++]);
+  });
+  await Promise.all(workers);
+}
+
+function printReport(report) {
+  const pad = (v, n) => String(v).padStart(n);
+  const labels = { missing: 'faltando', empty: 'vazios', truncated: 'truncados', mismatch: 'maiores', orphans: 'órfãos' };
+  console.log(chalk.cyan.bold('\n🧾 Auditoria de mídias'));
+  console.log(`${'Tenant'.padEnd(10)}${pad('refs', 10)}${pad('ok', 10)}${KINDS.map(k => pad(labels[k], 11)).join('')}`);
+  const tenants = Object.entries(report.tenants).sort(([a], [b]) => Number(a) - Number(b));
+  for (const [tenant, t] of tenants) {
+    const line = `${tenant.padEnd(10)}${pad(t.referenced, 10)}${pad(t.ok, 10)}${KINDS.map(k => pad(t[k], 11)).join('')}`;
+    console.log(t.missing || t.empty || t.truncated || t.mismatch ? chalk.yellow(line) : line);
+    for (const k of KINDS) {
+      if (t.samples[k].length) {
+        console.log(chalk.gray(`${''.padEnd(10)}${labels[k]}: ${t.samples[k].join(', ')}${t[k] > t.samples[k].length ? ', …' : ''}`));
+      }
+    }
+  }
+  console.log('');
+}
+
+async function writeReport(report) {
+  const dir = path.resolve(__dirname, '..', 'logs', report.scope);
+  await fs.ensureDir(dir);
+  const file = path.join(dir, `media-audit-${report.startedAt.replace(/[:.]/g, '-')}.json`);
+  await fs.writeJson(file, report, { spaces: 2 });
+  return file;
+}
+
+function printHelp() {
+  console.log(`
+Uso: node main.js media-audit [opções]
+
+  --tenant=ID        audita apenas o tenant informado (sobrescreve TENANT_ID)
+  --input=ARQUIVO    lista de media_name, um por linha (scripts/buscar_arquivos.js), em vez do banco
+  --no-source        não compara tamanhos com a origem (não detecta truncados)
+  --no-orphans       não lista o armazenamento atrás de arquivos sem referência
+  --samples=N        exemplos por tipo de problema no relatório (padrão: 20)
+  --json             imprime o relatório em JSON no stdout
+
+Armazenamento auditado: MEDIA_TARGET (${TARGETS.join(', ')}), o mesmo da etapa MediaFiles.
+`);
+}
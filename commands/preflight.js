@@ -0,0 +1,252 @@
+// commands/preflight.js
+'use strict';
+
+const chalk = require('chalk');
+const { arg, flag, list } = require('../utils/cli');
+const { createClient, closePools } = require('../utils/db');
+const { topoSort } = require('../utils/stepGraph');
+const registry = require('../migrations');
+
+/**
+ * node main.js preflight [--only=Tickets,Messages] [--json]
+ *
+ * Confere, antes de migrar, se os dois bancos têm o que as etapas usam (meta.schema): tabelas e
+ * colunas lidas do legado, tabelas e colunas gravadas no destino com tipo compatível, índices
+ * únicos exigidos e colunas NOT NULL sem default que nenhuma etapa grava. Lista todos os
+ * problemas de uma vez, em vez de a migração parar no primeiro no meio de uma etapa.
+ *
+ *   schema: {
+ *     source: { Tickets: { id: 'int', lastMessage: 'text', '?isDeleted': 'bool' } },
+ *     dest:   { contacts: { 'j_id|jid': 'text', tags: 'text|json' } },
+ *     unique: { virtual_agents: [['company_id', 'flow_id']] }
+ *   }
+ *
+ * Tipos: int, num, text, bool, time, json ou any (alternativas com |). "a|b" aceita a primeira
+ * coluna que existir; "?" marca a coluna opcional (a etapa se adapta quando ela falta), que só
+ * tem o tipo conferido.
+ *
+ * Saída: 0 = tudo certo, 1 = há problemas (ou falha ao consultar), 2 = uso inválido.
+ */
+const KNOWN = ['only', 'json', 'help'];
+
+// data_type do information_schema aceito por tipo declarado (USER-DEFINED: enums, citext)
+const TYPES = {
+  int: ['smallint', 'integer', 'bigint'],
+  num: ['smallint', 'integer', 'bigint', 'numeric', 'real', 'double precision'],
+  text: ['text', 'character varying', 'character', 'USER-DEFINED'],
+  bool: ['boolean'],
+  time: ['timestamp without time zone', 'timestamp with time zone', 'date'],
+  json: ['json', 'jsonb']
+};
+const SIDES = [['source', 'origem'], ['dest', 'destino']];
+
+module.exports = async function preflight(argv) {
+  const unknown = argv.filter(a => a.startsWith('--')).map(a => a.slice(2).split('=')[0]).filter(n => !KNOWN.includes(n));
+  if (unknown.length) {
+    console.error(chalk.red(`❌ Opção desconhecida: ${unknown.map(n => `--${n}`).join(', ')} (use preflight --help)`));
+    return 2;
+  }
+
+  const steps = topoSort(registry);
+  if (flag(argv, 'help', 'h')) {
+    console.log(`
+Uso: node main.js preflight [opções]
+
+  --only=A,B      confere apenas as etapas informadas
+  --json          imprime o relatório em JSON no stdout
+
+Etapas: ${steps.map(s => s.name).join(', ')}
+`);
+    return 0;
+  }
+
+  const only = list(arg(argv, 'only')).map(n => n.toLowerCase());
+  const unknownOnly = only.filter(n => !steps.some(s => s.name.toLowerCase() === n));
+  if (unknownOnly.length) {
+    console.error(chalk.red(`❌ Etapa desconhecida em --only: ${unknownOnly.join(', ')}. Válidas: ${steps.map(s => s.name).join(', ')}`));
+    return 2;
+  }
+  const selected = only.length ? steps.filter(s => only.includes(s.name.toLowerCase())) : steps;
+  const json = flag(argv, 'json');
+
+  const report = { ok: true, startedAt: new Date().toISOString(), finishedAt: null, steps: [] };
+  const clients = { source: createClient('SRC', 'preflight'), dest: createClient('DST', 'preflight') };
+
+  if (!json) console.log(chalk.cyan.bold(`🛫 Conferindo os esquemas de origem e destino: ${selected.map(s => s.name).join(', ')}`));
+  try {
+    await clients.source.connect();
+    await clients.dest.connect();
+
+    const catalog = {};
+    for (const [side] of SIDES) {
+      const tables = [...new Set(selected.flatMap(s => Object.keys((s.schema && s.schema[side]) || {})))];
+      catalog[side] = await loadColumns(clients[side], tables);
+    }
+    const uniques = await loadUniques(clients.dest, [...new Set(selected.flatMap(s => Object.keys((s.schema && s.schema.unique) || {})))]);
+
+    // NOT NULL sem default: conferido na primeira etapa selecionada que escreve a tabela, contra
+    // as colunas que todas as etapas declaram gravar nela
+    const requiredChecked = new Set();
+    for (const step of selected) {
+      const entry = { name: step.name, ok: true, problems: [] };
+      const add = (side, table, column, message) => entry.problems.push({ side, table, column, message });
+
+      if (!step.schema) {
+        entry.note = 'sem meta.schema (não conferida)';
+        report.steps.push(entry);
+        if (!json) printStep(entry);
+        continue;
+      }
+
+      for (const [side, label] of SIDES) {
+        for (const [table, columns] of Object.entries(step.schema[side] || {})) {
+          const found = catalog[side].get(table);
+          if (!found) {
+            add(label, table, null, 'tabela não existe');
+            continue;
+          }
+          for (const [spec, type] of Object.entries(columns)) {
+            const problem = checkColumn(found, spec, type);
+            if (problem) add(label, table, spec.replace(/^\?/, ''), problem);
+          }
+        }
+      }
+
+      for (const [table, sets] of Object.entries(step.schema.unique || {})) {
+        if (!catalog.dest.has(table)) continue; // já reportada como inexistente
+        for (const columns of sets) {
+          if (!hasUnique(uniques.get(table) || [], columns)) {
+            add('destino', table, null, `falta índice único (${columns.join(', ')})`);
+          }
+        }
+      }
+
+      for (const table of step.writes) {
+        const found = catalog.dest.get(table);
+        if (!found || requiredChecked.has(table)) continue;
+        requiredChecked.add(table);
+        const written = writtenColumns(table);
+        for (const [column, info] of found) {
+          if (!info.nullable && !info.hasDefault && !written.has(column)) {
+            add('destino', table, column, 'NOT NULL sem default e nenhuma etapa grava a coluna');
+          }
+        }
+      }
+
+      entry.ok = entry.problems.length === 0;
+      if (!entry.ok) report.ok = false;
+      report.steps.push(entry);
+      if (!json) printStep(entry);
+    }
+  } catch (err) {
+    console.error(chalk.red(`❌ Falha ao consultar os esquemas: ${err.message}`));
+    return 1;
+  } finally {
+    await clients.source.end().catch(() => {});
+    await clients.dest.end().catch(() => {});
+    await closePools();
+  }
+
+  report.finishedAt = new Date().toISOString();
+  const total = report.steps.reduce((sum, s) => sum + s.problems.length, 0);
+  if (json) {
+    process.stdout.write(`${JSON.stringify(report)}\n`);
+  } else if (report.ok) {
+    console.log(chalk.green(`✅ Esquemas compatíveis com ${selected.length} etapa(s).`));
+  } else {
+    const failed = report.steps.filter(s => !s.ok).length;
+    console.log(chalk.red(`❌ ${total} problema(s) em ${failed} etapa(s): corrija antes de migrar.`));
+  }
+  return report.ok ? 0 : 1;
+};
+
+// tabela → Map(coluna → { type, udt, nullable, hasDefault })
+async function loadColumns(client, tables) {
+  const { rows } = await client.query(
+    `SELECT table_name, column_name, data_type, udt_name,
+            is_nullable = 'YES' AS nullable,
+            (column_default IS NOT NULL OR is_identity = 'YES' OR is_generated = 'ALWAYS') AS has_default
+       FROM information_schema.columns
+      WHERE table_schema = 'public' AND table_name = ANY($1)`,
+    [tables]
+  );
+  const byTable = new Map();
+  for (const r of rows) {
+    if (!byTable.has(r.table_name)) byTable.set(r.table_name, new Map());
+    byTable.get(r.table_name).set(r.column_name, {
+      type: r.data_type,
+      udt: r.udt_name,
+      nullable: r.nullable,
+      hasDefault: r.has_default
+    });
+  }
+  return byTable;
+}
+
+// tabela → [[colunas de cada índice único]] (PK incluída)
+async function loadUniques(client, tables) {
+  const { rows } = await client.query(
+    `SELECT t.relname AS table_name, array_agg(a.attname::text) AS columns
+       FROM pg_index i
+       JOIN pg_class t ON t.oid = i.indrelid
+       JOIN pg_namespace n ON n.oid = t.relnamespace
+       JOIN pg_attribute a ON a.attrelid = t.oid AND a.attnum = ANY(i.indkey)
+      WHERE i.indisunique AND n.nspname = 'public' AND t.relname = ANY($1)
+      GROUP BY t.relname, i.indexrelid`,
+    [tables]
+  );
+  const byTable = new Map();
+  for (const r of rows) {
+    if (!byTable.has(r.table_name)) byTable.set(r.table_name, []);
+    byTable.get(r.table_name).push(r.columns);
+  }
+  return byTable;
+}
+
+function checkColumn(found, spec, type) {
+  const optional = spec.startsWith('?');
+  const names = spec.replace(/^\?/, '').split('|');
+  const name = names.find(n => found.has(n));
+  if (!name) {
+    if (optional) return null;
+    return names.length > 1 ? `nenhuma das colunas ${names.join(', ')} existe` : 'coluna não existe';
+  }
+  const col = found.get(name);
+  const accepted = type.split('|');
+  if (accepted.includes('any') || accepted.some(t => (TYPES[t] || []).includes(col.type))) return null;
+  const actual = col.type === 'USER-DEFINED' || col.type === 'ARRAY' ? col.udt : col.type;
+  return `${names.length > 1 ? `${name}: ` : ''}tipo ${actual} incompatível (esperado ${accepted.join(' ou ')})`;
+}
+
+// o índice tem exatamente essas colunas, em qualquer ordem
+function hasUnique(indexes, columns) {
+  const wanted = [...columns].sort().join(',');
+  return indexes.some(cols => [...cols].sort().join(',') === wanted);
+}
+
+// colunas que alguma etapa declara gravar/ler na tabela (alternativas "a|b" contam todas)
+function writtenColumns(table) {
+  const written = new Set();
+  for (const step of registry) {
+    const columns = step.schema && step.schema.dest && step.schema.dest[table];
+    for (const spec of Object.keys(columns || {})) {
+      for (const name of spec.replace(/^\?/, '').split('|')) written.add(name);
+    }
+  }
+  return written;
+}
+
+function printStep(entry) {
+  if (entry.note) {
+    console.log(chalk.gray(`   – ${entry.name}: ${entry.note}`));
+    return;
+  }
+  if (entry.ok) {
+    console.log(chalk.green(`   ✔ ${entry.name}`));
+    return;
+  }
+  console.log(chalk.red(`   ✖ ${entry.name}`));
+  for (const p of entry.problems) {
+    console.log(chalk.red(`      ${p.side} ${p.table}${p.column ? `.${p.column}` : ''}: ${p.message}`));
+  }
+}
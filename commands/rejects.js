@@ -0,0 +1,228 @@
+// commands/rejects.js
+'use strict';
+
+const chalk = require('chalk');
+const { arg, flag, list } = require('../utils/cli');
+const { buildContext } = require('../utils/context');
+const { createClient, closePools } = require('../utils/db');
+const { TABLE_SQL } = require('../utils/rejects');
+const { topoSort } = require('../utils/stepGraph');
+const runStep = require('../utils/migrationRunner');
+const registry = require('../migrations');
+
+/**
+ * node main.js rejects <summary|list|retry> [opções]
+ *
+ * Consulta e reprocessa a quarentena "migration_rejects" do destino (utils/rejects.js).
+ *   summary   totais por etapa, motivo e tenant
+ *   list      registros com id de origem, motivo e mensagem (--limit=N, padrão 50)
+ *   retry     roda de novo as etapas só com os ids em quarentena (ctx.onlyIds); os que
+ *             entrarem no destino são marcados como resolvidos
+ *
+ * Filtros: --step=Tickets,Messages  --tenant=ID  --reason=missing_channel_fk  --all (inclui resolvidos)
+ * Saída: 0 = ok, 1 = retry deixou registros em quarentena (ou falhou), 2 = uso inválido.
+ */
+const KNOWN = ['step', 'tenant', 'reason', 'limit', 'all', 'json', 'help'];
+const ACTIONS = ['summary', 'list', 'retry'];
+
+module.exports = async function rejects(argv) {
+  const action = argv[0] && !argv[0].startsWith('-') ? argv[0] : 'summary';
+  const unknown = argv.filter(a => a.startsWith('--')).map(a => a.slice(2).split('=')[0]).filter(n => !KNOWN.includes(n));
+  if (flag(argv, 'help', 'h')) {
+    printHelp();
+    return 0;
+  }
+  if (!ACTIONS.includes(action) || unknown.length) {
+    console.error(chalk.red(
+      unknown.length
+        ? `❌ Opção desconhecida: ${unknown.map(n => `--${n}`).join(', ')} (use rejects --help)`
+        : `❌ Ação desconhecida: "${action}". Use ${ACTIONS.join(', ')}.`
+    ));
+    return 2;
+  }
+
+  const limit = Number(arg(argv, 'limit', 50));
+  if (!Number.isInteger(limit) || limit < 1) {
+    console.error(chalk.red('❌ --limit precisa ser um inteiro >= 1.'));
+    return 2;
+  }
+
+  const stepNames = new Map(registry.map(s => [s.name.toLowerCase(), s.name]));
+  const steps = list(arg(argv, 'step')).map(n => stepNames.get(n.toLowerCase()) || n);
+  const invalid = steps.filter(n => !registry.some(s => s.name === n));
+  if (invalid.length) {
+    console.error(chalk.red(`❌ Etapa desconhecida em --step: ${invalid.join(', ')}. Etapas válidas: ${registry.map(s => s.name).join(', ')}`));
+    return 2;
+  }
+
+  // --tenant (ou TENANT_ID): o retry roda as etapas nesse escopo, então o filtro precisa ser o mesmo
+  const filters = {
+    steps,
+    tenant: buildContext({ tenantId: arg(argv, 'tenant') }).tenantId,
+    reason: arg(argv, 'reason'),
+    all: flag(argv, 'all')
+  };
+  const json = flag(argv, 'json');
+
+  const dest = createClient('DST', 'rejects');
+  try {
+    await dest.connect();
+    await dest.query(TABLE_SQL);
+    if (action === 'summary') return await summary(dest, filters, json);
+    if (action === 'list') return await listRows(dest, filters, limit, json);
+    return await retry(dest, filters);
+  } catch (err) {
+    console.error(chalk.red(`❌ ${err.message}`));
+    return 1;
+  } finally {
+    await dest.end().catch(() => {});
+    await closePools();
+  }
+};
+
+async function summary(dest, filters, json) {
+  const { where, params } = whereOf(filters);
+  const { rows } = await dest.query(
+    `SELECT step, reason_code, COALESCE(tenant_id, '-') AS tenant_id, COUNT(*)::int AS total,
+            MAX(updated_at) AS last_seen
+       FROM migration_rejects
+       ${where}
+      GROUP BY step, reason_code, COALESCE(tenant_id, '-')
+      ORDER BY step, total DESC, reason_code`,
+    params
+  );
+  if (json) {
+    process.stdout.write(`${JSON.stringify(rows)}\n`);
+    return 0;
+  }
+  if (!rows.length) {
+    console.log(chalk.green('✅ Nenhum registro em quarentena.'));
+    return 0;
+  }
+
+  console.log(chalk.cyan.bold(`🧾 Quarentena${filters.all ? ' (inclui resolvidos)' : ''}`));
+  console.log(`${'Etapa'.padEnd(18)}${'Motivo'.padEnd(28)}${'Tenant'.padEnd(10)}${'total'.padStart(10)}`);
+  let total = 0;
+  for (const r of rows) {
+    total += r.total;
+    console.log(`${r.step.padEnd(18)}${r.reason_code.padEnd(28)}${String(r.tenant_id).padEnd(10)}${String(r.total).padStart(10)}`);
+  }
+  console.log(chalk.bold(`${'Total'.padEnd(56)}${String(total).padStart(10)}`));
+  return 0;
+}
+
+async function listRows(dest, filters, limit, json) {
+  const { where, params } = whereOf(filters);
+  params.push(limit);
+  const { rows } = await dest.query(
+    `SELECT step, entity, legacy_id, tenant_id, reason_code, message, attempts, updated_at, resolved_at
+       FROM migration_rejects
+       ${where}
+      ORDER BY step, entity, updated_at DESC
+      LIMIT $${params.length}`,
+    params
+  );
+  if (json) {
+    process.stdout.write(`${JSON.stringify(rows)}\n`);
+    return 0;
+  }
+  if (!rows.length) {
+    console.log(chalk.green('✅ Nenhum registro em quarentena.'));
+    return 0;
+  }
+  for (const r of rows) {
+    const status = r.resolved_at ? chalk.green(' [resolvido]') : '';
+    console.log(
+      `${r.step}/${r.entity} id=${r.legacy_id} tenant=${r.tenant_id || '-'} ${chalk.yellow(r.reason_code)} ` +
+      `(tentativas: ${r.attempts})${status}\n   ${truncate(r.message, 160)}`
+    );
+  }
+  if (rows.length === limit) console.log(chalk.gray(`… mostrando os primeiros ${limit} (use --limit=N)`));
+  return 0;
+}
+
+async function retry(dest, filters) {
+  const { where, params } = whereOf({ ...filters, all: false });
+  const { rows } = await dest.query(
+    `SELECT step, array_agg(DISTINCT legacy_id) AS ids FROM migration_rejects ${where} GROUP BY step`,
+    params
+  );
+  if (!rows.length) {
+    console.log(chalk.green('✅ Nada a reprocessar.'));
+    return 0;
+  }
+
+  const idsByStep = new Map(rows.map(r => [r.step, r.ids]));
+  const plan = topoSort(registry).filter(s => idsByStep.has(s.name));
+  let remaining = 0;
+
+  for (const step of plan) {
+    const ids = idsByStep.get(step.name);
+    console.log(chalk.cyan.bold(`🔁 Reprocessando ${ids.length} registro(s) de ${step.name}...`));
+
+    const ctx = buildContext({ tenantId: filters.tenant, onlyIds: ids });
+    const result = await runStep(step.name, step.func, ctx);
+    if (!result.ok) {
+      console.error(chalk.red(`❌ ${step.name}: ${result.error}`));
+      return 1;
+    }
+
+    // quem não foi rejeitado de novo nesta execução (run_id diferente) entrou no destino
+    const { rowCount: resolved } = await dest.query(
+      `UPDATE migration_rejects SET resolved_at = now()
+        WHERE step = $1 AND legacy_id = ANY($2) AND resolved_at IS NULL
+          AND run_id IS DISTINCT FROM $3`,
+      [step.name, ids, ctx.runId]
+    );
+    const still = ids.length - resolved;
+    remaining += still;
+    console.log(
+      still
+        ? chalk.yellow(`⚠️  ${step.name}: ${resolved} resolvido(s), ${still} continua(m) em quarentena.`)
+        : chalk.green(`✅ ${step.name}: ${resolved} resolvido(s).`)
+    );
+  }
+
+  return remaining ? 1 : 0;
+}
+
+function whereOf({ steps, tenant, reason, all }) {
+  const params = [];
+  const conds = [];
+  if (!all) conds.push('resolved_at IS NULL');
+  if (steps.length) {
+    params.push(steps);
+    conds.push(`step = ANY($${params.length})`);
+  }
+  if (tenant) {
+    params.push(tenant);
+    conds.push(`tenant_id = $${params.length}`);
+  }
+  if (reason) {
+    params.push(reason);
+    conds.push(`reason_code = $${params.length}`);
+  }
+  return { where: conds.length ? `WHERE ${conds.join(' AND ')}` : '', params };
+}
+
+function truncate(v, max) {
+  const s = String(v || '');
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
+function printHelp() {
+  console.log(`
+Uso: node main.js rejects <summary|list|retry> [opções]
+
+  summary            totais em quarentena por etapa, motivo e tenant (padrão)
+  list               registros em quarentena com id de origem, motivo e mensagem
+  retry              reprocessa as etapas só com os ids em quarentena
+
+  --step=A,B         apenas as etapas informadas
+  --tenant=ID        apenas o tenant informado
+  --reason=CODIGO    apenas um motivo (ex.: missing_channel_fk)
+  --limit=N          máximo de linhas no list (padrão: 50)
+  --all              inclui registros já resolvidos (summary/list)
+  --json             imprime o resultado em JSON no stdout (summary/list)
+`);
+}
@@ -0,0 +1,340 @@
+// commands/replicate.js
+'use strict';
+
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const { arg, flag } = require('../utils/cli');
+const { buildContext } = require('../utils/context');
+const { scopeKeyOf } = require('../utils/stepState');
+const { createClient, closePools } = require('../utils/db');
+const { createRejects } = require('../utils/rejects');
+const { METHODS, DEFAULT_SLOT, openCapture } = require('../utils/changeCapture');
+const { topoSort } = require('../utils/stepGraph');
+const runStep = require('../utils/migrationRunner');
+const registry = require('../migrations');
+
+/**
+ * node main.js replicate [--tenant=ID] [--method=logical|trigger] [--slot=NOME] [--setup|--drop] [--once]
+ *
+ * Replicação contínua do legado entre a carga completa e a virada: captura inserts, updates e
+ * deletes de Contacts, Whatsapps, Tickets e Messages na origem (utils/changeCapture.js) e aplica
+ * no destino a cada --interval segundos.
+ *   insert/update  roda as etapas Contacts, Channels, Tickets e Messages (nessa ordem) só com os
+ *                  ids alterados (ctx.onlyIds) — as mesmas transformações e upserts da migração;
+ *                  Messages atualiza no lugar as mensagens já mapeadas (ctx.refreshExisting)
+ *   delete         apaga no destino, na ordem inversa (messages pelo migration_id_map)
+ * A posição só avança depois que o lote foi aplicado: se o processo cair, o lote é reaplicado
+ * (tudo idempotente). Registros que falham vão para a quarentena, como na migração.
+ *
+ * A cada ciclo com mudanças (e a cada minuto parado) imprime o atraso: idade do commit mais antigo
+ * aplicado, WAL retido pelo slot (logical) ou mudanças na fila (trigger). O último estado fica em
+ * logs/<escopo>/replicate-status.json.
+ *
+ * Com --tenant as etapas só aplicam as mudanças do tenant, mas a posição avança sobre tudo o que
+ * foi lido: por isso o tenant tem o próprio slot (<slot>_tenant_<ID>, criado com --setup --tenant),
+ * que nenhum outro consumidor lê. O método trigger tem uma fila só (migration_changes) e não
+ * aceita --tenant.
+ *
+ * Ciclo de vida: --setup (antes da carga completa) → migração → replicate → --drop depois da virada.
+ * Saída: 0 = parou (Ctrl+C, SIGTERM ou --once), 1 = falha, 2 = uso inválido.
+ */
+const KNOWN = ['tenant', 'method', 'slot', 'interval', 'batch', 'once', 'setup', 'drop', 'help'];
+
+// tabela do legado → etapa que a migra e tabela do destino
+const TABLE_STEPS = {
+  Contacts: { step: 'Contacts', table: 'contacts' },
+  Whatsapps: { step: 'Channels', table: 'channel_instances' },
+  Tickets: { step: 'Tickets', table: 'tickets' },
+  Messages: { step: 'Messages', table: 'messages' }
+};
+const IDLE_REPORT_MS = 60000;
+
+module.exports = async function replicate(argv) {
+  const unknown = argv.filter(a => a.startsWith('--')).map(a => a.slice(2).split('=')[0]).filter(n => !KNOWN.includes(n));
+  if (unknown.length) {
+    console.error(chalk.red(`❌ Opção desconhecida: ${unknown.map(n => `--${n}`).join(', ')} (use replicate --help)`));
+    return 2;
+  }
+  if (flag(argv, 'help', 'h')) {
+    printHelp();
+    return 0;
+  }
+
+  const method = String(arg(argv, 'method', process.env.REPLICATE_METHOD || 'logical')).trim().toLowerCase();
+  const tenant = arg(argv, 'tenant');
+  const baseSlot = String(arg(argv, 'slot', process.env.REPLICATE_SLOT || DEFAULT_SLOT)).trim();
+  const slot = tenant != null && tenant !== '' ? `${baseSlot}_tenant_${String(tenant).trim()}` : baseSlot;
+  const interval = Number(arg(argv, 'interval', process.env.REPLICATE_INTERVAL || 5));
+  const batch = Number(arg(argv, 'batch', process.env.REPLICATE_BATCH || 5000));
+  if (!METHODS.includes(method)) {
+    console.error(chalk.red(`❌ --method inválido: "${method}" (use ${METHODS.join(' ou ')}).`));
+    return 2;
+  }
+  if (!Number.isFinite(interval) || interval <= 0) {
+    console.error(chalk.red('❌ --interval precisa ser um número de segundos > 0.'));
+    return 2;
+  }
+  if (!Number.isInteger(batch) || batch < 1) {
+    console.error(chalk.red('❌ --batch precisa ser um inteiro >= 1.'));
+    return 2;
+  }
+  // a fila de triggers é uma só: confirmar o lote apagaria as mudanças dos outros tenants
+  if (tenant && method === 'trigger') {
+    console.error(chalk.red(
+      '❌ --tenant não funciona com --method=trigger: a fila migration_changes é compartilhada e o lote confirmado ' +
+      'apagaria as mudanças dos outros tenants. Rode sem --tenant ou use --method=logical (um slot por tenant).'
+    ));
+    return 2;
+  }
+  if (flag(argv, 'setup') && flag(argv, 'drop')) {
+    console.error(chalk.red('❌ Use --setup ou --drop, não os dois.'));
+    return 2;
+  }
+
+  const base = buildContext({ tenantId: tenant });
+  const source = createClient('SRC', 'replicate');
+  const dest = createClient('DST', 'replicate');
+
+  let stopping = false;
+  let wake = null;
+  const stop = () => {
+    if (!stopping) console.log(chalk.yellow('\n⏹️  Parando depois do ciclo atual…'));
+    stopping = true;
+    if (wake) wake();
+  };
+
+  try {
+    await source.connect();
+    const capture = openCapture(source, { method, slot });
+
+    if (flag(argv, 'setup')) {
+      const created = await capture.setup();
+      console.log(chalk.green(`✅ Captura ${created ? 'criada' : 'já existia'}: ${capture.label}.`));
+      return 0;
+    }
+    if (flag(argv, 'drop')) {
+      const dropped = await capture.drop();
+      console.log(chalk.green(dropped ? `✅ Captura removida: ${capture.label}.` : `✅ Nada a remover (${capture.label}).`));
+      return 0;
+    }
+
+    await capture.check();
+    await dest.connect();
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+
+    const scope = scopeKeyOf(base);
+    const statusFile = path.resolve(__dirname, '..', 'logs', scope, 'replicate-status.json');
+    await fs.ensureDir(path.dirname(statusFile));
+    console.log(chalk.cyan.bold(
+      `🔄 Replicando ${Object.keys(TABLE_STEPS).join(', ')} (${scope}) por ${capture.label}, a cada ${interval}s.`
+    ));
+
+    const plan = topoSort(registry).filter(s => Object.values(TABLE_STEPS).some(t => t.step === s.name));
+    const totals = { cycles: 0, changes: 0, upserted: 0, deleted: 0 };
+    let lastReport = 0;
+
+    while (!stopping) {
+      const startedAt = Date.now();
+      const { changes, read, ack } = await capture.read(batch);
+      let applied = null;
+      if (changes.length) {
+        applied = await apply(changes, { plan, dest, base });
+        if (!applied.ok) throw new Error(applied.error);
+      }
+      await ack();
+
+      totals.cycles++;
+      totals.changes += changes.length;
+      if (applied) {
+        totals.upserted += applied.upserted;
+        totals.deleted += applied.deleted;
+      }
+
+      const lag = await capture.lag();
+      const oldest = changes.reduce((min, c) => (c.at && (!min || c.at < min) ? c.at : min), null);
+      const status = {
+        method,
+        scope,
+        at: new Date().toISOString(),
+        cycle: totals.cycles,
+        changes: changes.length,
+        byTable: applied ? applied.byTable : {},
+        ms: Date.now() - startedAt,
+        // do commit mais antigo do lote até agora; 0 quando a fila está vazia
+        lagSeconds: oldest ? Math.max(0, (Date.now() - oldest.getTime()) / 1000) : 0,
+        ...lag,
+        totals: { ...totals }
+      };
+      await fs.writeJson(statusFile, status, { spaces: 2 });
+
+      if (changes.length || Date.now() - lastReport >= IDLE_REPORT_MS) {
+        lastReport = Date.now();
+        console.log(formatStatus(status));
+      }
+      if (flag(argv, 'once')) break;
+      // lote cheio: ainda há mudanças na fila, o próximo ciclo começa na hora
+      if (read < batch) await sleep(interval * 1000, resolve => { wake = resolve; });
+    }
+
+    console.log(chalk.green(
+      `✅ Replicação parada: ${totals.cycles} ciclo(s), ${totals.changes} mudança(s), ` +
+      `${totals.upserted} aplicada(s) por upsert, ${totals.deleted} removida(s).`
+    ));
+    return 0;
+  } catch (err) {
+    console.error(chalk.red(`❌ ${err.message}`));
+    return 1;
+  } finally {
+    process.removeListener('SIGINT', stop);
+    process.removeListener('SIGTERM', stop);
+    await source.end().catch(() => {});
+    await dest.end().catch(() => {});
+    await closePools();
+  }
+};
+
+/**
+ * Aplica um lote: a última operação de cada id vale (insert seguido de delete = delete).
+ * Upserts pelas etapas na ordem de dependência; deletes na ordem inversa.
+ */
+async function apply(changes, { plan, dest, base }) {
+  const last = new Map(); // "Tabela\u0001id" → { table, id, op }
+  for (const c of changes) last.set(`${c.table}\u0001${c.id}`, c);
+
+  const upserts = new Map(); // etapa → ids
+  const deletes = new Map(); // tabela do legado → ids
+  const byTable = {};
+  for (const c of last.values()) {
+    const into = c.op === 'D' ? deletes : upserts;
+    const key = c.op === 'D' ? c.table : TABLE_STEPS[c.table].step;
+    if (!into.has(key)) into.set(key, []);
+    into.get(key).push(String(c.id));
+    byTable[c.table] = (byTable[c.table] || 0) + 1;
+  }
+
+  let upserted = 0;
+  for (const step of plan) {
+    const ids = upserts.get(step.name);
+    if (!ids) continue;
+    const ctx = buildContext({ tenantId: base.tenantId, runId: base.runId, onlyIds: ids, refreshExisting: true });
+    const result = await runStep(step.name, step.func, ctx);
+    if (!result.ok) return { ok: false, error: `${step.name}: ${result.error}` };
+    upserted += ids.length;
+  }
+
+  let deleted = 0;
+  const rejects = createRejects('Replicate', { runId: base.runId, tenantId: base.tenantId });
+  for (const table of ['Messages', 'Tickets', 'Contacts', 'Whatsapps']) {
+    const ids = deletes.get(table);
+    if (!ids) continue;
+    deleted += table === 'Messages'
+      ? await deleteMessages(dest, ids, base.tenantId)
+      : await deleteRows(dest, TABLE_STEPS[table].table, ids, base.tenantId, rejects);
+  }
+  // sem quarentena gravada o lote não é confirmado: o próximo ciclo reaplica e tenta de novo
+  try {
+    await rejects.flush();
+  } catch (err) {
+    return { ok: false, error: `não foi possível gravar os rejeitados da replicação: ${err.message}` };
+  }
+
+  return { ok: true, upserted, deleted, byTable };
+}
+
+// messages ganham id novo: o destino é achado pelo mapa de ids, que perde a linha junto
+async function deleteMessages(dest, legacyIds, tenantId) {
+  const params = [legacyIds];
+  if (tenantId) params.push(tenantId);
+  const { rows } = await dest.query(
+    `SELECT legacy_id, new_id FROM migration_id_map
+      WHERE entity = 'messages' AND legacy_id = ANY($1::text[]) ${tenantId ? 'AND tenant_id = $2' : ''}`,
+    params
+  );
+  if (!rows.length) return 0;
+  const newIds = rows.map(r => r.new_id);
+  await dest.query('BEGIN');
+  try {
+    await dest.query('UPDATE messages SET quoted_msg_id = NULL WHERE quoted_msg_id = ANY($1::bigint[])', [newIds]);
+    await dest.query('DELETE FROM message_reactions WHERE message_id = ANY($1::bigint[])', [newIds]);
+    const { rowCount } = await dest.query('DELETE FROM messages WHERE id = ANY($1::bigint[])', [newIds]);
+    await dest.query(
+      "DELETE FROM migration_id_map WHERE entity = 'messages' AND legacy_id = ANY($1::text[])",
+      [rows.map(r => r.legacy_id)]
+    );
+    await dest.query('COMMIT');
+    return rowCount;
+  } catch (err) {
+    await dest.query('ROLLBACK');
+    throw err;
+  }
+}
+
+// tickets, contacts e canais mantêm o id legado; o que ainda é referenciado no destino vai para a quarentena
+async function deleteRows(dest, table, ids, tenantId, rejects) {
+  const tenantFilter = tenantId ? 'AND company_id = $2' : '';
+  const extra = tenantId ? [tenantId] : [];
+  try {
+    const { rowCount } = await dest.query(`DELETE FROM ${table} WHERE id = ANY($1::bigint[]) ${tenantFilter}`, [ids, ...extra]);
+    return rowCount;
+  } catch {
+    // fallback: um a um, para uma FK não segurar o lote
+  }
+  let deleted = 0;
+  for (const id of ids) {
+    try {
+      const { rowCount } = await dest.query(`DELETE FROM ${table} WHERE id = $1::bigint ${tenantFilter}`, [id, ...extra]);
+      deleted += rowCount;
+    } catch (err) {
+      rejects.add(table, id, err, { code: err.code === '23503' ? 'delete_still_referenced' : undefined });
+    }
+  }
+  return deleted;
+}
+
+function formatStatus(s) {
+  const tables = Object.entries(s.byTable).map(([t, n]) => `${t}: ${n}`).join(', ');
+  const backlog = s.pendingBytes != null
+    ? `WAL retido: ${formatBytes(s.pendingBytes)}`
+    : `na fila: ${s.pendingChanges} (mais antiga há ${s.oldestSeconds.toFixed(0)}s)`;
+  return `🔄 Ciclo #${s.cycle} | mudanças: ${s.changes}${tables ? ` (${tables})` : ''} | ` +
+    `${(s.ms / 1000).toFixed(1)}s | atraso: ${s.lagSeconds.toFixed(1)}s | ${backlog}`;
+}
+
+function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// espera interrompível (Ctrl+C acorda o loop na hora)
+function sleep(ms, onWake) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    onWake(() => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+}
+
+function printHelp() {
+  console.log(`
+Uso: node main.js replicate [opções]
+
+  --setup                 cria a captura na origem (slot ou triggers) e sai — rode antes da carga completa
+  --drop                  remove a captura da origem e sai — rode depois da virada
+  --method=logical        slot de replicação lógica com test_decoding (padrão; precisa de wal_level=logical)
+  --method=trigger        triggers gravando em migration_changes na origem (sem wal_level=logical)
+  --slot=NOME             nome do slot lógico (padrão: REPLICATE_SLOT ou ${DEFAULT_SLOT})
+  --tenant=ID             aplica só as mudanças do tenant, lendo o slot próprio dele (<slot>_tenant_ID,
+                          criado com --setup --tenant=ID); o que o slot traz de outros tenants é descartado.
+                          Não funciona com --method=trigger (fila compartilhada)
+  --interval=S            segundos entre ciclos quando não há mudanças na fila (padrão: 5)
+  --batch=N               máximo de mudanças lidas por ciclo (padrão: 5000)
+  --once                  aplica um ciclo e sai
+
+Códigos de saída: 0 = parou normalmente, 1 = falha, 2 = uso inválido.
+`);
+}
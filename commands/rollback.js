@@ -0,0 +1,278 @@
+// commands/rollback.js
+'use strict';
+
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const Cursor = require('pg-cursor');
+const { arg, flag } = require('../utils/cli');
+const { statePath } = require('../utils/stepState');
+const { createClient, closePools } = require('../utils/db');
+const { topoSort } = require('../utils/stepGraph');
+const registry = require('../migrations');
+
+/**
+ * node main.js rollback --tenant=ID [--only-migrated] [--yes] [--json]
+ *
+ * Apaga do destino os dados migrados de um tenant: as tabelas vêm do meta.writes das etapas e são
+ * apagadas filhas antes de mães (FKs do destino; sem FK entre elas, na ordem inversa das etapas).
+ * O tenant de cada tabela é company_id = $1, salvo o que a etapa declara em meta.rollback (ou o
+ * meta.verify da tabela). Tudo numa transação: qualquer erro (ex.: FK de uma tabela que a migração
+ * não escreve) desfaz o rollback inteiro.
+ *
+ * --only-migrated  só as linhas que vieram do legado: ids presentes na tabela de origem do tenant
+ *                  (meta.rollback.legacy ou meta.verify.source) ou o predicado meta.rollback.migrated
+ *                  (messages: migration_id_map). Tabelas sem esse registro ficam como estão.
+ * Sem --yes nada é apagado: a transação é desfeita no fim e o relatório mostra o que sairia.
+ * Com --yes também limpa o estado da migração do tenant (mapa de ids, checkpoints, watermarks,
+ * quarentena e progress-tenant-<id>.json), para uma nova migração começar do zero.
+ *
+ * Saída: 0 = ok, 1 = falha (nada foi apagado), 2 = uso inválido.
+ */
+const KNOWN = ['tenant', 'only-migrated', 'yes', 'json', 'help'];
+const LEGACY_CHUNK = 5000;
+
+// Estado da migração no destino, por tenant (tabela → coluna e valor)
+const STATE_TABLES = [
+  ['migration_id_map', 'tenant_id', t => t],
+  ['migration_rejects', 'tenant_id', t => t],
+  ['migration_checkpoints', 'scope', t => `tenant-${t}`],
+  ['migration_watermarks', 'scope', t => `tenant-${t}`],
+  ['migration_msg_quotes', 'scope', t => `tenant-${t}`]
+];
+
+module.exports = async function rollback(argv) {
+  const unknown = argv.filter(a => a.startsWith('--')).map(a => a.slice(2).split('=')[0]).filter(n => !KNOWN.includes(n));
+  if (unknown.length) {
+    console.error(chalk.red(`❌ Opção desconhecida: ${unknown.map(n => `--${n}`).join(', ')} (use rollback --help)`));
+    return 2;
+  }
+  if (flag(argv, 'help', 'h')) {
+    printHelp();
+    return 0;
+  }
+
+  // sem cair no TENANT_ID do .env: apagar exige o tenant explícito
+  const tenantId = String(arg(argv, 'tenant', '') || '').trim();
+  if (!tenantId) {
+    console.error(chalk.red('❌ Informe o tenant: rollback --tenant=ID.'));
+    return 2;
+  }
+  const onlyMigrated = flag(argv, 'only-migrated');
+  const apply = flag(argv, 'yes', 'y');
+  const json = flag(argv, 'json');
+
+  const dest = createClient('DST', 'rollback');
+  const source = onlyMigrated ? createClient('SRC', 'rollback') : null;
+  const report = {
+    tenantId,
+    onlyMigrated,
+    applied: false,
+    startedAt: new Date().toISOString(),
+    tables: [],
+    state: []
+  };
+
+  try {
+    await dest.connect();
+    if (source) await source.connect();
+    const plan = await buildPlan(dest);
+
+    const companies = plan.find(e => e.table === 'companies');
+    const { rows: [company] } = companies && !companies.missing
+      ? await dest.query('SELECT id FROM companies WHERE id = $1', [tenantId])
+      : { rows: [] };
+    if (!company) console.warn(chalk.yellow(`⚠️  Empresa ${tenantId} não existe em companies; apagando o que sobrou do tenant.`));
+    if (!json) {
+      console.log(chalk.cyan.bold(
+        `🗑️  Rollback do tenant ${tenantId}${onlyMigrated ? ' (só linhas migradas)' : ''}${apply ? '' : ' — simulação, use --yes para apagar'}`
+      ));
+    }
+
+    await dest.query('BEGIN');
+    try {
+      for (const entry of plan) {
+        const result = await deleteTable(dest, source, entry, tenantId, onlyMigrated).catch(err => {
+          throw new Error(`${entry.table} (${entry.step}): ${err.message}`);
+        });
+        report.tables.push(result);
+        if (!json) printTable(result);
+      }
+      if (apply) report.state = await clearState(dest, tenantId);
+      await dest.query(apply ? 'COMMIT' : 'ROLLBACK');
+    } catch (err) {
+      await dest.query('ROLLBACK');
+      throw err;
+    }
+
+    if (apply) {
+      const progress = statePath(`tenant-${tenantId}`);
+      if (await fs.pathExists(progress)) {
+        await fs.remove(progress);
+        report.state.push({ table: path.basename(progress), deleted: 1 });
+      }
+    }
+    report.applied = apply;
+    report.finishedAt = new Date().toISOString();
+
+    const total = report.tables.reduce((sum, t) => sum + (t.deleted || 0), 0);
+    if (json) {
+      process.stdout.write(`${JSON.stringify(report)}\n`);
+    } else {
+      for (const s of report.state) console.log(chalk.gray(`   estado: ${s.table} (${s.deleted})`));
+      console.log(apply
+        ? chalk.green(`✅ ${total} linha(s) apagada(s) do tenant ${tenantId}.`)
+        : chalk.yellow(`ℹ️  ${total} linha(s) seriam apagadas; nada foi alterado (use --yes).`));
+    }
+    return 0;
+  } catch (err) {
+    console.error(chalk.red(`❌ ${err.message} — nada foi apagado.`));
+    return 1;
+  } finally {
+    await dest.end().catch(() => {});
+    if (source) await source.end().catch(() => {});
+    await closePools();
+  }
+};
+
+/**
+ * Tabelas escritas pelas etapas, na ordem de remoção, com o filtro de tenant e a procedência:
+ *   [{ table, step, tenant, legacy?, migrated?, missing? }]
+ */
+async function buildPlan(dest) {
+  const entries = new Map();
+  for (const step of topoSort(registry)) {
+    for (const table of step.writes) {
+      if (entries.has(table)) continue; // fica com a primeira etapa que escreve (a que cria as linhas)
+      entries.set(table, { table, step: step.name, ...rollbackOf(step, table) });
+    }
+  }
+  const tables = [...entries.keys()];
+
+  const { rows: existing } = await dest.query(
+    `SELECT table_name, bool_or(column_name = 'company_id') AS has_company
+       FROM information_schema.columns
+      WHERE table_schema = 'public' AND table_name = ANY($1)
+      GROUP BY table_name`,
+    [tables]
+  );
+  const found = new Map(existing.map(r => [r.table_name, r.has_company]));
+  for (const entry of entries.values()) {
+    if (!found.has(entry.table)) {
+      entry.missing = true;
+    } else if (!entry.tenant) {
+      if (!found.get(entry.table)) {
+        throw new Error(`${entry.table} (etapa ${entry.step}) não tem company_id: declare o filtro do tenant em meta.rollback.`);
+      }
+      entry.tenant = 'company_id = $1';
+    }
+  }
+
+  // filhas antes das mães: topológica pelas FKs (mãe primeiro) e depois invertida
+  const { rows: fks } = await dest.query(
+    `SELECT DISTINCT child.relname AS child, parent.relname AS parent
+       FROM pg_constraint c
+       JOIN pg_class child ON child.oid = c.conrelid
+       JOIN pg_class parent ON parent.oid = c.confrelid
+       JOIN pg_namespace n ON n.oid = child.relnamespace
+      WHERE c.contype = 'f' AND n.nspname = 'public'
+        AND child.relname = ANY($1) AND parent.relname = ANY($1) AND child.relname <> parent.relname`,
+    [tables]
+  );
+  const nodes = tables.map(name => ({
+    name,
+    dependsOn: fks.filter(fk => fk.child === name).map(fk => fk.parent)
+  }));
+  let ordered;
+  try {
+    ordered = topoSort(nodes).map(n => n.name);
+  } catch (err) {
+    console.warn(chalk.yellow(`⚠️  ${err.message.replace('etapas', 'tabelas')}; seguindo a ordem das etapas.`));
+    ordered = tables;
+  }
+  return ordered.reverse().map(name => entries.get(name));
+}
+
+// meta.rollback da etapa para a tabela; sem ele, o meta.verify quando a entidade conferida é a tabela
+function rollbackOf(step, table) {
+  const own = step.rollback[table] || {};
+  const verify = step.verify;
+  const sameTable = verify && !verify.dest.textKey && verify.dest.from.split(/\s+/)[0] === table;
+
+  const entry = { tenant: own.tenant || null, legacy: own.legacy || null, migrated: own.migrated || null };
+  if (sameTable && !entry.tenant && verify.dest.from === table) entry.tenant = `${verify.dest.tenant} = $1`;
+  if (sameTable && !entry.legacy && !entry.migrated) {
+    entry.legacy = { ...verify.source, column: verify.dest.key.split('.').pop() };
+  }
+  if (entry.legacy && !entry.legacy.column) entry.legacy.column = 'id';
+  return entry;
+}
+
+async function deleteTable(dest, source, entry, tenantId, onlyMigrated) {
+  const result = { table: entry.table, step: entry.step, deleted: 0 };
+  if (entry.missing) return { ...result, skipped: 'tabela não existe no destino' };
+
+  const scope = `(${entry.tenant})`;
+  if (!onlyMigrated) {
+    const { rowCount } = await dest.query(`DELETE FROM ${entry.table} WHERE ${scope}`, [tenantId]);
+    return { ...result, deleted: rowCount };
+  }
+  if (entry.migrated) {
+    const { rowCount } = await dest.query(`DELETE FROM ${entry.table} WHERE ${scope} AND (${entry.migrated})`, [tenantId]);
+    return { ...result, deleted: rowCount };
+  }
+  if (!entry.legacy) return { ...result, skipped: 'sem registro de origem' };
+
+  // ids do tenant na origem, em lotes pelo cursor
+  const { from, tenant, key, where, column } = entry.legacy;
+  const cursor = source.query(new Cursor(
+    `SELECT DISTINCT ${key} AS id FROM ${from} WHERE ${tenant} = $1 ${where ? `AND (${where})` : ''}`,
+    [tenantId]
+  ));
+  try {
+    while (true) {
+      const rows = await new Promise((resolve, reject) => {
+        cursor.read(LEGACY_CHUNK, (err, r) => (err ? reject(err) : resolve(r || [])));
+      });
+      if (!rows.length) break;
+      const ids = rows.map(r => String(r.id));
+      // ids numéricos comparam como bigint (usa o índice da chave); os demais como texto
+      const match = ids.every(id => /^-?\d+$/.test(id)) ? `${column} = ANY($2::bigint[])` : `${column}::text = ANY($2::text[])`;
+      const { rowCount } = await dest.query(`DELETE FROM ${entry.table} WHERE ${scope} AND ${match}`, [tenantId, ids]);
+      result.deleted += rowCount;
+    }
+  } finally {
+    await new Promise(resolve => cursor.close(() => resolve()));
+  }
+  return result;
+}
+
+async function clearState(dest, tenantId) {
+  const cleared = [];
+  for (const [table, column, valueOf] of STATE_TABLES) {
+    const { rows: [{ ok }] } = await dest.query('SELECT to_regclass($1) IS NOT NULL AS ok', [table]);
+    if (!ok) continue;
+    const { rowCount } = await dest.query(`DELETE FROM ${table} WHERE ${column} = $1`, [valueOf(tenantId)]);
+    if (rowCount) cleared.push({ table, deleted: rowCount });
+  }
+  return cleared;
+}
+
+function printTable(r) {
+  const label = `${r.table} (${r.step})`.padEnd(40);
+  if (r.skipped) console.log(chalk.gray(`   ${label}${'-'.padStart(10)}  ${r.skipped}`));
+  else console.log(`   ${label}${String(r.deleted).padStart(10)}`);
+}
+
+function printHelp() {
+  console.log(`
+Uso: node main.js rollback --tenant=ID [opções]
+
+  --tenant=ID        tenant (company_id) a apagar do destino — obrigatório, não usa o TENANT_ID do .env
+  --only-migrated    apaga só as linhas que vieram do legado (ids da origem ou do migration_id_map)
+  --yes, -y          apaga de verdade; sem ele a transação é desfeita e só o relatório é mostrado
+  --json             imprime o relatório em JSON no stdout
+
+Tabelas (ordem de remoção calculada pelas FKs do destino): ${[...new Set(topoSort(registry).flatMap(s => s.writes))].join(', ')}
+`);
+}
@@ -0,0 +1,173 @@
+// commands/verify.js
+'use strict';
+
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const { arg, flag, list } = require('../utils/cli');
+const { buildContext } = require('../utils/context');
+const { scopeKeyOf } = require('../utils/stepState');
+const { connectStep, closePools } = require('../utils/db');
+const { compareEntity } = require('../utils/verify');
+const registry = require('../migrations');
+
+/**
+ * node main.js verify [--tenant=ID] [--only=Tickets,Messages] [--samples=20] [--json]
+ *
+ * Confere, por tenant e por entidade (etapas com meta.verify), contagens, conjuntos de ids
+ * e o hash das colunas mapeadas entre o legado e o destino. Lista faltando (só na origem),
+ * sobrando (só no destino) e divergentes; o relatório completo vai para
+ * logs/<escopo>/verify-<data>.json.
+ *
+ * Saída: 0 = tudo confere, 1 = há diferenças (ou falha ao comparar), 2 = uso inválido.
+ */
+const KNOWN = ['tenant', 'only', 'samples', 'json', 'help'];
+
+module.exports = async function verify(argv) {
+  const unknown = argv.filter(a => a.startsWith('--')).map(a => a.slice(2).split('=')[0]).filter(n => !KNOWN.includes(n));
+  if (unknown.length) {
+    console.error(chalk.red(`❌ Opção desconhecida: ${unknown.map(n => `--${n}`).join(', ')} (use verify --help)`));
+    return 2;
+  }
+
+  const entities = registry.filter(s => s.verify);
+  if (flag(argv, 'help', 'h')) {
+    console.log(`
+Uso: node main.js verify [opções]
+
+  --tenant=ID     confere apenas o tenant informado (sobrescreve TENANT_ID)
+  --only=A,B      confere apenas as entidades informadas
+  --samples=N     ids de exemplo por tipo de diferença no relatório (padrão: 20)
+  --json          imprime o relatório em JSON no stdout
+
+Entidades: ${entities.map(s => s.name).join(', ')}
+`);
+    return 0;
+  }
+
+  const samples = Number(arg(argv, 'samples', 20));
+  if (!Number.isInteger(samples) || samples < 0) {
+    console.error(chalk.red('❌ --samples precisa ser um inteiro >= 0.'));
+    return 2;
+  }
+
+  const only = list(arg(argv, 'only')).map(n => n.toLowerCase());
+  const unknownOnly = only.filter(n => !entities.some(s => s.name.toLowerCase() === n));
+  if (unknownOnly.length) {
+    console.error(chalk.red(`❌ Entidade desconhecida em --only: ${unknownOnly.join(', ')}. Válidas: ${entities.map(s => s.name).join(', ')}`));
+    return 2;
+  }
+  const selected = only.length ? entities.filter(s => only.includes(s.name.toLowerCase())) : entities;
+
+  const ctx = buildContext({ tenantId: arg(argv, 'tenant') });
+  const report = {
+    scope: scopeKeyOf(ctx),
+    tenantId: ctx.tenantId,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    ok: true,
+    entities: []
+  };
+
+  console.log(chalk.cyan.bold(`🔎 Conferindo origem × destino (${report.scope}): ${selected.map(s => s.name).join(', ')}`));
+
+  // leitura da origem somente leitura e num único instante para todas as entidades
+  let db;
+  try {
+    db = await connectStep({ readOnlySource: true }, 'Verify');
+  } catch (err) {
+    console.error(chalk.red(`❌ Não foi possível conectar aos bancos: ${err.message}`));
+    await closePools();
+    return 1;
+  }
+  try {
+    for (const step of selected) {
+      const started = Date.now();
+      const entry = { entity: step.name, ok: true, ms: 0, totals: null, tenants: {} };
+      try {
+        // um erro de SQL numa entidade não pode abortar a transação de leitura das demais
+        await db.source.query('SAVEPOINT verify_entity');
+        entry.tenants = await compareEntity({
+          source: db.source,
+          dest: db.dest,
+          spec: step.verify,
+          tenantId: ctx.tenantId,
+          samples
+        });
+        entry.totals = totalsOf(entry.tenants);
+        entry.ok = !entry.totals.missing && !entry.totals.extra && !entry.totals.divergent;
+      } catch (err) {
+        entry.ok = false;
+        entry.error = err.message;
+        await db.source.query('ROLLBACK TO SAVEPOINT verify_entity').catch(() => {});
+        console.error(chalk.red(`❌ ${step.name}: ${err.message}`));
+      }
+      entry.ms = Date.now() - started;
+      if (!entry.ok) report.ok = false;
+      report.entities.push(entry);
+    }
+  } finally {
+    await db.release();
+    await closePools();
+  }
+
+  report.finishedAt = new Date().toISOString();
+  const file = await writeReport(report);
+  printReport(report);
+
+  if (flag(argv, 'json')) {
+    process.stdout.write(`${JSON.stringify({ ...report, reportFile: file })}\n`);
+  }
+
+  if (!report.ok) {
+    console.error(chalk.red(`❌ Há diferenças entre origem e destino. Relatório: ${file}`));
+    return 1;
+  }
+  console.log(chalk.green.bold(`✅ Origem e destino conferem. Relatório: ${file}`));
+  return 0;
+};
+
+// —— helpers
+
+function totalsOf(tenants) {
+  const totals = { source: 0, dest: 0, missing: 0, extra: 0, divergent: 0 };
+  for (const t of Object.values(tenants)) {
+    for (const k of Object.keys(totals)) totals[k] += t[k];
+  }
+  return totals;
+}
+
+function printReport(report) {
+  const pad = (v, n) => String(v).padStart(n);
+  console.log(chalk.cyan.bold('\n🧾 Conferência'));
+  console.log(`${'Entidade'.padEnd(18)}${'Tenant'.padEnd(10)}${pad('origem', 10)}${pad('destino', 10)}${pad('faltando', 10)}${pad('sobrando', 10)}${pad('divergentes', 13)}`);
+  for (const entry of report.entities) {
+    if (entry.error) {
+      console.log(`${entry.entity.padEnd(18)}${chalk.red(`erro: ${entry.error}`)}`);
+      continue;
+    }
+    const tenants = Object.entries(entry.tenants).sort(([a], [b]) => Number(a) - Number(b));
+    if (!tenants.length) {
+      console.log(`${entry.entity.padEnd(18)}${'-'.padEnd(10)}${pad(0, 10)}${pad(0, 10)}${pad(0, 10)}${pad(0, 10)}${pad(0, 13)}`);
+      continue;
+    }
+    tenants.forEach(([tenant, t], i) => {
+      const line = `${(i === 0 ? entry.entity : '').padEnd(18)}${tenant.padEnd(10)}${pad(t.source, 10)}${pad(t.dest, 10)}${pad(t.missing, 10)}${pad(t.extra, 10)}${pad(t.divergent, 13)}`;
+      console.log(t.missing || t.extra || t.divergent ? chalk.yellow(line) : line);
+      for (const kind of ['missing', 'extra', 'divergent']) {
+        if (t.samples[kind].length) {
+          console.log(chalk.gray(`${''.padEnd(28)}${kind === 'missing' ? 'faltando' : kind === 'extra' ? 'sobrando' : 'divergentes'}: ${t.samples[kind].join(', ')}${t[kind] > t.samples[kind].length ? ', …' : ''}`));
+        }
+      }
+    });
+  }
+  console.log('');
+}
+
+async function writeReport(report) {
+  const dir = path.resolve(__dirname, '..', 'logs', report.scope);
+  await fs.ensureDir(dir);
+  const file = path.join(dir, `verify-${report.startedAt.replace(/[:.]/g, '-')}.json`);
+  await fs.writeJson(file, report, { spaces: 2 });
+  return file;
+}
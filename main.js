@@ -8,32 +8,65 @@ const fs = require('fs-extra');
 const path = require('path');
 const runStep = require('./utils/migrationRunner');
 const { buildContext } = require('./utils/context');
+const { parseArgs, selectSteps, hasSelection, printHelp } = require('./utils/cli');
+const { topoSort, checkPrerequisites } = require('./utils/stepGraph');
+const { runPlan } = require('./utils/scheduler');
+const { createPanel } = require('./utils/progress');
+const { closePools, exportSnapshot, snapshotEnabled } = require('./utils/db');
+const { openDryRun } = require('./utils/dryRun');
+const { scopeKeyOf, loadState, saveState, completedSteps } = require('./utils/stepState');
 
-const steps = [
-  { name: 'Tenants', func: require('./migrations/migrateTenants') },
-  { name: 'Departments', func: require('./migrations/migrateDepartments') },
-  { name: 'Permissions', func: require('./migrations/migratePermissions') },
-  { name: 'Users', func: require('./migrations/migrateUsers') },
-  { name: 'TaskTypes', func: require('./migrations/migrateTaskTypes') },
-  { name: 'Tasks', func: require('./migrations/migrateTasks') },
-  { name: 'Tags', func: require('./migrations/migrateTags') },
-  { name: 'QuickMessages', func: require('./migrations/migrateQuickMessages') },
-  { name: 'Flows', func: require('./migrations/migrateFlows') },
-  { name: 'Channels', func: require('./migrations/migrateChannels') },
-  { name: 'Campaigns', func: require('./migrations/migrateCampaigns') },
-  { name: 'Contacts', func: require('./migrations/migrateContacts') },
-  { name: 'CampaignContacts', func: require('./migrations/migrateCampaignContacts') },
-  { name: 'Settings', func: require('./migrations/migrateSettings') },
-  { name: 'Tickets', func: require('./migrations/migrateTickets') },
-  { name: 'Messages', func: require('./migrations/migrateMessages') },
-  { name: 'InternalMessages', func: require('./migrations/migrateInternalMessages') },
-  { name: 'MediaFiles', func: require('./migrations/migrateMedia') }
-];
+const commands = require('./commands');
+const registry = require('./migrations');
+const steps = topoSort(registry);
+const legacyOrder = registry.map(s => s.name);
 
 async function run() {
-  const ctx = buildContext();
-  const scopeKey = ctx.isSingleTenant ? `tenant-${ctx.tenantId}` : 'all-tenants';
-  const progressPath = path.resolve(__dirname, `progress-${scopeKey}.json`);
+  const [command, ...rest] = process.argv.slice(2);
+  if (command && !command.startsWith('-')) {
+    if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+      console.error(chalk.red(`❌ Comando desconhecido: "${command}". Comandos: ${Object.keys(commands).join(', ')} (use --help)`));
+      process.exit(2);
+    }
+    process.exit(await commands[command](rest));
+  }
+
+  let opts;
+  try {
+    opts = parseArgs();
+  } catch (e) {
+    console.error(chalk.red(`❌ ${e.message}`));
+    process.exit(2);
+  }
+  if (opts.help) {
+    printHelp(steps);
+    return;
+  }
+  if (opts.unknown.length) {
+    console.error(chalk.red(`❌ Opção desconhecida: ${opts.unknown.map(n => `--${n}`).join(', ')} (use --help)`));
+    process.exit(2);
+  }
+
+  // stdout só com o resumo em JSON (node main.js --json | jq)
+  if (opts.json) runStep.sendLogsToStderr();
+
+  let selected;
+  try {
+    selected = selectSteps(steps, opts);
+  } catch (e) {
+    console.error(chalk.red(`❌ ${e.message}`));
+    process.exit(2);
+  }
+
+  const interactive = !opts.yes;
+  if (interactive && !process.stdin.isTTY) {
+    console.error(chalk.red('❌ Sem terminal interativo: use --yes para executar sem confirmações.'));
+    process.exit(2);
+  }
+
+  // dry-run ignora checkpoints: o relatório cobre a etapa inteira
+  const ctx = buildContext({ tenantId: opts.tenant, fresh: opts.fresh || opts.dryRun, incremental: opts.incremental });
+  const scopeKey = scopeKeyOf(ctx);
 
   console.log(
     chalk.cyan.bold(
@@ -42,45 +75,244 @@ async function run() {
         : '🌍 Modo: FULL (todos os tenants)'
     )
   );
+  if (opts.incremental) console.log(chalk.cyan.bold('⏩ Passada incremental: só o que mudou desde o watermark de cada etapa.'));
+
+  let state;
+  let completed;
+  try {
+    state = await loadState(scopeKey, legacyOrder);
+    completed = await completedSteps(ctx, legacyOrder);
+  } catch (e) {
+    console.log(chalk.yellow('⚠️  Não foi possível ler o progress anterior. Reiniciando do início.'));
+    state = { completed: {}, resume: [] };
+    completed = new Set();
+  }
+
+  // Retomada só vale para a execução "completa" (sem seleção de etapas)
+  const resume = new Set(hasSelection(opts) ? [] : state.resume);
 
-  let lastCompletedIndex = -1;
+  if (!opts.ignoreDeps) {
+    const problems = checkPrerequisites(selected, steps, completed);
+    if (problems.length) {
+      console.error(chalk.red(`❌ Dependências não satisfeitas no escopo ${scopeKey}:`));
+      for (const p of problems) {
+        console.error(chalk.red(
+          `   • "${p.step}" depende de ${p.missing.map(n => `"${n}"`).join(', ')}, ` +
+          'que ainda não foi concluída neste escopo nem está selecionada antes dela.'
+        ));
+      }
+      const needed = [...new Set(problems.flatMap(p => p.chain))];
+      const suggestion = steps
+        .filter(s => needed.includes(s.name) || selected.includes(s))
+        .map(s => s.name);
+      console.error(chalk.yellow(`💡 Execute antes a cadeia: --only=${suggestion.join(',')}`));
+      console.error(chalk.yellow('   (ou use --ignore-deps se o destino já tiver esses dados por outro meio)'));
+      process.exit(2);
+    }
+  }
+
+  const summary = {
+    scope: scopeKey,
+    tenantId: ctx.tenantId,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    ok: true,
+    dryRun: opts.dryRun,
+    incremental: opts.incremental,
+    sourceSnapshot: null,
+    order: steps.map(s => s.name),
+    steps: steps.map(s => ({ name: s.name, status: 'not_selected' }))
+  };
+  const entryOf = name => summary.steps.find(e => e.name === name);
+
+  let concurrency = opts.concurrency || Number(process.env.CONCURRENCY || 1);
+  if (opts.dryRun && concurrency > 1) {
+    // todas as etapas compartilham a transação do dry-run
+    console.log(chalk.yellow('⚠️  --dry-run executa as etapas em sequência (concorrência ignorada).'));
+    concurrency = 1;
+  }
+  const parallel = concurrency > 1;
+
+  const plan = [];
+  for (const step of selected) {
+    if (resume.has(step.name)) entryOf(step.name).status = 'already_done';
+    else plan.push(step);
+  }
+
+  // Em paralelo as confirmações são feitas antes (os prompts não convivem com as barras)
+  const declined = new Set();
+  if (interactive && parallel) {
+    for (const step of plan) {
+      if (!(await confirmStep(step))) declined.add(step.name);
+    }
+  }
+
+  // Um único snapshot da origem para todas as etapas: Tickets e Messages veem o mesmo instante
+  let snapshot = null;
+  if (plan.length && opts.snapshot && snapshotEnabled()) {
+    try {
+      snapshot = await exportSnapshot();
+    } catch (e) {
+      console.error(chalk.red(`❌ Não foi possível exportar o snapshot da origem: ${e.message}`));
+      console.error(chalk.yellow('   Use --no-snapshot (ou SRC_SNAPSHOT=false) para executar sem leitura consistente.'));
+      process.exit(1);
+    }
+    ctx.sourceSnapshot = snapshot.id;
+    summary.sourceSnapshot = { id: snapshot.id, takenAt: new Date(snapshot.takenAt).toISOString() };
+    // o watermark das etapas é o instante do snapshot, não o de cada etapa
+    ctx.delta.mark = summary.sourceSnapshot.takenAt;
+    console.log(chalk.cyan(`📸 Snapshot da origem ${snapshot.id} (${summary.sourceSnapshot.takenAt}).`));
+  }
 
-  if (fs.existsSync(progressPath)) {
+  let dryRun = null;
+  if (opts.dryRun && plan.length) {
     try {
-      const progress = await fs.readJson(progressPath);
-      lastCompletedIndex = steps.findIndex(s => s.name === progress.lastCompleted);
+      dryRun = await openDryRun();
     } catch (e) {
-      console.log(chalk.yellow('⚠️  Não foi possível ler o progress anterior. Reiniciando do início.'));
+      console.error(chalk.red(`❌ Não foi possível abrir a transação de dry-run no destino: ${e.message}`));
+      process.exit(1);
     }
+    ctx.dryRun = dryRun;
+    console.log(chalk.magenta('🧪 DRY-RUN: tudo roda numa transação do destino que será desfeita no final.'));
   }
 
-  for (let i = lastCompletedIndex + 1; i < steps.length; i++) {
-    const step = steps[i];
-    const confirm = await inquirer.prompt([
-      {
-        name: 'start',
-        type: 'confirm',
-        message: `🚀 Deseja executar a etapa "${step.name}" agora?`,
-        default: true
+  const panel = parallel ? createPanel() : null;
+  if (parallel) console.log(chalk.cyan(`⚙️  Executando até ${concurrency} etapas em paralelo.`));
+
+  const outcomes = await runPlan(plan, {
+    concurrency,
+    ignoreDeps: opts.ignoreDeps,
+    isDone: name => completed.has(name),
+    onBlocked: (step, unmet) => {
+      const line = `🔸 Etapa "${step.name}" bloqueada: depende de ${unmet.join(', ')} (não concluída).`;
+      if (panel) panel.log(chalk.yellow(line));
+      else console.log(chalk.yellow(line));
+    },
+    execute: async step => {
+      const skip = parallel ? declined.has(step.name) : interactive && !(await confirmStep(step));
+      if (skip) {
+        const line = `🔸 Etapa "${step.name}" pulada.`;
+        if (panel) panel.log(chalk.yellow(line));
+        else console.log(chalk.yellow(line));
+        return { status: 'skipped' };
       }
-    ]);
 
-    if (!confirm.start) {
-      console.log(chalk.yellow(`🔸 Etapa "${step.name}" pulada.`));
-      continue;
+      if (dryRun) {
+        const probes = await dryRun.before(step.writes, ctx.tenantId);
+        const result = await runStep(step.name, step.func, ctx, { panel });
+        await dryRun.settle();
+        const tables = await dryRun.diff(probes);
+        return { ...result, status: result.ok ? 'success' : 'failed', planned: tables };
+      }
+
+      const result = await runStep(step.name, step.func, ctx, { panel });
+      if (result.ok) {
+        completed.add(step.name);
+        state.completed[step.name] = new Date().toISOString();
+        if (!hasSelection(opts)) state.resume.push(step.name);
+        await saveState(scopeKey, state);
+      }
+      return { ...result, status: result.ok ? 'success' : 'failed' };
     }
+  });
+  if (panel) panel.stop();
+  if (dryRun) await dryRun.close();
+  await closePools();
+  if (snapshot) await snapshot.close();
 
-    const success = await runStep(step.name, step.func, ctx);
-    if (!success) {
-      console.log(chalk.red(`❌ Parando execução. Corrija o erro e reexecute.`));
-      process.exit(1);
+  for (const [name, out] of outcomes) {
+    const entry = entryOf(name);
+    entry.status = out.status;
+    if (out.ms != null) entry.ms = out.ms;
+    if (out.logFile) entry.logFile = out.logFile;
+    if (out.rejected) entry.rejected = out.rejected;
+    if (out.planned) entry.planned = out.planned;
+    if (out.status === 'blocked') entry.error = `dependências não concluídas: ${out.unmet.join(', ')}`;
+    if (out.status === 'failed') {
+      entry.error = out.error;
+      summary.ok = false;
     }
+  }
+  if (!summary.ok) console.log(chalk.red(`❌ Parando execução. Corrija o erro e reexecute.`));
+
+  summary.finishedAt = new Date().toISOString();
+  if (summary.steps.some(e => e.status === 'blocked')) summary.ok = false;
+  const summaryPath = await writeSummary(summary);
+  if (opts.dryRun) printPlanned(summary);
 
-    await fs.writeJson(progressPath, { lastCompleted: step.name });
+  if (opts.json) {
+    process.stdout.write(`${JSON.stringify({ ...summary, summaryFile: summaryPath })}\n`);
+  }
+
+  if (!summary.ok) {
+    console.error(chalk.red(`📄 Resumo da execução: ${summaryPath}`));
+    process.exit(1);
+  }
+
+  if (opts.dryRun) {
+    console.log(chalk.magenta.bold(`🧪 Dry-run concluído: nada foi gravado no destino. Relatório: ${summaryPath}`));
+    return;
+  }
+
+  if (hasSelection(opts)) {
+    console.log(chalk.green.bold(`✅ Etapas selecionadas concluídas (${selected.map(s => s.name).join(', ')}).`));
+    return;
   }
 
   console.log(chalk.green.bold('✅ MIGRAÇÃO COMPLETA COM SUCESSO!'));
-  await fs.remove(progressPath);
+  // mantém "completed" (base das dependências), zera apenas a retomada
+  state.resume = [];
+  await saveState(scopeKey, state);
+}
+
+async function confirmStep(step) {
+  const confirm = await inquirer.prompt([
+    {
+      name: 'start',
+      type: 'confirm',
+      message: `🚀 Deseja executar a etapa "${step.name}" agora?`,
+      default: true
+    }
+  ]);
+  return confirm.start;
+}
+
+// Relatório do dry-run: o que cada etapa faria em cada tabela
+function printPlanned(summary) {
+  const pad = (v, n) => String(v).padStart(n);
+  console.log(chalk.magenta.bold('\n🧪 Alterações planejadas (dry-run)'));
+  console.log(`${'Etapa'.padEnd(18)}${'Tabela'.padEnd(20)}${pad('inserir', 10)}${pad('atualizar', 11)}${pad('sem mudança', 13)}${pad('remover', 9)}${pad('rejeitados', 12)}`);
+  for (const entry of summary.steps) {
+    if (!entry.planned) continue;
+    const rejected = entry.rejected ? entry.rejected.count : 0;
+    const tables = Object.entries(entry.planned);
+    if (!tables.length) {
+      console.log(`${entry.name.padEnd(18)}${'-'.padEnd(20)}${pad('-', 10)}${pad('-', 11)}${pad('-', 13)}${pad('-', 9)}${pad(rejected, 12)}`);
+      continue;
+    }
+    tables.forEach(([table, c], i) => {
+      const name = i === 0 ? entry.name : '';
+      const rej = i === 0 ? rejected : '';
+      if (c.error) {
+        console.log(`${name.padEnd(18)}${table.padEnd(20)}${chalk.yellow(`  (não comparada: ${c.error})`)}`);
+        return;
+      }
+      console.log(`${name.padEnd(18)}${table.padEnd(20)}${pad(c.inserted, 10)}${pad(c.updated, 11)}${pad(c.unchanged, 13)}${pad(c.deleted, 9)}${pad(rej, 12)}`);
+    });
+    if (entry.status === 'failed') console.log(chalk.red(`${''.padEnd(18)}❌ etapa falhou: ${entry.error}`));
+  }
+  console.log('');
+}
+
+async function writeSummary(summary) {
+  const dir = path.resolve(__dirname, 'logs', summary.scope);
+  await fs.ensureDir(dir);
+  const file = path.join(dir, `summary-${summary.startedAt.replace(/[:.]/g, '-')}.json`);
+  await fs.writeJson(file, summary, { spaces: 2 });
+  return file;
 }
 
-run();
+run().catch(err => {
+  console.error(chalk.red(`❌ Erro inesperado: ${err.stack || err.message}`));
+  process.exit(1);
+});
@@ -0,0 +1,76 @@
+// mappings/departments.js
+'use strict';
+
+// "Queues" (legado) → departments. Colunas sem equivalente no legado entram com o padrão do destino.
+module.exports = {
+  step: 'Departments',
+  title: '🏢 Migrando "Queues" → "departments"...',
+  label: 'departamento(s)',
+  batchSize: 2000,
+
+  source: {
+    table: '"public"."Queues"',
+    key: '"id"',
+    tenant: '"tenantId"',
+    select: {
+      id: '"id"',
+      name: '"queue"',
+      status: 'COALESCE("isActive", true)',
+      company_id: '"tenantId"',
+      inactivity_active: 'COALESCE("inactivity_enabled", false)',
+      inactivity_seconds: 'COALESCE("inactivity_timeout", 0)',
+      inactivity_action: '"inactivity_action"',
+      inactivity_target_id: '"inactivity_target"',
+      createdAt: '"createdAt"',
+      updatedAt: '"updatedAt"'
+    }
+  },
+
+  dest: {
+    table: 'departments',
+    conflict: ['id'],
+    insertOnly: ['created_at']
+  },
+
+  columns: {
+    id: 'id',
+    name: row => safeName(row.name, row.id),
+    status: { from: 'status', transform: v => toBool(v, true) },
+    company_id: 'company_id',
+    color: { value: '' },
+    transfer_type: { sql: "'queue'" },
+    inactivity_active: { from: 'inactivity_active', transform: v => toBool(v, false) },
+    inactivity_seconds: { from: 'inactivity_seconds', transform: v => toNonNegInt(v) },
+    inactivity_action: { from: 'inactivity_action', transform: v => v || '' },
+    inactivity_target_id: { from: 'inactivity_target_id', transform: v => v || null },
+    open_inactivity_active: { value: false },
+    open_inactivity_seconds: { value: 0 },
+    open_inactivity_action: { value: '' },
+    open_inactivity_target_id: { value: null },
+    email_on_close_enabled: { value: false },
+    rating_enabled: { value: false },
+    rating_flow_id: { value: null },
+    rating_timeout_message: { value: '' },
+    rating_timeout_seconds: { value: 0 },
+    ai_context: { value: '' },
+    ai_for_who: { value: '' },
+    ai_how: { value: '' },
+    ai_keywords: { value: [], cast: 'jsonb' },
+    created_at: 'createdAt',
+    updated_at: 'updatedAt'
+  }
+};
+
+// —— helpers
+function safeName(name, id) {
+  const n = (name || '').toString().trim();
+  return n.length ? n : `Departamento ${id}`;
+}
+function toBool(v, def = false) {
+  return typeof v === 'boolean' ? v : (v == null ? def : String(v).toLowerCase() === 'true' || Number(v) === 1);
+}
+function toNonNegInt(v, def = 0) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return def;
+  return Math.max(0, Math.trunc(n));
+}
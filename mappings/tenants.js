@@ -0,0 +1,185 @@
+// mappings/tenants.js
+'use strict';
+
+// "Tenants" (legado) → companies. Plano, tema, módulos e descontos entram com os padrões abaixo;
+// cnpj e subdomain precisam ser únicos no destino (prepare carrega os já existentes).
+const INCLUDE_MASTER = readBool(process.env.TENANTS_INCLUDE_MASTER, false); // se true, permite id=1
+
+module.exports = {
+  step: 'Tenants',
+  title: '📦 Migrando "Tenants" → "companies"...',
+  label: 'tenant(s) → companies',
+  batchSize: 2000,
+  checkpoint: false,
+  tenantOf: row => row.id,
+
+  source: {
+    table: '"public"."Tenants"',
+    key: '"id"',
+    tenant: '"id"',
+    where: ({ tenantId }) => (tenantId || INCLUDE_MASTER ? null : '"id" != 1'),
+    select: {
+      id: '"id"',
+      name: '"name"',
+      cnpj: '"cnpj"',
+      users_allowed: 'COALESCE("maxUsers", 0)',
+      status: '"status"',
+      createdAt: '"createdAt"',
+      updatedAt: '"updatedAt"'
+    }
+  },
+
+  dest: {
+    table: 'companies',
+    conflict: ['id'],
+    insertOnly: ['created_at']
+  },
+
+  // CNPJs/subdomains já usados no destino; os gerados na execução entram aqui também
+  async prepare({ dest }) {
+    const { rows } = await dest.query(`SELECT COALESCE(LOWER(subdomain),'') AS subdomain, COALESCE(cnpj,'') AS cnpj FROM companies`);
+    return {
+      subdomains: new Set(rows.map(r => r.subdomain).filter(Boolean)),
+      cnpjs: new Set(rows.map(r => normalizeCnpj(r.cnpj)).filter(Boolean))
+    };
+  },
+
+  columns: {
+    id: 'id',
+    name: row => safeName(row.name, row.id),
+    cnpj: (row, state) => uniqueCnpj(row.cnpj, state.cnpjs),
+    users_allowed: 'users_allowed',
+    status: { from: 'status', transform: normalizeStatus },
+    plan: { value: defaultPlan(), cast: 'jsonb' },
+    address: { value: '' },
+    price_per_user: { value: 0.0 },
+    discount: { value: defaultDiscount(), cast: 'jsonb' },
+    is_master: { value: false },
+    logo: { value: 'default.png' },
+    theme: { value: defaultTheme(), cast: 'jsonb' },
+    background: { value: 'default.png' },
+    subdomain: (row, state) => uniqueSubdomain(safeName(row.name, row.id), row.id, state.subdomains),
+    omni_name: row => safeName(row.name, row.id),
+    favicon: { value: 'default.png' },
+    modules: { value: defaultModules(), cast: 'jsonb' },
+    resale_id: { value: null },
+    created_at: 'createdAt',
+    updated_at: 'updatedAt'
+  }
+};
+
+// —— helpers
+
+// CNPJ — normaliza e garante unicidade global (destino + execução)
+function uniqueCnpj(raw, used) {
+  let cnpj = normalizeCnpj(raw);
+  if (!cnpj) cnpj = generateFakeCnpj();
+  while (used.has(cnpj)) cnpj = generateFakeCnpj();
+  used.add(cnpj);
+  return cnpj;
+}
+
+// subdomain — slug + unicidade global (destino + execução)
+function uniqueSubdomain(name, id, used) {
+  let subdomain = slugSubdomain(name, id);
+  while (used.has(subdomain)) {
+    // tenta um sufixo determinístico pelo id
+    subdomain = ensureLength(`${slugSubdomain(name)}-${id}`.toLowerCase(), 3, 63);
+    // se ainda colidir (teoricamente raro), acrescenta rand curto
+    if (used.has(subdomain)) {
+      subdomain = ensureLength(`${slugSubdomain(name)}-${id}-${rand4()}`.toLowerCase(), 3, 63);
+    }
+  }
+  used.add(subdomain);
+  return subdomain;
+}
+
+function safeName(name, id) {
+  const n = (name || '').toString().trim();
+  return n.length ? n : `Empresa ${id}`;
+}
+function normalizeStatus(s) {
+  const v = (s || '').toString().toLowerCase().trim();
+  return v === 'active' || v === 'ativo' || v === 'ativado' || v === 'true' || v === '1';
+}
+function defaultPlan() {
+  return {
+    Webchat:        { price: 0, amount: 999, enabled: false },
+    Telegram:       { price: 0, amount: 999, enabled: false },
+    Instagram:      { price: 0, amount: 999, enabled: false },
+    Messenger:      { price: 0, amount: 999, enabled: false },
+    Telefonia:      { price: 0, amount: 999, enabled: true  },
+    WhatsAppQRCode: { price: 0, amount: 999, enabled: false },
+    WhatsAppAPI:    { price: 0, amount: 999, enabled: false }
+  };
+}
+function defaultDiscount() {
+  return {
+    user: 0,
+    Telefonia: 0,
+    WhatsAppQRCode: 0,
+    Telegram: 0,
+    Instagram: 0,
+    WhatsAppAPI: 0,
+    Webchat: 0,
+    Messenger: 0
+  };
+}
+function defaultModules() {
+  return {
+    support_tickets: {
+      enabled: false,
+      price: 0
+    }
+  };
+}
+function defaultTheme() {
+  return {
+    primary: '#1976d2',
+    secondary: '#42a5f5',
+    light: { primary: '#1976d2', secondary: '#42a5f5', logo: 'default.png', background: 'default.png', favicon: 'default.png' },
+    dark: { primary: '#1976d2', secondary: '#42a5f5', logo: 'default.png', background: 'default.png', favicon: 'default.png' },
+    useSamePrimaryColor: true,
+    useSameSecondaryColor: true,
+    useSameLogo: true,
+    useSameBackground: true,
+    useSameFavicon: true
+  };
+}
+
+function normalizeCnpj(v) {
+  if (!v) return null;
+  const digits = String(v).replace(/\D+/g, '');
+  // aceita apenas CNPJ "cheio" (14 dígitos). Se quiser validar dígitos verificadores, dá pra plugar
+  return digits.length === 14 ? digits : null;
+}
+function generateFakeCnpj() {
+  // "FAKE" + 12 dígitos (texto) — compatível com dest tipo TEXT/VARCHAR
+  const rnd = Math.floor(Math.random() * 1e12).toString().padStart(12, '0');
+  return `FAKE${rnd}`;
+}
+
+function slugSubdomain(name, id) {
+  const base = slugSubdomainBase(name);
+  if (base.length >= 3) return ensureLength(base, 3, 63);
+  return ensureLength(`tenant-${id}`, 3, 63);
+}
+function slugSubdomainBase(name) {
+  let s = (name || '').toString().normalize('NFD').replace(/[\u0300-\u036f]/g, ''); // remove acentos
+  s = s.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return s;
+}
+function ensureLength(s, min, max) {
+  if (s.length < min) s = s.padEnd(min, 'x');
+  if (s.length > max) s = s.slice(0, max).replace(/-+$/g, ''); // evita terminar com '-'
+  if (s.length < min) s = s.padEnd(min, 'x');
+  return s;
+}
+function rand4() {
+  return Math.random().toString(36).slice(2, 6);
+}
+function readBool(v, def=false) {
+  if (v == null) return def;
+  const s = String(v).trim().toLowerCase();
+  return ['1','true','t','yes','y'].includes(s);
+}
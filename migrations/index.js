@@ -0,0 +1,37 @@
+// migrations/index.js
+'use strict';
+
+// Registro das etapas. A ordem aqui é só o desempate da ordenação topológica:
+// quem manda é o `meta.dependsOn` declarado em cada módulo (e o `meta.after`, só de ordem).
+const modules = [
+  ['Tenants', require('./migrateTenants')],
+  ['Departments', require('./migrateDepartments')],
+  ['Permissions', require('./migratePermissions')],
+  ['Users', require('./migrateUsers')],
+  ['TaskTypes', require('./migrateTaskTypes')],
+  ['Tasks', require('./migrateTasks')],
+  ['Tags', require('./migrateTags')],
+  ['QuickMessages', require('./migrateQuickMessages')],
+  ['Flows', require('./migrateFlows')],
+  ['Channels', require('./migrateChannels')],
+  ['Campaigns', require('./migrateCampaigns')],
+  ['Contacts', require('./migrateContacts')],
+  ['CampaignContacts', require('./migrateCampaignContacts')],
+  ['Settings', require('./migrateSettings')],
+  ['Tickets', require('./migrateTickets')],
+  ['Messages', require('./migrateMessages')],
+  ['InternalMessages', require('./migrateInternalMessages')],
+  ['MediaFiles', require('./migrateMedia')],
+  ['Sequences', require('./migrateSequences')]
+];
+
+module.exports = modules.map(([name, func]) => ({
+  name,
+  func,
+  dependsOn: (func.meta && func.meta.dependsOn) || [],
+  after: (func.meta && func.meta.after) || [],
+  writes: (func.meta && func.meta.writes) || [],
+  verify: (func.meta && func.meta.verify) || null,
+  rollback: (func.meta && func.meta.rollback) || {},
+  schema: (func.meta && func.meta.schema) || null
+}));
@@ -2,9 +2,12 @@
 'use strict';
 
 require('dotenv').config();
-const { Client } = require('pg');
+const { connectStep } = require('../utils/db');
 const Cursor = require('pg-cursor');
-const cliProgress = require('cli-progress');
+const { createProgressBar } = require('../utils/progress');
+const { openCheckpoint } = require('../utils/checkpoint');
+const { epoch } = require('../utils/verify');
+const { createUpsert, addCounts, formatCounts } = require('../utils/upsert');
 
 module.exports = async function migrateCampaignContacts(ctx = {}) {
   console.log('👥 Migrando "CampaignContacts" → "campaign_contacts"...');
@@ -18,36 +21,21 @@ module.exports = async function migrateCampaignContacts(ctx = {}) {
       ? String(ctx.tenantId).trim()
       : (process.env.TENANT_ID ? String(process.env.TENANT_ID).trim() : null);
 
-  const source = new Client({
-    host: process.env.SRC_HOST,
-    port: process.env.SRC_PORT,
-    user: process.env.SRC_USER,
-    password: process.env.SRC_PASS,
-    database: process.env.SRC_DB,
-    application_name: 'migrateCampaignContacts:source'
-  });
-
-  const dest = new Client({
-    host: process.env.DST_HOST,
-    port: process.env.DST_PORT,
-    user: process.env.DST_USER,
-    password: process.env.DST_PASS,
-    database: process.env.DST_DB,
-    application_name: 'migrateCampaignContacts:dest'
-  });
-
-  await source.connect();
-  await dest.connect();
+  const db = await connectStep(ctx, 'CampaignContacts');
+  const { source, dest } = db;
 
   try {
     // 1) Conta total para progresso/ETA
+    const checkpoint = await openCheckpoint(dest, 'CampaignContacts', { tenantId, fresh: ctx.fresh, onlyIds: ctx.onlyIds, delta: ctx.delta, rejects: ctx.rejects });
+    const countParams = tenantId ? [tenantId] : [];
     const countSql = `
       SELECT COUNT(*)::bigint AS total
       FROM "public"."CampaignContacts" cc
       JOIN "public"."Campaigns" c ON c.id = cc."campaignId"
       ${tenantId ? 'WHERE c."tenantId" = $1' : ''}
+      ${checkpoint.delta('cc.id', countParams, tenantId ? 'AND' : 'WHERE')}
     `;
-    const countRes = await source.query(countSql, tenantId ? [tenantId] : []);
+    const countRes = await source.query(countSql, countParams);
     const total = Number(countRes.rows[0]?.total || 0);
 
     if (total === 0) {
@@ -56,11 +44,13 @@ module.exports = async function migrateCampaignContacts(ctx = {}) {
           ? `⚠️  Nenhum CampaignContact encontrado para TENANT_ID=${tenantId}.`
           : '⚠️  Nenhum CampaignContact encontrado na origem.'
       );
+      await checkpoint.clear();
       return;
     }
 
     // 2) Cursor server-side para stream em lotes
     //    (ordenar por id garante paginação estável)
+    const selectParams = tenantId ? [tenantId] : [];
     const baseSelectOrdered = `
       SELECT
         cc.id,
@@ -72,43 +62,45 @@ module.exports = async function migrateCampaignContacts(ctx = {}) {
         c.message2,
         c.message3,
         c."mediaUrl" AS sent_media_path,
+        c."tenantId" AS company_id,
         cc."createdAt",
         cc."updatedAt"
       FROM "public"."CampaignContacts" cc
       JOIN "public"."Campaigns" c ON c.id = cc."campaignId"
       ${tenantId ? 'WHERE c."tenantId" = $1' : ''}
+      ${checkpoint.where('cc.id', selectParams, tenantId ? 'AND' : 'WHERE')}
       ORDER BY cc.id
     `;
-    const cursor = source.query(new Cursor(baseSelectOrdered, tenantId ? [tenantId] : []));
+    const cursor = source.query(new Cursor(baseSelectOrdered, selectParams));
 
     // 3) Barra de progresso com ETA
-    const bar = new cliProgress.SingleBar(
-      {
-        format: 'Progresso |{bar}| {percentage}% | {value}/{total} | ETA: {eta_formatted} | {rate} r/s',
-        hideCursor: true
-      },
-      cliProgress.Presets.shades_classic
-    );
-    bar.start(total, 0, { rate: '0.0' });
+    const bar = createProgressBar(ctx);
+    bar.start(total, checkpoint.processed, { rate: '0.0' });
+
+    // 4) Upsert (LOAD_MODE=copy: COPY + merge)
+    const upsert = createUpsert({
+      table: 'campaign_contacts',
+      columns: [
+        'id', 'campaign_id', 'contact_id', 'status', 'error_msg', 'responded', 'responded_at', 'expired_at',
+        'sent_at', 'sent_preview', 'sent_media_path', 'created_at', 'updated_at'
+      ],
+      insertOnly: ['created_at'],
+      copy: true
+    });
 
     const startedAt = Date.now();
-    let processed = 0;
-    let batchNum = 0;
+    let processed = checkpoint.processed;
+    const counts = { inserted: 0, updated: 0, unchanged: 0, failed: 0 };
 
-    // 4) Loop de leitura por lote
+    // 5) Loop de leitura por lote
     while (true) {
       const rows = await new Promise((resolve, reject) => {
         cursor.read(BATCH_SIZE, (err, r) => (err ? reject(err) : resolve(r)));
       });
       if (!rows || rows.length === 0) break;
 
-      batchNum++;
-
-      // 4.1) Transforma lote e monta VALUES multi-rows
-      const values = [];
-      const placeholders = [];
-
-      rows.forEach((row, i) => {
+      // 5.1) Transforma o lote
+      const params = rows.map(row => {
         // Map de ack → status
         // -1 = error; >=1 = sent; outros = pending
         let status = 'pending';
@@ -129,68 +121,89 @@ module.exports = async function migrateCampaignContacts(ctx = {}) {
         const sentAt = status === 'pending' ? null : row.createdAt || null;
         const errorMsg = status === 'error' ? 'Falha no envio migrada da plataforma antiga (ack=-1).' : null;
 
-        // 13 colunas por linha ↓
-        const base = i * 13;
-        placeholders.push(
-          `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6}, $${base + 7}, $${base + 8}, $${base + 9}, $${base + 10}, $${base + 11}, $${base + 12}, $${base + 13})`
-        );
-
-        values.push(
-          row.id,              // $1  id
-          row.campaign_id,     // $2  campaign_id
-          row.contact_id,      // $3  contact_id
-          status,              // $4  status
-          errorMsg,            // $5  error_msg
-          responded,           // $6  responded
-          respondedAt,         // $7  responded_at
-          null,                // $8  expired_at
-          sentAt,              // $9  sent_at
-          sentPreview,         // $10 sent_preview
-          row.sent_media_path || null, // $11 sent_media_path
-          row.createdAt,       // $12 created_at
-          row.updatedAt        // $13 updated_at
-        );
+        return [
+          row.id,
+          row.campaign_id,
+          row.contact_id,
+          status,
+          errorMsg,
+          responded,
+          respondedAt,
+          null,                        // expired_at
+          sentAt,
+          sentPreview,
+          row.sent_media_path || null,
+          row.createdAt,
+          row.updatedAt
+        ];
       });
 
-      const upsertSql = `
-        INSERT INTO campaign_contacts (
-          id, campaign_id, contact_id, status, error_msg, responded, responded_at, expired_at,
-          sent_at, sent_preview, sent_media_path, created_at, updated_at
-        ) VALUES
-          ${placeholders.join(',')}
-        ON CONFLICT (id) DO UPDATE SET
-          campaign_id  = EXCLUDED.campaign_id,
-          contact_id   = EXCLUDED.contact_id,
-          status       = EXCLUDED.status,
-          error_msg    = EXCLUDED.error_msg,
-          responded    = EXCLUDED.responded,
-          responded_at = EXCLUDED.responded_at,
-          expired_at   = EXCLUDED.expired_at,
-          sent_at      = EXCLUDED.sent_at,
-          sent_preview = EXCLUDED.sent_preview,
-          sent_media_path = EXCLUDED.sent_media_path,
-          updated_at   = EXCLUDED.updated_at
-      `;
-
-      // 4.2) Transação por lote + commit rápido
-      await dest.query('BEGIN');
-      await dest.query('SET LOCAL synchronous_commit TO OFF'); // acelera commits deste TX
-      await dest.query(upsertSql, values);
-      await dest.query('COMMIT');
+      // 5.2) Transação por lote + commit rápido (registro a registro se o lote falhar)
+      addCounts(counts, await upsert.write(dest, params, {
+        onError: (err, i) => {
+          const original = rows[i];
+          console.error(`❌ Erro ao migrar campaign_contact id=${original.id}: ${err.message}`);
+          ctx.rejects.add('campaign_contacts', original.id, err, { tenantId: original.company_id, payload: original });
+        }
+      }));
 
       processed += rows.length;
+      await checkpoint.save(rows[rows.length - 1].id, processed);
 
-      // 4.3) Atualiza barra (rate e ETA)
+      // 5.3) Atualiza barra (rate e ETA)
       const elapsed = (Date.now() - startedAt) / 1000;
       const rate = processed > 0 && elapsed > 0 ? (processed / elapsed).toFixed(1) : '0.0';
       bar.update(processed, { rate });
     }
 
     bar.stop();
+    await checkpoint.clear();
     await new Promise((resolve, reject) => cursor.close(err => (err ? reject(err) : resolve())));
-    console.log(`✅ Migrados ${processed}/${total} contatos de campanha em ${((Date.now() - startedAt) / 1000).toFixed(1)}s.`);
+    const migrados = counts.inserted + counts.updated + counts.unchanged;
+    console.log(`✅ Migrados ${migrados}/${total} contatos de campanha em ${((Date.now() - startedAt) / 1000).toFixed(1)}s (${formatCounts(counts)}).`);
   } finally {
-    await source.end();
-    await dest.end();
+    await db.release();
+  }
+};
+
+// Etapas que precisam ter rodado antes (no mesmo escopo), tabelas escritas no destino
+// e como conferir origem × destino (node main.js verify)
+module.exports.meta = {
+  dependsOn: ['Campaigns', 'Contacts'],
+  writes: ['campaign_contacts'],
+  // colunas e índices que a etapa usa nos dois bancos (node main.js preflight)
+  schema: {
+    source: {
+      CampaignContacts: {
+        id: 'int', campaignId: 'int', contactId: 'int', ack: 'int', timestamp: 'num', createdAt: 'time', updatedAt: 'time'
+      },
+      Campaigns: { id: 'int', message1: 'text', message2: 'text', message3: 'text', mediaUrl: 'text', tenantId: 'int' }
+    },
+    dest: {
+      campaign_contacts: {
+        id: 'int', campaign_id: 'int', contact_id: 'int', status: 'text', error_msg: 'text', responded: 'bool',
+        responded_at: 'time', expired_at: 'time', sent_at: 'time', sent_preview: 'text', sent_media_path: 'text',
+        created_at: 'time', updated_at: 'time'
+      }
+    },
+    unique: { campaign_contacts: [['id']] }
+  },
+  // rollback --tenant: sem company_id, o tenant vem da campanha
+  rollback: {
+    campaign_contacts: { tenant: 'campaign_id IN (SELECT id FROM campaigns WHERE company_id = $1)' }
+  },
+  verify: {
+    source: {
+      from: '"public"."CampaignContacts" cc JOIN "public"."Campaigns" c ON c.id = cc."campaignId"',
+      tenant: 'c."tenantId"',
+      key: 'cc.id',
+      columns: ['cc."campaignId"', 'cc."contactId"', epoch('cc."createdAt"')]
+    },
+    dest: {
+      from: 'campaign_contacts cc JOIN campaigns c ON c.id = cc.campaign_id',
+      tenant: 'c.company_id',
+      key: 'cc.id',
+      columns: ['cc.campaign_id', 'cc.contact_id', epoch('cc.created_at')]
+    }
   }
 };
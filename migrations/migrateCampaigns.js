@@ -2,14 +2,17 @@
 'use strict';
 
 require('dotenv').config();
-const { Client } = require('pg');
+const { connectStep } = require('../utils/db');
 const Cursor = require('pg-cursor');
-const cliProgress = require('cli-progress');
+const { createProgressBar } = require('../utils/progress');
+const { openCheckpoint } = require('../utils/checkpoint');
+const { epoch } = require('../utils/verify');
+const { createUpsert, addCounts, formatCounts } = require('../utils/upsert');
 
 module.exports = async function migrateCampaigns(ctx = {}) {
   console.log('📢 Migrando "Campaigns" → "campaigns"...');
 
-  // Tamanho do lote (ajuste via .env BATCH_SIZE). 1000 ≈ 15k params < 65535
+  // Linhas lidas da origem por vez (ajuste via .env BATCH_SIZE)
   const BATCH_SIZE = Number(process.env.BATCH_SIZE || 1000);
 
   // Usa TENANT_ID do ctx (preferencial) ou do .env
@@ -18,26 +21,8 @@ module.exports = async function migrateCampaigns(ctx = {}) {
       ? String(ctx.tenantId).trim()
       : (process.env.TENANT_ID ? String(process.env.TENANT_ID).trim() : null);
 
-  const source = new Client({
-    host: process.env.SRC_HOST,
-    port: process.env.SRC_PORT,
-    user: process.env.SRC_USER,
-    password: process.env.SRC_PASS,
-    database: process.env.SRC_DB,
-    application_name: 'migrateCampaigns:source'
-  });
-
-  const dest = new Client({
-    host: process.env.DST_HOST,
-    port: process.env.DST_PORT,
-    user: process.env.DST_USER,
-    password: process.env.DST_PASS,
-    database: process.env.DST_DB,
-    application_name: 'migrateCampaigns:dest'
-  });
-
-  await source.connect();
-  await dest.connect();
+  const db = await connectStep(ctx, 'Campaigns');
+  const { source, dest } = db;
 
   try {
     // 0) Pré-carrega info de canais no DEST para evitar N+1 queries
@@ -53,12 +38,15 @@ module.exports = async function migrateCampaigns(ctx = {}) {
     );
 
     // 1) Conta total p/ progresso/ETA
+    const checkpoint = await openCheckpoint(dest, 'Campaigns', { tenantId, fresh: ctx.fresh, onlyIds: ctx.onlyIds, delta: ctx.delta, rejects: ctx.rejects });
+    const countParams = tenantId ? [tenantId] : [];
     const countSql = `
       SELECT COUNT(*)::bigint AS total
       FROM "public"."Campaigns"
       ${tenantId ? 'WHERE "tenantId" = $1' : ''}
+      ${checkpoint.delta('id', countParams, tenantId ? 'AND' : 'WHERE')}
     `;
-    const countRes = await source.query(countSql, tenantId ? [tenantId] : []);
+    const countRes = await source.query(countSql, countParams);
     const total = Number(countRes.rows[0]?.total || 0);
 
     if (total === 0) {
@@ -67,10 +55,12 @@ module.exports = async function migrateCampaigns(ctx = {}) {
           ? `⚠️  Nenhuma campanha encontrada para TENANT_ID=${tenantId}.`
           : '⚠️  Nenhuma campanha encontrada na origem.'
       );
+      await checkpoint.clear();
       return;
     }
 
     // 2) Cursor server-side para stream em lotes (ordem estável)
+    const selectParams = tenantId ? [tenantId] : [];
     const baseSelectOrdered = `
       SELECT
         id,
@@ -88,40 +78,38 @@ module.exports = async function migrateCampaigns(ctx = {}) {
         "updatedAt"
       FROM "public"."Campaigns"
       ${tenantId ? 'WHERE "tenantId" = $1' : ''}
+      ${checkpoint.where('id', selectParams, tenantId ? 'AND' : 'WHERE')}
       ORDER BY id
     `;
-    const cursor = source.query(new Cursor(baseSelectOrdered, tenantId ? [tenantId] : []));
+    const cursor = source.query(new Cursor(baseSelectOrdered, selectParams));
 
     // 3) Barra de progresso com ETA e rate
-    const bar = new cliProgress.SingleBar(
-      {
-        format: 'Progresso |{bar}| {percentage}% | {value}/{total} | ETA: {eta_formatted} | {rate} r/s',
-        hideCursor: true
-      },
-      cliProgress.Presets.shades_classic
-    );
-    bar.start(total, 0, { rate: '0.0' });
+    const bar = createProgressBar(ctx);
+    bar.start(total, checkpoint.processed, { rate: '0.0' });
+
+    // 4) Upsert
+    const upsert = createUpsert({
+      table: 'campaigns',
+      columns: [
+        'id', 'name', 'start_at', 'status', 'delay_type', 'delay_seconds', 'min_delay_seconds', 'max_delay_seconds',
+        { name: 'messages', cast: 'jsonb' }, 'media_path', 'template_id',
+        'company_id', 'channel_id', 'created_at', 'updated_at'
+      ],
+      insertOnly: ['created_at']
+    });
 
     const startedAt = Date.now();
-    let processed = 0;
-    let migradas = 0;
-    let ignoradas = 0;
+    let processed = checkpoint.processed;
+    const counts = { inserted: 0, updated: 0, unchanged: 0, failed: 0 };
 
-    // 4) Loop de leitura por lote
+    // 5) Loop de leitura por lote
     while (true) {
       const rows = await new Promise((resolve, reject) => {
         cursor.read(BATCH_SIZE, (err, r) => (err ? reject(err) : resolve(r)));
       });
       if (!rows || rows.length === 0) break;
 
-      // Monta multi-VALUES
-      const values = [];
-      const placeholders = [];
-
-      // Mantém também os dados "crus" do lote para fallback por registro se der erro no INSERT batelado
-      const perRowParams = [];
-
-      rows.forEach((row, i) => {
+      const params = rows.map(row => {
         const messages = [row.message1, row.message2, row.message3]
           .map(m => (typeof m === 'string' ? m.trim() : m))
           .filter(m => !!m && String(m).length > 0);
@@ -138,7 +126,7 @@ module.exports = async function migrateCampaigns(ctx = {}) {
           channelId = fb || null;
         }
 
-        const v = [
+        return [
           row.id,                               // id
           safeName(row.name, row.id),           // name
           row.start || row.createdAt || new Date(), // start_at
@@ -155,93 +143,19 @@ module.exports = async function migrateCampaigns(ctx = {}) {
           row.createdAt,                        // created_at
           row.updatedAt                         // updated_at
         ];
-        perRowParams.push(v);
-
-        // 15 colunas por linha ⇒ placeholders
-        const base = i * 15;
-        placeholders.push(
-          `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6}, $${base + 7}, $${base + 8}::jsonb, $${base + 9}, $${base + 10}, $${base + 11}, $${base + 12}, $${base + 13}, $${base + 14}, $${base + 15})`
-        );
-        values.push(...v);
       });
 
-      const upsertSql = `
-        INSERT INTO campaigns (
-          id, name, start_at, status, delay_type, delay_seconds, min_delay_seconds, max_delay_seconds,
-          messages, media_path, template_id,
-          company_id, channel_id, created_at, updated_at
-        ) VALUES
-          ${placeholders.join(',')}
-        ON CONFLICT (id) DO UPDATE SET
-          name          = EXCLUDED.name,
-          start_at      = EXCLUDED.start_at,
-          status        = EXCLUDED.status,
-          delay_type    = EXCLUDED.delay_type,
-          delay_seconds = EXCLUDED.delay_seconds,
-          min_delay_seconds = EXCLUDED.min_delay_seconds,
-          max_delay_seconds = EXCLUDED.max_delay_seconds,
-          messages      = EXCLUDED.messages,
-          media_path    = EXCLUDED.media_path,
-          template_id   = EXCLUDED.template_id,
-          company_id    = EXCLUDED.company_id,
-          channel_id    = EXCLUDED.channel_id,
-          updated_at    = EXCLUDED.updated_at
-      `;
-
-      // Transação por lote com commit rápido
-      try {
-        await dest.query('BEGIN');
-        await dest.query('SET LOCAL synchronous_commit TO OFF');
-        await dest.query(upsertSql, values);
-        await dest.query('COMMIT');
-
-        migradas += rows.length;
-      } catch (batchErr) {
-        // Fallback: tenta registro a registro pra não perder o lote inteiro
-        await dest.query('ROLLBACK');
-        for (const v of perRowParams) {
-          try {
-            await dest.query('BEGIN');
-            await dest.query('SET LOCAL synchronous_commit TO OFF');
-            await dest.query(
-              `
-              INSERT INTO campaigns (
-                id, name, start_at, status, delay_type, delay_seconds, min_delay_seconds, max_delay_seconds,
-                messages, media_path, template_id,
-                company_id, channel_id, created_at, updated_at
-              ) VALUES (
-                $1, $2, $3, $4, $5, $6, $7, $8,
-                $9::jsonb, $10, $11,
-                $12, $13, $14, $15
-              )
-              ON CONFLICT (id) DO UPDATE SET
-                name          = EXCLUDED.name,
-                start_at      = EXCLUDED.start_at,
-                status        = EXCLUDED.status,
-                delay_type    = EXCLUDED.delay_type,
-                delay_seconds = EXCLUDED.delay_seconds,
-                min_delay_seconds = EXCLUDED.min_delay_seconds,
-                max_delay_seconds = EXCLUDED.max_delay_seconds,
-                messages      = EXCLUDED.messages,
-                media_path    = EXCLUDED.media_path,
-                template_id   = EXCLUDED.template_id,
-                company_id    = EXCLUDED.company_id,
-                channel_id    = EXCLUDED.channel_id,
-                updated_at    = EXCLUDED.updated_at
-              `,
-              v
-            );
-            await dest.query('COMMIT');
-            migradas += 1;
-          } catch (rowErr) {
-            await dest.query('ROLLBACK');
-            ignoradas += 1;
-            console.error(`❌ Erro ao migrar campanha id=${v[0]}: ${rowErr.message}`);
-          }
+      // Transação por lote com commit rápido (registro a registro se o lote falhar)
+      addCounts(counts, await upsert.write(dest, params, {
+        onError: (err, i) => {
+          const original = rows[i];
+          console.error(`❌ Erro ao migrar campanha id=${original.id}: ${err.message}`);
+          ctx.rejects.add('campaigns', original.id, err, { tenantId: original.company_id, payload: original });
         }
-      }
+      }));
 
       processed += rows.length;
+      await checkpoint.save(rows[rows.length - 1].id, processed);
 
       const elapsed = (Date.now() - startedAt) / 1000;
       const rate = processed > 0 && elapsed > 0 ? (processed / elapsed).toFixed(1) : '0.0';
@@ -249,12 +163,52 @@ module.exports = async function migrateCampaigns(ctx = {}) {
     }
 
     bar.stop();
+    await checkpoint.clear();
     await new Promise((resolve, reject) => cursor.close(err => (err ? reject(err) : resolve())));
     const secs = ((Date.now() - startedAt) / 1000).toFixed(1);
-    console.log(`✅ Migradas ${migradas}/${total} campanhas em ${secs}s. (${ignoradas} ignoradas)`);
+    const migradas = counts.inserted + counts.updated + counts.unchanged;
+    console.log(`✅ Migradas ${migradas}/${total} campanhas em ${secs}s (${formatCounts(counts)}).`);
   } finally {
-    await source.end();
-    await dest.end();
+    await db.release();
+  }
+};
+
+// Etapas que precisam ter rodado antes (no mesmo escopo), tabelas escritas no destino
+// e como conferir origem × destino (node main.js verify)
+module.exports.meta = {
+  dependsOn: ['Channels'],
+  writes: ['campaigns'],
+  // colunas e índices que a etapa usa nos dois bancos (node main.js preflight)
+  schema: {
+    source: {
+      Campaigns: {
+        id: 'int', name: 'text', start: 'time', status: 'text', sessionId: 'int', message1: 'text', message2: 'text',
+        message3: 'text', mediaUrl: 'text', delay: 'any', tenantId: 'int', createdAt: 'time', updatedAt: 'time'
+      }
+    },
+    dest: {
+      campaigns: {
+        id: 'int', name: 'text', start_at: 'time', status: 'text', delay_type: 'text', delay_seconds: 'int',
+        min_delay_seconds: 'int', max_delay_seconds: 'int', messages: 'json', media_path: 'text', template_id: 'int',
+        company_id: 'int', channel_id: 'int', created_at: 'time', updated_at: 'time'
+      },
+      channel_instances: { id: 'int', company_id: 'int' }
+    },
+    unique: { campaigns: [['id']] }
+  },
+  verify: {
+    source: {
+      from: '"public"."Campaigns"',
+      tenant: '"tenantId"',
+      key: 'id',
+      columns: [`COALESCE(NULLIF(btrim(name), ''), 'Campanha ' || id)`, epoch('"createdAt"')]
+    },
+    dest: {
+      from: 'campaigns',
+      tenant: 'company_id',
+      key: 'id',
+      columns: ['name', epoch('created_at')]
+    }
   }
 };
 
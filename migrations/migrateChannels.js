@@ -2,9 +2,12 @@
 'use strict';
 
 require('dotenv').config();
-const { Client } = require('pg');
+const { connectStep } = require('../utils/db');
 const Cursor = require('pg-cursor');
-const cliProgress = require('cli-progress');
+const { createProgressBar } = require('../utils/progress');
+const { onlyIdsFilter } = require('../utils/checkpoint');
+const { openWatermark } = require('../utils/watermark');
+const { createUpsert, addCounts, formatCounts } = require('../utils/upsert');
 
 module.exports = async function migrateChannels(ctx = {}) {
   console.log('📡 Migrando "Whatsapps" → "channel_instances" (com VirtualAgent)...');
@@ -16,20 +19,8 @@ module.exports = async function migrateChannels(ctx = {}) {
       ? String(ctx.tenantId).trim()
       : (process.env.TENANT_ID ? String(process.env.TENANT_ID).trim() : null);
 
-  const source = new Client({
-    host: process.env.SRC_HOST, port: process.env.SRC_PORT,
-    user: process.env.SRC_USER, password: process.env.SRC_PASS,
-    database: process.env.SRC_DB, application_name: 'migrateChannels:source'
-  });
-
-  const dest = new Client({
-    host: process.env.DST_HOST, port: process.env.DST_PORT,
-    user: process.env.DST_USER, password: process.env.DST_PASS,
-    database: process.env.DST_DB, application_name: 'migrateChannels:dest'
-  });
-
-  await source.connect();
-  await dest.connect();
+  const db = await connectStep(ctx, 'Channels');
+  const { source, dest } = db;
 
   try {
     // —— Pré-carrega estruturas de apoio
@@ -71,31 +62,28 @@ module.exports = async function migrateChannels(ctx = {}) {
       'created_at', 'updated_at', 'deleted_at', 'virtual_agent_id'
     ];
     const channelInsertColumns = candidateColumns.filter(col => channelCols.has(col));
-    const channelUpdatableColumns = channelInsertColumns.filter(col => col !== 'id' && col !== 'created_at');
-    const columnsSql = channelInsertColumns.join(', ');
-    const upsertSetSql = channelUpdatableColumns.length
-      ? channelUpdatableColumns.map(col => `${col} = EXCLUDED.${col}`).join(',\n          ')
-      : 'id = EXCLUDED.id';
-    const singleTupleSql = channelInsertColumns
-      .map((col, idx) => `$${idx + 1}${jsonColumnCast(col, channelTypes)}`)
-      .join(', ');
-    const upsertSqlSingle = `
-      INSERT INTO channel_instances (${columnsSql})
-      VALUES (${singleTupleSql})
-      ON CONFLICT (id) DO UPDATE SET
-          ${upsertSetSql}
-    `;
-
+    const upsert = createUpsert({
+      table: 'channel_instances',
+      columns: channelInsertColumns.map(name => ({ name, cast: jsonColumnCast(name, channelTypes) })),
+      insertOnly: ['created_at']
+    });
+
+    // sem checkpoint (canais são poucos), mas com watermark para o modo incremental
+    const watermark = await openWatermark(dest, 'Channels', { tenantId, delta: ctx.delta, rejects: ctx.rejects, onlyIds: ctx.onlyIds });
+    const countParams = tenantId ? [tenantId] : [];
     const countRes = await source.query(
-      `SELECT COUNT(*)::bigint AS total FROM "public"."Whatsapps" ${tenantId ? 'WHERE "tenantId" = $1' : ''}`,
-      tenantId ? [tenantId] : []
+      `SELECT COUNT(*)::bigint AS total FROM "public"."Whatsapps"
+       ${tenantId ? 'WHERE "tenantId" = $1' : ''} ${watermark.where('"updatedAt"', countParams, tenantId ? 'AND' : 'WHERE')}`,
+      countParams
     );
     const total = Number(countRes.rows[0]?.total || 0);
     if (!total) {
       console.log(tenantId ? `⚠️ Nenhum canal para TENANT_ID=${tenantId}.` : '⚠️ Nenhum canal na origem.');
+      await watermark.commit();
       return;
     }
 
+    const selectParams = tenantId ? [tenantId] : [];
     const selectSql = `
       SELECT
         id, name, type, number,
@@ -106,14 +94,13 @@ module.exports = async function migrateChannels(ctx = {}) {
         "createdAt", "updatedAt"
       FROM "public"."Whatsapps"
       ${tenantId ? 'WHERE "tenantId" = $1' : ''}
+      ${onlyIdsFilter(ctx, 'id', selectParams, tenantId ? 'AND' : 'WHERE')}
+      ${watermark.where('"updatedAt"', selectParams, tenantId || ctx.onlyIds ? 'AND' : 'WHERE')}
       ORDER BY id
     `;
-    const cursor = source.query(new Cursor(selectSql, tenantId ? [tenantId] : []));
+    const cursor = source.query(new Cursor(selectSql, selectParams));
 
-    const bar = new cliProgress.SingleBar(
-      { format: 'Progresso |{bar}| {percentage}% | {value}/{total} | ETA: {eta_formatted} | {rate} r/s', hideCursor: true },
-      cliProgress.Presets.shades_classic
-    );
+    const bar = createProgressBar(ctx);
     bar.start(total, 0, { rate: '0.0' });
 
     const typeMap = {
@@ -124,7 +111,8 @@ module.exports = async function migrateChannels(ctx = {}) {
       messenger: 'Messenger'
     };
 
-    let processed = 0, migradas = 0, ignoradasTipo = 0, erros = 0;
+    let processed = 0, ignoradasTipo = 0;
+    const counts = { inserted: 0, updated: 0, unchanged: 0, failed: 0 };
     const startedAt = Date.now();
 
     while (true) {
@@ -188,7 +176,7 @@ module.exports = async function migrateChannels(ctx = {}) {
             for (const r of ins.rows) vaCache.set(`${r.company_id}#${r.flow_id}`, r.id);
           } catch (e) {
             // pode haver duplicata se outro processo criou no meio — recarrega para preencher cache
-            console.warn('⚠️  Falha ao criar alguns VirtualAgents; tentando recarregar:', e.message);
+            console.log('⚠️  Falha ao criar alguns VirtualAgents; tentando recarregar:', e.message);
             const ex2 = await dest.query(
               `SELECT id, company_id, flow_id FROM virtual_agents WHERE (company_id, flow_id) IN (${ph})`, vals
             );
@@ -198,12 +186,10 @@ module.exports = async function migrateChannels(ctx = {}) {
       }
 
       // ———— montar INSERT dos canais
-      const values = [];
-      const placeholders = [];
-      const perRowParams = [];
+      const params = [];
+      const originals = [];
 
-      for (let i = 0; i < rows.length; i++) {
-        const row = rows[i];
+      for (const row of rows) {
         const mappedType = typeMap[String(row.type || '').toLowerCase()];
         if (!mappedType) { ignoradasTipo++; continue; }
 
@@ -265,59 +251,19 @@ module.exports = async function migrateChannels(ctx = {}) {
           deleted_at: deletedAt,
           virtual_agent_id: vaId
         };
-        const v = channelInsertColumns.map(col =>
+        params.push(channelInsertColumns.map(col =>
           Object.prototype.hasOwnProperty.call(rowValuesByColumn, col) ? rowValuesByColumn[col] : null
-        );
-        perRowParams.push(v);
-
-        const base = placeholders.length * channelInsertColumns.length;
-        const tuple = channelInsertColumns
-          .map((col, idx) => `$${base + idx + 1}${jsonColumnCast(col, channelTypes)}`)
-          .join(',');
-        placeholders.push(
-          `(${tuple})`
-        );
-        values.push(...v);
-      }
-
-      if (!placeholders.length) {
-        processed += rows.length;
-        const elapsed = (Date.now() - startedAt) / 1000;
-        bar.update(processed, { rate: (processed / Math.max(1, elapsed)).toFixed(1) });
-        continue;
+        ));
+        originals.push(row);
       }
 
-      const upsertSql = `
-        INSERT INTO channel_instances (${columnsSql})
-        VALUES
-          ${placeholders.join(',')}
-        ON CONFLICT (id) DO UPDATE SET
-          ${upsertSetSql}
-      `;
-
-      try {
-        await dest.query('BEGIN');
-        await dest.query('SET LOCAL synchronous_commit TO OFF');
-        await dest.query(upsertSql, values);
-        await dest.query('COMMIT');
-        migradas += placeholders.length;
-      } catch (batchErr) {
-        await dest.query('ROLLBACK');
-        // fallback por linha
-        for (const v of perRowParams) {
-          try {
-            await dest.query('BEGIN');
-            await dest.query('SET LOCAL synchronous_commit TO OFF');
-            await dest.query(upsertSqlSingle, v);
-            await dest.query('COMMIT');
-            migradas += 1;
-          } catch (rowErr) {
-            await dest.query('ROLLBACK');
-            erros += 1;
-            console.error(`❌ Erro ao migrar canal ID ${v[0]}: ${rowErr.message}`);
-          }
+      addCounts(counts, await upsert.write(dest, params, {
+        onError: (err, i) => {
+          const original = originals[i];
+          console.error(`❌ Erro ao migrar canal ID ${original.id}: ${err.message}`);
+          ctx.rejects.add('channel_instances', original.id, err, { tenantId: original.company_id, payload: original });
         }
-      }
+      }));
 
       processed += rows.length;
       const elapsed = (Date.now() - startedAt) / 1000;
@@ -326,14 +272,50 @@ module.exports = async function migrateChannels(ctx = {}) {
 
     bar.stop();
     await new Promise((resolve, reject) => cursor.close(err => (err ? reject(err) : resolve())));
+    await watermark.commit();
     const secs = ((Date.now() - startedAt) / 1000).toFixed(1);
-    console.log(`✅ Migrados ${migradas}/${total} canais em ${secs}s. (${ignoradasTipo} ignorados por tipo, ${erros} com erro)`);
-    if (erros > 0) {
-      throw new Error(`Migração de canais finalizou com ${erros} erro(s).`);
+    const migradas = counts.inserted + counts.updated + counts.unchanged;
+    console.log(`✅ Migrados ${migradas}/${total} canais em ${secs}s (${formatCounts(counts)}; ${ignoradasTipo} ignorados por tipo).`);
+    if (counts.failed > 0) {
+      throw new Error(`Migração de canais finalizou com ${counts.failed} erro(s).`);
     }
   } finally {
-    await source.end();
-    await dest.end();
+    await db.release();
+  }
+};
+
+// Etapas que precisam ter rodado antes (no mesmo escopo) e tabelas escritas no destino
+module.exports.meta = {
+  dependsOn: ['Flows', 'Departments'],
+  writes: ['channel_instances', 'virtual_agents'],
+  // colunas e índices que a etapa usa nos dois bancos (node main.js preflight); as colunas com "?"
+  // só entram no INSERT quando existem no destino
+  schema: {
+    source: {
+      Whatsapps: {
+        id: 'int', name: 'text', type: 'text', number: 'text', tenantId: 'int', status: 'any', session: 'any',
+        qrcode: 'text', tokenAPI: 'text', chatFlowId: 'int', queueId: 'int', is_open_ia: 'any', isDeleted: 'any',
+        createdAt: 'time', updatedAt: 'time'
+      }
+    },
+    dest: {
+      channel_instances: {
+        id: 'int', name: 'text', type: 'text', company_id: 'int', '?status': 'text', 'j_id|jid': 'text', '?session': 'any',
+        'qr_code|qrcode': 'text', '?config': 'text|json', '?flow_id': 'int', '?department_id': 'int',
+        '?enable_chatbot_for_groups': 'bool', '?open_ticket_for_groups': 'bool', '?whatsapp_name': 'text',
+        '?telegram_token': 'text', '?active': 'bool', '?fetch_messages': 'bool', '?allow_all_users': 'bool',
+        '?allowed_user_ids': 'text|json', '?deleted_at': 'time', '?virtual_agent_id': 'int',
+        created_at: 'time', updated_at: 'time'
+      },
+      virtual_agents: { id: 'int', name: 'text', company_id: 'int', flow_id: 'int', active: 'bool', created_at: 'time', updated_at: 'time' },
+      flows: { id: 'int', name: 'text', company_id: 'int' },
+      departments: { id: 'int', company_id: 'int' }
+    },
+    unique: { channel_instances: [['id']], virtual_agents: [['company_id', 'flow_id']] }
+  },
+  // rollback --tenant --only-migrated: ids de origem dos canais
+  rollback: {
+    channel_instances: { legacy: { from: '"public"."Whatsapps"', tenant: '"tenantId"', key: 'id' } }
   }
 };
 
@@ -344,7 +326,5 @@ function safeName(name, id) {
 }
 function jsonColumnCast(columnName, typesMap) {
   const t = String(typesMap.get(columnName) || '').toLowerCase();
-  if (t === 'jsonb') return '::jsonb';
-  if (t === 'json') return '::json';
-  return '';
+  return t === 'jsonb' || t === 'json' ? t : undefined;
 }
@@ -1,10 +1,16 @@
-// migrations/migrateContacts.js  (versão com transação + progresso + tags no formato novo)
+// migrations/migrateContacts.js  (cursor + upsert em lote + tags no formato novo)
 'use strict';
 
 require('dotenv').config();
-const { Client } = require('pg');
+const Cursor = require('pg-cursor');
+const { connectStep } = require('../utils/db');
+const { createProgressBar } = require('../utils/progress');
+const { openCheckpoint } = require('../utils/checkpoint');
+const { epoch } = require('../utils/verify');
+const { createUpsert, addCounts, formatCounts } = require('../utils/upsert');
 
-const LOG_EVERY = Number(process.env.LOG_EVERY || 200); // log a cada N contatos
+// contatos lidos por vez; cada lote é uma transação (o upsert fatia pelo limite de parâmetros)
+const BATCH_SIZE = Number(process.env.BATCH_SIZE || 1000);
 
 module.exports = async function migrateContacts(ctx = {}) {
   console.log('📇 Migrando "Contacts" → "contacts"...');
@@ -14,66 +20,28 @@ module.exports = async function migrateContacts(ctx = {}) {
       ? String(ctx.tenantId).trim()
       : (process.env.TENANT_ID ? String(process.env.TENANT_ID).trim() : null);
 
-  const source = new Client({
-    host: process.env.SRC_HOST, port: process.env.SRC_PORT,
-    user: process.env.SRC_USER, password: process.env.SRC_PASS,
-    database: process.env.SRC_DB
-  });
-  const dest = new Client({
-    host: process.env.DST_HOST, port: process.env.DST_PORT,
-    user: process.env.DST_USER, password: process.env.DST_PASS,
-    database: process.env.DST_DB
-  });
-
-  await source.connect();
-  await dest.connect();
+  const db = await connectStep(ctx, 'Contacts');
+  const { source, dest } = db;
 
   try {
-    // --- 1) Carrega contatos da origem
-    const contactsSql = `
-      SELECT
-        id, name, number, "profilePicUrl", email, "isGroup",
-        "telegramId", "instagramPK", "messengerId",
-        "tipo", cpf, cnpj, "dataNascimento",
-        rua, bairro, cep, cidade, estado, pais,
-        pushname, "tenantId", "createdAt", "updatedAt"
-      FROM "public"."Contacts"
-      ${tenantId ? 'WHERE "tenantId" = $1' : ''}
-      ORDER BY id
-    `;
-    const contacts = await source.query(contactsSql, tenantId ? [tenantId] : []);
-    if (contacts.rowCount === 0) {
+    // --- 1) COUNT p/ barra/ETA
+    const checkpoint = await openCheckpoint(dest, 'Contacts', { tenantId, fresh: ctx.fresh, onlyIds: ctx.onlyIds, delta: ctx.delta, rejects: ctx.rejects });
+    const countParams = tenantId ? [tenantId] : [];
+    const countRes = await source.query(
+      `SELECT COUNT(*)::bigint AS total FROM "public"."Contacts"
+       ${tenantId ? 'WHERE "tenantId" = $1' : ''} ${checkpoint.delta('id', countParams, tenantId ? 'AND' : 'WHERE')}`,
+      countParams
+    );
+    const total = Number(countRes.rows[0]?.total || 0);
+    if (!total) {
       console.log(tenantId
         ? `⚠️  Nenhum contato encontrado para TENANT_ID=${tenantId}.`
         : '⚠️  Nenhum contato encontrado na origem.');
+      await checkpoint.clear();
       return;
     }
-    const total = contacts.rowCount;
-
-    // --- 2) Pré-carrega relações de tags/carteiras do LOTE TODO
-    const ids = contacts.rows.map(r => r.id);
-    // 👉 Se as colunas "contactId" forem BIGINT, troque ::int[] por ::bigint[]
-    const tagsByContact = await source.query(
-      `SELECT "contactId", array_agg(DISTINCT "tagId") AS tag_ids
-       FROM "public"."ContactTags"
-       WHERE "contactId" = ANY($1::int[])
-       GROUP BY "contactId"`, [ids]
-    );
-    const channelsByContact = await source.query(
-      `SELECT "contactId", array_agg(DISTINCT "channelId") AS channel_ids
-       FROM "public"."ContactWallets"
-       WHERE "contactId" = ANY($1::int[]) AND "channelId" IS NOT NULL
-       GROUP BY "contactId"`, [ids]
-    );
-
-    const tagsIdMap = Object.fromEntries(
-      tagsByContact.rows.map(r => [r.contactId, r.tag_ids || []])
-    );
-    const channelsMap = Object.fromEntries(
-      channelsByContact.rows.map(r => [r.contactId, r.channel_ids || []])
-    );
 
-    // --- 3) Detecta schema do destino e prepara UPSERT dinâmico
+    // --- 2) Detecta schema do destino e prepara o upsert dinâmico
     const contactColsRes = await dest.query(`
       SELECT column_name, data_type
       FROM information_schema.columns
@@ -94,117 +62,204 @@ module.exports = async function migrateContacts(ctx = {}) {
       'tags', 'channel_assignments'
     ];
     const insertColumns = candidateColumns.filter(col => contactCols.has(col));
-    const updatableColumns = insertColumns.filter(col => col !== 'id' && col !== 'created_at');
-    const columnsSql = insertColumns.join(', ');
-    const tupleSql = insertColumns
-      .map((col, idx) => `$${idx + 1}${jsonColumnCast(col, contactTypes)}`)
-      .join(', ');
-    const setSql = updatableColumns.length
-      ? updatableColumns.map(col => `${col} = EXCLUDED.${col}`).join(', ')
-      : 'id = EXCLUDED.id';
-    const upsertSql = `
-      INSERT INTO contacts (${columnsSql})
-      VALUES (${tupleSql})
-      ON CONFLICT (id) DO UPDATE SET ${setSql}
+    const upsert = createUpsert({
+      table: 'contacts',
+      columns: insertColumns.map(name => ({ name, cast: jsonColumnCast(name, contactTypes) })),
+      insertOnly: ['created_at'],
+      copy: true
+    });
+
+    // --- 3) Cursor server-side (ordem por id; retoma do checkpoint). Tags e carteiras vêm na mesma
+    //        leitura: com o cursor aberto a conexão da origem não atende outra consulta
+    const contactsParams = tenantId ? [tenantId] : [];
+    const contactsSql = `
+      SELECT
+        c.id, c.name, c.number, c."profilePicUrl", c.email, c."isGroup",
+        c."telegramId", c."instagramPK", c."messengerId",
+        c."tipo", c.cpf, c.cnpj, c."dataNascimento",
+        c.rua, c.bairro, c.cep, c.cidade, c.estado, c.pais,
+        c.pushname, c."tenantId", c."createdAt", c."updatedAt",
+        (SELECT array_agg(DISTINCT ct."tagId")
+           FROM "public"."ContactTags" ct
+          WHERE ct."contactId" = c.id) AS tag_ids,
+        (SELECT array_agg(DISTINCT cw."channelId")
+           FROM "public"."ContactWallets" cw
+          WHERE cw."contactId" = c.id AND cw."channelId" IS NOT NULL) AS channel_ids
+      FROM "public"."Contacts" c
+      ${tenantId ? 'WHERE c."tenantId" = $1' : ''}
+      ${checkpoint.where('c.id', contactsParams, tenantId ? 'AND' : 'WHERE')}
+      ORDER BY c.id
     `;
+    const cursor = source.query(new Cursor(contactsSql, contactsParams));
 
-    // --- 4) Transação + desempenho
-    await dest.query('BEGIN');
-    await dest.query('SET LOCAL synchronous_commit TO OFF');
-
-    let migrados = 0;
-    const t0 = Date.now();
-
-    for (const row of contacts.rows) {
-      const contactId = row.id;
-
-      const rawNumber = onlyDigits(row.number);
-      const phoneNumber = truncate(rawNumber, 20) || null;
-      const whatsapp = phoneNumber;
-
-      const isGroup = row.isGroup === true;
-      const isWaContact = !!phoneNumber;
-      const jId = phoneNumber ? `${phoneNumber}${isGroup ? '@g.us' : '@s.whatsapp.net'}` : null;
-
-      const address = [row.rua, row.bairro, row.cep, row.cidade, row.estado, row.pais]
-        .filter(Boolean).join(', ');
-
-      const type = row.tipo === 'Pessoa Jurídica' ? 2 : 1;
-
-      // Channel assignments
-      const channelIds = Array.isArray(channelsMap[contactId]) ? channelsMap[contactId] : [];
-      const channelAssignments = {};
-      for (const chId of channelIds) channelAssignments[chId] = { assigned: true };
-      const primaryChannelId = channelIds.length ? Number(channelIds[0]) : null;
-
-      // --- TAGS no formato da plataforma nova [{tag, auto_assign}]
-      const tagsOld = Array.isArray(tagsIdMap[contactId]) ? tagsIdMap[contactId] : [];
-      const tags = tagsOld
-        .map(tagIdNum => Number(tagIdNum))
-        .filter(Number.isInteger)
-        .map(tagId => ({ tag: tagId, auto_assign: false }));
-
-      const valuesByColumn = {
-        id: contactId,
-        name: row.name || `Contato ${contactId}`,
-        phone_number: phoneNumber,
-        [jidColumn]: jId,
-        telephone_number: null,
-        whatsapp,
-        instagram: row.instagramPK?.toString() ?? null,
-        instagram_id: row.instagramPK?.toString() ?? null,
-        telegram: row.telegramId?.toString() ?? null,
-        messenger: row.messengerId || null,
-        email: row.email || null,
-        profile_pic_url: row.profilePicUrl || null,
-        push_name: row.pushname || null,
-        is_wa_contact: isWaContact,
-        is_group: isGroup,
-        type,
-        cpf: row.cpf || null,
-        cnpj: row.cnpj || null,
-        birth_date: row.dataNascimento || null,
-        address: address || '',
-        annotations: '',
-        channel_id: primaryChannelId,
-        company_id: row.tenantId,
-        created_at: row.createdAt,
-        updated_at: row.updatedAt,
-        tags: JSON.stringify(tags),
-        channel_assignments: JSON.stringify(channelAssignments)
-      };
-      const values = insertColumns.map(col =>
-        Object.prototype.hasOwnProperty.call(valuesByColumn, col) ? valuesByColumn[col] : null
-      );
-      await dest.query(upsertSql, values);
-
-      migrados++;
-      if (migrados % LOG_EVERY === 0 || migrados === total) {
-        const dt = (Date.now() - t0) / 1000;
-        const rps = (migrados / Math.max(0.001, dt)).toFixed(1);
-        const pct = ((migrados / total) * 100).toFixed(1);
-        const eta = total > 0 ? Math.max(0, (dt / migrados) * (total - migrados)) : 0;
-        console.log(`→ ${migrados}/${total} (${pct}%) • ${rps} r/s • ETA ~ ${eta.toFixed(0)}s`);
-      }
+    const bar = createProgressBar(ctx);
+    bar.start(total, checkpoint.processed, { rate: '0.0' });
+
+    const startedAt = Date.now();
+    let processed = checkpoint.processed;
+    const counts = { inserted: 0, updated: 0, unchanged: 0, failed: 0 };
+
+    // --- 4) Por lote: upsert numa transação (registro a registro se falhar) e checkpoint
+    while (true) {
+      const rows = await new Promise((resolve, reject) => {
+        cursor.read(BATCH_SIZE, (err, r) => (err ? reject(err) : resolve(r)));
+      });
+      if (!rows || rows.length === 0) break;
+
+      const params = rows.map(row => {
+        const valuesByColumn = buildContact(row, jidColumn);
+        return insertColumns.map(col =>
+          Object.prototype.hasOwnProperty.call(valuesByColumn, col) ? valuesByColumn[col] : null
+        );
+      });
+
+      addCounts(counts, await upsert.write(dest, params, {
+        onError: (err, i) => {
+          const original = rows[i];
+          console.error(`❌ Erro ao migrar contato ID ${original.id}: ${err.message}`);
+          ctx.rejects.add('contacts', original.id, err, { tenantId: original.tenantId, payload: original });
+        }
+      }));
+
+      processed += rows.length;
+      await checkpoint.save(rows[rows.length - 1].id, processed);
+
+      const elapsed = (Date.now() - startedAt) / 1000;
+      bar.update(processed, { rate: (processed / Math.max(1, elapsed)).toFixed(1) });
     }
 
-    await dest.query('COMMIT');
-    console.log(`✅ Migrados ${migrados}/${total} contato(s).`);
-  } catch (e) {
-    try { await dest.query('ROLLBACK'); } catch { /* ignore */ }
-    throw e;
+    bar.stop();
+    await checkpoint.clear();
+    await new Promise((resolve, reject) => cursor.close(err => (err ? reject(err) : resolve())));
+    const migrados = counts.inserted + counts.updated + counts.unchanged;
+    const secs = ((Date.now() - startedAt) / 1000).toFixed(1);
+    console.log(`✅ Migrados ${migrados}/${total} contato(s) em ${secs}s (${formatCounts(counts)}).`);
   } finally {
-    await source.end();
-    await dest.end();
+    await db.release();
+  }
+};
+
+// Etapas que precisam ter rodado antes (no mesmo escopo), tabelas escritas no destino
+// e como conferir origem × destino (node main.js verify)
+module.exports.meta = {
+  dependsOn: ['Tags', 'Channels'],
+  writes: ['contacts'],
+  // colunas e índices que a etapa usa nos dois bancos (node main.js preflight); as colunas com "?"
+  // só entram no INSERT quando existem no destino
+  schema: {
+    source: {
+      Contacts: {
+        id: 'int', name: 'text', number: 'text', profilePicUrl: 'text', email: 'text', isGroup: 'bool',
+        telegramId: 'any', instagramPK: 'any', messengerId: 'any', tipo: 'text', cpf: 'text', cnpj: 'text',
+        dataNascimento: 'any', rua: 'text', bairro: 'text', cep: 'any', cidade: 'text', estado: 'text', pais: 'text',
+        pushname: 'text', tenantId: 'int', createdAt: 'time', updatedAt: 'time'
+      },
+      ContactTags: { contactId: 'int', tagId: 'int' },
+      ContactWallets: { contactId: 'int', channelId: 'int' }
+    },
+    dest: {
+      contacts: {
+        id: 'int', name: 'text', '?phone_number': 'text', 'j_id|jid': 'text', '?telephone_number': 'text',
+        '?whatsapp': 'text', '?instagram': 'text', '?instagram_id': 'text', '?telegram': 'text', '?messenger': 'text',
+        '?email': 'text', '?profile_pic_url': 'text', '?push_name': 'text', '?is_wa_contact': 'bool', '?is_group': 'bool',
+        '?type': 'int', '?cpf': 'text', '?cnpj': 'text', '?birth_date': 'any', '?address': 'text', '?annotations': 'text',
+        '?channel_id': 'int', company_id: 'int', '?tags': 'text|json', '?channel_assignments': 'text|json',
+        created_at: 'time', updated_at: 'time'
+      }
+    },
+    unique: { contacts: [['id']] }
+  },
+  verify: {
+    source: {
+      from: '"public"."Contacts"',
+      tenant: '"tenantId"',
+      key: 'id',
+      columns: [
+        `COALESCE(NULLIF(name, ''), 'Contato ' || id)`,
+        `NULLIF(email, '')`,
+        `NULLIF("profilePicUrl", '')`,
+        `NULLIF(pushname, '')`,
+        'COALESCE("isGroup", false)',
+        epoch('"createdAt"')
+      ]
+    },
+    dest: {
+      from: 'contacts',
+      tenant: 'company_id',
+      key: 'id',
+      columns: ['name', 'email', 'profile_pic_url', 'push_name', 'is_group', epoch('created_at')]
+    }
   }
 };
 
 // helpers
+
+// Contato no formato novo (valores por coluna; as que o destino não tem são ignoradas)
+function buildContact(row, jidColumn) {
+  const contactId = row.id;
+
+  const rawNumber = onlyDigits(row.number);
+  const phoneNumber = truncate(rawNumber, 20) || null;
+  const whatsapp = phoneNumber;
+
+  const isGroup = row.isGroup === true;
+  const isWaContact = !!phoneNumber;
+  const jId = phoneNumber ? `${phoneNumber}${isGroup ? '@g.us' : '@s.whatsapp.net'}` : null;
+
+  const address = [row.rua, row.bairro, row.cep, row.cidade, row.estado, row.pais]
+    .filter(Boolean).join(', ');
+
+  const type = row.tipo === 'Pessoa Jurídica' ? 2 : 1;
+
+  // Channel assignments
+  const channelIds = Array.isArray(row.channel_ids) ? row.channel_ids : [];
+  const channelAssignments = {};
+  for (const chId of channelIds) channelAssignments[chId] = { assigned: true };
+  const primaryChannelId = channelIds.length ? Number(channelIds[0]) : null;
+
+  // --- TAGS no formato da plataforma nova [{tag, auto_assign}]
+  const tagsOld = Array.isArray(row.tag_ids) ? row.tag_ids : [];
+  const tags = tagsOld
+    .map(tagIdNum => Number(tagIdNum))
+    .filter(Number.isInteger)
+    .map(tagId => ({ tag: tagId, auto_assign: false }));
+
+  return {
+    id: contactId,
+    name: row.name || `Contato ${contactId}`,
+    phone_number: phoneNumber,
+    [jidColumn]: jId,
+    telephone_number: null,
+    whatsapp,
+    instagram: row.instagramPK?.toString() ?? null,
+    instagram_id: row.instagramPK?.toString() ?? null,
+    telegram: row.telegramId?.toString() ?? null,
+    messenger: row.messengerId || null,
+    email: row.email || null,
+    profile_pic_url: row.profilePicUrl || null,
+    push_name: row.pushname || null,
+    is_wa_contact: isWaContact,
+    is_group: isGroup,
+    type,
+    cpf: row.cpf || null,
+    cnpj: row.cnpj || null,
+    birth_date: row.dataNascimento || null,
+    address: address || '',
+    annotations: '',
+    channel_id: primaryChannelId,
+    company_id: row.tenantId,
+    created_at: row.createdAt,
+    updated_at: row.updatedAt,
+    tags: JSON.stringify(tags),
+    channel_assignments: JSON.stringify(channelAssignments)
+  };
+}
+
 function onlyDigits(v) { if (v == null) return null; return String(v).replace(/\D+/g, ''); }
 function truncate(v, max) { if (v == null) return v; const s = String(v); return s.length > max ? s.slice(0, max) : s; }
 function jsonColumnCast(columnName, typesMap) {
   const t = String(typesMap.get(columnName) || '').toLowerCase();
-  if (t === 'jsonb') return '::jsonb';
-  if (t === 'json') return '::json';
-  return '';
+  if (t === 'jsonb') return 'jsonb';
+  if (t === 'json') return 'json';
+  return undefined;
 }
@@ -2,9 +2,11 @@
 'use strict';
 
 require('dotenv').config();
-const { Client } = require('pg');
+const { connectStep } = require('../utils/db');
 const Cursor = require('pg-cursor');
-const cliProgress = require('cli-progress');
+const { createProgressBar } = require('../utils/progress');
+const { createUpsert, addCounts, formatCounts } = require('../utils/upsert');
+const { openWatermark } = require('../utils/watermark');
 
 module.exports = async function migrateFlows(ctx = {}) {
   console.log('🔄 Migrando "ChatFlow" → "flows" + "virtual_agents"...');
@@ -16,20 +18,8 @@ module.exports = async function migrateFlows(ctx = {}) {
       ? String(ctx.tenantId).trim()
       : (process.env.TENANT_ID ? String(process.env.TENANT_ID).trim() : null);
 
-  const source = new Client({
-    host: process.env.SRC_HOST, port: process.env.SRC_PORT,
-    user: process.env.SRC_USER, password: process.env.SRC_PASS,
-    database: process.env.SRC_DB, application_name: 'migrateFlows:source'
-  });
-
-  const dest = new Client({
-    host: process.env.DST_HOST, port: process.env.DST_PORT,
-    user: process.env.DST_USER, password: process.env.DST_PASS,
-    database: process.env.DST_DB, application_name: 'migrateFlows:dest'
-  });
-
-  await source.connect();
-  await dest.connect();
+  const db = await connectStep(ctx, 'Flows');
+  const { source, dest } = db;
 
   try {
     // Detecta coluna que guarda o JSON do fluxo
@@ -57,6 +47,10 @@ module.exports = async function migrateFlows(ctx = {}) {
     const params = [];
     if (hasIsDeleted) where.push(`"isDeleted" IS DISTINCT FROM true`);
     if (tenantId) { where.push(`"tenantId" = $${params.length + 1}`); params.push(tenantId); }
+    // watermark do modo incremental (só os fluxos alterados desde a última passada)
+    const watermark = await openWatermark(dest, 'Flows', { tenantId, delta: ctx.delta, rejects: ctx.rejects, onlyIds: ctx.onlyIds });
+    const since = watermark.where('"updatedAt"', params, '').trim();
+    if (since) where.push(since);
     const whereClause = where.length ? `WHERE ${where.join(' AND ')}` : '';
 
     const { rows: [{ total }] } = await dest.query(
@@ -69,6 +63,7 @@ module.exports = async function migrateFlows(ctx = {}) {
     const totalSrc = Number(countRes.rows[0]?.total || 0);
     if (!totalSrc) {
       console.log(tenantId ? `⚠️  Nenhum fluxo para TENANT_ID=${tenantId}.` : '⚠️  Nenhum fluxo na origem.');
+      await watermark.commit();
       return;
     }
 
@@ -80,23 +75,19 @@ module.exports = async function migrateFlows(ctx = {}) {
     `;
     const cursor = source.query(new Cursor(selectSql, params));
 
-    const bar = new cliProgress.SingleBar(
-      { format: 'Progresso |{bar}| {percentage}% | {value}/{total} | ETA: {eta_formatted} | {rate} r/s', hideCursor: true },
-      cliProgress.Presets.shades_classic
-    );
+    const bar = createProgressBar(ctx);
     bar.start(totalSrc, 0, { rate: '0.0' });
 
-    const upsertFlowSql = `
-      INSERT INTO flows (id, name, flow, company_id, created_at, updated_at)
-      VALUES ($1, $2, $3::jsonb, $4, $5, $6)
-      ON CONFLICT (id) DO UPDATE SET
-        name = EXCLUDED.name,
-        company_id = EXCLUDED.company_id,
-        updated_at = EXCLUDED.updated_at,
-        flow = COALESCE(NULLIF(flows.flow, '{}'::jsonb), EXCLUDED.flow)
-    `;
+    // flow já editado no destino (não vazio) é mantido
+    const upsert = createUpsert({
+      table: 'flows',
+      columns: ['id', 'name', { name: 'flow', cast: 'jsonb' }, 'company_id', 'created_at', 'updated_at'],
+      insertOnly: ['created_at'],
+      set: { flow: "COALESCE(NULLIF(flows.flow, '{}'::jsonb), EXCLUDED.flow)" }
+    });
 
-    let processed = 0, migrados = 0, vaCriados = 0, erros = 0;
+    let processed = 0, vaCriados = 0;
+    const counts = { inserted: 0, updated: 0, unchanged: 0, failed: 0 };
     const startedAt = Date.now();
 
     while (true) {
@@ -106,26 +97,21 @@ module.exports = async function migrateFlows(ctx = {}) {
       if (!batch?.length) break;
 
       // 1) UPSERT dos flows
-      await dest.query('BEGIN');
-      try {
-        for (const row of batch) {
-          const flowJson = normalizeJsonb(row.flow);
-          await dest.query(upsertFlowSql, [
-            row.id,
-            safeName(row.name, row.id),
-            JSON.stringify(flowJson),
-            row.company_id,
-            row.createdAt,
-            row.updatedAt
-          ]);
-          migrados++;
+      const rows = batch.map(row => [
+        row.id,
+        safeName(row.name, row.id),
+        JSON.stringify(normalizeJsonb(row.flow)),
+        row.company_id,
+        row.createdAt,
+        row.updatedAt
+      ]);
+      addCounts(counts, await upsert.write(dest, rows, {
+        onError: (err, i) => {
+          const original = batch[i];
+          console.error(`❌ Erro ao migrar flow id=${original.id}: ${err.message}`);
+          ctx.rejects.add('flows', original.id, err, { tenantId: original.company_id, payload: original });
         }
-        await dest.query('COMMIT');
-      } catch (e) {
-        await dest.query('ROLLBACK');
-        erros += batch.length;
-        console.error('❌ Falha ao upsert flows (lote):', e.message);
-      }
+      }));
 
       // 2) Garantir VirtualAgent (1 por company_id + flow_id)
       //    Busca existentes p/ evitar duplicatas
@@ -170,7 +156,7 @@ module.exports = async function migrateFlows(ctx = {}) {
           // Se não houver índice único (company_id, flow_id), podem aparecer duplicatas em concorrência.
           // Se isso for um problema, crie um unique index: 
           // CREATE UNIQUE INDEX IF NOT EXISTS ux_virtual_agents_company_flow ON virtual_agents(company_id, flow_id);
-          console.warn('⚠️  Falha ao criar alguns VirtualAgents (possível duplicata):', e.message);
+          console.log('⚠️  Falha ao criar alguns VirtualAgents (possível duplicata):', e.message);
         }
       }
 
@@ -181,11 +167,37 @@ module.exports = async function migrateFlows(ctx = {}) {
 
     bar.stop();
     await new Promise((res, rej) => cursor.close(err => err ? rej(err) : res()));
+    await watermark.commit();
     const secs = ((Date.now() - startedAt) / 1000).toFixed(1);
-    console.log(`✅ Flows migrados: ${migrados}/${totalSrc} • VirtualAgents criados: ${vaCriados} • em ${secs}s. (${erros} erro(s))`);
+    const migrados = counts.inserted + counts.updated + counts.unchanged;
+    console.log(`✅ Flows migrados: ${migrados}/${totalSrc} (${formatCounts(counts)}) • VirtualAgents criados: ${vaCriados} • em ${secs}s.`);
   } finally {
-    await source.end();
-    await dest.end();
+    await db.release();
+  }
+};
+
+// Etapas que precisam ter rodado antes (no mesmo escopo) e tabelas escritas no destino
+module.exports.meta = {
+  dependsOn: ['Tenants'],
+  writes: ['flows', 'virtual_agents'],
+  // colunas e índices que a etapa usa nos dois bancos (node main.js preflight); a coluna do JSON
+  // do fluxo e o "isDeleted" são detectados na execução
+  schema: {
+    source: {
+      ChatFlow: {
+        id: 'int', name: 'text', tenantId: 'int', '?flow|content|definition|graph': 'text|json', '?isDeleted': 'bool',
+        createdAt: 'time', updatedAt: 'time'
+      }
+    },
+    dest: {
+      flows: { id: 'int', name: 'text', flow: 'json', company_id: 'int', created_at: 'time', updated_at: 'time' },
+      virtual_agents: { id: 'int', name: 'text', company_id: 'int', flow_id: 'int', active: 'bool', created_at: 'time', updated_at: 'time' }
+    },
+    unique: { flows: [['id']], virtual_agents: [['company_id', 'flow_id']] }
+  },
+  // rollback --tenant --only-migrated: ids de origem dos flows (virtual_agents ganham id novo)
+  rollback: {
+    flows: { legacy: { from: '"public"."ChatFlow"', tenant: '"tenantId"', key: 'id' } }
   }
 };
 
@@ -2,14 +2,15 @@
 'use strict';
 
 require('dotenv').config();
-const { Client } = require('pg');
+const { connectStep } = require('../utils/db');
 const Cursor = require('pg-cursor');
-const cliProgress = require('cli-progress');
+const { createProgressBar } = require('../utils/progress');
+const { openCheckpoint } = require('../utils/checkpoint');
+const { createUpsert, addCounts, formatCounts } = require('../utils/upsert');
 
 module.exports = async function migrateInternalMessages(ctx = {}) {
   console.log('📨 Migrando "InternalMessage" → "internal_messages"...');
 
-  // 12 params/linha (media_name='' e is_deleted=false são literais) → 3000 linhas ≈ 36k params
   const BATCH_SIZE = Number(process.env.BATCH_SIZE || 3000);
 
   // Usa TENANT_ID do ctx (preferencial) ou do .env
@@ -18,51 +19,37 @@ module.exports = async function migrateInternalMessages(ctx = {}) {
       ? String(ctx.tenantId).trim()
       : (process.env.TENANT_ID ? String(process.env.TENANT_ID).trim() : null);
 
-  const source = new Client({
-    host: process.env.SRC_HOST,
-    port: process.env.SRC_PORT,
-    user: process.env.SRC_USER,
-    password: process.env.SRC_PASS,
-    database: process.env.SRC_DB,
-    application_name: 'migrateInternalMessages:source'
-  });
-
-  const dest = new Client({
-    host: process.env.DST_HOST,
-    port: process.env.DST_PORT,
-    user: process.env.DST_USER,
-    password: process.env.DST_PASS,
-    database: process.env.DST_DB,
-    application_name: 'migrateInternalMessages:dest'
-  });
-
-  await source.connect();
-  await dest.connect();
+  const db = await connectStep(ctx, 'InternalMessages');
+  const { source, dest } = db;
 
   try {
+    const checkpoint = await openCheckpoint(dest, 'InternalMessages', { tenantId, fresh: ctx.fresh, onlyIds: ctx.onlyIds, delta: ctx.delta, rejects: ctx.rejects });
+
     // —— COUNT para barra/ETA
     let countSql, countParams, selectSql, selectParams;
     if (tenantId) {
+      countParams = [tenantId];
       countSql = `
         SELECT COUNT(*)::bigint AS total
         FROM "public"."InternalMessage" im
-        WHERE EXISTS (SELECT 1 FROM "public"."Users" u WHERE u.id = im."senderId" AND u."tenantId" = $1)
-           OR EXISTS (SELECT 1 FROM "public"."Users" u2 WHERE u2.id = im."receiverId" AND u2."tenantId" = $1)
+        WHERE (EXISTS (SELECT 1 FROM "public"."Users" u WHERE u.id = im."senderId" AND u."tenantId" = $1)
+           OR EXISTS (SELECT 1 FROM "public"."Users" u2 WHERE u2.id = im."receiverId" AND u2."tenantId" = $1))
+        ${checkpoint.delta('im.id', countParams, 'AND')}
       `;
+      selectParams = [tenantId];
       selectSql = `
         SELECT *
         FROM "public"."InternalMessage" im
-        WHERE EXISTS (SELECT 1 FROM "public"."Users" u WHERE u.id = im."senderId" AND u."tenantId" = $1)
-           OR EXISTS (SELECT 1 FROM "public"."Users" u2 WHERE u2.id = im."receiverId" AND u2."tenantId" = $1)
+        WHERE (EXISTS (SELECT 1 FROM "public"."Users" u WHERE u.id = im."senderId" AND u."tenantId" = $1)
+           OR EXISTS (SELECT 1 FROM "public"."Users" u2 WHERE u2.id = im."receiverId" AND u2."tenantId" = $1))
+        ${checkpoint.where('im.id', selectParams, 'AND')}
         ORDER BY im.id
       `;
-      countParams = [tenantId];
-      selectParams = [tenantId];
     } else {
-      countSql = `SELECT COUNT(*)::bigint AS total FROM "public"."InternalMessage"`;
-      selectSql = `SELECT * FROM "public"."InternalMessage" ORDER BY id`;
       countParams = [];
+      countSql = `SELECT COUNT(*)::bigint AS total FROM "public"."InternalMessage" ${checkpoint.delta('id', countParams)}`;
       selectParams = [];
+      selectSql = `SELECT * FROM "public"."InternalMessage" ${checkpoint.where('id', selectParams)} ORDER BY id`;
     }
 
     const countRes = await source.query(countSql, countParams);
@@ -74,6 +61,7 @@ module.exports = async function migrateInternalMessages(ctx = {}) {
           ? `⚠️  Nenhuma InternalMessage para TENANT_ID=${tenantId}.`
           : '⚠️  Nenhuma InternalMessage na origem.'
       );
+      await checkpoint.clear();
       return;
     }
 
@@ -81,41 +69,23 @@ module.exports = async function migrateInternalMessages(ctx = {}) {
     const cursor = source.query(new Cursor(selectSql, selectParams));
 
     // —— Barra de progresso
-    const bar = new cliProgress.SingleBar(
-      { format: 'Progresso |{bar}| {percentage}% | {value}/{total} | ETA: {eta_formatted} | {rate} r/s', hideCursor: true },
-      cliProgress.Presets.shades_classic
-    );
-    bar.start(total, 0, { rate: '0.0' });
+    const bar = createProgressBar(ctx);
+    bar.start(total, checkpoint.processed, { rate: '0.0' });
 
     const startedAt = Date.now();
-    let processed = 0;
-    let migradas = 0;
-    let erros = 0;
-
-    // —— UPSERT (media_name='' e is_deleted=false)
-    const upsertSqlSingle = `
-      INSERT INTO internal_messages (
-        id, body, media_type, media_name, media_url, data_json, ack,
-        is_deleted, sender_id, recipient_id, group_id, is_group_message,
-        created_at, updated_at
-      ) VALUES (
-        $1, $2, $3, '', $4, $5::jsonb, $6,
-        false, $7, $8, $9, $10,
-        $11, $12
-      )
-      ON CONFLICT (id) DO UPDATE SET
-        body             = EXCLUDED.body,
-        media_type       = EXCLUDED.media_type,
-        media_url        = EXCLUDED.media_url,
-        data_json        = EXCLUDED.data_json,
-        ack              = EXCLUDED.ack,
-        is_deleted       = EXCLUDED.is_deleted,
-        sender_id        = EXCLUDED.sender_id,
-        recipient_id     = EXCLUDED.recipient_id,
-        group_id         = EXCLUDED.group_id,
-        is_group_message = EXCLUDED.is_group_message,
-        updated_at       = EXCLUDED.updated_at
-    `;
+    let processed = checkpoint.processed;
+    const counts = { inserted: 0, updated: 0, unchanged: 0, failed: 0 };
+
+    // —— UPSERT (media_name='' e is_deleted=false; media_name do destino é mantido no conflito)
+    const upsert = createUpsert({
+      table: 'internal_messages',
+      columns: [
+        'id', 'body', 'media_type', { name: 'media_name', sql: "''" }, 'media_url', { name: 'data_json', cast: 'jsonb' }, 'ack',
+        { name: 'is_deleted', sql: 'false' }, 'sender_id', 'recipient_id', 'group_id', 'is_group_message',
+        'created_at', 'updated_at'
+      ],
+      insertOnly: ['media_name', 'created_at']
+    });
 
     // —— Loop por lote
     while (true) {
@@ -124,104 +94,84 @@ module.exports = async function migrateInternalMessages(ctx = {}) {
       });
       if (!batch || batch.length === 0) break;
 
-      const placeholders = [];
-      const values = [];
-      const perRowParams = []; // fallback se batch falhar
-
-      batch.forEach((row, i) => {
-        const id = get(row, 'id');
-        const body = get(row, 'text') || '';
-        const mediaType = normalizeMedia(get(row, 'mediaType'));
-        const mediaUrl = get(row, 'mediaUrl') || '';
-        const dataJson = JSON.stringify(parseJSON(get(row, 'dataJson')));
-        const ack = normalizeAck(get(row, 'read'));
-        const senderId = get(row, 'senderId') || null;
-        const recipientId = get(row, 'receiverId') || null;
+      const rows = batch.map(row => {
         const groupId = get(row, 'groupId') || null;
-        const isGroup = !!groupId;
-        const createdAt = get(row, 'createdAt');
-        const updatedAt = get(row, 'updatedAt');
-
-        const v = [
-          id, body, mediaType, mediaUrl, dataJson, ack,
-          senderId, recipientId, groupId, isGroup, createdAt, updatedAt
+        return [
+          get(row, 'id'),
+          get(row, 'text') || '',
+          normalizeMedia(get(row, 'mediaType')),
+          get(row, 'mediaUrl') || '',
+          JSON.stringify(parseJSON(get(row, 'dataJson'))),
+          normalizeAck(get(row, 'read')),
+          get(row, 'senderId') || null,
+          get(row, 'receiverId') || null,
+          groupId,
+          !!groupId,
+          get(row, 'createdAt'),
+          get(row, 'updatedAt')
         ];
-        perRowParams.push(v);
-
-        const base = i * 12;
-        placeholders.push(
-          `($${base + 1}, $${base + 2}, $${base + 3}, '', $${base + 4}, $${base + 5}::jsonb, $${base + 6}, false, $${base + 7}, $${base + 8}, $${base + 9}, $${base + 10}, $${base + 11}, $${base + 12})`
-        );
-        values.push(...v);
       });
 
-      if (placeholders.length === 0) {
-        processed += batch.length;
-        const elapsed = (Date.now() - startedAt) / 1000;
-        bar.update(processed, { rate: (processed / Math.max(1, elapsed)).toFixed(1) });
-        continue;
-      }
-
       // —— Execução do lote
-      try {
-        await dest.query('BEGIN');
-        await dest.query('SET LOCAL synchronous_commit TO OFF');
-        await dest.query(
-          `
-          INSERT INTO internal_messages (
-            id, body, media_type, media_name, media_url, data_json, ack,
-            is_deleted, sender_id, recipient_id, group_id, is_group_message,
-            created_at, updated_at
-          ) VALUES
-            ${placeholders.join(',')}
-          ON CONFLICT (id) DO UPDATE SET
-            body             = EXCLUDED.body,
-            media_type       = EXCLUDED.media_type,
-            media_url        = EXCLUDED.media_url,
-            data_json        = EXCLUDED.data_json,
-            ack              = EXCLUDED.ack,
-            is_deleted       = EXCLUDED.is_deleted,
-            sender_id        = EXCLUDED.sender_id,
-            recipient_id     = EXCLUDED.recipient_id,
-            group_id         = EXCLUDED.group_id,
-            is_group_message = EXCLUDED.is_group_message,
-            updated_at       = EXCLUDED.updated_at
-          `,
-          values
-        );
-        await dest.query('COMMIT');
-        migradas += placeholders.length;
-      } catch (batchErr) {
-        await dest.query('ROLLBACK');
-        // —— fallback: registro a registro
-        for (const v of perRowParams) {
-          try {
-            await dest.query('BEGIN');
-            await dest.query('SET LOCAL synchronous_commit TO OFF');
-            await dest.query(upsertSqlSingle, v);
-            await dest.query('COMMIT');
-            migradas += 1;
-          } catch (rowErr) {
-            await dest.query('ROLLBACK');
-            erros += 1;
-            console.error(`❌ Erro ao migrar InternalMessage id=${v[0]}: ${rowErr.message}`);
-          }
+      addCounts(counts, await upsert.write(dest, rows, {
+        onError: (err, i) => {
+          const original = batch[i];
+          console.error(`❌ Erro ao migrar InternalMessage id=${original.id}: ${err.message}`);
+          ctx.rejects.add('internal_messages', original.id, err, { payload: original });
         }
-      }
+      }));
 
       processed += batch.length;
+      await checkpoint.save(batch[batch.length - 1].id, processed);
       const elapsed = (Date.now() - startedAt) / 1000;
       const rate = (processed / Math.max(1, elapsed)).toFixed(1);
       bar.update(processed, { rate });
     }
 
     bar.stop();
+    await checkpoint.clear();
     await new Promise((resolve, reject) => cursor.close(err => (err ? reject(err) : resolve())));
     const secs = ((Date.now() - startedAt) / 1000).toFixed(1);
-    console.log(`✅ Migradas ${migradas}/${total} InternalMessage em ${secs}s. (${erros} com erro)`);
+    const migradas = counts.inserted + counts.updated + counts.unchanged;
+    console.log(`✅ Migradas ${migradas}/${total} InternalMessage em ${secs}s (${formatCounts(counts)}).`);
   } finally {
-    await source.end();
-    await dest.end();
+    await db.release();
+  }
+};
+
+// Etapas que precisam ter rodado antes (no mesmo escopo) e tabelas escritas no destino
+module.exports.meta = {
+  dependsOn: ['Users'],
+  writes: ['internal_messages'],
+  // colunas e índices que a etapa usa nos dois bancos (node main.js preflight); o legado é lido
+  // com SELECT * e as colunas com "?" ficam vazias quando não existem
+  schema: {
+    source: {
+      InternalMessage: {
+        id: 'int', '?text': 'text', '?mediaType': 'text', '?mediaUrl': 'text', '?dataJson': 'any', '?read': 'any',
+        senderId: 'int', receiverId: 'int', '?groupId': 'int', createdAt: 'time', updatedAt: 'time'
+      },
+      Users: { id: 'int', tenantId: 'int' }
+    },
+    dest: {
+      internal_messages: {
+        id: 'int', body: 'text', media_type: 'text', media_name: 'text', media_url: 'text', data_json: 'json', ack: 'text',
+        is_deleted: 'bool', sender_id: 'int', recipient_id: 'int', group_id: 'int', is_group_message: 'bool',
+        created_at: 'time', updated_at: 'time'
+      }
+    },
+    unique: { internal_messages: [['id']] }
+  },
+  // rollback --tenant: sem company_id, o tenant vem do remetente ou do destinatário
+  rollback: {
+    internal_messages: {
+      tenant: 'sender_id IN (SELECT id FROM users WHERE company_id = $1) OR recipient_id IN (SELECT id FROM users WHERE company_id = $1)',
+      legacy: {
+        from: '"public"."InternalMessage" im JOIN "public"."Users" u ON u.id IN (im."senderId", im."receiverId")',
+        tenant: 'u."tenantId"',
+        key: 'im.id'
+      }
+    }
   }
 };
 
@@ -1,41 +1,261 @@
+// migrations/migrateMedia.js
+'use strict';
+
 require('dotenv').config();
-const chalk = require('chalk');
-const { NodeSSH } = require('node-ssh');
+const fs = require('fs-extra');
+const path = require('path');
+const { connectStep } = require('../utils/db');
+const { createProgressBar } = require('../utils/progress');
+const { scopeKeyOf } = require('../utils/stepState');
+const { TARGETS, TARGET, openTarget, openSource, mediaError } = require('../utils/mediaStorage');
+const { buildManifest } = require('../utils/mediaManifest');
+
+// Cópia dos arquivos de mídia (antes eram instruções de scp para rodar na mão).
+// A lista de arquivos sai do DESTINO já migrado, no escopo do tenant: messages.media_name,
+// campaigns.media_path e contacts.profile_pic_url (só os que apontam para /public/; fotos
+// hospedadas fora, como as do WhatsApp, são ignoradas). Só esses arquivos são copiados.
+//   origem  → SFTP em SRC_SSH_*, a partir de MEDIA_SRC_DIR (arquivos em <tenant>/<nome>)
+//   destino → MEDIA_TARGET: sftp (DST_SSH_* + MEDIA_DST_DIR, padrão), local ou s3 (utils/mediaStorage.js),
+//             mantendo o caminho relativo (1/arquivo.jpg → <destino>/1/arquivo.jpg)
+// Arquivo menor no destino é retomado de onde parou (no s3 é enviado de novo); de tamanho igual é
+// mantido; maior é copiado de novo. MEDIA_VERIFY=size (padrão) confere o tamanho; checksum também
+// compara sha256 nos dois lados. MEDIA_REWRITE=key|url troca messages.media_name pela chave/URL nova.
+const VERIFY = String(process.env.MEDIA_VERIFY || 'size').trim().toLowerCase();
+const REWRITE = String(process.env.MEDIA_REWRITE || 'off').trim().toLowerCase();
+const PARALLEL = Math.max(1, Number(process.env.MEDIA_PARALLEL || 4));
+const MISSING_SAMPLES = 10;
+const REWRITE_CHUNK = 1000;
+
+module.exports = async function migrateMedia(ctx = {}) {
+  console.log('🖼️ Copiando arquivos de mídia (origem → destino)...');
+
+  if (!TARGETS.includes(TARGET)) {
+    throw new Error(`MEDIA_TARGET inválido: "${TARGET}" (use ${TARGETS.join(', ')}).`);
+  }
+  if (!['size', 'checksum'].includes(VERIFY)) {
+    throw new Error(`MEDIA_VERIFY inválido: "${VERIFY}" (use size ou checksum).`);
+  }
+  if (!['off', 'key', 'url'].includes(REWRITE)) {
+    throw new Error(`MEDIA_REWRITE inválido: "${REWRITE}" (use key, url ou off).`);
+  }
 
-const ssh = new NodeSSH();
+  const tenantId =
+    ctx.tenantId != null && String(ctx.tenantId).trim() !== ''
+      ? String(ctx.tenantId).trim()
+      : (process.env.TENANT_ID ? String(process.env.TENANT_ID).trim() : null);
 
-module.exports = async function migrateMedia() {
-  console.log(chalk.blue('🔐 Verificando conexão com o servidor de destino...'));
+  const dst = await openTarget(TARGET, ctx);
+  let src = null;
+  let resultLog = null;
 
   try {
-    await ssh.connect({
-      host: process.env.DST_SSH_HOST,
-      username: process.env.DST_SSH_USER,
-      password: process.env.DST_SSH_PASSWORD,
-      port: process.env.DST_SSH_PORT || 22,
+    if (REWRITE === 'url' && !dst.publicUrl) {
+      throw new Error('MEDIA_REWRITE=url precisa de MEDIA_PUBLIC_URL (base das URLs novas).');
+    }
+
+    // 1) Manifesto: arquivos referenciados no destino (a conexão é devolvida antes da cópia)
+    const db = await connectStep(ctx, 'MediaFiles');
+    let manifest;
+    try {
+      manifest = await buildManifest(db.dest, tenantId, dst);
+    } finally {
+      await db.release();
+    }
+    // reprocessamento da quarentena: os ids são os caminhos relativos rejeitados antes
+    const onlyIds = ctx.onlyIds ? new Set(ctx.onlyIds.map(String)) : null;
+    const entries = manifest.entries.filter(e => e.pending && (!onlyIds || onlyIds.has(e.rel)));
+
+    console.log(
+      `   • ${entries.length} arquivo(s) referenciado(s) ` +
+      `(mensagens: ${manifest.byOrigin.messages}, campanhas: ${manifest.byOrigin.campaigns}, contatos: ${manifest.byOrigin.contacts})` +
+      `${manifest.external ? `; ${manifest.external} URL(s) externa(s) ignorada(s)` : ''}` +
+      `${manifest.rewritten ? `; ${manifest.rewritten} já apontando para o destino` : ''}`
+    );
+    if (!entries.length) {
+      console.log(
+        tenantId ? `⚠️  Nenhum arquivo de mídia referenciado para TENANT_ID=${tenantId}.`
+                 : '⚠️  Nenhum arquivo de mídia referenciado no destino.'
+      );
+      return;
+    }
+
+    src = await openSource(ctx);
+    console.log(`   • origem : ${src.describe()}`);
+    console.log(`   • destino: ${dst.describe()} (${TARGET})`);
+
+    // Uma linha JSON por arquivo: caminho, status, bytes copiados, tempo e erro
+    const logDir = path.resolve(__dirname, '..', 'logs', scopeKeyOf(ctx));
+    await fs.ensureDir(logDir);
+    const logFile = path.join(logDir, `media-files-${String(ctx.runId || new Date().toISOString()).replace(/[:.]/g, '-')}.jsonl`);
+    resultLog = fs.createWriteStream(logFile, { flags: 'a' });
+
+    const bar = createProgressBar(ctx);
+    bar.start(entries.length, 0, { rate: '0.0' });
+
+    const startedAt = Date.now();
+    const counts = { copied: 0, resumed: 0, skipped: 0, planned: 0, missing: 0, failed: 0 };
+    const missingSamples = [];
+    const rewrites = [];
+    let bytes = 0;
+    let done = 0;
+
+    await eachLimit(entries, PARALLEL, async entry => {
+      const t0 = Date.now();
+      const base = { path: entry.rel, tenant: entry.tenant, origins: entry.origins };
+      let line;
+      try {
+        const file = await src.find(entry.candidates);
+        if (!file) {
+          counts.missing++;
+          if (missingSamples.length < MISSING_SAMPLES) missingSamples.push(`${entry.rel} (${entry.origins.join(', ')})`);
+          line = { ...base, status: 'missing', ref: entry.ref };
+          ctx.rejects.add('media_files', entry.rel, 'arquivo referenciado não encontrado na origem', {
+            tenantId: entry.tenant,
+            code: 'missing_source_file',
+            payload: { ref: entry.ref, origins: entry.origins, candidates: entry.candidates }
+          });
+        } else {
+          const r = await transferFile(file, src, dst, { dryRun: !!ctx.dryRun });
+          counts[r.status]++;
+          bytes += r.bytes;
+          line = { ...base, source: file.rel, size: file.size, ...r };
+          if (REWRITE !== 'off' && entry.messageRefs.length) {
+            const value = REWRITE === 'url' ? dst.urlOf(file.rel) : dst.keyOf(file.rel);
+            line.rewrite = value;
+            for (const ref of entry.messageRefs) rewrites.push({ tenant: entry.tenant, ref, value });
+          }
+        }
+      } catch (err) {
+        counts.failed++;
+        line = { ...base, status: 'failed', error: err.message };
+        console.error(`❌ Erro ao copiar ${entry.rel}: ${err.message}`);
+        ctx.rejects.add('media_files', entry.rel, err, {
+          tenantId: entry.tenant,
+          code: err.reason || 'transfer_failed',
+          payload: { ref: entry.ref, origins: entry.origins }
+        });
+      }
+      resultLog.write(`${JSON.stringify({ ...line, ms: Date.now() - t0 })}\n`);
+
+      done++;
+      const elapsed = (Date.now() - startedAt) / 1000;
+      bar.update(done, { rate: (done / Math.max(1, elapsed)).toFixed(1) });
     });
 
-    console.log(chalk.green('✅ Conexão com servidor de destino verificada com sucesso.'));
-  } catch (err) {
-    console.warn(chalk.yellow('⚠️ Não foi possível verificar conexão com o destino. Continuando...'));
+    bar.stop();
+    const secs = ((Date.now() - startedAt) / 1000).toFixed(1);
+    const mb = (bytes / 1024 / 1024).toFixed(1);
+    if (ctx.dryRun) {
+      console.log(`🧪 ${counts.planned} arquivo(s) seriam copiados (${mb} MB); ${counts.skipped} já estão no destino.`);
+    } else {
+      console.log(
+        `✅ Mídias: ${counts.copied} copiada(s), ${counts.resumed} retomada(s), ${counts.skipped} já no destino ` +
+        `— ${mb} MB em ${secs}s.${counts.failed ? ` (${counts.failed} com erro)` : ''}`
+      );
+    }
+    if (counts.missing) {
+      console.log(`⚠️  ${counts.missing} arquivo(s) referenciado(s) não existem na origem, ex.: ${missingSamples.join('; ')}`);
+    }
+
+    // 2) Só arquivos que estão (ou estariam, no dry-run) no destino têm a referência trocada
+    if (rewrites.length) {
+      const updated = await rewriteMessages(ctx, rewrites);
+      console.log(`🔁 messages.media_name reescrito (${REWRITE}) em ${updated} mensagem(ns).`);
+    }
+    console.log(`📝 Resultado por arquivo: ${logFile}`);
+  } finally {
+    if (resultLog) await new Promise(resolve => resultLog.end(resolve));
+    if (src) src.close();
+    dst.close();
   }
+};
 
-  ssh.dispose();
+// Etapas que precisam ter rodado antes (no mesmo escopo) e tabelas escritas no destino
+module.exports.meta = {
+  dependsOn: ['Messages', 'Campaigns', 'Contacts'],
+  writes: REWRITE !== 'off' ? ['messages'] : [],
+  // colunas que a etapa usa no destino (node main.js preflight); os arquivos vêm do disco
+  schema: {
+    dest: {
+      messages: { ticket_id: 'int', media_name: 'text' },
+      tickets: { id: 'int', company_id: 'int' }
+    }
+  }
+};
 
-  console.log('\n📦 Esta etapa precisa ser executada manualmente. Siga as instruções abaixo:\n');
+// —— helpers
 
-  console.log(chalk.yellow('1️⃣  Acesse o servidor de destino:'));
-  console.log(chalk.cyan(`ssh ${process.env.DST_SSH_USER}@${process.env.DST_SSH_HOST}`));
+/**
+ * Copia um arquivo (ou só calcula o que faria, em dry-run).
+ * Retorna { status: copied|resumed|skipped|planned, bytes, sha256? }; lança com err.reason em caso de falha.
+ */
+async function transferFile(file, src, dst, { dryRun }) {
+  const current = await dst.stat(file.rel);
+  if (current && current.size === file.size) return { status: 'skipped', bytes: 0 };
 
-  console.log(chalk.yellow('\n2️⃣  Execute o seguinte comando no servidor de destino:'));
-  console.log(
-    chalk.greenBright(
-      `scp -o StrictHostKeyChecking=no -r ${process.env.SRC_SSH_USER}@${process.env.SRC_SSH_HOST}:${'/www/wwwroot/omniathostec/backend/public/'}* ${'/New-Omni/backend/public/media/'}`
-    )
-  );
+  let offset = dst.canResume && current && current.size < file.size ? current.size : 0;
+  if (dryRun) return { status: 'planned', bytes: file.size - offset, resumeFrom: offset || undefined };
 
-  console.log(chalk.yellow('\n💡 Será solicitada a senha do servidor de origem (usuário "athostec").'));
-  console.log(chalk.yellow('💾 Após a transferência, os arquivos estarão disponíveis no novo servidor.\n'));
+  for (;;) {
+    await dst.put(file.rel, start => src.read(file.rel, start), { offset, size: file.size });
 
-  return true;
-};
+    const after = await dst.stat(file.rel);
+    if (!after || after.size !== file.size) {
+      throw mediaError('size_mismatch', `tamanho no destino (${after ? after.size : 0}) diferente da origem (${file.size})`);
+    }
+    if (VERIFY !== 'checksum' || !dst.sha256) return { status: offset ? 'resumed' : 'copied', bytes: file.size - offset };
+
+    const [a, b] = await Promise.all([src.sha256(file.rel), dst.sha256(file.rel)]);
+    if (a === b) return { status: offset ? 'resumed' : 'copied', bytes: file.size - offset, sha256: a };
+    // o pedaço já existente podia estar corrompido: copia inteiro uma vez antes de desistir
+    if (!offset) throw mediaError('checksum_mismatch', `sha256 diferente (origem ${a}, destino ${b})`);
+    offset = 0;
+  }
+}
+
+/**
+ * Troca messages.media_name (valor antigo → chave/URL nova) numa única passada pela tabela:
+ * os pares vão para uma tabela temporária e o UPDATE é um join. Retorna as linhas alteradas.
+ */
+async function rewriteMessages(ctx, rewrites) {
+  const db = await connectStep(ctx, 'MediaFiles');
+  const { dest } = db;
+  try {
+    await dest.query('BEGIN');
+    await dest.query(`
+      CREATE TEMP TABLE media_rewrites (tenant text, ref text, value text) ON COMMIT DROP
+    `);
+    for (let i = 0; i < rewrites.length; i += REWRITE_CHUNK) {
+      const chunk = rewrites.slice(i, i + REWRITE_CHUNK);
+      await dest.query(
+        'INSERT INTO media_rewrites SELECT * FROM unnest($1::text[], $2::text[], $3::text[])',
+        [chunk.map(r => r.tenant), chunk.map(r => r.ref), chunk.map(r => r.value)]
+      );
+    }
+    await dest.query('ANALYZE media_rewrites');
+    const { rowCount } = await dest.query(`
+      UPDATE messages m
+         SET media_name = r.value
+        FROM media_rewrites r, tickets t
+       WHERE m.media_name = r.ref
+         AND t.id = m.ticket_id
+         AND t.company_id::text = r.tenant
+    `);
+    await dest.query('COMMIT');
+    return rowCount;
+  } catch (err) {
+    await dest.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    await db.release();
+  }
+}
+
+// Executa fn sobre os itens com no máximo `limit` em paralelo
+async function eachLimit(items, limit, fn) {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) await fn(items[next++]);
+  });
+  await Promise.all(workers);
+}
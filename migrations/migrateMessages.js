@@ -2,15 +2,21 @@
 'use strict';
 
 require('dotenv').config();
-const { Client } = require('pg');
+const crypto = require('crypto');
+const { connectStep } = require('../utils/db');
 const Cursor = require('pg-cursor');
-const cliProgress = require('cli-progress');
+const { createProgressBar } = require('../utils/progress');
+const { openCheckpoint } = require('../utils/checkpoint');
+const { epoch } = require('../utils/verify');
+const { copyEnabled, ensureStage, copyRows } = require('../utils/copyLoad');
+const { ensureIdMap, recordIds, lookupIds } = require('../utils/idMap');
 
 /**
  * ENV (opcionais):
  *   BATCH_SIZE=500
  *   LOG_EVERY=1
  *   INSERT_CHUNK=500           # tamanho máximo por INSERT multi-row (padrão = BATCH_SIZE)
+ *   LOAD_MODE=copy             # lote por COPY + merge set-based (utils/copyLoad.js); padrão insert
  */
 const BATCH_SIZE  = Number(process.env.BATCH_SIZE  || 500);
 const LOG_EVERY   = Number(process.env.LOG_EVERY   || 1);
@@ -23,67 +29,81 @@ module.exports = async function migrateMessages(ctx = {}) {
     ctx.tenantId != null && String(ctx.tenantId).trim() !== ''
       ? String(ctx.tenantId).trim()
       : (process.env.TENANT_ID ? String(process.env.TENANT_ID).trim() : null);
+  const useCopy = copyEnabled();
 
-  const source = new Client({
-    host: process.env.SRC_HOST,  port: process.env.SRC_PORT,
-    user: process.env.SRC_USER,  password: process.env.SRC_PASS,
-    database: process.env.SRC_DB, application_name: 'migrateMessages:source'
-  });
-  const dest = new Client({
-    host: process.env.DST_HOST,  port: process.env.DST_PORT,
-    user: process.env.DST_USER,  password: process.env.DST_PASS,
-    database: process.env.DST_DB, application_name: 'migrateMessages:dest'
-  });
-
-  await source.connect();
-  await dest.connect();
+  const db = await connectStep(ctx, 'Messages');
+  const { source, dest } = db;
 
   try {
+    // —— Checkpoint (retoma após o último lote confirmado de uma execução interrompida). O watermark
+    //    é por id: a etapa só insere as mensagens que faltam (não atualiza as existentes, fora da
+    //    replicação), então a passada incremental só precisa das novas
+    const checkpoint = await openCheckpoint(dest, 'Messages', {
+      tenantId, fresh: ctx.fresh, onlyIds: ctx.onlyIds, delta: ctx.delta, rejects: ctx.rejects, deltaColumn: 'id'
+    });
+
     // —— Count p/ ETA
+    const countParams = tenantId ? [tenantId] : [];
     const countSql = tenantId
       ? `
         SELECT COUNT(*)::bigint AS total
         FROM "public"."Messages" m
         JOIN "public"."Tickets" t ON t."id" = m."ticketId"
         WHERE t."tenantId" = $1
+        ${checkpoint.delta('m."id"', countParams, 'AND')}
       `
-      : `SELECT COUNT(*)::bigint AS total FROM "public"."Messages"`;
-    const countRes = await source.query(countSql, tenantId ? [tenantId] : []);
+      : `SELECT COUNT(*)::bigint AS total FROM "public"."Messages" ${checkpoint.delta('"id"', countParams)}`;
+    const countRes = await source.query(countSql, countParams);
     const total = Number(countRes.rows[0]?.total || 0);
     if (!total) {
       console.log(tenantId
         ? `⚠️  Nenhuma mensagem para TENANT_ID=${tenantId}.`
         : '⚠️  Nenhuma mensagem na origem.');
+      await checkpoint.clear();
       return;
     }
     console.log(`📦 Total na origem${tenantId ? ` (tenant ${tenantId})` : ''}: ${total}`);
+    if (useCopy) console.log('🚚 LOAD_MODE=copy: lotes por COPY para staging + merge set-based.');
+
+    const resuming = checkpoint.lastId != null;
+    // reprocessamento da quarentena: o staging de uma execução em andamento não é mexido
+    const retrying = !!checkpoint.onlyIds;
 
     // —— Cursor server-side
+    const selectParams = tenantId ? [tenantId] : [];
     const selectSql = tenantId
       ? `
         SELECT m.*
         FROM "public"."Messages" m
         JOIN "public"."Tickets" t ON t."id" = m."ticketId"
         WHERE t."tenantId" = $1
+        ${checkpoint.where('m."id"', selectParams, 'AND')}
         ORDER BY m."id"
       `
-      : `SELECT * FROM "public"."Messages" ORDER BY "id"`;
-    const cursor = source.query(new Cursor(selectSql, tenantId ? [tenantId] : []));
-
-    // —— Staging temporário (sem ON COMMIT DROP)
-    await dest.query(`CREATE TEMP TABLE tmp_msg_map (old_id text PRIMARY KEY, new_id bigint NOT NULL)`);
-    await dest.query(`CREATE TEMP TABLE tmp_quotes  (new_id bigint NOT NULL, quoted_old text NOT NULL)`);
+      : `SELECT * FROM "public"."Messages" ${checkpoint.where('"id"', selectParams)} ORDER BY "id"`;
+    const cursor = source.query(new Cursor(selectSql, selectParams));
+
+    // —— old_id → new_id no mapa permanente (utils/idMap.js), que não é limpo no fim: quotes de
+    //    execuções anteriores e os scripts avulsos resolvem por ele. As quotes pendentes ficam num
+    //    staging UNLOGGED por escopo, que precisa sobreviver a uma queda do processo
+    const scope = checkpoint.scope;
+    await ensureIdMap(dest);
+    await dest.query(`
+      CREATE UNLOGGED TABLE IF NOT EXISTS migration_msg_quotes (
+        scope text NOT NULL, new_id bigint NOT NULL, quoted_old text NOT NULL
+      )
+    `);
+    if (!resuming && !retrying) {
+      await dest.query('DELETE FROM migration_msg_quotes WHERE scope = $1', [scope]);
+    }
 
     // —— Barra de progresso
-    const bar = new cliProgress.SingleBar(
-      { format: 'Progresso |{bar}| {percentage}% | {value}/{total} | ETA: {eta_formatted} | {rate} r/s', hideCursor: true },
-      cliProgress.Presets.shades_classic
-    );
-    bar.start(total, 0, { rate: '0.0' });
+    const bar = createProgressBar(ctx);
+    bar.start(total, checkpoint.processed, { rate: '0.0' });
 
     const startedAt = Date.now();
-    let processed = 0;            // lidos da origem
-    let migratedMapCount = 0;     // mapeados (existentes + inseridos) para tmp_msg_map
+    let processed = checkpoint.processed; // lidos da origem (inclui execução anterior retomada)
+    let migratedMapCount = 0;     // mapeados (existentes + inseridos) em migration_id_map
     let reactionsTotal = 0;       // reactions inseridas
     let quotesTotal = 0;          // linhas em tmp_quotes
     let batchNo = 0;
@@ -100,147 +120,36 @@ module.exports = async function migrateMessages(ctx = {}) {
       if (!rows || rows.length === 0) break;
       batchNo++;
 
-      // 1) Monta payloads + chaves p/ dedupe
+      // 1) Monta payloads
       const payloads = rows.map(buildPayload);
 
-      const withMsg = [];                // [[ticket_id, message_id]]
-      const withMsgKeyToOld = new Map(); // "mid:ticket#msgid" -> [oldId...]
-      const noMsg = [];                  // [[ticket_id, from_me, created_at, body_norm]]
-      const noMsgKeyToOld = new Map();   // "fb:ticket#from#created#body" -> [oldId...]
-
-      for (const p of payloads) {
-        if (p.message_id) {
-          const key = keyWithMsg(p.ticket_id, p.message_id);
-          withMsg.push([p.ticket_id, p.message_id]);
-          pushKey(withMsgKeyToOld, key, String(p.__old_id));
-        } else {
-          const key = keyNoMsg(p.ticket_id, p.from_me, p.created_at, p.body || '');
-          noMsg.push([p.ticket_id, !!p.from_me, p.created_at, p.body || '']);
-          pushKey(noMsgKeyToOld, key, String(p.__old_id));
-        }
-      }
-
-      // 2) Busca existentes em lote
-      const existingOldToNew = new Map();
-
-      // 2a) com message_id
-      if (withMsg.length) {
-        const placeholders = withMsg.map((_, i) => `($${i * 2 + 1}, $${i * 2 + 2})`).join(',');
-        const vals = withMsg.flat();
-        const { rows: ex } = await dest.query(
-          `SELECT id, ticket_id, message_id FROM messages WHERE (ticket_id, message_id) IN (${placeholders})`,
-          vals
-        );
-        for (const m of ex) {
-          const key = keyWithMsg(m.ticket_id, m.message_id);
-          const olds = withMsgKeyToOld.get(key) || [];
-          for (const oldId of olds) existingOldToNew.set(oldId, m.id);
-        }
+      // 1b) Replicação (ctx.refreshExisting): as já mapeadas em migration_id_map são atualizadas no
+      //     lugar — uma edição muda o body, e o dedupe sem message_id criaria uma cópia
+      const refreshed = ctx.refreshExisting ? await refreshMapped(dest, payloads) : new Map();
+      const pending = refreshed.size ? payloads.filter(p => !refreshed.has(p.__old_id)) : payloads;
+      const pendingRows = refreshed.size ? rows.filter(r => !refreshed.has(String(get(r, 'id')))) : rows;
+
+      // 2–4) Existentes pelo dedupe e inserção dos que faltam. Com LOAD_MODE=copy o lote vai por
+      //      COPY + merge set-based; se falhar, é refeito pelo INSERT (que isola JSON/texto ruim)
+      let written = null;
+      if (!pending.length) {
+        written = { existingOldToNew: new Map(), insertedMap: new Map(), toInsert: 0, skipped: 0, failedEvenEmpty: 0 };
       }
-
-      // 2b) sem message_id (fallback)
-      if (noMsg.length) {
-        const placeholders = noMsg.map((_, i) =>
-          `($${i * 4 + 1}::bigint, $${i * 4 + 2}::boolean, $${i * 4 + 3}::timestamptz, $${i * 4 + 4}::text)`
-        ).join(',');
-        const vals = noMsg.flat();
-        const { rows: ex } = await dest.query(
-          `
-          WITH v(ticket_id, from_me, created_at, body_norm) AS (VALUES ${placeholders})
-          SELECT m.id, m.ticket_id, m.from_me, m.created_at, COALESCE(m.body,'') AS body_norm
-          FROM v
-          JOIN messages m
-            ON m.ticket_id = v.ticket_id
-           AND m.from_me   = v.from_me
-           AND m.created_at= v.created_at
-           AND COALESCE(m.body,'') = v.body_norm
-           AND m.message_id IS NULL
-          `,
-          vals
-        );
-        for (const m of ex) {
-          const key = keyNoMsg(m.ticket_id, m.from_me, m.created_at, m.body_norm);
-          const olds = noMsgKeyToOld.get(key) || [];
-          for (const oldId of olds) existingOldToNew.set(oldId, m.id);
+      if (!written && useCopy) {
+        try {
+          written = await copyBatch(dest, pending);
+        } catch (err) {
+          console.log(`⚠️  COPY do lote #${batchNo} falhou (${err.message}); gravando por INSERT…`);
         }
       }
+      if (!written) written = await insertBatch(dest, ctx, tenantId, pending, pendingRows);
 
-      // 3) Separa os que faltam inserir
-      const toInsert = payloads.filter(p => !existingOldToNew.has(String(p.__old_id)));
+      const { existingOldToNew, insertedMap } = written;
+      for (const [oldId, newId] of refreshed) existingOldToNew.set(oldId, newId);
       const alreadyExist = existingOldToNew.size;
-      const toInsertCount = toInsert.length;
-
-      // 4) INSERT multi-row (RETURNING p/ mapear) — com fallback item-a-item em caso de JSON ruim
-      let insertedMap = new Map(); // old -> new
-      let skippedThisBatch = 0;
-      let failedEvenEmptyThisBatch = 0;
-
-      if (toInsert.length) {
-        // fatiar o batch de inserts em chunks
-        const chunks = chunkify(toInsert, INSERT_CHUNK);
-        for (const chunk of chunks) {
-          try {
-            const { placeholders, values } = buildInsertPlaceholders(chunk);
-            const sql = makeInsertSQL(placeholders);
-            await dest.query('BEGIN');
-            await dest.query('SET LOCAL synchronous_commit TO OFF');
-            const { rows: ret } = await dest.query(sql, values);
-            await dest.query('COMMIT');
-
-            // monta índice por chave p/ achar oldIds
-            const mapWith = new Map(); // keyWith -> newId
-            const mapNo = new Map();   // keyNo   -> newId
-            for (const r of ret) {
-              if (r.message_id) {
-                mapWith.set(keyWithMsg(r.ticket_id, r.message_id), r.id);
-              } else {
-                mapNo.set(keyNoMsg(r.ticket_id, r.from_me, r.created_at, r.body_norm), r.id);
-              }
-            }
-            for (const p of chunk) {
-              if (p.message_id) {
-                const newId = mapWith.get(keyWithMsg(p.ticket_id, p.message_id));
-                if (newId) insertedMap.set(String(p.__old_id), newId);
-              } else {
-                const newId = mapNo.get(keyNoMsg(p.ticket_id, p.from_me, p.created_at, p.body || ''));
-                if (newId) insertedMap.set(String(p.__old_id), newId);
-              }
-            }
-          } catch (e) {
-            await dest.query('ROLLBACK');
-            if (/unsupported Unicode escape sequence|invalid input syntax for type json/i.test(e.message)) {
-              console.warn('⚠️  Lote com JSON/texto inválido; tentando item a item para isolar…');
-              for (const p of chunk) {
-                try {
-                  const { placeholders, values } = buildInsertPlaceholders([p]);
-                  const sql1 = makeInsertSQL(placeholders);
-                  const { rows: one } = await dest.query(sql1, values);
-                  const r = one[0];
-                  const newId = r.id;
-                  insertedMap.set(String(p.__old_id), newId);
-                } catch (e1) {
-                  console.error(`❌ Pulando old_id=${p.__old_id} por JSON/texto inválido:`, e1.message);
-                  skippedThisBatch++;
-                  // último recurso: tenta com data_json vazio
-                  try {
-                    const p2 = { ...p, data_json: {} };
-                    const { placeholders, values } = buildInsertPlaceholders([p2]);
-                    const sql2 = makeInsertSQL(placeholders);
-                    const { rows: one2 } = await dest.query(sql2, values);
-                    insertedMap.set(String(p.__old_id), one2[0].id);
-                    skippedThisBatch--; // conseguiu salvar com data_json {}
-                  } catch (e2) {
-                    console.error(`❌ Falhou até com data_json vazio old_id=${p.__old_id}:`, e2.message);
-                    failedEvenEmptyThisBatch++;
-                  }
-                }
-              }
-            } else {
-              throw e;
-            }
-          }
-        }
-      }
+      const toInsertCount = written.toInsert;
+      const skippedThisBatch = written.skipped;
+      const failedEvenEmptyThisBatch = written.failedEvenEmpty;
 
       const insertedCount = insertedMap.size;
       const skippedCount = Math.max(0, toInsertCount - insertedCount); // estimado (inclui os realmente pulados)
@@ -253,11 +162,11 @@ module.exports = async function migrateMessages(ctx = {}) {
       for (const [oldId, newId] of insertedMap)      pairs.push([oldId, newId]);
 
       if (pairs.length) {
-        const { tuples, vals } = buildPairs(pairs);
-        await dest.query(
-          `INSERT INTO tmp_msg_map (old_id, new_id) VALUES ${tuples} ON CONFLICT (old_id) DO NOTHING`,
-          vals
-        );
+        // tenant de cada mensagem: o do filtro ou, sem filtro, o company_id do ticket no destino
+        const tenantOf = tenantId ? () => tenantId : await ticketTenants(dest, payloads);
+        await recordIds(dest, 'messages', pairs.map(([oldId, newId]) => [oldId, newId, tenantOf(oldId)]), {
+          runId: ctx.runId
+        });
       }
 
       // 6) Staging de quotes do lote
@@ -271,8 +180,12 @@ module.exports = async function migrateMessages(ctx = {}) {
         }
       }
       if (quotes.length) {
-        const { tuples, vals } = buildPairs(quotes);
-        await dest.query(`INSERT INTO tmp_quotes (new_id, quoted_old) VALUES ${tuples}`, vals);
+        const { tuples, vals } = buildPairs(quotes, 1);
+        await dest.query(
+          `INSERT INTO migration_msg_quotes (scope, new_id, quoted_old)
+           SELECT $1, v.new_id::bigint, v.quoted_old FROM (VALUES ${tuples}) v(new_id, quoted_old)`,
+          [scope, ...vals]
+        );
       }
       quotesTotal += quotes.length;
 
@@ -312,6 +225,7 @@ module.exports = async function migrateMessages(ctx = {}) {
 
       migratedMapCount += pairs.length;
       processed += rows.length;
+      await checkpoint.save(get(rows[rows.length - 1], 'id'), processed);
 
       existingTotal  += alreadyExist;
       toInsertTotal  += toInsertCount;
@@ -347,15 +261,26 @@ module.exports = async function migrateMessages(ctx = {}) {
       `
       UPDATE messages m
       SET quoted_msg_id = mm2.new_id
-      FROM tmp_quotes tq
-      JOIN tmp_msg_map mm2 ON mm2.old_id = tq.quoted_old
-      WHERE m.id = tq.new_id
-      `
+      FROM migration_msg_quotes tq
+      JOIN migration_id_map mm2 ON mm2.entity = 'messages' AND mm2.legacy_id = tq.quoted_old
+      WHERE tq.scope = $1 AND m.id = tq.new_id
+      `,
+      [scope]
     );
 
-    // Limpeza (seriam dropadas ao fechar a conexão)
-    await dest.query('DROP TABLE IF EXISTS tmp_quotes');
-    await dest.query('DROP TABLE IF EXISTS tmp_msg_map');
+    // Limpeza do staging do escopo e do checkpoint (etapa concluída; o mapa de ids fica). No
+    // reprocessamento (quarentena, replicação) saem só as quotes já resolvidas pelo UPDATE acima
+    if (!retrying) {
+      await dest.query('DELETE FROM migration_msg_quotes WHERE scope = $1', [scope]);
+    } else {
+      await dest.query(
+        `DELETE FROM migration_msg_quotes tq
+          USING migration_id_map mm
+          WHERE tq.scope = $1 AND mm.entity = 'messages' AND mm.legacy_id = tq.quoted_old`,
+        [scope]
+      );
+    }
+    await checkpoint.clear();
 
     bar.stop();
     const secs = ((Date.now() - startedAt) / 1000).toFixed(1);
@@ -374,8 +299,75 @@ module.exports = async function migrateMessages(ctx = {}) {
     console.log(`   • Estimativa restantes:       ${remainingEstFinal}`);
     console.log(`✅ Mensagens mapeadas (inseridas + existentes): ${migratedMapCount}/${total} em ${secs}s.`);
   } finally {
-    await source.end();
-    await dest.end();
+    await db.release();
+  }
+};
+
+// Etapas que precisam ter rodado antes (no mesmo escopo), tabelas escritas no destino
+// e como conferir origem × destino (node main.js verify)
+module.exports.meta = {
+  dependsOn: ['Tickets'],
+  writes: ['messages', 'message_reactions'],
+  // colunas e índices que a etapa usa nos dois bancos (node main.js preflight); o legado é lido
+  // com SELECT * e as colunas com "?" ficam nulas quando não existem
+  schema: {
+    source: {
+      Messages: {
+        id: 'int', ticketId: 'int', body: 'text', '?edited': 'text', mediaType: 'text', mediaUrl: 'text',
+        messageId: 'text', '?dataJson': 'any', '?status': 'any', isDeleted: 'bool', fromMe: 'bool', '?userId': 'int',
+        '?contactId': 'int', '?scheduleDate': 'time', '?quotedMsgId': 'any', '?reaction': 'any',
+        createdAt: 'time', updatedAt: 'time'
+      },
+      Tickets: { id: 'int', tenantId: 'int' }
+    },
+    dest: {
+      messages: {
+        id: 'int', ticket_id: 'int', body: 'text', edited_body: 'text', media_type: 'text', media_name: 'text',
+        message_id: 'text', data_json: 'json', ack: 'text', message_status: 'json', is_deleted: 'bool', from_me: 'bool',
+        user_id: 'int', contact_id: 'int', schedule_date: 'time', quoted_msg_id: 'int', created_at: 'time', updated_at: 'time'
+      },
+      message_reactions: { message_id: 'int', user_id: 'int', contact_id: 'int', emoji: 'text', created_at: 'time' },
+      tickets: { id: 'int', company_id: 'int' }
+    },
+    unique: { messages: [['ticket_id', 'message_id']] }
+  },
+  // rollback --tenant: sem company_id, o tenant vem do ticket; as migradas estão no mapa de ids
+  rollback: {
+    messages: {
+      tenant: 'ticket_id IN (SELECT id FROM tickets WHERE company_id = $1)',
+      migrated: "id IN (SELECT new_id FROM migration_id_map WHERE entity = 'messages')"
+    },
+    message_reactions: {
+      tenant: 'message_id IN (SELECT m.id FROM messages m JOIN tickets t ON t.id = m.ticket_id WHERE t.company_id = $1)',
+      migrated: "message_id IN (SELECT new_id FROM migration_id_map WHERE entity = 'messages')"
+    }
+  },
+  verify: {
+    // os ids mudam: a chave é a mesma do dedupe da etapa (keyWithMsg / keyNoMsg)
+    source: {
+      from: '"public"."Messages" m JOIN "public"."Tickets" t ON t."id" = m."ticketId"',
+      tenant: 't."tenantId"',
+      textKey: true,
+      key: messageKey('m."ticketId"', `NULLIF(m."messageId", '')`, 'm."fromMe"', 'm."createdAt"', 'm."body"'),
+      label: 'm."id"',
+      columns: [
+        `NULLIF(m."body", '')`,
+        `CASE WHEN COALESCE(NULLIF(m."mediaType", ''), 'text') IN ('conversation', 'extendedTextMessage', 'chat')
+              THEN 'text' ELSE COALESCE(NULLIF(m."mediaType", ''), 'text') END`,
+        `COALESCE(m."mediaUrl", '')`,
+        'COALESCE(m."fromMe", false)',
+        'COALESCE(m."isDeleted", false)',
+        epoch('m."createdAt"')
+      ]
+    },
+    dest: {
+      from: 'messages m JOIN tickets t ON t.id = m.ticket_id',
+      tenant: 't.company_id',
+      textKey: true,
+      key: messageKey('m.ticket_id', 'm.message_id', 'm.from_me', 'm.created_at', 'm.body'),
+      label: 'm.id',
+      columns: ['m.body', 'm.media_type', 'm.media_name', 'm.from_me', 'm.is_deleted', epoch('m.created_at')]
+    }
   }
 };
 
@@ -467,6 +459,258 @@ function buildPayload(row) {
   };
 }
 
+/**
+ * Grava o lote pelo caminho de INSERT: busca os existentes pelo dedupe (keyWithMsg / keyNoMsg),
+ * insere os que faltam em INSERT multi-row e, se o JSON/texto de um chunk for recusado, item a item.
+ * Retorna { existingOldToNew, insertedMap, toInsert, skipped, failedEvenEmpty }.
+ */
+async function insertBatch(dest, ctx, tenantId, payloads, rows) {
+  const withMsg = [];                // [[ticket_id, message_id]]
+  const withMsgKeyToOld = new Map(); // "mid:ticket#msgid" -> [oldId...]
+  const noMsg = [];                  // [[ticket_id, from_me, created_at, body_norm]]
+  const noMsgKeyToOld = new Map();   // "fb:ticket#from#created#body" -> [oldId...]
+
+  for (const p of payloads) {
+    if (p.message_id) {
+      const key = keyWithMsg(p.ticket_id, p.message_id);
+      withMsg.push([p.ticket_id, p.message_id]);
+      pushKey(withMsgKeyToOld, key, String(p.__old_id));
+    } else {
+      const key = keyNoMsg(p.ticket_id, p.from_me, p.created_at, p.body || '');
+      noMsg.push([p.ticket_id, !!p.from_me, p.created_at, p.body || '']);
+      pushKey(noMsgKeyToOld, key, String(p.__old_id));
+    }
+  }
+
+  // 2) Busca existentes em lote
+  const existingOldToNew = new Map();
+
+  // 2a) com message_id
+  if (withMsg.length) {
+    const placeholders = withMsg.map((_, i) => `($${i * 2 + 1}, $${i * 2 + 2})`).join(',');
+    const vals = withMsg.flat();
+    const { rows: ex } = await dest.query(
+      `SELECT id, ticket_id, message_id FROM messages WHERE (ticket_id, message_id) IN (${placeholders})`,
+      vals
+    );
+    for (const m of ex) {
+      const key = keyWithMsg(m.ticket_id, m.message_id);
+      const olds = withMsgKeyToOld.get(key) || [];
+      for (const oldId of olds) existingOldToNew.set(oldId, m.id);
+    }
+  }
+
+  // 2b) sem message_id (fallback)
+  if (noMsg.length) {
+    const placeholders = noMsg.map((_, i) =>
+      `($${i * 4 + 1}::bigint, $${i * 4 + 2}::boolean, $${i * 4 + 3}::timestamptz, $${i * 4 + 4}::text)`
+    ).join(',');
+    const vals = noMsg.flat();
+    const { rows: ex } = await dest.query(
+      `
+      WITH v(ticket_id, from_me, created_at, body_norm) AS (VALUES ${placeholders})
+      SELECT m.id, m.ticket_id, m.from_me, m.created_at, COALESCE(m.body,'') AS body_norm
+      FROM v
+      JOIN messages m
+        ON m.ticket_id = v.ticket_id
+       AND m.from_me   = v.from_me
+       AND m.created_at= v.created_at
+       AND COALESCE(m.body,'') = v.body_norm
+       AND m.message_id IS NULL
+      `,
+      vals
+    );
+    for (const m of ex) {
+      const key = keyNoMsg(m.ticket_id, m.from_me, m.created_at, m.body_norm);
+      const olds = noMsgKeyToOld.get(key) || [];
+      for (const oldId of olds) existingOldToNew.set(oldId, m.id);
+    }
+  }
+
+  // 3) Separa os que faltam inserir
+  const toInsert = payloads.filter(p => !existingOldToNew.has(String(p.__old_id)));
+
+  // 4) INSERT multi-row (RETURNING p/ mapear) — com fallback item-a-item em caso de JSON ruim
+  const insertedMap = new Map(); // old -> new
+  let skippedThisBatch = 0;
+  let failedEvenEmptyThisBatch = 0;
+
+  if (toInsert.length) {
+    // fatiar o batch de inserts em chunks
+    const chunks = chunkify(toInsert, INSERT_CHUNK);
+    for (const chunk of chunks) {
+      try {
+        const { placeholders, values } = buildInsertPlaceholders(chunk);
+        const sql = makeInsertSQL(placeholders);
+        await dest.query('BEGIN');
+        await dest.query('SET LOCAL synchronous_commit TO OFF');
+        const { rows: ret } = await dest.query(sql, values);
+        await dest.query('COMMIT');
+
+        // monta índice por chave p/ achar oldIds
+        const mapWith = new Map(); // keyWith -> newId
+        const mapNo = new Map();   // keyNo   -> newId
+        for (const r of ret) {
+          if (r.message_id) {
+            mapWith.set(keyWithMsg(r.ticket_id, r.message_id), r.id);
+          } else {
+            mapNo.set(keyNoMsg(r.ticket_id, r.from_me, r.created_at, r.body_norm), r.id);
+          }
+        }
+        for (const p of chunk) {
+          if (p.message_id) {
+            const newId = mapWith.get(keyWithMsg(p.ticket_id, p.message_id));
+            if (newId) insertedMap.set(String(p.__old_id), newId);
+          } else {
+            const newId = mapNo.get(keyNoMsg(p.ticket_id, p.from_me, p.created_at, p.body || ''));
+            if (newId) insertedMap.set(String(p.__old_id), newId);
+          }
+        }
+      } catch (e) {
+        await dest.query('ROLLBACK');
+        if (/unsupported Unicode escape sequence|invalid input syntax for type json/i.test(e.message)) {
+          console.log('⚠️  Lote com JSON/texto inválido; tentando item a item para isolar…');
+          for (const p of chunk) {
+            try {
+              const { placeholders, values } = buildInsertPlaceholders([p]);
+              const sql1 = makeInsertSQL(placeholders);
+              const { rows: one } = await dest.query(sql1, values);
+              const r = one[0];
+              const newId = r.id;
+              insertedMap.set(String(p.__old_id), newId);
+            } catch (e1) {
+              console.error(`❌ Pulando old_id=${p.__old_id} por JSON/texto inválido:`, e1.message);
+              skippedThisBatch++;
+              // último recurso: tenta com data_json vazio
+              try {
+                const p2 = { ...p, data_json: {} };
+                const { placeholders, values } = buildInsertPlaceholders([p2]);
+                const sql2 = makeInsertSQL(placeholders);
+                const { rows: one2 } = await dest.query(sql2, values);
+                insertedMap.set(String(p.__old_id), one2[0].id);
+                skippedThisBatch--; // conseguiu salvar com data_json {}
+              } catch (e2) {
+                console.error(`❌ Falhou até com data_json vazio old_id=${p.__old_id}:`, e2.message);
+                ctx.rejects.add('messages', p.__old_id, e2, {
+                  tenantId,
+                  payload: rows.find(r => String(get(r, 'id')) === p.__old_id)
+                });
+                failedEvenEmptyThisBatch++;
+              }
+            }
+          }
+        } else {
+          throw e;
+        }
+      }
+    }
+  }
+
+  return {
+    existingOldToNew,
+    insertedMap,
+    toInsert: toInsert.length,
+    skipped: skippedThisBatch,
+    failedEvenEmpty: failedEvenEmptyThisBatch
+  };
+}
+
+/**
+ * Grava o lote por COPY (LOAD_MODE=copy): os payloads vão para a staging UNLOGGED e o merge é
+ * set-based, com o mesmo dedupe do insertBatch —
+ *   com message_id: (ticket_id, message_id)
+ *   sem message_id: (ticket_id, from_me, created_at, body) entre as mensagens sem message_id
+ * Os que faltam entram com um INSERT ... SELECT, um por chave (repetidos no lote ficam com o
+ * mesmo id novo, como num reprocessamento). Tudo numa transação; erro → o chamador refaz pelo INSERT.
+ */
+async function copyBatch(dest, payloads) {
+  const stage = await ensureStage(dest, 'messages', {
+    from: 'messages',
+    columns: MESSAGE_COLUMNS,
+    extra: { stage_batch: 'text', old_id: 'text', new_id: 'bigint', existed: 'boolean' }
+  });
+  const batch = crypto.randomUUID();
+  const cols = MESSAGE_COLUMNS.join(', ');
+
+  try {
+    await dest.query('BEGIN');
+    await dest.query('SET LOCAL synchronous_commit TO OFF');
+    await copyRows(
+      dest, stage, ['stage_batch', 'old_id', ...MESSAGE_COLUMNS],
+      payloads.map(p => [batch, String(p.__old_id), ...messageValues(p)])
+    );
+
+    // existentes no destino
+    await dest.query(
+      `UPDATE ${stage} s SET new_id = m.id, existed = true
+         FROM messages m
+        WHERE s.stage_batch = $1 AND s.message_id IS NOT NULL
+          AND m.ticket_id = s.ticket_id AND m.message_id = s.message_id`,
+      [batch]
+    );
+    await dest.query(
+      `UPDATE ${stage} s SET new_id = m.id, existed = true
+         FROM messages m
+        WHERE s.stage_batch = $1 AND s.message_id IS NULL
+          AND m.ticket_id = s.ticket_id
+          AND m.from_me = s.from_me
+          AND m.created_at = s.created_at
+          AND COALESCE(m.body, '') = COALESCE(s.body, '')
+          AND m.message_id IS NULL`,
+      [batch]
+    );
+
+    // os que faltam: um INSERT por chave, e o id novo volta para a staging pela mesma chave
+    const key = `s.ticket_id, s.message_id,
+                 CASE WHEN s.message_id IS NULL THEN s.from_me END,
+                 CASE WHEN s.message_id IS NULL THEN s.created_at END,
+                 CASE WHEN s.message_id IS NULL THEN COALESCE(s.body, '') END`;
+    await dest.query(
+      `
+      WITH ins AS (
+        INSERT INTO messages (${cols})
+        SELECT DISTINCT ON (${key}) ${MESSAGE_COLUMNS.map(c => `s.${c}`).join(', ')}
+          FROM ${stage} s
+         WHERE s.stage_batch = $1 AND s.new_id IS NULL
+         ORDER BY ${key}
+        RETURNING id, ticket_id, message_id, from_me, created_at, COALESCE(body, '') AS body_norm
+      )
+      UPDATE ${stage} s SET new_id = ins.id
+        FROM ins
+       WHERE s.stage_batch = $1 AND s.new_id IS NULL
+         AND s.ticket_id = ins.ticket_id
+         AND CASE WHEN s.message_id IS NOT NULL THEN ins.message_id = s.message_id
+                  ELSE ins.message_id IS NULL
+                   AND ins.from_me = s.from_me
+                   AND ins.created_at IS NOT DISTINCT FROM s.created_at
+                   AND ins.body_norm = COALESCE(s.body, '') END
+      `,
+      [batch]
+    );
+
+    const { rows } = await dest.query(
+      `SELECT old_id, new_id, existed FROM ${stage} WHERE stage_batch = $1 AND new_id IS NOT NULL`,
+      [batch]
+    );
+    await dest.query(`DELETE FROM ${stage} WHERE stage_batch = $1`, [batch]);
+    await dest.query('COMMIT');
+
+    const existingOldToNew = new Map();
+    const insertedMap = new Map();
+    for (const r of rows) (r.existed ? existingOldToNew : insertedMap).set(r.old_id, r.new_id);
+    return {
+      existingOldToNew,
+      insertedMap,
+      toInsert: payloads.length - existingOldToNew.size,
+      skipped: 0,
+      failedEvenEmpty: 0
+    };
+  } catch (err) {
+    await dest.query('ROLLBACK');
+    throw err;
+  }
+}
+
 function buildInsertPlaceholders(payloads) {
   const placeholders = [];
   const values = [];
@@ -478,23 +722,71 @@ function buildInsertPlaceholders(payloads) {
       `$${base + 7}::jsonb, $${base + 8}, $${base + 9}::jsonb, $${base + 10}, $${base + 11}, $${base + 12}, $${base + 13}, ` +
       `$${base + 14}, $${base + 15}, $${base + 16})`
     );
-    values.push(
-      p.ticket_id, p.body, p.edited_body, p.media_type, p.media_name, p.message_id,
-      safeJsonb(p.data_json),              // JSON seguro
-      p.ack, safeJsonb(p.message_status, 'null'), p.is_deleted, p.from_me, p.user_id, p.contact_id,
-      p.schedule_date, p.created_at, p.updated_at
-    );
+    values.push(...messageValues(p));
   }
   return { placeholders, values };
 }
 
+// Colunas gravadas em messages (INSERT e staging do COPY), na ordem de messageValues
+const MESSAGE_COLUMNS = [
+  'ticket_id', 'body', 'edited_body', 'media_type', 'media_name', 'message_id',
+  'data_json', 'ack', 'message_status', 'is_deleted', 'from_me', 'user_id', 'contact_id',
+  'schedule_date', 'created_at', 'updated_at'
+];
+
+function messageValues(p) {
+  return [
+    p.ticket_id, p.body, p.edited_body, p.media_type, p.media_name, p.message_id,
+    safeJsonb(p.data_json),              // JSON seguro
+    p.ack, safeJsonb(p.message_status, 'null'), p.is_deleted, p.from_me, p.user_id, p.contact_id,
+    p.schedule_date, p.created_at, p.updated_at
+  ];
+}
+
+// old_id → company_id do ticket da mensagem no destino
+async function ticketTenants(dest, payloads) {
+  const ticketIds = [...new Set(payloads.map(p => p.ticket_id).filter(v => v != null).map(String))];
+  const { rows } = await dest.query(
+    'SELECT id::text AS id, company_id FROM tickets WHERE id = ANY($1::bigint[])',
+    [ticketIds]
+  );
+  const company = new Map(rows.map(r => [r.id, r.company_id]));
+  const byOld = new Map(payloads.map(p => [String(p.__old_id), company.get(String(p.ticket_id))]));
+  return oldId => byOld.get(String(oldId)) ?? null;
+}
+
+// Replicação: atualiza no lugar as mensagens já mapeadas (colunas que mudam depois do envio).
+// Retorna Map(old_id → new_id) das atualizadas
+async function refreshMapped(dest, payloads) {
+  const mapped = await lookupIds(dest, 'messages', payloads.map(p => p.__old_id));
+  if (!mapped.size) return mapped;
+  await dest.query('BEGIN');
+  try {
+    for (const p of payloads) {
+      const newId = mapped.get(p.__old_id);
+      if (newId == null) continue;
+      await dest.query(
+        `UPDATE messages SET
+           body = $2, edited_body = $3, media_type = $4, media_name = $5, data_json = $6::jsonb,
+           ack = $7, message_status = $8::jsonb, is_deleted = $9, updated_at = $10
+         WHERE id = $1`,
+        [
+          newId, p.body, p.edited_body, p.media_type, p.media_name, safeJsonb(p.data_json),
+          p.ack, safeJsonb(p.message_status, 'null'), p.is_deleted, p.updated_at
+        ]
+      );
+    }
+    await dest.query('COMMIT');
+  } catch (err) {
+    await dest.query('ROLLBACK');
+    throw err;
+  }
+  return mapped;
+}
+
 function makeInsertSQL(placeholders) {
   return `
-    INSERT INTO messages (
-      ticket_id, body, edited_body, media_type, media_name, message_id,
-      data_json, ack, message_status, is_deleted, from_me, user_id, contact_id,
-      schedule_date, created_at, updated_at
-    ) VALUES
+    INSERT INTO messages (${MESSAGE_COLUMNS.join(', ')}) VALUES
       ${placeholders.join(',')}
     RETURNING id, ticket_id, message_id, from_me, created_at, COALESCE(body,'') AS body_norm
   `;
@@ -507,6 +799,14 @@ function keyNoMsg(ticketId, fromMe, createdAt, bodyNorm) {
   const iso = toIsoSec(createdAt);
   return `fb:${ticketId}#${fromMe ? 1 : 0}#${iso}#${bodyNorm || ''}`;
 }
+// Versão SQL de keyWithMsg/keyNoMsg para o verify (ASCII, ordenável igual nos dois bancos)
+function messageKey(ticketId, messageId, fromMe, createdAt, body) {
+  const ticket = `lpad(${ticketId}::text, 20, '0')`;
+  return `CASE WHEN ${messageId} IS NOT NULL
+            THEN 'mid:' || ${ticket} || '#' || ${messageId}
+            ELSE 'fb:' || ${ticket} || '#' || (CASE WHEN COALESCE(${fromMe}, false) THEN '1' ELSE '0' END)
+                 || '#' || ${epoch(createdAt)} || '#' || md5(COALESCE(${body}, '')) END`;
+}
 function toIsoSec(d) {
   if (!d) return '';
   const dt = new Date(d);
@@ -518,10 +818,10 @@ function pushKey(map, key, val) {
   if (arr) arr.push(val); else map.set(key, [val]);
 }
 
-function buildPairs(pairs) {
+function buildPairs(pairs, offset = 0) {
   const tuples = [];
   const vals = [];
-  let i = 0;
+  let i = offset;
   for (const [a, b] of pairs) {
     tuples.push(`($${++i}, $${++i})`);
     vals.push(a, b);
@@ -2,9 +2,11 @@
 'use strict';
 
 require('dotenv').config();
-const { Client } = require('pg');
+const { connectStep } = require('../utils/db');
 const Cursor = require('pg-cursor');
-const cliProgress = require('cli-progress');
+const { createProgressBar } = require('../utils/progress');
+const { openCheckpoint } = require('../utils/checkpoint');
+const { createUpsert, addCounts, formatCounts } = require('../utils/upsert');
 
 // === Default da plataforma (espelhando seu Go) ===
 const DefaultPermissions = {
@@ -94,7 +96,6 @@ const DefaultPermissions = {
 module.exports = async function migratePermissions(ctx = {}) {
   console.log('🔐 Migrando "Permissions" → "permissions"...');
 
-  // 6 params/linha → 5000 linhas ≈ 30k params (< 65535)
   const BATCH_SIZE = Number(process.env.BATCH_SIZE || 3000);
 
   const tenantId =
@@ -102,36 +103,21 @@ module.exports = async function migratePermissions(ctx = {}) {
       ? String(ctx.tenantId).trim()
       : (process.env.TENANT_ID ? String(process.env.TENANT_ID).trim() : null);
 
-  const source = new Client({
-    host: process.env.SRC_HOST,
-    port: process.env.SRC_PORT,
-    user: process.env.SRC_USER,
-    password: process.env.SRC_PASS,
-    database: process.env.SRC_DB,
-    application_name: 'migratePermissions:source'
-  });
-
-  const dest = new Client({
-    host: process.env.DST_HOST,
-    port: process.env.DST_PORT,
-    user: process.env.DST_USER,
-    password: process.env.DST_PASS,
-    database: process.env.DST_DB,
-    application_name: 'migratePermissions:dest'
-  });
-
-  await source.connect();
-  await dest.connect();
+  const db = await connectStep(ctx, 'Permissions');
+  const { source, dest } = db;
 
   try {
     // —— COUNT para barra/ETA
+    const checkpoint = await openCheckpoint(dest, 'Permissions', { tenantId, fresh: ctx.fresh, onlyIds: ctx.onlyIds, delta: ctx.delta, rejects: ctx.rejects });
+    const countParams = tenantId ? [tenantId] : [];
     const countSql = `
       SELECT COUNT(*)::bigint AS total
       FROM "public"."Permissions"
       WHERE id != 0
       ${tenantId ? 'AND "tenantId" = $1' : ''}
+      ${checkpoint.delta('id', countParams, 'AND')}
     `;
-    const countRes = await source.query(countSql, tenantId ? [tenantId] : []);
+    const countRes = await source.query(countSql, countParams);
     const total = Number(countRes.rows[0]?.total || 0);
     if (!total) {
       console.log(
@@ -139,40 +125,35 @@ module.exports = async function migratePermissions(ctx = {}) {
           ? `⚠️  Nenhuma permissão encontrada para TENANT_ID=${tenantId} (id != 0).`
           : '⚠️  Nenhuma permissão encontrada na origem (id != 0).'
       );
+      await checkpoint.clear();
       return;
     }
 
     // —— Cursor server-side
+    const selectParams = tenantId ? [tenantId] : [];
     const selectSql = `
       SELECT id, name, permissions, "tenantId" AS company_id, "createdAt", "updatedAt"
       FROM "public"."Permissions"
       WHERE id != 0
       ${tenantId ? 'AND "tenantId" = $1' : ''}
+      ${checkpoint.where('id', selectParams, 'AND')}
       ORDER BY id
     `;
-    const cursor = source.query(new Cursor(selectSql, tenantId ? [tenantId] : []));
+    const cursor = source.query(new Cursor(selectSql, selectParams));
 
     // —— Barra de progresso
-    const bar = new cliProgress.SingleBar(
-      { format: 'Progresso |{bar}| {percentage}% | {value}/{total} | ETA: {eta_formatted} | {rate} r/s', hideCursor: true },
-      cliProgress.Presets.shades_classic
-    );
-    bar.start(total, 0, { rate: '0.0' });
-
-    const upsertSqlSingle = `
-      INSERT INTO permissions (id, name, permissions, company_id, created_at, updated_at)
-      VALUES ($1, $2, $3::jsonb, $4, $5, $6)
-      ON CONFLICT (id) DO UPDATE SET
-        name = EXCLUDED.name,
-        permissions = EXCLUDED.permissions,
-        company_id = EXCLUDED.company_id,
-        updated_at = EXCLUDED.updated_at
-    `;
+    const bar = createProgressBar(ctx);
+    bar.start(total, checkpoint.processed, { rate: '0.0' });
+
+    const upsert = createUpsert({
+      table: 'permissions',
+      columns: ['id', 'name', { name: 'permissions', cast: 'jsonb' }, 'company_id', 'created_at', 'updated_at'],
+      insertOnly: ['created_at']
+    });
 
     const startedAt = Date.now();
-    let processed = 0;
-    let ok = 0;
-    let erros = 0;
+    let processed = checkpoint.processed;
+    const counts = { inserted: 0, updated: 0, unchanged: 0, failed: 0 };
 
     while (true) {
       const batch = await new Promise((resolve, reject) => {
@@ -180,98 +161,62 @@ module.exports = async function migratePermissions(ctx = {}) {
       });
       if (!batch || batch.length === 0) break;
 
-      const placeholders = [];
-      const values = [];
-      const perRowParams = [];
-
-      batch.forEach((row, i) => {
+      const rows = batch.map(row => {
+        let permissions;
         try {
           const oldPerms = parseJson(row.permissions);
           if (!oldPerms || typeof oldPerms !== 'object') throw new Error('permissions inválido/indefinido');
-
-          const converted = convertPermissions(oldPerms);
-          const jsonFinal = JSON.stringify(converted);
-
-          const v = [
-            row.id,
-            safeName(row.name, row.id),
-            jsonFinal,
-            row.company_id,
-            row.createdAt,
-            row.updatedAt
-          ];
-          perRowParams.push(v);
-
-          const base = i * 6;
-          placeholders.push(`($${base+1}, $${base+2}, $${base+3}::jsonb, $${base+4}, $${base+5}, $${base+6})`);
-          values.push(...v);
+          permissions = convertPermissions(oldPerms);
         } catch (e) {
-          // se falhar parse/conversão, deixa para fallback row-a-row com try/catch
-          const converted = JSON.stringify(DefaultPermissions);
-          const v = [
-            row.id,
-            safeName(row.name, row.id),
-            converted,
-            row.company_id,
-            row.createdAt,
-            row.updatedAt
-          ];
-          perRowParams.push(v);
-
-          const base = i * 6;
-          placeholders.push(`($${base+1}, $${base+2}, $${base+3}::jsonb, $${base+4}, $${base+5}, $${base+6})`);
-          values.push(...v);
+          // JSON ilegível na origem: entra com o padrão da plataforma
+          permissions = DefaultPermissions;
           console.debug(`🧾 JSON da permissão com possível problema em '${row.name}':`, row.permissions);
         }
+        return [row.id, safeName(row.name, row.id), JSON.stringify(permissions), row.company_id, row.createdAt, row.updatedAt];
       });
 
-      try {
-        await dest.query('BEGIN');
-        await dest.query('SET LOCAL synchronous_commit TO OFF');
-        await dest.query(
-          `
-          INSERT INTO permissions (id, name, permissions, company_id, created_at, updated_at)
-          VALUES ${placeholders.join(',')}
-          ON CONFLICT (id) DO UPDATE SET
-            name = EXCLUDED.name,
-            permissions = EXCLUDED.permissions,
-            company_id = EXCLUDED.company_id,
-            updated_at = EXCLUDED.updated_at
-          `,
-          values
-        );
-        await dest.query('COMMIT');
-        ok += batch.length;
-      } catch (batchErr) {
-        await dest.query('ROLLBACK');
-        // fallback: registro a registro (pra não perder o lote inteiro)
-        for (const v of perRowParams) {
-          try {
-            await dest.query('BEGIN');
-            await dest.query('SET LOCAL synchronous_commit TO OFF');
-            await dest.query(upsertSqlSingle, v);
-            await dest.query('COMMIT');
-            ok += 1;
-          } catch (rowErr) {
-            await dest.query('ROLLBACK');
-            erros += 1;
-            console.error(`❌ Falha ao migrar permission id=${v[0]}: ${rowErr.message}`);
-          }
+      addCounts(counts, await upsert.write(dest, rows, {
+        onError: (err, i) => {
+          const original = batch[i];
+          console.error(`❌ Falha ao migrar permission id=${original.id}: ${err.message}`);
+          ctx.rejects.add('permissions', original.id, err, { tenantId: original.company_id, payload: original });
         }
-      }
+      }));
 
       processed += batch.length;
+      await checkpoint.save(batch[batch.length - 1].id, processed);
       const elapsed = (Date.now() - startedAt) / 1000;
       const rate = (processed / Math.max(1, elapsed)).toFixed(1);
       bar.update(processed, { rate });
     }
 
     bar.stop();
+    await checkpoint.clear();
     const secs = ((Date.now() - startedAt) / 1000).toFixed(1);
-    console.log(`✅ Migração de permissões concluída. (${ok}/${total}) em ${secs}s${erros ? `, ${erros} com erro` : ''}.`);
+    const ok = counts.inserted + counts.updated + counts.unchanged;
+    console.log(`✅ Migração de permissões concluída. (${ok}/${total}) em ${secs}s (${formatCounts(counts)}).`);
   } finally {
-    await source.end();
-    await dest.end();
+    await db.release();
+  }
+};
+
+// Etapas que precisam ter rodado antes (no mesmo escopo) e tabelas escritas no destino
+module.exports.meta = {
+  dependsOn: ['Tenants'],
+  writes: ['permissions'],
+  // colunas e índices que a etapa usa nos dois bancos (node main.js preflight)
+  schema: {
+    source: {
+      Permissions: { id: 'int', name: 'text', permissions: 'text|json', tenantId: 'int', createdAt: 'time', updatedAt: 'time' }
+    },
+    dest: {
+      permissions: { id: 'int', name: 'text', permissions: 'json', company_id: 'int', created_at: 'time', updated_at: 'time' }
+    },
+    unique: { permissions: [['id']] }
+  },
+  // rollback --tenant --only-migrated: ids de origem (o id legado é mantido)
+  rollback: {
+    permissions: { legacy: { from: '"public"."Permissions"', tenant: '"tenantId"', key: 'id' } }
   }
 };
 
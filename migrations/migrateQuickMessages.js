@@ -2,14 +2,16 @@
 'use strict';
 
 require('dotenv').config();
-const { Client } = require('pg');
+const { connectStep } = require('../utils/db');
 const Cursor = require('pg-cursor');
-const cliProgress = require('cli-progress');
+const { createProgressBar } = require('../utils/progress');
+const { openCheckpoint } = require('../utils/checkpoint');
+const { epoch } = require('../utils/verify');
+const { createUpsert, addCounts, formatCounts } = require('../utils/upsert');
 
 module.exports = async function migrateQuickMessages(ctx = {}) {
   console.log('⚡ Migrando "FastReply" → "quick_messages"...');
 
-  // 6 params/linha → 5000 linhas ≈ 30k params (< 65535)
   const BATCH_SIZE = Number(process.env.BATCH_SIZE || 3000);
 
   // CHANGED: id de grupo para adicionar aos usuários (opcional)
@@ -22,35 +24,20 @@ module.exports = async function migrateQuickMessages(ctx = {}) {
       ? String(ctx.tenantId).trim()
       : (process.env.TENANT_ID ? String(process.env.TENANT_ID).trim() : null);
 
-  const source = new Client({
-    host: process.env.SRC_HOST,
-    port: process.env.SRC_PORT,
-    user: process.env.SRC_USER,
-    password: process.env.SRC_PASS,
-    database: process.env.SRC_DB,
-    application_name: 'migrateQuickMessages:source'
-  });
-
-  const dest = new Client({
-    host: process.env.DST_HOST,
-    port: process.env.DST_PORT,
-    user: process.env.DST_USER,
-    password: process.env.DST_PASS,
-    database: process.env.DST_DB,
-    application_name: 'migrateQuickMessages:dest'
-  });
-
-  await source.connect();
-  await dest.connect();
+  const db = await connectStep(ctx, 'QuickMessages');
+  const { source, dest } = db;
 
   try {
     // 1) COUNT para barra/ETA
+    const checkpoint = await openCheckpoint(dest, 'QuickMessages', { tenantId, fresh: ctx.fresh, onlyIds: ctx.onlyIds, delta: ctx.delta, rejects: ctx.rejects });
+    const countParams = tenantId ? [tenantId] : [];
     const countSql = `
       SELECT COUNT(*)::bigint AS total
       FROM "public"."FastReply"
       ${tenantId ? 'WHERE "tenantId" = $1' : ''}
+      ${checkpoint.delta('id', countParams, tenantId ? 'AND' : 'WHERE')}
     `;
-    const { rows: crows } = await source.query(countSql, tenantId ? [tenantId] : []);
+    const { rows: crows } = await source.query(countSql, countParams);
     const total = Number(crows[0]?.total || 0);
     if (!total) {
       console.log(
@@ -58,10 +45,12 @@ module.exports = async function migrateQuickMessages(ctx = {}) {
           ? `⚠️  Nenhuma quick message encontrada para TENANT_ID=${tenantId}.`
           : '⚠️  Nenhuma quick message encontrada na origem.'
       );
+      await checkpoint.clear();
       return;
     }
 
     // 2) Cursor server-side (ordem estável)
+    const selectParams = tenantId ? [tenantId] : [];
     const selectSql = `
       SELECT
         id,
@@ -72,35 +61,25 @@ module.exports = async function migrateQuickMessages(ctx = {}) {
         "updatedAt"
       FROM "public"."FastReply"
       ${tenantId ? 'WHERE "tenantId" = $1' : ''}
+      ${checkpoint.where('id', selectParams, tenantId ? 'AND' : 'WHERE')}
       ORDER BY id
     `;
-    const cursor = source.query(new Cursor(selectSql, tenantId ? [tenantId] : []));
+    const cursor = source.query(new Cursor(selectSql, selectParams));
 
     // 3) Barra de progresso
-    const bar = new cliProgress.SingleBar(
-      { format: 'Progresso |{bar}| {percentage}% | {value}/{total} | ETA: {eta_formatted} | {rate} r/s', hideCursor: true },
-      cliProgress.Presets.shades_classic
-    );
-    bar.start(total, 0, { rate: '0.0' });
+    const bar = createProgressBar(ctx);
+    bar.start(total, checkpoint.processed, { rate: '0.0' });
 
-    // 4) UPSERT base
-    const upsertSqlSingle = `
-      INSERT INTO public.quick_messages (
-        id, name, messages, company_id, created_at, updated_at
-      ) VALUES (
-        $1, $2, $3::json, $4, $5, $6
-      )
-      ON CONFLICT (id) DO UPDATE SET
-        name       = EXCLUDED.name,
-        messages   = EXCLUDED.messages,
-        company_id = EXCLUDED.company_id,
-        updated_at = EXCLUDED.updated_at
-    `;
+    // 4) Upsert
+    const upsert = createUpsert({
+      table: 'public.quick_messages',
+      columns: ['id', 'name', { name: 'messages', cast: 'json' }, 'company_id', 'created_at', 'updated_at'],
+      insertOnly: ['created_at']
+    });
 
     const startedAt = Date.now();
-    let processed = 0;
-    let migradas = 0;
-    let erros = 0;
+    let processed = checkpoint.processed;
+    const counts = { inserted: 0, updated: 0, unchanged: 0, failed: 0 };
 
     // 5) Loop por lote
     while (true) {
@@ -109,76 +88,32 @@ module.exports = async function migrateQuickMessages(ctx = {}) {
       });
       if (!batch || batch.length === 0) break;
 
-      const placeholders = [];
-      const values = [];
-      const perRowParams = []; // fallback se o batch falhar
-
-      batch.forEach((row, i) => {
-        const name = safeName(row.name, row.id);
-
-        // CHANGED: transformar mensagens para o NOVO formato
-        const msgs = normalizeMessages(row.messages);
-
-        const v = [
-          row.id,               // 1 id
-          name,                 // 2 name
-          JSON.stringify(msgs), // 3 messages::jsonb
-          row.company_id,       // 4 company_id
-          row.createdAt,        // 5 created_at
-          row.updatedAt         // 6 updated_at
-        ];
-        perRowParams.push(v);
-
-        const base = i * 6;
-        placeholders.push(`($${base+1}, $${base+2}, $${base+3}::json, $${base+4}, $${base+5}, $${base+6})`);
-        values.push(...v);
-      });
-
-      // Execução do lote (multi-VALUES)
-      try {
-        await dest.query('BEGIN');
-        await dest.query('SET LOCAL synchronous_commit TO OFF');
-        await dest.query(
-          `
-          INSERT INTO public.quick_messages (
-            id, name, messages, company_id, created_at, updated_at
-          ) VALUES
-            ${placeholders.join(',')}
-          ON CONFLICT (id) DO UPDATE SET
-            name       = EXCLUDED.name,
-            messages   = EXCLUDED.messages,
-            company_id = EXCLUDED.company_id,
-            updated_at = EXCLUDED.updated_at
-          `,
-          values
-        );
-        await dest.query('COMMIT');
-        migradas += batch.length;
-      } catch (batchErr) {
-        await dest.query('ROLLBACK');
-        // fallback: registro a registro
-        for (const v of perRowParams) {
-          try {
-            await dest.query('BEGIN');
-            await dest.query('SET LOCAL synchronous_commit TO OFF');
-            await dest.query(upsertSqlSingle, v);
-            await dest.query('COMMIT');
-            migradas += 1;
-          } catch (rowErr) {
-            await dest.query('ROLLBACK');
-            erros += 1;
-            console.error(`❌ Erro ao migrar quick_message id=${v[0]}: ${rowErr.message}`);
-          }
+      const rows = batch.map(row => [
+        row.id,
+        safeName(row.name, row.id),
+        JSON.stringify(normalizeMessages(row.messages)), // CHANGED: mensagens no NOVO formato
+        row.company_id,
+        row.createdAt,
+        row.updatedAt
+      ]);
+
+      addCounts(counts, await upsert.write(dest, rows, {
+        onError: (err, i) => {
+          const original = batch[i];
+          console.error(`❌ Erro ao migrar quick_message id=${original.id}: ${err.message}`);
+          ctx.rejects.add('quick_messages', original.id, err, { tenantId: original.company_id, payload: original });
         }
-      }
+      }));
 
       processed += batch.length;
+      await checkpoint.save(batch[batch.length - 1].id, processed);
       const elapsed = (Date.now() - startedAt) / 1000;
       const rate = (processed / Math.max(1, elapsed)).toFixed(1);
       bar.update(processed, { rate });
     }
 
     bar.stop();
+    await checkpoint.clear();
     await new Promise((resolve, reject) => cursor.close(err => (err ? reject(err) : resolve())));
 
     // CHANGED: (opcional) adicionar GROUP_ID para todos usuários do tenant
@@ -187,13 +122,45 @@ module.exports = async function migrateQuickMessages(ctx = {}) {
     }
 
     const secs = ((Date.now() - startedAt) / 1000).toFixed(1);
-    console.log(`✅ Migradas ${migradas}/${total} quick_messages em ${secs}s.${erros ? ` (${erros} com erro)` : ''}`);
+    const migradas = counts.inserted + counts.updated + counts.unchanged;
+    console.log(`✅ Migradas ${migradas}/${total} quick_messages em ${secs}s (${formatCounts(counts)}).`);
     if (ADD_GROUP_TO_USERS) {
       console.log(`✅ Grupo ${GROUP_ID} adicionado ao array quick_message_groups de todos os usuários${tenantId ? ` do tenant ${tenantId}` : ''}.`);
     }
   } finally {
-    await source.end();
-    await dest.end();
+    await db.release();
+  }
+};
+
+// Etapas que precisam ter rodado antes (no mesmo escopo), tabelas escritas no destino
+// e como conferir origem × destino (node main.js verify)
+module.exports.meta = {
+  dependsOn: ['Tenants', 'Users'],
+  writes: ['quick_messages'],
+  // colunas e índices que a etapa usa nos dois bancos (node main.js preflight)
+  schema: {
+    source: {
+      FastReply: { id: 'int', tenantId: 'int', name: 'text', messages: 'any', createdAt: 'time', updatedAt: 'time' }
+    },
+    dest: {
+      quick_messages: { id: 'int', name: 'text', messages: 'json', company_id: 'int', created_at: 'time', updated_at: 'time' },
+      users: { quick_message_groups: 'json', company_id: 'int', updated_at: 'time' }
+    },
+    unique: { quick_messages: [['id']] }
+  },
+  verify: {
+    source: {
+      from: '"public"."FastReply"',
+      tenant: '"tenantId"',
+      key: 'id',
+      columns: [`COALESCE(NULLIF(btrim(name), ''), 'Sem nome (' || id || ')')`, epoch('"createdAt"')]
+    },
+    dest: {
+      from: 'quick_messages',
+      tenant: 'company_id',
+      key: 'id',
+      columns: ['name', epoch('created_at')]
+    }
   }
 };
 
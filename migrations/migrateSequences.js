@@ -0,0 +1,150 @@
+// migrations/migrateSequences.js
+'use strict';
+
+require('dotenv').config();
+const fs = require('fs-extra');
+const path = require('path');
+const { connectStep } = require('../utils/db');
+const { scopeKeyOf } = require('../utils/stepState');
+
+// Etapa final: as etapas gravam com o id do legado, então as sequences (serial/identity) das
+// tabelas migradas ficam para trás e o primeiro INSERT da plataforma nova dá chave duplicada.
+// Cada sequence vai para MAX(coluna) + SEQUENCE_HEADROOM; as que já estão à frente ficam como estão.
+// Em dry-run só relata (setval não é desfeito pelo ROLLBACK).
+const HEADROOM = Number(process.env.SEQUENCE_HEADROOM || 0);
+
+// Sequences das colunas: serial (OWNED BY) e identity pelo pg_depend da sequence; default
+// nextval('...') de sequence avulsa pelo pg_depend do default
+const SEQUENCES_SQL = `
+  SELECT c.relname AS table_name, a.attname AS column_name, s.oid::regclass::text AS sequence,
+         ps.seqincrement::text AS increment
+    FROM pg_depend d
+    JOIN pg_class s ON s.oid = d.objid AND s.relkind = 'S'
+    JOIN pg_sequence ps ON ps.seqrelid = s.oid
+    JOIN pg_class c ON c.oid = d.refobjid
+    JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum = d.refobjsubid
+   WHERE d.classid = 'pg_class'::regclass AND d.refclassid = 'pg_class'::regclass
+     AND d.deptype IN ('a', 'i')
+     AND c.relnamespace = 'public'::regnamespace AND c.relname = ANY($1)
+  UNION
+  SELECT c.relname, a.attname, s.oid::regclass::text, ps.seqincrement::text
+    FROM pg_attrdef ad
+    JOIN pg_depend d ON d.classid = 'pg_attrdef'::regclass AND d.objid = ad.oid AND d.refclassid = 'pg_class'::regclass
+    JOIN pg_class s ON s.oid = d.refobjid AND s.relkind = 'S'
+    JOIN pg_sequence ps ON ps.seqrelid = s.oid
+    JOIN pg_class c ON c.oid = ad.adrelid
+    JOIN pg_attribute a ON a.attrelid = ad.adrelid AND a.attnum = ad.adnum
+   WHERE c.relnamespace = 'public'::regnamespace AND c.relname = ANY($1)
+  ORDER BY 1, 2
+`;
+
+module.exports = async function migrateSequences(ctx = {}) {
+  console.log('🔢 Realinhando as sequences das tabelas migradas...');
+
+  if (!Number.isInteger(HEADROOM) || HEADROOM < 0) {
+    throw new Error(`SEQUENCE_HEADROOM inválido: "${process.env.SEQUENCE_HEADROOM}" (use um inteiro >= 0).`);
+  }
+
+  // require aqui dentro: o registro das etapas também carrega este módulo
+  const registry = require('./index');
+  const tables = [...new Set(registry.flatMap(s => s.writes))];
+
+  const db = await connectStep(ctx, 'Sequences');
+  const { dest } = db;
+
+  try {
+    const { rows: found } = await dest.query(SEQUENCES_SQL, [tables]);
+    if (!found.length) {
+      console.log('⚠️  Nenhuma coluna serial/identity nas tabelas migradas.');
+      return;
+    }
+
+    const results = [];
+    for (const seq of found) {
+      const result = { table: seq.table_name, column: seq.column_name, sequence: seq.sequence };
+      try {
+        Object.assign(result, await realign(dest, seq, !!ctx.dryRun));
+      } catch (err) {
+        result.status = 'failed';
+        result.error = err.message;
+      }
+      results.push(result);
+      printResult(result);
+    }
+
+    const adjusted = results.filter(r => r.status === 'adjusted').length;
+    const failed = results.filter(r => r.status === 'failed');
+    console.log(
+      `✅ ${adjusted}/${results.length} sequence(s) ${ctx.dryRun ? 'seriam ajustadas' : 'ajustada(s)'} ` +
+      `(folga ${HEADROOM}; ${results.length - adjusted - failed.length} já à frente ou sem linhas).`
+    );
+
+    const file = await writeReport({
+      scope: scopeKeyOf(ctx),
+      runId: ctx.runId || null,
+      dryRun: !!ctx.dryRun,
+      headroom: HEADROOM,
+      sequences: results
+    });
+    console.log(`📝 Relatório das sequences: ${file}`);
+
+    if (failed.length) {
+      throw new Error(`${failed.length} sequence(s) não ajustada(s): ${failed.map(r => `${r.sequence} (${r.error})`).join('; ')}`);
+    }
+  } finally {
+    await db.release();
+  }
+};
+
+// Roda depois das etapas de dados que estiverem no plano (só ordem: uma passada parcial não a
+// bloqueia) e não escreve tabelas no destino
+module.exports.meta = {
+  dependsOn: [],
+  after: [
+    'Tenants', 'Departments', 'Permissions', 'Users', 'TaskTypes', 'Tasks', 'Tags', 'QuickMessages', 'Flows',
+    'Channels', 'Campaigns', 'Contacts', 'CampaignContacts', 'Settings', 'Tickets', 'Messages', 'InternalMessages'
+  ],
+  writes: [],
+  // só lê o catálogo do destino: nada a conferir no preflight
+  schema: {}
+};
+
+// —— helpers
+
+// próximo valor da sequence × MAX(coluna) + folga; setval só quando ela está atrás
+async function realign(dest, seq, dryRun) {
+  const { rows: [{ max }] } = await dest.query(
+    `SELECT MAX(${ident(seq.column_name)})::text AS max FROM ${ident(seq.table_name)}`
+  );
+  const { rows: [cur] } = await dest.query(`SELECT last_value::text AS last_value, is_called FROM ${seq.sequence}`);
+  const increment = BigInt(seq.increment);
+  const next = cur.is_called ? BigInt(cur.last_value) + increment : BigInt(cur.last_value);
+  if (max == null) return { max: null, next: next.toString(), status: 'empty' };
+
+  const target = BigInt(max) + BigInt(HEADROOM);
+  const base = { max, next: next.toString() };
+  if (increment < 0n || next > target) return { ...base, status: 'ok' };
+
+  if (!dryRun) await dest.query('SELECT setval($1::regclass, $2::bigint, true)', [seq.sequence, target.toString()]);
+  return { ...base, status: 'adjusted', nextAfter: (target + increment).toString() };
+}
+
+function printResult(r) {
+  const label = `${r.table}.${r.column} (${r.sequence})`;
+  if (r.status === 'adjusted') console.log(`   🔧 ${label}: próximo ${r.next} → ${r.nextAfter} (MAX ${r.max})`);
+  else if (r.status === 'failed') console.error(`   ❌ ${label}: ${r.error}`);
+  else if (r.status === 'ok') console.log(`   ✔ ${label}: próximo ${r.next} já à frente de MAX ${r.max}`);
+  else console.log(`   – ${label}: tabela sem linhas`);
+}
+
+async function writeReport(report) {
+  const dir = path.resolve(__dirname, '..', 'logs', report.scope);
+  await fs.ensureDir(dir);
+  const file = path.join(dir, `sequences-${String(report.runId || new Date().toISOString()).replace(/[:.]/g, '-')}.json`);
+  await fs.writeJson(file, report, { spaces: 2 });
+  return file;
+}
+
+function ident(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
@@ -2,9 +2,12 @@
 'use strict';
 
 require('dotenv').config();
-const { Client } = require('pg');
+const { connectStep } = require('../utils/db');
 const Cursor = require('pg-cursor');
-const cliProgress = require('cli-progress');
+const { createProgressBar } = require('../utils/progress');
+const { openWatermark } = require('../utils/watermark');
+const { onlyIdsFilter } = require('../utils/checkpoint');
+const { addCounts, formatCounts } = require('../utils/upsert');
 
 module.exports = async function migrateSettings(ctx = {}) {
   console.log('⚙️  Migrando "Settings" → "settings"...');
@@ -18,35 +21,24 @@ module.exports = async function migrateSettings(ctx = {}) {
       ? String(ctx.tenantId).trim()
       : (process.env.TENANT_ID ? String(process.env.TENANT_ID).trim() : null);
 
-  const source = new Client({
-    host: process.env.SRC_HOST,
-    port: process.env.SRC_PORT,
-    user: process.env.SRC_USER,
-    password: process.env.SRC_PASS,
-    database: process.env.SRC_DB,
-    application_name: 'migrateSettings:source'
-  });
-
-  const dest = new Client({
-    host: process.env.DST_HOST,
-    port: process.env.DST_PORT,
-    user: process.env.DST_USER,
-    password: process.env.DST_PASS,
-    database: process.env.DST_DB,
-    application_name: 'migrateSettings:dest'
-  });
-
-  await source.connect();
-  await dest.connect();
+  const db = await connectStep(ctx, 'Settings');
+  const { source, dest } = db;
 
   try {
-    // 1) COUNT (DISTINCT tenantId) para progresso/ETA
+    // 1) COUNT (DISTINCT tenantId) para progresso/ETA; no modo incremental, só os tenants com
+    //    configuração alterada desde o watermark
+    const watermark = await openWatermark(dest, 'Settings', { tenantId, delta: ctx.delta, rejects: ctx.rejects, onlyIds: ctx.onlyIds });
+    const params = tenantId ? [tenantId] : [];
+    // `rejects retry` (ctx.onlyIds): só as empresas em quarentena (o legacy_id é o company_id)
+    const whereClause = ctx.onlyIds
+      ? `${tenantId ? 'WHERE "tenantId" = $1' : ''} ${onlyIdsFilter(ctx, '"tenantId"', params, tenantId ? 'AND' : 'WHERE')}`
+      : `${tenantId ? 'WHERE "tenantId" = $1' : ''} ${watermark.where('"updatedAt"', params, tenantId ? 'AND' : 'WHERE')}`;
     const countSql = `
       SELECT COUNT(DISTINCT "tenantId")::bigint AS total
       FROM "public"."Settings"
-      ${tenantId ? 'WHERE "tenantId" = $1' : ''}
+      ${whereClause}
     `;
-    const countRes = await source.query(countSql, tenantId ? [tenantId] : []);
+    const countRes = await source.query(countSql, params);
     const total = Number(countRes.rows[0]?.total || 0);
     if (!total) {
       console.log(
@@ -54,6 +46,7 @@ module.exports = async function migrateSettings(ctx = {}) {
           ? `⚠️  Nenhuma configuração encontrada para TENANT_ID=${tenantId}.`
           : '⚠️  Nenhuma configuração encontrada na origem.'
       );
+      await watermark.commit();
       return;
     }
 
@@ -61,21 +54,18 @@ module.exports = async function migrateSettings(ctx = {}) {
     const selectSql = `
       SELECT DISTINCT "tenantId" AS company_id
       FROM "public"."Settings"
-      ${tenantId ? 'WHERE "tenantId" = $1' : ''}
+      ${whereClause}
       ORDER BY "tenantId"
     `;
-    const cursor = source.query(new Cursor(selectSql, tenantId ? [tenantId] : []));
+    const cursor = source.query(new Cursor(selectSql, params));
 
     // 3) Barra de progresso
-    const bar = new cliProgress.SingleBar(
-      { format: 'Progresso |{bar}| {percentage}% | {value}/{total} | ETA: {eta_formatted} | {rate} r/s', hideCursor: true },
-      cliProgress.Presets.shades_classic
-    );
+    const bar = createProgressBar(ctx);
     bar.start(total, 0, { rate: '0.0' });
 
     const startedAt = Date.now();
     let processed = 0;
-    let afetadas = 0; // total de companies tratadas
+    const counts = { inserted: 0, updated: 0, failed: 0 };
     let erros = 0;
 
     while (true) {
@@ -95,45 +85,20 @@ module.exports = async function migrateSettings(ctx = {}) {
       }
 
       try {
-        await dest.query('BEGIN');
-        await dest.query('SET LOCAL synchronous_commit TO OFF');
-
-        // 3.1) UPDATE em massa para quem já existe
-        await dest.query(
-          `
-          UPDATE settings
-             SET message_signature = TRUE,
-                 view_chatbot      = TRUE,
-                 allow_user_disable_message_signature = COALESCE(allow_user_disable_message_signature, TRUE),
-                 smtp = COALESCE(smtp, '{}'::jsonb),
-                 support_ticket_config = COALESCE(support_ticket_config, '{}'::jsonb),
-                 updated_at        = NOW()
-           WHERE company_id = ANY($1::int[])
-          `,
-          [ids]
-        );
-
-        // 3.2) INSERT apenas dos faltantes (anti-join via UNNEST)
-        await dest.query(
-          `
-          INSERT INTO settings (
-            company_id, message_signature, view_chatbot, allow_user_disable_message_signature,
-            smtp, support_ticket_config, created_at, updated_at
-          )
-          SELECT s.company_id, TRUE, TRUE, TRUE, '{}'::jsonb, '{}'::jsonb, NOW(), NOW()
-          FROM UNNEST($1::int[]) AS s(company_id)
-          LEFT JOIN settings t ON t.company_id = s.company_id
-          WHERE t.company_id IS NULL
-          `,
-          [ids]
-        );
-
-        await dest.query('COMMIT');
-        afetadas += ids.length;
+        addCounts(counts, await applySettings(dest, ids));
       } catch (e) {
-        await dest.query('ROLLBACK');
         erros += 1;
-        console.error(`❌ Falha no lote de settings (companies=${ids.length}): ${e.message}`);
+        console.error(`❌ Falha no lote de settings (companies=${ids.length}): ${e.message}; aplicando empresa a empresa...`);
+        // fallback: uma empresa por vez, para uma ruim não derrubar o lote
+        for (const companyId of ids) {
+          try {
+            addCounts(counts, await applySettings(dest, [companyId]));
+          } catch (rowErr) {
+            counts.failed += 1;
+            console.error(`❌ Erro ao aplicar settings da company_id=${companyId}: ${rowErr.message}`);
+            ctx.rejects.add('settings', companyId, rowErr, { tenantId: companyId, payload: { company_id: companyId } });
+          }
+        }
       }
 
       processed += batch.length;
@@ -144,10 +109,79 @@ module.exports = async function migrateSettings(ctx = {}) {
 
     bar.stop();
     await new Promise((resolve, reject) => cursor.close(err => (err ? reject(err) : resolve())));
+    await watermark.commit();
     const secs = ((Date.now() - startedAt) / 1000).toFixed(1);
-    console.log(`✅ Settings aplicadas para ${afetadas}/${total} empresa(s) em ${secs}s.${erros ? ` (${erros} lote(s) com erro)` : ''}`);
+    const afetadas = counts.inserted + counts.updated;
+    console.log(
+      `✅ Settings aplicadas para ${afetadas}/${total} empresa(s) em ${secs}s (${formatCounts(counts)}).` +
+      `${erros ? ` (${erros} lote(s) refeito(s) empresa a empresa)` : ''}`
+    );
   } finally {
-    await source.end();
-    await dest.end();
+    await db.release();
+  }
+};
+
+// Etapas que precisam ter rodado antes (no mesmo escopo) e tabelas escritas no destino
+module.exports.meta = {
+  dependsOn: ['Tenants'],
+  writes: ['settings'],
+  // colunas que a etapa usa nos dois bancos (node main.js preflight)
+  schema: {
+    source: {
+      Settings: { tenantId: 'int', updatedAt: 'time' }
+    },
+    dest: {
+      settings: {
+        company_id: 'int', message_signature: 'bool', view_chatbot: 'bool', allow_user_disable_message_signature: 'bool',
+        smtp: 'json', support_ticket_config: 'json', created_at: 'time', updated_at: 'time'
+      }
+    }
   }
 };
+
+// —— helpers
+
+// Atualiza as settings de quem já existe e insere as que faltam, numa transação (sem depender de
+// índice único em company_id). Retorna { inserted, updated } no formato do utils/upsert.
+async function applySettings(dest, ids) {
+  try {
+    await dest.query('BEGIN');
+    await dest.query('SET LOCAL synchronous_commit TO OFF');
+
+    // UPDATE em massa para quem já existe
+    const upd = await dest.query(
+      `
+      UPDATE settings
+         SET message_signature = TRUE,
+             view_chatbot      = TRUE,
+             allow_user_disable_message_signature = COALESCE(allow_user_disable_message_signature, TRUE),
+             smtp = COALESCE(smtp, '{}'::jsonb),
+             support_ticket_config = COALESCE(support_ticket_config, '{}'::jsonb),
+             updated_at        = NOW()
+       WHERE company_id = ANY($1::int[])
+      `,
+      [ids]
+    );
+
+    // INSERT apenas dos faltantes (anti-join via UNNEST)
+    const ins = await dest.query(
+      `
+      INSERT INTO settings (
+        company_id, message_signature, view_chatbot, allow_user_disable_message_signature,
+        smtp, support_ticket_config, created_at, updated_at
+      )
+      SELECT s.company_id, TRUE, TRUE, TRUE, '{}'::jsonb, '{}'::jsonb, NOW(), NOW()
+      FROM UNNEST($1::int[]) AS s(company_id)
+      LEFT JOIN settings t ON t.company_id = s.company_id
+      WHERE t.company_id IS NULL
+      `,
+      [ids]
+    );
+
+    await dest.query('COMMIT');
+    return { inserted: ins.rowCount, updated: upd.rowCount };
+  } catch (err) {
+    await dest.query('ROLLBACK');
+    throw err;
+  }
+}
@@ -2,14 +2,16 @@
 'use strict';
 
 require('dotenv').config();
-const { Client } = require('pg');
+const { connectStep } = require('../utils/db');
 const Cursor = require('pg-cursor');
-const cliProgress = require('cli-progress');
+const { createProgressBar } = require('../utils/progress');
+const { openCheckpoint } = require('../utils/checkpoint');
+const { epoch } = require('../utils/verify');
+const { createUpsert, addCounts, formatCounts } = require('../utils/upsert');
 
 module.exports = async function migrateTags(ctx = {}) {
   console.log('🏷️ Migrando "Tags" → "tags"...');
 
-  // 7 params/linha → 5000 linhas ≈ 35k params (< 65535)
   const BATCH_SIZE = Number(process.env.BATCH_SIZE || 3000);
 
   const tenantId =
@@ -17,45 +19,32 @@ module.exports = async function migrateTags(ctx = {}) {
       ? String(ctx.tenantId).trim()
       : (process.env.TENANT_ID ? String(process.env.TENANT_ID).trim() : null);
 
-  const source = new Client({
-    host: process.env.SRC_HOST,
-    port: process.env.SRC_PORT,
-    user: process.env.SRC_USER,
-    password: process.env.SRC_PASS,
-    database: process.env.SRC_DB,
-    application_name: 'migrateTags:source'
-  });
-
-  const dest = new Client({
-    host: process.env.DST_HOST,
-    port: process.env.DST_PORT,
-    user: process.env.DST_USER,
-    password: process.env.DST_PASS,
-    database: process.env.DST_DB,
-    application_name: 'migrateTags:dest'
-  });
-
-  await source.connect();
-  await dest.connect();
+  const db = await connectStep(ctx, 'Tags');
+  const { source, dest } = db;
 
   try {
-    // 1) COUNT p/ barra/ETA
+    // 1) COUNT p/ barra/ETA (no modo incremental, só o que mudou desde o watermark)
+    const checkpoint = await openCheckpoint(dest, 'Tags', { tenantId, fresh: ctx.fresh, onlyIds: ctx.onlyIds, delta: ctx.delta, rejects: ctx.rejects });
+    const countParams = tenantId ? [tenantId] : [];
     const countSql = `
       SELECT COUNT(*)::bigint AS total
       FROM "public"."Tags"
       ${tenantId ? 'WHERE "tenantId" = $1' : ''}
+      ${checkpoint.delta('id', countParams, tenantId ? 'AND' : 'WHERE')}
     `;
-    const { rows: crows } = await source.query(countSql, tenantId ? [tenantId] : []);
+    const { rows: crows } = await source.query(countSql, countParams);
     const total = Number(crows[0]?.total || 0);
     if (!total) {
       console.log(
         tenantId ? `⚠️  Nenhuma tag encontrada para TENANT_ID=${tenantId}.`
                  : '⚠️  Nenhuma tag encontrada na origem.'
       );
+      await checkpoint.clear();
       return;
     }
 
     // 2) Cursor server-side (ordem estável)
+    const selectParams = tenantId ? [tenantId] : [];
     const selectSql = `
       SELECT
         id,
@@ -67,37 +56,25 @@ module.exports = async function migrateTags(ctx = {}) {
         "updatedAt"
       FROM "public"."Tags"
       ${tenantId ? 'WHERE "tenantId" = $1' : ''}
+      ${checkpoint.where('id', selectParams, tenantId ? 'AND' : 'WHERE')}
       ORDER BY id
     `;
-    const cursor = source.query(new Cursor(selectSql, tenantId ? [tenantId] : []));
+    const cursor = source.query(new Cursor(selectSql, selectParams));
 
     // 3) Barra de progresso
-    const bar = new cliProgress.SingleBar(
-      { format: 'Progresso |{bar}| {percentage}% | {value}/{total} | ETA: {eta_formatted} | {rate} r/s', hideCursor: true },
-      cliProgress.Presets.shades_classic
-    );
-    bar.start(total, 0, { rate: '0.0' });
-
-    // 4) Upsert single (fallback)
-    const upsertSqlSingle = `
-      INSERT INTO tags (
-        id, name, color, active, is_public, company_id, created_at, updated_at
-      ) VALUES (
-        $1, $2, $3, $4, $5, $6, $7, $8
-      )
-      ON CONFLICT (id) DO UPDATE SET
-        name       = EXCLUDED.name,
-        color      = EXCLUDED.color,
-        active     = EXCLUDED.active,
-        is_public  = EXCLUDED.is_public,
-        company_id = EXCLUDED.company_id,
-        updated_at = EXCLUDED.updated_at
-    `;
+    const bar = createProgressBar(ctx);
+    bar.start(total, checkpoint.processed, { rate: '0.0' });
+
+    // 4) Upsert (is_public sempre true)
+    const upsert = createUpsert({
+      table: 'tags',
+      columns: ['id', 'name', 'color', 'active', { name: 'is_public', sql: 'true' }, 'company_id', 'created_at', 'updated_at'],
+      insertOnly: ['created_at']
+    });
 
     const startedAt = Date.now();
-    let processed = 0;
-    let migradas = 0;
-    let erros = 0;
+    let processed = checkpoint.processed;
+    const counts = { inserted: 0, updated: 0, unchanged: 0, failed: 0 };
 
     // 5) Loop por lote
     while (true) {
@@ -106,87 +83,73 @@ module.exports = async function migrateTags(ctx = {}) {
       });
       if (!batch || batch.length === 0) break;
 
-      const placeholders = [];
-      const values = [];
-      const perRowParams = [];
-
-      batch.forEach((row, i) => {
-        const name = safeName(row.name, row.id);
-        const color = normalizeColor(row.color);
-        const active = row.active !== false; // default true se nulo
-
-        const v = [
-          row.id,          // 1
-          name,            // 2
-          color,           // 3
-          active,          // 4
-          true,            // 5 is_public
-          row.company_id,  // 6
-          row.createdAt,   // 7
-          row.updatedAt    // 8
-        ];
-        perRowParams.push(v);
-
-        const base = i * 8;
-        placeholders.push(
-          `($${base+1}, $${base+2}, $${base+3}, $${base+4}, $${base+5}, $${base+6}, $${base+7}, $${base+8})`
-        );
-        values.push(...v);
-      });
-
-      // Execução do lote
-      try {
-        await dest.query('BEGIN');
-        await dest.query('SET LOCAL synchronous_commit TO OFF');
-        await dest.query(
-          `
-          INSERT INTO tags (
-            id, name, color, active, is_public, company_id, created_at, updated_at
-          ) VALUES
-            ${placeholders.join(',')}
-          ON CONFLICT (id) DO UPDATE SET
-            name       = EXCLUDED.name,
-            color      = EXCLUDED.color,
-            active     = EXCLUDED.active,
-            is_public  = EXCLUDED.is_public,
-            company_id = EXCLUDED.company_id,
-            updated_at = EXCLUDED.updated_at
-          `,
-          values
-        );
-        await dest.query('COMMIT');
-        migradas += batch.length;
-      } catch (batchErr) {
-        await dest.query('ROLLBACK');
-        // fallback: registro a registro
-        for (const v of perRowParams) {
-          try {
-            await dest.query('BEGIN');
-            await dest.query('SET LOCAL synchronous_commit TO OFF');
-            await dest.query(upsertSqlSingle, v);
-            await dest.query('COMMIT');
-            migradas += 1;
-          } catch (rowErr) {
-            await dest.query('ROLLBACK');
-            erros += 1;
-            console.error(`❌ Erro ao migrar tag id=${v[0]}: ${rowErr.message}`);
-          }
+      const rows = batch.map(row => [
+        row.id,
+        safeName(row.name, row.id),
+        normalizeColor(row.color),
+        row.active !== false, // default true se nulo
+        row.company_id,
+        row.createdAt,
+        row.updatedAt
+      ]);
+
+      addCounts(counts, await upsert.write(dest, rows, {
+        onError: (err, i) => {
+          const original = batch[i];
+          console.error(`❌ Erro ao migrar tag id=${original.id}: ${err.message}`);
+          ctx.rejects.add('tags', original.id, err, { tenantId: original.company_id, payload: original });
         }
-      }
+      }));
 
       processed += batch.length;
+      await checkpoint.save(batch[batch.length - 1].id, processed);
       const elapsed = (Date.now() - startedAt) / 1000;
       const rate = (processed / Math.max(1, elapsed)).toFixed(1);
       bar.update(processed, { rate });
     }
 
     bar.stop();
+    await checkpoint.clear();
     await new Promise((resolve, reject) => cursor.close(err => (err ? reject(err) : resolve())));
     const secs = ((Date.now() - startedAt) / 1000).toFixed(1);
-    console.log(`✅ Migradas ${migradas}/${total} tag(s) em ${secs}s.${erros ? ` (${erros} com erro)` : ''}`);
+    const migradas = counts.inserted + counts.updated + counts.unchanged;
+    console.log(`✅ Migradas ${migradas}/${total} tag(s) em ${secs}s (${formatCounts(counts)}).`);
   } finally {
-    await source.end();
-    await dest.end();
+    await db.release();
+  }
+};
+
+// Etapas que precisam ter rodado antes (no mesmo escopo), tabelas escritas no destino
+// e como conferir origem × destino (node main.js verify)
+module.exports.meta = {
+  dependsOn: ['Tenants'],
+  writes: ['tags'],
+  // colunas e índices que a etapa usa nos dois bancos (node main.js preflight)
+  schema: {
+    source: {
+      Tags: { id: 'int', tag: 'text', color: 'text', isActive: 'bool', tenantId: 'int', createdAt: 'time', updatedAt: 'time' }
+    },
+    dest: {
+      tags: {
+        id: 'int', name: 'text', color: 'text', active: 'bool', is_public: 'bool', company_id: 'int',
+        created_at: 'time', updated_at: 'time'
+      }
+    },
+    unique: { tags: [['id']] }
+  },
+  verify: {
+    source: {
+      from: '"public"."Tags"',
+      tenant: '"tenantId"',
+      key: 'id',
+      columns: [`COALESCE(NULLIF(btrim("tag"), ''), 'Tag ' || id)`, 'COALESCE("isActive", true)', epoch('"createdAt"')]
+    },
+    dest: {
+      from: 'tags',
+      tenant: 'company_id',
+      key: 'id',
+      columns: ['name', 'active', epoch('created_at')]
+    }
   }
 };
 
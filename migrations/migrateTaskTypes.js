@@ -2,14 +2,16 @@
 'use strict';
 
 require('dotenv').config();
-const { Client } = require('pg');
+const { connectStep } = require('../utils/db');
 const Cursor = require('pg-cursor');
-const cliProgress = require('cli-progress');
+const { createProgressBar } = require('../utils/progress');
+const { openCheckpoint } = require('../utils/checkpoint');
+const { epoch } = require('../utils/verify');
+const { createUpsert, addCounts, formatCounts } = require('../utils/upsert');
 
 module.exports = async function migrateTaskTypes(ctx = {}) {
   console.log('🏷️ Migrando "TodoListTypes" → "task_types"...');
 
-  // 5 params/linha → 5000 linhas ≈ 25k params (< 65535)
   const BATCH_SIZE = Number(process.env.BATCH_SIZE || 3000);
 
   // Usa TENANT_ID do ctx (preferencial) ou do .env
@@ -18,35 +20,20 @@ module.exports = async function migrateTaskTypes(ctx = {}) {
       ? String(ctx.tenantId).trim()
       : (process.env.TENANT_ID ? String(process.env.TENANT_ID).trim() : null);
 
-  const source = new Client({
-    host: process.env.SRC_HOST,
-    port: process.env.SRC_PORT,
-    user: process.env.SRC_USER,
-    password: process.env.SRC_PASS,
-    database: process.env.SRC_DB,
-    application_name: 'migrateTaskTypes:source'
-  });
-
-  const dest = new Client({
-    host: process.env.DST_HOST,
-    port: process.env.DST_PORT,
-    user: process.env.DST_USER,
-    password: process.env.DST_PASS,
-    database: process.env.DST_DB,
-    application_name: 'migrateTaskTypes:dest'
-  });
-
-  await source.connect();
-  await dest.connect();
+  const db = await connectStep(ctx, 'TaskTypes');
+  const { source, dest } = db;
 
   try {
     // 1) COUNT p/ barra/ETA
+    const checkpoint = await openCheckpoint(dest, 'TaskTypes', { tenantId, fresh: ctx.fresh, onlyIds: ctx.onlyIds, delta: ctx.delta, rejects: ctx.rejects });
+    const countParams = tenantId ? [tenantId] : [];
     const countSql = `
       SELECT COUNT(*)::bigint AS total
       FROM "public"."TodoListTypes"
       ${tenantId ? 'WHERE "tenantId" = $1' : ''}
+      ${checkpoint.delta('id', countParams, tenantId ? 'AND' : 'WHERE')}
     `;
-    const { rows: crows } = await source.query(countSql, tenantId ? [tenantId] : []);
+    const { rows: crows } = await source.query(countSql, countParams);
     const total = Number(crows[0]?.total || 0);
     if (!total) {
       console.log(
@@ -54,10 +41,12 @@ module.exports = async function migrateTaskTypes(ctx = {}) {
           ? `⚠️  Nenhum tipo de tarefa encontrado para TENANT_ID=${tenantId}.`
           : '⚠️  Nenhum tipo de tarefa encontrado na origem.'
       );
+      await checkpoint.clear();
       return;
     }
 
     // 2) Cursor server-side (ordem estável)
+    const selectParams = tenantId ? [tenantId] : [];
     const selectSql = `
       SELECT
         id,
@@ -67,32 +56,25 @@ module.exports = async function migrateTaskTypes(ctx = {}) {
         "updatedAt"
       FROM "public"."TodoListTypes"
       ${tenantId ? 'WHERE "tenantId" = $1' : ''}
+      ${checkpoint.where('id', selectParams, tenantId ? 'AND' : 'WHERE')}
       ORDER BY id
     `;
-    const cursor = source.query(new Cursor(selectSql, tenantId ? [tenantId] : []));
+    const cursor = source.query(new Cursor(selectSql, selectParams));
 
     // 3) Barra de progresso
-    const bar = new cliProgress.SingleBar(
-      { format: 'Progresso |{bar}| {percentage}% | {value}/{total} | ETA: {eta_formatted} | {rate} r/s', hideCursor: true },
-      cliProgress.Presets.shades_classic
-    );
-    bar.start(total, 0, { rate: '0.0' });
-
-    // 4) UPSERT single (fallback)
-    const upsertSqlSingle = `
-      INSERT INTO task_types (
-        id, name, company_id, created_at, updated_at
-      ) VALUES ($1, $2, $3, $4, $5)
-      ON CONFLICT (id) DO UPDATE SET
-        name       = EXCLUDED.name,
-        company_id = EXCLUDED.company_id,
-        updated_at = EXCLUDED.updated_at
-    `;
+    const bar = createProgressBar(ctx);
+    bar.start(total, checkpoint.processed, { rate: '0.0' });
+
+    // 4) Upsert
+    const upsert = createUpsert({
+      table: 'task_types',
+      columns: ['id', 'name', 'company_id', 'created_at', 'updated_at'],
+      insertOnly: ['created_at']
+    });
 
     const startedAt = Date.now();
-    let processed = 0;
-    let migrados = 0;
-    let erros = 0;
+    let processed = checkpoint.processed;
+    const counts = { inserted: 0, updated: 0, unchanged: 0, failed: 0 };
 
     // 5) Loop por lote
     while (true) {
@@ -101,75 +83,62 @@ module.exports = async function migrateTaskTypes(ctx = {}) {
       });
       if (!batch || batch.length === 0) break;
 
-      const placeholders = [];
-      const values = [];
-      const perRowParams = [];
-
-      batch.forEach((row, i) => {
-        const v = [
-          row.id,                           // 1 id
-          safeName(row.name, row.id),       // 2 name
-          row.company_id,                   // 3 company_id
-          row.createdAt,                    // 4 created_at
-          row.updatedAt                     // 5 updated_at
-        ];
-        perRowParams.push(v);
-
-        const base = i * 5;
-        placeholders.push(`($${base+1}, $${base+2}, $${base+3}, $${base+4}, $${base+5})`);
-        values.push(...v);
-      });
+      const rows = batch.map(row => [row.id, safeName(row.name, row.id), row.company_id, row.createdAt, row.updatedAt]);
 
-      // Execução do lote (multi-VALUES)
-      try {
-        await dest.query('BEGIN');
-        await dest.query('SET LOCAL synchronous_commit TO OFF');
-        await dest.query(
-          `
-          INSERT INTO task_types (
-            id, name, company_id, created_at, updated_at
-          ) VALUES
-            ${placeholders.join(',')}
-          ON CONFLICT (id) DO UPDATE SET
-            name       = EXCLUDED.name,
-            company_id = EXCLUDED.company_id,
-            updated_at = EXCLUDED.updated_at
-          `,
-          values
-        );
-        await dest.query('COMMIT');
-        migrados += batch.length;
-      } catch (batchErr) {
-        await dest.query('ROLLBACK');
-        // fallback: registro a registro
-        for (const v of perRowParams) {
-          try {
-            await dest.query('BEGIN');
-            await dest.query('SET LOCAL synchronous_commit TO OFF');
-            await dest.query(upsertSqlSingle, v);
-            await dest.query('COMMIT');
-            migrados += 1;
-          } catch (rowErr) {
-            await dest.query('ROLLBACK');
-            erros += 1;
-            console.error(`❌ Erro ao migrar task_type id=${v[0]}: ${rowErr.message}`);
-          }
+      addCounts(counts, await upsert.write(dest, rows, {
+        onError: (err, i) => {
+          const original = batch[i];
+          console.error(`❌ Erro ao migrar task_type id=${original.id}: ${err.message}`);
+          ctx.rejects.add('task_types', original.id, err, { tenantId: original.company_id, payload: original });
         }
-      }
+      }));
 
       processed += batch.length;
+      await checkpoint.save(batch[batch.length - 1].id, processed);
       const elapsed = (Date.now() - startedAt) / 1000;
       const rate = (processed / Math.max(1, elapsed)).toFixed(1);
       bar.update(processed, { rate });
     }
 
     bar.stop();
+    await checkpoint.clear();
     await new Promise((resolve, reject) => cursor.close(err => (err ? reject(err) : resolve())));
     const secs = ((Date.now() - startedAt) / 1000).toFixed(1);
-    console.log(`✅ Migrados ${migrados}/${total} tipo(s) de tarefa em ${secs}s.${erros ? ` (${erros} com erro)` : ''}`);
+    const migrados = counts.inserted + counts.updated + counts.unchanged;
+    console.log(`✅ Migrados ${migrados}/${total} tipo(s) de tarefa em ${secs}s (${formatCounts(counts)}).`);
   } finally {
-    await source.end();
-    await dest.end();
+    await db.release();
+  }
+};
+
+// Etapas que precisam ter rodado antes (no mesmo escopo), tabelas escritas no destino
+// e como conferir origem × destino (node main.js verify)
+module.exports.meta = {
+  dependsOn: ['Tenants'],
+  writes: ['task_types'],
+  // colunas e índices que a etapa usa nos dois bancos (node main.js preflight)
+  schema: {
+    source: {
+      TodoListTypes: { id: 'int', type: 'text', tenantId: 'int', createdAt: 'time', updatedAt: 'time' }
+    },
+    dest: {
+      task_types: { id: 'int', name: 'text', company_id: 'int', created_at: 'time', updated_at: 'time' }
+    },
+    unique: { task_types: [['id']] }
+  },
+  verify: {
+    source: {
+      from: '"public"."TodoListTypes"',
+      tenant: '"tenantId"',
+      key: 'id',
+      columns: [`COALESCE(NULLIF(btrim(type), ''), 'Tipo ' || id)`, epoch('"createdAt"')]
+    },
+    dest: {
+      from: 'task_types',
+      tenant: 'company_id',
+      key: 'id',
+      columns: ['name', epoch('created_at')]
+    }
   }
 };
 
@@ -2,14 +2,16 @@
 'use strict';
 
 require('dotenv').config();
-const { Client } = require('pg');
+const { connectStep } = require('../utils/db');
 const Cursor = require('pg-cursor');
-const cliProgress = require('cli-progress');
+const { createProgressBar } = require('../utils/progress');
+const { openCheckpoint } = require('../utils/checkpoint');
+const { epoch } = require('../utils/verify');
+const { createUpsert, addCounts, formatCounts } = require('../utils/upsert');
 
 module.exports = async function migrateTasks(ctx = {}) {
   console.log('📝 Migrando "TodoLists" → "tasks"...');
 
-  // 13 params/linha → 2500 linhas ≈ 32.5k params (< 65535)
   const BATCH_SIZE = Number(process.env.BATCH_SIZE || 2500);
   const USE_FALLBACK_TYPE = readBool(process.env.TASKS_FALLBACK_TYPE, true);
 
@@ -19,26 +21,8 @@ module.exports = async function migrateTasks(ctx = {}) {
       ? String(ctx.tenantId).trim()
       : (process.env.TENANT_ID ? String(process.env.TENANT_ID).trim() : null);
 
-  const source = new Client({
-    host: process.env.SRC_HOST,
-    port: process.env.SRC_PORT,
-    user: process.env.SRC_USER,
-    password: process.env.SRC_PASS,
-    database: process.env.SRC_DB,
-    application_name: 'migrateTasks:source'
-  });
-
-  const dest = new Client({
-    host: process.env.DST_HOST,
-    port: process.env.DST_PORT,
-    user: process.env.DST_USER,
-    password: process.env.DST_PASS,
-    database: process.env.DST_DB,
-    application_name: 'migrateTasks:dest'
-  });
-
-  await source.connect();
-  await dest.connect();
+  const db = await connectStep(ctx, 'Tasks');
+  const { source, dest } = db;
 
   try {
     // —— 1) Carrega tipos e fallback de tipos no destino
@@ -64,12 +48,15 @@ module.exports = async function migrateTasks(ctx = {}) {
     );
 
     // —— 2) COUNT para barra/ETA
+    const checkpoint = await openCheckpoint(dest, 'Tasks', { tenantId, fresh: ctx.fresh, onlyIds: ctx.onlyIds, delta: ctx.delta, rejects: ctx.rejects });
+    const countParams = tenantId ? [tenantId] : [];
     const countSql = `
       SELECT COUNT(*)::bigint AS total
       FROM "public"."TodoLists"
       ${tenantId ? 'WHERE "tenantId" = $1' : ''}
+      ${checkpoint.delta('id', countParams, tenantId ? 'AND' : 'WHERE')}
     `;
-    const { rows: crows } = await source.query(countSql, tenantId ? [tenantId] : []);
+    const { rows: crows } = await source.query(countSql, countParams);
     const total = Number(crows[0]?.total || 0);
     if (!total) {
       console.log(
@@ -77,10 +64,12 @@ module.exports = async function migrateTasks(ctx = {}) {
           ? `⚠️  Nenhuma tarefa encontrada para TENANT_ID=${tenantId}.`
           : '⚠️  Nenhuma tarefa encontrada na origem.'
       );
+      await checkpoint.clear();
       return;
     }
 
     // —— 3) Cursor server-side (ordem estável)
+    const selectParams = tenantId ? [tenantId] : [];
     const selectSql = `
       SELECT
         id,
@@ -98,45 +87,30 @@ module.exports = async function migrateTasks(ctx = {}) {
         "updatedAt"
       FROM "public"."TodoLists"
       ${tenantId ? 'WHERE "tenantId" = $1' : ''}
+      ${checkpoint.where('id', selectParams, tenantId ? 'AND' : 'WHERE')}
       ORDER BY id
     `;
-    const cursor = source.query(new Cursor(selectSql, tenantId ? [tenantId] : []));
+    const cursor = source.query(new Cursor(selectSql, selectParams));
 
     // —— 4) Barra de progresso
-    const bar = new cliProgress.SingleBar(
-      { format: 'Progresso |{bar}| {percentage}% | {value}/{total} | ETA: {eta_formatted} | {rate} r/s', hideCursor: true },
-      cliProgress.Presets.shades_classic
-    );
-    bar.start(total, 0, { rate: '0.0' });
+    const bar = createProgressBar(ctx);
+    bar.start(total, checkpoint.processed, { rate: '0.0' });
 
-    // —— 5) UPSERT single (fallback)
-    const upsertSqlSingle = `
-      INSERT INTO tasks (
-        id, company_id, created_by_id, assigned_to_id, name, description,
-        task_type_id, created_at, due_date, priority, status, extra_info, updated_at
-      ) VALUES (
-        $1, $2, $3, $4, $5, $6,
-        $7, $8, $9, $10, $11, $12, $13
-      )
-      ON CONFLICT (id) DO UPDATE SET
-        company_id     = EXCLUDED.company_id,
-        created_by_id  = EXCLUDED.created_by_id,
-        assigned_to_id = EXCLUDED.assigned_to_id,
-        name           = EXCLUDED.name,
-        description    = EXCLUDED.description,
-        task_type_id   = EXCLUDED.task_type_id,
-        due_date       = EXCLUDED.due_date,
-        priority       = EXCLUDED.priority,
-        status         = EXCLUDED.status,
-        extra_info     = EXCLUDED.extra_info,
-        updated_at     = EXCLUDED.updated_at
-    `;
+    // —— 5) Upsert
+    const upsert = createUpsert({
+      table: 'tasks',
+      columns: [
+        'id', 'company_id', 'created_by_id', 'assigned_to_id', 'name', 'description',
+        'task_type_id', 'created_at', 'due_date', 'priority', 'status',
+        { name: 'extra_info', cast: 'jsonb' }, 'updated_at'
+      ],
+      insertOnly: ['created_at']
+    });
 
     const startedAt = Date.now();
-    let processed = 0;
-    let migradas = 0;
+    let processed = checkpoint.processed;
     let ignoradasTipo = 0;
-    let erros = 0;
+    const counts = { inserted: 0, updated: 0, unchanged: 0, failed: 0 };
 
     // —— 6) Loop por lote
     while (true) {
@@ -145,12 +119,10 @@ module.exports = async function migrateTasks(ctx = {}) {
       });
       if (!batch || batch.length === 0) break;
 
-      const placeholders = [];
-      const values = [];
-      const perRowParams = [];
+      const rows = [];
+      const originals = []; // linha da origem de cada item de rows (para os rejeitados)
 
-      for (let i = 0; i < batch.length; i++) {
-        const row = batch[i];
+      for (const row of batch) {
         const typeKey = `${row.company_id}|${(row.type || '').trim().toLowerCase()}`;
         let task_type_id = taskTypeMap.get(typeKey) || null;
 
@@ -161,6 +133,11 @@ module.exports = async function migrateTasks(ctx = {}) {
 
         if (!task_type_id) {
           ignoradasTipo++;
+          ctx.rejects.add('tasks', row.id, 'tipo de tarefa ausente no destino', {
+            code: 'missing_task_type',
+            tenantId: row.company_id,
+            payload: row
+          });
           continue;
         }
 
@@ -173,99 +150,96 @@ module.exports = async function migrateTasks(ctx = {}) {
           });
         }
 
-        const v = [
-          row.id,                               // 1  id
-          row.company_id,                       // 2  company_id
-          row.created_by_id || null,            // 3  created_by_id
-          row.assigned_to_id || null,           // 4  assigned_to_id
-          safeName(row.name, row.id),           // 5  name
-          row.description || '',                // 6  description
-          task_type_id,                         // 7  task_type_id
-          row.createdAt,                        // 8  created_at
-          row.due_date || row.createdAt || new Date(), // 9  due_date
-          normalizePriority(row.priority),      // 10 priority
-          row.status || 'pendente',             // 11 status
-          JSON.stringify(extraInfo),            // 12 extra_info::jsonb
-          row.updatedAt                         // 13 updated_at
-        ];
-        perRowParams.push(v);
-
-        const base = placeholders.length * 13;
-        placeholders.push(
-          `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6}, $${base + 7}, $${base + 8}, $${base + 9}, $${base + 10}, $${base + 11}, $${base + 12}::jsonb, $${base + 13})`
-        );
-        values.push(...v);
-      }
-
-      if (placeholders.length === 0) {
-        processed += batch.length;
-        const elapsed = (Date.now() - startedAt) / 1000;
-        bar.update(processed, { rate: (processed / Math.max(1, elapsed)).toFixed(1) });
-        continue;
+        rows.push([
+          row.id,
+          row.company_id,
+          row.created_by_id || null,
+          row.assigned_to_id || null,
+          safeName(row.name, row.id),
+          row.description || '',
+          task_type_id,
+          row.createdAt,
+          row.due_date || row.createdAt || new Date(),
+          normalizePriority(row.priority),
+          row.status || 'pendente',
+          JSON.stringify(extraInfo),
+          row.updatedAt
+        ]);
+        originals.push(row);
       }
 
-      // —— 7) Execução do lote
-      try {
-        await dest.query('BEGIN');
-        await dest.query('SET LOCAL synchronous_commit TO OFF');
-        await dest.query(
-          `
-          INSERT INTO tasks (
-            id, company_id, created_by_id, assigned_to_id, name, description,
-            task_type_id, created_at, due_date, priority, status, extra_info, updated_at
-          ) VALUES
-            ${placeholders.join(',')}
-          ON CONFLICT (id) DO UPDATE SET
-            company_id     = EXCLUDED.company_id,
-            created_by_id  = EXCLUDED.created_by_id,
-            assigned_to_id = EXCLUDED.assigned_to_id,
-            name           = EXCLUDED.name,
-            description    = EXCLUDED.description,
-            task_type_id   = EXCLUDED.task_type_id,
-            due_date       = EXCLUDED.due_date,
-            priority       = EXCLUDED.priority,
-            status         = EXCLUDED.status,
-            extra_info     = EXCLUDED.extra_info,
-            updated_at     = EXCLUDED.updated_at
-          `,
-          values
-        );
-        await dest.query('COMMIT');
-        migradas += placeholders.length;
-      } catch (batchErr) {
-        await dest.query('ROLLBACK');
-        // fallback: registro a registro
-        for (const v of perRowParams) {
-          try {
-            await dest.query('BEGIN');
-            await dest.query('SET LOCAL synchronous_commit TO OFF');
-            await dest.query(upsertSqlSingle, v);
-            await dest.query('COMMIT');
-            migradas += 1;
-          } catch (rowErr) {
-            await dest.query('ROLLBACK');
-            erros += 1;
-            console.error(`❌ Erro ao migrar task id=${v[0]}: ${rowErr.message}`);
-          }
+      // —— 7) Gravação do lote
+      addCounts(counts, await upsert.write(dest, rows, {
+        onError: (err, i) => {
+          const original = originals[i];
+          console.error(`❌ Erro ao migrar task id=${original.id}: ${err.message}`);
+          ctx.rejects.add('tasks', original.id, err, { tenantId: original.company_id, payload: original });
         }
-      }
+      }));
 
       processed += batch.length;
+      await checkpoint.save(batch[batch.length - 1].id, processed);
       const elapsed = (Date.now() - startedAt) / 1000;
       const rate = (processed / Math.max(1, elapsed)).toFixed(1);
       bar.update(processed, { rate });
     }
 
     bar.stop();
+    await checkpoint.clear();
     const secs = ((Date.now() - startedAt) / 1000).toFixed(1);
+    const migradas = counts.inserted + counts.updated + counts.unchanged;
     console.log(
-      `✅ Migradas ${migradas}/${total} tarefa(s) em ${secs}s. `
-      + (ignoradasTipo ? `(${ignoradasTipo} ignoradas por tipo ausente)` : '')
-      + (erros ? `, ${erros} com erro` : '')
+      `✅ Migradas ${migradas}/${total} tarefa(s) em ${secs}s (${formatCounts(counts)}).`
+      + (ignoradasTipo ? ` ${ignoradasTipo} ignorada(s) por tipo ausente.` : '')
     );
   } finally {
-    await source.end();
-    await dest.end();
+    await db.release();
+  }
+};
+
+// Etapas que precisam ter rodado antes (no mesmo escopo), tabelas escritas no destino
+// e como conferir origem × destino (node main.js verify)
+module.exports.meta = {
+  dependsOn: ['TaskTypes', 'Users'],
+  writes: ['tasks'],
+  // colunas e índices que a etapa usa nos dois bancos (node main.js preflight)
+  schema: {
+    source: {
+      TodoLists: {
+        id: 'int', tenantId: 'int', ownerId: 'int', userId: 'int', name: 'text', description: 'text', type: 'text',
+        limitDate: 'time', priority: 'any', status: 'text', comments: 'text', createdAt: 'time', updatedAt: 'time'
+      }
+    },
+    dest: {
+      tasks: {
+        id: 'int', company_id: 'int', created_by_id: 'int', assigned_to_id: 'int', name: 'text', description: 'text',
+        task_type_id: 'int', due_date: 'time', priority: 'text', status: 'text', extra_info: 'json',
+        created_at: 'time', updated_at: 'time'
+      },
+      task_types: { id: 'int', name: 'text', company_id: 'int' }
+    },
+    unique: { tasks: [['id']] }
+  },
+  verify: {
+    source: {
+      from: '"public"."TodoLists"',
+      tenant: '"tenantId"',
+      key: 'id',
+      columns: [
+        `COALESCE(NULLIF(btrim(name), ''), 'Tarefa ' || id)`,
+        `COALESCE(description, '')`,
+        'NULLIF("ownerId", 0)',
+        'NULLIF("userId", 0)',
+        `COALESCE(NULLIF(status, ''), 'pendente')`,
+        epoch('"createdAt"')
+      ]
+    },
+    dest: {
+      from: 'tasks',
+      tenant: 'company_id',
+      key: 'id',
+      columns: ['name', 'description', 'created_by_id', 'assigned_to_id', 'status', epoch('created_at')]
+    }
   }
 };
 
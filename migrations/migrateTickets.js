@@ -1,8 +1,33 @@
-// migrations/migrateTickets.fixed.js
+// migrations/migrateTickets.js
 'use strict';
 
 require('dotenv').config();
-const { Client } = require('pg');
+const fs = require('fs-extra');
+const path = require('path');
+const Cursor = require('pg-cursor');
+const { connectStep } = require('../utils/db');
+const { createProgressBar } = require('../utils/progress');
+const { openCheckpoint } = require('../utils/checkpoint');
+const { scopeKeyOf } = require('../utils/stepState');
+const { epoch } = require('../utils/verify');
+const { createUpsert, addCounts, formatCounts } = require('../utils/upsert');
+
+// tickets lidos por vez; cada lote é uma transação com checkpoint no fim
+const BATCH_SIZE = Number(process.env.BATCH_SIZE || 1000);
+
+// Motivos de pulo (código na quarentena → mensagem). Os códigos são os mesmos que o erro de FK
+// do Postgres geraria, então `rejects retry --reason=missing_channel_fk` continua valendo.
+const SKIP_REASONS = {
+  missing_channel_fk: row => `canal ${row.channel_id} não existe no destino`,
+  missing_contact_fk: row => `contato ${row.contactId} não existe no destino`,
+  missing_user_fk: row => `usuário ${row.userId} não existe no destino`
+};
+
+// Reparo opcional de canal ausente (o "whatsappId" legado aponta para um Whatsapps apagado):
+//   company → um canal de arquivo inativo por empresa
+//   channel → um canal de arquivo por id de canal legado (mantém o id; sem id cai no da empresa)
+// Vazio/off: o ticket é pulado para a quarentena (missing_channel_fk), como antes.
+const ARCHIVE_CHANNELS = String(process.env.TICKETS_ARCHIVE_CHANNELS || '').trim().toLowerCase();
 
 module.exports = async function migrateTickets(ctx = {}) {
   console.log('🎫 Migrando "Tickets" → "tickets"...');
@@ -12,27 +37,34 @@ module.exports = async function migrateTickets(ctx = {}) {
       ? String(ctx.tenantId).trim()
       : (process.env.TENANT_ID ? String(process.env.TENANT_ID).trim() : null);
 
-  const source = new Client({
-    host: process.env.SRC_HOST,
-    port: process.env.SRC_PORT,
-    user: process.env.SRC_USER,
-    password: process.env.SRC_PASS,
-    database: process.env.SRC_DB
-  });
-
-  const dest = new Client({
-    host: process.env.DST_HOST,
-    port: process.env.DST_PORT,
-    user: process.env.DST_USER,
-    password: process.env.DST_PASS,
-    database: process.env.DST_DB
-  });
-
-  await source.connect();
-  await dest.connect();
+  if (ARCHIVE_CHANNELS && !['off', 'company', 'channel'].includes(ARCHIVE_CHANNELS)) {
+    throw new Error(`TICKETS_ARCHIVE_CHANNELS inválido: "${ARCHIVE_CHANNELS}" (use company, channel ou off).`);
+  }
+
+  const db = await connectStep(ctx, 'Tickets');
+  const { source, dest } = db;
 
   try {
-    // Carrega flows por empresa no DESTINO para validar FK do flow_id
+    // 1) COUNT p/ barra/ETA
+    const checkpoint = await openCheckpoint(dest, 'Tickets', { tenantId, fresh: ctx.fresh, onlyIds: ctx.onlyIds, delta: ctx.delta, rejects: ctx.rejects });
+    const countParams = tenantId ? [tenantId] : [];
+    const countRes = await source.query(
+      `SELECT COUNT(*)::bigint AS total FROM "public"."Tickets"
+       ${tenantId ? 'WHERE "tenantId" = $1' : ''} ${checkpoint.delta('"id"', countParams, tenantId ? 'AND' : 'WHERE')}`,
+      countParams
+    );
+    const total = Number(countRes.rows[0]?.total || 0);
+    if (!total) {
+      console.log(
+        tenantId
+          ? `⚠️  Nenhum ticket encontrado para TENANT_ID=${tenantId}.`
+          : '⚠️  Nenhum ticket encontrado na origem.'
+      );
+      await checkpoint.clear();
+      return;
+    }
+
+    // 2) Carrega flows por empresa no DESTINO para validar FK do flow_id
     const flowsSql = tenantId
       ? `SELECT id, company_id FROM flows WHERE company_id = $1`
       : `SELECT id, company_id FROM flows`;
@@ -48,7 +80,11 @@ module.exports = async function migrateTickets(ctx = {}) {
 
     const channelsRes = await dest.query('SELECT id, virtual_agent_id, flow_id FROM channel_instances');
     const channelMeta = new Map(channelsRes.rows.map(r => [String(r.id), r]));
+    const archive = ARCHIVE_CHANNELS && ARCHIVE_CHANNELS !== 'off'
+      ? await openArchiveChannels(dest, ARCHIVE_CHANNELS)
+      : null;
 
+    // 3) Cursor server-side (ordem por id; retoma do checkpoint)
     const baseSelect = `
       SELECT
         "id",
@@ -69,124 +105,253 @@ module.exports = async function migrateTickets(ctx = {}) {
         "updatedAt"
       FROM "public"."Tickets"
     `;
-    const whereClause = tenantId ? `WHERE "tenantId" = $1` : '';
     const params = tenantId ? [tenantId] : [];
-    const result = await source.query(`${baseSelect} ${whereClause}`, params);
+    const whereClause = tenantId
+      ? `WHERE "tenantId" = $1 ${checkpoint.where('"id"', params, 'AND')}`
+      : checkpoint.where('"id"', params);
+    const cursor = source.query(new Cursor(`${baseSelect} ${whereClause} ORDER BY "id"`, params));
 
-    console.log('Total buscado:', result.rowCount);
-    if (result.rowCount === 0) {
-      console.log(
-        tenantId
-          ? `⚠️  Nenhum ticket encontrado para TENANT_ID=${tenantId}.`
-          : '⚠️  Nenhum ticket encontrado na origem.'
-      );
-      return;
-    }
+    const upsert = createUpsert({
+      table: 'tickets',
+      columns: [
+        'id', 'status', 'last_message', 'channel_id', 'contact_id', 'user_id',
+        'department_id', 'flow_id',
+        'last_message_at', 'closed_at', 'is_group',
+        { name: 'participants', cast: 'jsonb' }, { name: 'silenced', cast: 'jsonb' },
+        { name: 'tags', cast: 'jsonb' }, { name: 'pinned', cast: 'jsonb' },
+        'last_processed_message_id', 'virtual_agent_id',
+        'company_id', 'created_at', 'updated_at'
+      ],
+      insertOnly: ['created_at'],
+      copy: true
+    });
 
-    const upsertSql = `
-      INSERT INTO tickets (
-        id, status, last_message, channel_id, contact_id, user_id,
-        department_id, flow_id,
-        last_message_at, closed_at, is_group, participants, silenced,
-        tags, pinned, last_processed_message_id, virtual_agent_id,
-        company_id, created_at, updated_at
-      ) VALUES (
-        $1, $2, $3, $4, $5, $6,
-        $7, $8,
-        $9, $10, $11, $12::jsonb, $13::jsonb,
-        $14::jsonb, $15::jsonb, $16, $17,
-        $18, $19, $20
-      )
-      ON CONFLICT (id) DO UPDATE SET
-        status          = EXCLUDED.status,
-        last_message    = EXCLUDED.last_message,
-        channel_id      = EXCLUDED.channel_id,
-        contact_id      = EXCLUDED.contact_id,
-        user_id         = EXCLUDED.user_id,
-        department_id   = EXCLUDED.department_id,
-        flow_id         = EXCLUDED.flow_id,
-        last_message_at = EXCLUDED.last_message_at,
-        closed_at       = EXCLUDED.closed_at,
-        is_group        = EXCLUDED.is_group,
-        participants    = EXCLUDED.participants,
-        silenced        = EXCLUDED.silenced,
-        tags            = EXCLUDED.tags,
-        pinned          = EXCLUDED.pinned,
-        last_processed_message_id = EXCLUDED.last_processed_message_id,
-        virtual_agent_id = EXCLUDED.virtual_agent_id,
-        company_id      = EXCLUDED.company_id,
-        updated_at      = EXCLUDED.updated_at
-    `;
+    // 4) Barra de progresso
+    const bar = createProgressBar(ctx);
+    bar.start(total, checkpoint.processed, { rate: '0.0' });
 
-    let migrated = 0;
+    const startedAt = Date.now();
+    let processed = checkpoint.processed;
+    let arquivados = 0;
+    const counts = { inserted: 0, updated: 0, unchanged: 0, failed: 0 };
+    const skipped = Object.fromEntries(Object.keys(SKIP_REASONS).map(code => [code, 0]));
+    let invalidFlows = 0;
 
-    for (const row of result.rows) {
-      const lastMessageAt = parseTimestamp(row.lastMessageAt);
-      const closedAt = parseTimestamp(row.closedAt);
-      const participants = normalizeJsonArray(row.participants);
-      const silenced = normalizeJsonArray(row.silenced);
+    // 5) Loop por lote
+    while (true) {
+      const rows = await new Promise((resolve, reject) => {
+        cursor.read(BATCH_SIZE, (err, r) => (err ? reject(err) : resolve(r)));
+      });
+      if (!rows || rows.length === 0) break;
 
-      const channel = channelMeta.get(String(row.channel_id || ''));
+      // contatos e usuários do lote que existem no destino
+      const contactIds = await existingIds(dest, 'contacts', rows.map(r => r.contactId));
+      const userIds = await existingIds(dest, 'users', rows.map(r => r.userId));
 
-      // valida flow_id (se não existir no destino, tenta fallback pelo canal)
-      let flowId = row.flow_id || null;
-      if (flowId != null) {
-        const set = flowsByCompany.get(String(row.company_id));
-        if (!set || !set.has(flowId)) flowId = null;
-      }
-      if (flowId == null && channel?.flow_id != null) {
-        const set = flowsByCompany.get(String(row.company_id));
-        if (set && set.has(channel.flow_id)) flowId = channel.flow_id;
-      }
+      const originals = [];
+      const batch = [];
+      for (const row of rows) {
+        const channel = channelMeta.get(String(row.channel_id || ''));
+
+        // FKs que não existem no destino: o ticket vai para a quarentena com o motivo
+        const skip =
+          (row.channel_id && !channel && !archive && 'missing_channel_fk') ||
+          (row.contactId && !contactIds.has(String(row.contactId)) && 'missing_contact_fk') ||
+          (row.userId && !userIds.has(String(row.userId)) && 'missing_user_fk') ||
+          null;
+        if (skip) {
+          skipped[skip]++;
+          ctx.rejects.add('tickets', row.id, SKIP_REASONS[skip](row), { tenantId: row.company_id, code: skip, payload: row });
+          continue;
+        }
+
+        // só o ticket cujo canal legado sumiu vai para o arquivo; sem canal na origem continua sem canal
+        let channelId = row.channel_id || null;
+        if (row.channel_id && !channel && archive) {
+          channelId = await archive.resolve(row.company_id, row.channel_id);
+          arquivados++;
+        }
+
+        // valida flow_id (se não existir no destino, tenta fallback pelo canal)
+        let flowId = row.flow_id || null;
+        if (flowId != null) {
+          const set = flowsByCompany.get(String(row.company_id));
+          if (!set || !set.has(flowId)) {
+            flowId = null;
+            invalidFlows++;
+          }
+        }
+        if (flowId == null && channel?.flow_id != null) {
+          const set = flowsByCompany.get(String(row.company_id));
+          if (set && set.has(channel.flow_id)) flowId = channel.flow_id;
+        }
 
-      const virtualAgentId = channel?.virtual_agent_id || null;
-
-      try {
-        await dest.query(upsertSql, [
-          row.id,                                   // $1
-          row.status || 'pending',                  // $2
-          row.lastMessage || '',                    // $3
-          row.channel_id || null,                   // $4
-          row.contactId || null,                    // $5
-          row.userId || null,                       // $6
-          row.department_id || null,                // $7
-          flowId,                                   // $8
-          lastMessageAt,                            // $9
-          closedAt,                                 // $10
-          !!row.is_group,                           // $11
-          JSON.stringify(participants),             // $12
-          JSON.stringify(silenced),                 // $13
-          '[]',                                     // $14 tags
-          '[]',                                     // $15 pinned
-          '',                                       // $16 last_processed_message_id
-          virtualAgentId,                           // $17
-          row.company_id,                           // $18
-          row.createdAt,                            // $19
-          row.updatedAt                             // $20
+        const virtualAgentId = channel?.virtual_agent_id || null;
+
+        originals.push(row);
+        batch.push([
+          row.id,
+          row.status || 'pending',
+          row.lastMessage || '',
+          channelId,
+          row.contactId || null,
+          row.userId || null,
+          row.department_id || null,
+          flowId,
+          parseTimestamp(row.lastMessageAt),
+          parseTimestamp(row.closedAt),
+          !!row.is_group,
+          JSON.stringify(normalizeJsonArray(row.participants)),
+          JSON.stringify(normalizeJsonArray(row.silenced)),
+          '[]',                                     // tags
+          '[]',                                     // pinned
+          '',                                       // last_processed_message_id
+          virtualAgentId,
+          row.company_id,
+          row.createdAt,
+          row.updatedAt
         ]);
-        migrated++;
-      } catch (err) {
-        console.error(`❌ Erro ao migrar ticket ID ${row.id}: ${err.message}`);
-        console.error('📦 Dados (resumo):', {
-          id: row.id,
-          company_id: row.company_id,
-          contact_id: row.contactId,
-          user_id: row.userId,
-          channel_id: row.channel_id,
-          department_id: row.department_id,
-          flow_id: flowId
-        });
       }
+
+      // transação por lote (registro a registro se o lote falhar)
+      addCounts(counts, await upsert.write(dest, batch, {
+        onError: (err, i) => {
+          const original = originals[i];
+          console.error(`❌ Erro ao migrar ticket ID ${original.id}: ${err.message}`);
+          ctx.rejects.add('tickets', original.id, err, { tenantId: original.company_id, payload: original });
+        }
+      }));
+
+      processed += rows.length;
+      await checkpoint.save(rows[rows.length - 1].id, processed);
+
+      const elapsed = (Date.now() - startedAt) / 1000;
+      bar.update(processed, { rate: (processed / Math.max(1, elapsed)).toFixed(1) });
+    }
+
+    bar.stop();
+    await checkpoint.clear();
+    await new Promise((resolve, reject) => cursor.close(err => (err ? reject(err) : resolve())));
+
+    const migrated = counts.inserted + counts.updated + counts.unchanged;
+    const secs = ((Date.now() - startedAt) / 1000).toFixed(1);
+    console.log(`✅ Migrados ${migrated}/${total} ticket(s) em ${secs}s (${formatCounts(counts)}).`);
+    const skippedTotal = Object.values(skipped).reduce((a, b) => a + b, 0);
+    if (skippedTotal) {
+      const parts = Object.entries(skipped).filter(([, n]) => n).map(([code, n]) => `${code}: ${n}`);
+      console.log(`⏭️  ${skippedTotal} ticket(s) pulado(s) para a quarentena (${parts.join(', ')}).`);
+    }
+    if (invalidFlows) {
+      console.log(`🔀 ${invalidFlows} ticket(s) com flow inexistente no destino (ficaram com o flow do canal ou sem flow).`);
+    }
+    if (archive) {
+      console.log(`🗄️  ${arquivados} ticket(s) ligados a canais de arquivo (${archive.created} canal(is) criado(s) nesta execução).`);
     }
 
-    console.log(`✅ Total migrado: ${migrated} tickets.`);
+    const file = await writeSkipReport({
+      scope: scopeKeyOf(ctx),
+      runId: ctx.runId || null,
+      tenantId,
+      total,
+      processed,
+      written: counts,
+      skipped,
+      invalidFlows,
+      archived: arquivados
+    });
+    console.log(`📝 Resumo dos tickets pulados: ${file}`);
   } finally {
-    await source.end();
-    await dest.end();
+    await db.release();
+  }
+};
+
+// Etapas que precisam ter rodado antes (no mesmo escopo), tabelas escritas no destino
+// e como conferir origem × destino (node main.js verify)
+module.exports.meta = {
+  dependsOn: ['Users', 'Departments', 'Flows', 'Channels', 'Contacts'],
+  writes: ['tickets'],
+  // colunas e índices que a etapa usa nos dois bancos (node main.js preflight)
+  schema: {
+    source: {
+      Tickets: {
+        id: 'int', status: 'text', lastMessage: 'text', whatsappId: 'int', contactId: 'int', userId: 'int', queueId: 'int',
+        chatFlowId: 'int', lastMessageAt: 'any', closedAt: 'any', isGroup: 'bool', participants: 'any', silenced: 'any',
+        tenantId: 'int', createdAt: 'time', updatedAt: 'time'
+      }
+    },
+    dest: {
+      tickets: {
+        id: 'int', status: 'text', last_message: 'text', channel_id: 'int', contact_id: 'int', user_id: 'int',
+        department_id: 'int', flow_id: 'int', last_message_at: 'time', closed_at: 'time', is_group: 'bool',
+        participants: 'json', silenced: 'json', tags: 'json', pinned: 'json', last_processed_message_id: 'text',
+        virtual_agent_id: 'int', company_id: 'int', created_at: 'time', updated_at: 'time'
+      },
+      channel_instances: { id: 'int', virtual_agent_id: 'int', flow_id: 'int' },
+      flows: { id: 'int', company_id: 'int' },
+      contacts: { id: 'int' },
+      users: { id: 'int' }
+    },
+    unique: { tickets: [['id']] }
+  },
+  verify: {
+    source: {
+      from: '"public"."Tickets"',
+      tenant: '"tenantId"',
+      key: '"id"',
+      columns: [
+        `COALESCE(NULLIF("status", ''), 'pending')`,
+        `COALESCE("lastMessage", '')`,
+        'NULLIF("whatsappId", 0)',
+        'NULLIF("contactId", 0)',
+        'NULLIF("userId", 0)',
+        'NULLIF("queueId", 0)',
+        'COALESCE("isGroup", false)',
+        epoch('"createdAt"')
+      ]
+    },
+    // canal de arquivo (TICKETS_ARCHIVE_CHANNELS): volta ao canal legado por config.legacy_channel_id;
+    // o da empresa (modo company) não guarda o canal, então o channel_id desses fica fora da conferência
+    dest: {
+      from: `tickets t
+        LEFT JOIN channel_instances ci
+          ON ci.id = t.channel_id AND (ci.config::jsonb ->> 'migration_archive') = 'true'`,
+      tenant: 't.company_id',
+      key: 't.id',
+      columns: [
+        't.status',
+        't.last_message',
+        {
+          sql: `CASE WHEN ci.id IS NULL THEN t.channel_id::text ELSE ci.config::jsonb ->> 'legacy_channel_id' END`,
+          skipWhen: `ci.id IS NOT NULL AND ci.config::jsonb ->> 'legacy_channel_id' IS NULL`
+        },
+        't.contact_id',
+        't.user_id',
+        't.department_id',
+        't.is_group',
+        epoch('t.created_at')
+      ]
+    }
   }
 };
 
 // -------- helpers --------
+// ids (como texto) que existem na tabela do destino, entre os informados
+async function existingIds(dest, table, ids) {
+  const wanted = [...new Set(ids.filter(Boolean).map(String))];
+  if (!wanted.length) return new Set();
+  const { rows } = await dest.query(`SELECT id::text AS id FROM ${table} WHERE id = ANY($1::bigint[])`, [wanted]);
+  return new Set(rows.map(r => r.id));
+}
+
+// logs/<escopo>/tickets-<execução>.json: contadores de pulos e reparos da execução
+async function writeSkipReport(report) {
+  const dir = path.resolve(__dirname, '..', 'logs', report.scope);
+  await fs.ensureDir(dir);
+  const file = path.join(dir, `tickets-${String(report.runId || new Date().toISOString()).replace(/[:.]/g, '-')}.json`);
+  await fs.writeJson(file, report, { spaces: 2 });
+  return file;
+}
+
 function parseTimestamp(v) {
   if (v == null) return null;
   if (v instanceof Date) return isNaN(v.getTime()) ? null : v;
@@ -217,3 +382,102 @@ function normalizeJsonArray(v) {
   if (typeof v === 'object') return Array.isArray(v) ? v : [];
   return [];
 }
+
+/**
+ * Canais de arquivo para tickets cujo canal legado não existe no destino.
+ * São inativos, sem sessão, com nome "[Arquivo migração] ..." e config.migration_archive;
+ * reaproveita os que já existem (reexecução) e cria os que faltam sob demanda.
+ */
+async function openArchiveChannels(dest, mode) {
+  const colsRes = await dest.query(`
+    SELECT column_name, data_type
+    FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'channel_instances'
+  `);
+  const cols = new Set(colsRes.rows.map(r => r.column_name));
+  const types = new Map(colsRes.rows.map(r => [r.column_name, r.data_type]));
+  const jidColumn = cols.has('j_id') ? 'j_id' : (cols.has('jid') ? 'jid' : null);
+  const qrCodeColumn = cols.has('qr_code') ? 'qr_code' : (cols.has('qrcode') ? 'qrcode' : null);
+
+  const byKey = new Map(); // "company#<id>" | "channel#<id>" -> channel_id
+  const existing = await dest.query(
+    `SELECT id, company_id, config::text AS config FROM channel_instances WHERE name LIKE '[Arquivo migração]%'`
+  );
+  for (const r of existing.rows) {
+    const cfg = safeParse(r.config);
+    if (!cfg || !cfg.migration_archive) continue;
+    const key = cfg.legacy_channel_id != null ? `channel#${cfg.legacy_channel_id}` : `company#${r.company_id}`;
+    byKey.set(key, r.id);
+  }
+
+  // flow/departamento padrão da empresa (mesmo fallback da etapa Channels)
+  const flowByCompany = new Map(
+    (await dest.query('SELECT company_id, MIN(id) AS id FROM flows GROUP BY company_id')).rows.map(r => [String(r.company_id), r.id])
+  );
+  const deptByCompany = new Map(
+    (await dest.query('SELECT company_id, MIN(id) AS id FROM departments GROUP BY company_id')).rows.map(r => [String(r.company_id), r.id])
+  );
+
+  const archive = {
+    created: 0,
+    async resolve(companyId, legacyChannelId) {
+      const perChannel = mode === 'channel' && legacyChannelId != null && Number(legacyChannelId) > 0;
+      const key = perChannel ? `channel#${legacyChannelId}` : `company#${companyId}`;
+      if (byKey.has(key)) return byKey.get(key);
+
+      const now = new Date();
+      const valuesByColumn = {
+        id: perChannel ? legacyChannelId : undefined,
+        name: perChannel
+          ? `[Arquivo migração] canal legado #${legacyChannelId}`
+          : '[Arquivo migração] canais removidos',
+        type: 'WhatsAppQRCode',
+        company_id: companyId,
+        status: 'disconnected',
+        session: null,
+        config: JSON.stringify({ migration_archive: true, legacy_channel_id: perChannel ? legacyChannelId : null }),
+        flow_id: flowByCompany.get(String(companyId)) || null,
+        department_id: deptByCompany.get(String(companyId)) || null,
+        enable_chatbot_for_groups: false,
+        open_ticket_for_groups: false,
+        whatsapp_name: '',
+        telegram_token: '',
+        active: false,
+        fetch_messages: false,
+        allow_all_users: true,
+        allowed_user_ids: '[]',
+        created_at: now,
+        updated_at: now
+      };
+      if (jidColumn) valuesByColumn[jidColumn] = '';
+      if (qrCodeColumn) valuesByColumn[qrCodeColumn] = '';
+
+      // sem id explícito o destino gera o id (serial)
+      const columns = Object.keys(valuesByColumn).filter(c => cols.has(c) && valuesByColumn[c] !== undefined);
+      const { rows } = await dest.query(
+        `INSERT INTO channel_instances (${columns.join(', ')})
+         VALUES (${columns.map((c, i) => `$${i + 1}${jsonCast(c, types)}`).join(', ')})
+         RETURNING id`,
+        columns.map(c => valuesByColumn[c])
+      );
+      const id = rows[0].id;
+      byKey.set(key, id);
+      archive.created++;
+      console.log(`🗄️  Canal de arquivo criado: id=${id} (empresa ${companyId}${perChannel ? `, canal legado ${legacyChannelId}` : ''}).`);
+      return id;
+    }
+  };
+  return archive;
+}
+
+function jsonCast(columnName, typesMap) {
+  const t = String(typesMap.get(columnName) || '').toLowerCase();
+  if (t === 'jsonb') return '::jsonb';
+  if (t === 'json') return '::json';
+  return '';
+}
+
+function safeParse(v) {
+  if (v == null) return null;
+  try { return JSON.parse(v); } catch { return null; }
+}
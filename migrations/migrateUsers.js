@@ -2,14 +2,16 @@
 'use strict';
 
 require('dotenv').config();
-const { Client } = require('pg');
+const { connectStep } = require('../utils/db');
 const Cursor = require('pg-cursor');
-const cliProgress = require('cli-progress');
+const { createProgressBar } = require('../utils/progress');
+const { openCheckpoint } = require('../utils/checkpoint');
+const { epoch } = require('../utils/verify');
+const { createUpsert, addCounts, formatCounts } = require('../utils/upsert');
 
 module.exports = async function migrateUsers(ctx = {}) {
   console.log('👤 Migrando "Users" → "users"...');
 
-  // 22 params/linha → 2000 linhas ≈ 44k params (< 65535)
   const BATCH_SIZE = Number(process.env.BATCH_SIZE || 2000);
 
   // Se true: quando passwordHash vier vazio, marca first_access=true
@@ -21,26 +23,8 @@ module.exports = async function migrateUsers(ctx = {}) {
       ? String(ctx.tenantId).trim()
       : (process.env.TENANT_ID ? String(process.env.TENANT_ID).trim() : null);
 
-  const source = new Client({
-    host: process.env.SRC_HOST,
-    port: process.env.SRC_PORT,
-    user: process.env.SRC_USER,
-    password: process.env.SRC_PASS,
-    database: process.env.SRC_DB,
-    application_name: 'migrateUsers:source'
-  });
-
-  const dest = new Client({
-    host: process.env.DST_HOST,
-    port: process.env.DST_PORT,
-    user: process.env.DST_USER,
-    password: process.env.DST_PASS,
-    database: process.env.DST_DB,
-    application_name: 'migrateUsers:dest'
-  });
-
-  await source.connect();
-  await dest.connect();
+  const db = await connectStep(ctx, 'Users');
+  const { source, dest } = db;
 
   try {
     // —— 0) Pré-carrega FKs leves do DESTINO (por empresa) para filtrar/normalizar rápido
@@ -78,13 +62,16 @@ module.exports = async function migrateUsers(ctx = {}) {
     const userDeptMap = groupIds(uqRes.rows, 'user_id', 'department_id'); // { userId: [deptId,...] }
 
     // —— 2) COUNT de usuários (exceto id=1) para progresso/ETA
+    const checkpoint = await openCheckpoint(dest, 'Users', { tenantId, fresh: ctx.fresh, onlyIds: ctx.onlyIds, delta: ctx.delta, rejects: ctx.rejects });
+    const countParams = tenantId ? [tenantId] : [];
     const countSql = `
       SELECT COUNT(*)::bigint AS total
       FROM "public"."Users"
       WHERE "id" != 1
       ${tenantId ? 'AND "tenantId" = $1' : ''}
+      ${checkpoint.delta('"id"', countParams, 'AND')}
     `;
-    const { rows: crows } = await source.query(countSql, tenantId ? [tenantId] : []);
+    const { rows: crows } = await source.query(countSql, countParams);
     const total = Number(crows[0]?.total || 0);
     if (!total) {
       console.log(
@@ -92,11 +79,13 @@ module.exports = async function migrateUsers(ctx = {}) {
           ? `⚠️  Nenhum usuário encontrado para TENANT_ID=${tenantId} (exceto ID 1).`
           : '⚠️  Nenhum usuário encontrado na origem (exceto ID 1).'
       );
+      await checkpoint.clear();
       return;
     }
 
     // —— 3) Cursor server-side de usuários (estável)
     console.log('📥 Lendo "Users"...');
+    const selectParams = tenantId ? [tenantId] : [];
     const selectSql = `
       SELECT
         "id", "name", "email", "passwordHash", "isInactive",
@@ -105,64 +94,41 @@ module.exports = async function migrateUsers(ctx = {}) {
       FROM "public"."Users"
       WHERE "id" != 1
       ${tenantId ? 'AND "tenantId" = $1' : ''}
+      ${checkpoint.where('"id"', selectParams, 'AND')}
       ORDER BY "id"
     `;
-    const cursor = source.query(new Cursor(selectSql, tenantId ? [tenantId] : []));
+    const cursor = source.query(new Cursor(selectSql, selectParams));
 
     // —— 4) Barra de progresso
-    const bar = new cliProgress.SingleBar(
-      { format: 'Progresso |{bar}| {percentage}% | {value}/{total} | ETA: {eta_formatted} | {rate} r/s', hideCursor: true },
-      cliProgress.Presets.shades_classic
-    );
-    bar.start(total, 0, { rate: '0.0' });
-
-    // —— 5) UPSERT single (fallback)
-    const upsertSqlSingle = `
-      INSERT INTO users (
-        id, name, email, password, is_master, status, support,
-        is_supervisor, supervised_users, departments, permission_id,
-        company_id, avatar_url, email_confirmed, confirmation_token,
-        token_expires_at, quick_message_groups, is_api_user, api_token,
-        first_access, created_at, updated_at
-      ) VALUES (
-        $1, $2, $3, $4, false, $5, false,
-        $6, $7::jsonb, $8::jsonb, $9,
-        $10, $11, true, '', $12,
-        '[]'::jsonb, false, '',
-        $13, $14, $15
-      )
-      ON CONFLICT (id) DO UPDATE SET
-        name = EXCLUDED.name,
-        email = EXCLUDED.email,
-        password = EXCLUDED.password,
-        status = EXCLUDED.status,
-        support = EXCLUDED.support,
-        is_supervisor = EXCLUDED.is_supervisor,
-        supervised_users = EXCLUDED.supervised_users,
-        departments = EXCLUDED.departments,
-        permission_id = EXCLUDED.permission_id,
-        company_id = EXCLUDED.company_id,
-        avatar_url = EXCLUDED.avatar_url,
-        email_confirmed = EXCLUDED.email_confirmed,
-        updated_at = EXCLUDED.updated_at
-    `;
+    const bar = createProgressBar(ctx);
+    bar.start(total, checkpoint.processed, { rate: '0.0' });
+
+    // —— 5) Upsert (no conflito preserva tokens, first_access, grupos e flags de master/API do destino)
+    const upsert = createUpsert({
+      table: 'users',
+      columns: [
+        'id', 'name', 'email', 'password', { name: 'is_master', sql: 'false' }, 'status', { name: 'support', sql: 'false' },
+        'is_supervisor', { name: 'supervised_users', cast: 'jsonb' }, { name: 'departments', cast: 'jsonb' }, 'permission_id',
+        'company_id', 'avatar_url', { name: 'email_confirmed', sql: 'true' }, { name: 'confirmation_token', sql: "''" },
+        'token_expires_at', { name: 'quick_message_groups', sql: "'[]'::jsonb" }, { name: 'is_api_user', sql: 'false' },
+        { name: 'api_token', sql: "''" }, 'first_access', 'created_at', 'updated_at'
+      ],
+      update: [
+        'name', 'email', 'password', 'status', 'support', 'is_supervisor', 'supervised_users', 'departments',
+        'permission_id', 'company_id', 'avatar_url', 'email_confirmed', 'updated_at'
+      ]
+    });
 
     const startedAt = Date.now();
-    let processed = 0;
-    let migrados = 0;
-    let erros = 0;
+    let processed = checkpoint.processed;
+    const counts = { inserted: 0, updated: 0, unchanged: 0, failed: 0 };
 
     // —— 6) Loop por lote
     while (true) {
       const batch = await readCursor(cursor, BATCH_SIZE);
       if (!batch.length) break;
 
-      const placeholders = [];
-      const values = [];
-      const perRowParams = [];
-
-      for (let i = 0; i < batch.length; i++) {
-        const row = batch[i];
+      const rows = batch.map(row => {
         const companyId = row.tenantId;
         const companyKey = String(companyId);
 
@@ -203,98 +169,98 @@ module.exports = async function migrateUsers(ctx = {}) {
         const createdAt = row.createdAt;
         const updatedAt = row.updatedAt;
 
-        const v = [
-          row.id,               // 1  id
-          name,                 // 2  name
-          email,                // 3  email
-          pass,                 // 4  password
-          status,               // 5  status
-          isSupervisor,         // 6  is_supervisor
-          JSON.stringify(supervised),   // 7  supervised_users::jsonb
-          JSON.stringify(departments),  // 8  departments::jsonb
-          permissionId,         // 9  permission_id
-          companyId,            // 10 company_id
-          avatar,               // 11 avatar_url
-          tokenExpiresAt,       // 12 token_expires_at
-          firstAccess,          // 13 first_access
-          createdAt,            // 14 created_at
-          updatedAt             // 15 updated_at
+        return [
+          row.id,
+          name,
+          email,
+          pass,
+          status,
+          isSupervisor,
+          JSON.stringify(supervised),
+          JSON.stringify(departments),
+          permissionId,
+          companyId,
+          avatar,
+          tokenExpiresAt,
+          firstAccess,
+          createdAt,
+          updatedAt
         ];
-        perRowParams.push(v);
-
-        const base = i * 15;
-        placeholders.push(
-          `($${base+1}, $${base+2}, $${base+3}, $${base+4}, false, $${base+5}, false, ` +
-          `$${base+6}, $${base+7}::jsonb, $${base+8}::jsonb, $${base+9}, ` +
-          `$${base+10}, $${base+11}, true, '', $${base+12}, ` +
-          `'[]'::jsonb, false, '', $${base+13}, $${base+14}, $${base+15})`
-        );
-        values.push(...v);
-      }
-
-      // Execução do lote (multi-VALUES)
-      try {
-        await dest.query('BEGIN');
-        await dest.query('SET LOCAL synchronous_commit TO OFF');
-        await dest.query(
-          `
-          INSERT INTO users (
-            id, name, email, password, is_master, status, support,
-            is_supervisor, supervised_users, departments, permission_id,
-            company_id, avatar_url, email_confirmed, confirmation_token,
-            token_expires_at, quick_message_groups, is_api_user, api_token,
-            first_access, created_at, updated_at
-          ) VALUES
-            ${placeholders.join(',')}
-          ON CONFLICT (id) DO UPDATE SET
-            name = EXCLUDED.name,
-            email = EXCLUDED.email,
-            password = EXCLUDED.password,
-            status = EXCLUDED.status,
-            support = EXCLUDED.support,
-            is_supervisor = EXCLUDED.is_supervisor,
-            supervised_users = EXCLUDED.supervised_users,
-            departments = EXCLUDED.departments,
-            permission_id = EXCLUDED.permission_id,
-            company_id = EXCLUDED.company_id,
-            avatar_url = EXCLUDED.avatar_url,
-            email_confirmed = EXCLUDED.email_confirmed,
-            updated_at = EXCLUDED.updated_at
-          `,
-          values
-        );
-        await dest.query('COMMIT');
-        migrados += batch.length;
-      } catch (batchErr) {
-        await dest.query('ROLLBACK');
-        // fallback: registro a registro (pra não perder o lote inteiro)
-        for (const v of perRowParams) {
-          try {
-            await dest.query('BEGIN');
-            await dest.query('SET LOCAL synchronous_commit TO OFF');
-            await dest.query(upsertSqlSingle, v);
-            await dest.query('COMMIT');
-            migrados += 1;
-          } catch (rowErr) {
-            await dest.query('ROLLBACK');
-            erros += 1;
-            console.error(`❌ Erro ao migrar user id=${v[0]}: ${rowErr.message}`);
-          }
+      });
+
+      // Execução do lote (multi-VALUES, fatiado pelo limite de parâmetros)
+      addCounts(counts, await upsert.write(dest, rows, {
+        onError: (err, i) => {
+          const original = batch[i];
+          console.error(`❌ Erro ao migrar user id=${original.id}: ${err.message}`);
+          ctx.rejects.add('users', original.id, err, { tenantId: original.tenantId, payload: original });
         }
-      }
+      }));
 
       processed += batch.length;
+      await checkpoint.save(batch[batch.length - 1].id, processed);
       const elapsed = (Date.now() - startedAt) / 1000;
       const rate = (processed / Math.max(1, elapsed)).toFixed(1);
       bar.update(processed, { rate });
     }
 
     bar.stop();
+    await checkpoint.clear();
     const secs = ((Date.now() - startedAt) / 1000).toFixed(1);
-    console.log(`✅ Migrados ${migrados}/${total} usuário(s) (exceto ID 1) em ${secs}s.${erros ? ` (${erros} com erro)` : ''}`);
+    const migrados = counts.inserted + counts.updated + counts.unchanged;
+    console.log(`✅ Migrados ${migrados}/${total} usuário(s) (exceto ID 1) em ${secs}s (${formatCounts(counts)}).`);
   } finally {
-    await source.end();
-    await dest.end();
+    await db.release();
+  }
+};
+
+// Etapas que precisam ter rodado antes (no mesmo escopo), tabelas escritas no destino
+// e como conferir origem × destino (node main.js verify)
+module.exports.meta = {
+  dependsOn: ['Tenants', 'Departments', 'Permissions'],
+  writes: ['users'],
+  // colunas e índices que a etapa usa nos dois bancos (node main.js preflight)
+  schema: {
+    source: {
+      Users: {
+        id: 'int', name: 'text', email: 'text', passwordHash: 'text', isInactive: 'bool', isSupervisor: 'bool',
+        supervisedUsers: 'any', profileId: 'int', tenantId: 'int', profilePicUrl: 'text', createdAt: 'time', updatedAt: 'time'
+      },
+      UsersQueues: { userId: 'int', queueId: 'int' },
+      Queues: { id: 'int', tenantId: 'int' }
+    },
+    dest: {
+      users: {
+        id: 'int', name: 'text', email: 'text', password: 'text', is_master: 'bool', status: 'bool', support: 'bool',
+        is_supervisor: 'bool', supervised_users: 'json', departments: 'json', permission_id: 'int', company_id: 'int',
+        avatar_url: 'text', email_confirmed: 'bool', confirmation_token: 'text', token_expires_at: 'time',
+        quick_message_groups: 'json', is_api_user: 'bool', api_token: 'text', first_access: 'bool',
+        created_at: 'time', updated_at: 'time'
+      },
+      departments: { id: 'int', company_id: 'int' },
+      permissions: { id: 'int', company_id: 'int' }
+    },
+    unique: { users: [['id']] }
+  },
+  verify: {
+    source: {
+      from: '"public"."Users"',
+      tenant: '"tenantId"',
+      key: '"id"',
+      where: '"id" != 1',
+      columns: [
+        `COALESCE(NULLIF(btrim("name"), ''), 'Usuário ' || "id")`,
+        'NOT COALESCE("isInactive", false)',
+        'COALESCE("isSupervisor", false)',
+        epoch('"createdAt"')
+      ]
+    },
+    dest: {
+      from: 'users',
+      tenant: 'company_id',
+      key: 'id',
+      columns: ['name', 'status', 'is_supervisor', epoch('created_at')]
+    }
   }
 };
 
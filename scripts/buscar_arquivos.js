@@ -4,7 +4,7 @@
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
-const { Client } = require('pg');
+const { createClient } = require('../utils/db');
 
 const BATCH_SIZE = parseInt(process.env.BATCH_SIZE || '5000', 10);
 
@@ -18,13 +18,7 @@ const OUTPUT = arg('output', 'media-names.txt');
 const BASENAME = process.argv.includes('--basename');
 
 function getDest() {
-  return new Client({
-    host: process.env.DST_HOST,
-    port: process.env.DST_PORT,
-    user: process.env.DST_USER,
-    password: process.env.DST_PASS,
-    database: process.env.DST_DB
-  });
+  return createClient('DST', 'buscar-arquivos');
 }
 
 function extractBaseName(s) {
@@ -1,22 +1,21 @@
-const { Client } = require('pg');
+// scripts/conexao_banco_teste.js
+// Testa a conexão com os bancos configurados no .env (mesma config das migrations: SSL, timeouts…).
+// Uso: node scripts/conexao_banco_teste.js [SRC|DST]   (sem argumento testa os dois)
+const { createClient } = require('../utils/db');
 
 (async () => {
-  const client = new Client({
-    host: '170.81.42.168',
-    port: 5432,
-    user: 'postgres',
-    password: '@Th0st3c',
-    database: 'omniathostec',
-    ssl: false // troque para { rejectUnauthorized: false } se precisar SSL
-  });
+  const prefixes = process.argv[2] ? [process.argv[2].toUpperCase()] : ['SRC', 'DST'];
 
-  try {
-    await client.connect();
-    const { rows } = await client.query('select version(), current_user, current_database()');
-    console.log(rows[0]);
-  } catch (e) {
-    console.error('Falha na conexão/query:', e.message);
-  } finally {
-    await client.end();
+  for (const prefix of prefixes) {
+    const client = createClient(prefix, 'conexao-teste');
+    try {
+      await client.connect();
+      const { rows } = await client.query('select version(), current_user, current_database()');
+      console.log(prefix, rows[0]);
+    } catch (e) {
+      console.error(`Falha na conexão/query (${prefix}):`, e.message);
+    } finally {
+      await client.end();
+    }
   }
 })();
@@ -13,6 +13,9 @@
  * Por que tuple (createdAt,id)? Porque quando id é UUID/text não dá pra usar > bigint,
  * e usar apenas createdAt pode dar empates; o par (ts,id) é totalmente ordenável.
  *
+ * Os pares id legado → id novo vão para migration_id_map (utils/idMap.js), o mesmo mapa da etapa
+ * Messages; o quoted_msg_id é resolvido por ele, inclusive para mensagens de execuções anteriores.
+ *
  * ENV:
  *  SRC_HOST, SRC_PORT, SRC_USER, SRC_PASS, SRC_DB
  *  DST_HOST, DST_PORT, DST_USER, DST_PASS, DST_DB
@@ -28,7 +31,8 @@
  */
 
 require('dotenv').config();
-const { Client } = require('pg');
+const { createClient } = require('../utils/db');
+const { ensureIdMap, recordIds, lookupIds } = require('../utils/idMap');
 
 const BATCH_SIZE   = parseInt(process.env.BATCH_SIZE   || '1000', 10);
 const INSERT_CHUNK = parseInt(process.env.INSERT_CHUNK || String(Math.min(BATCH_SIZE, 500)), 10);
@@ -46,16 +50,8 @@ function readTenantId() {
 const AFTER_ID = (arg('after-id', process.env.AFTER_ID || '0') || '0');
 const AFTER_TS = (arg('after-ts', process.env.AFTER_TS || '1970-01-01T00:00:00Z'));
 
-const getSource = () => new Client({
-  host: process.env.SRC_HOST, port: process.env.SRC_PORT,
-  user: process.env.SRC_USER, password: process.env.SRC_PASS,
-  database: process.env.SRC_DB, application_name: 'resume:src'
-});
-const getDest = () => new Client({
-  host: process.env.DST_HOST, port: process.env.DST_PORT,
-  user: process.env.DST_USER, password: process.env.DST_PASS,
-  database: process.env.DST_DB, application_name: 'resume:dst'
-});
+const getSource = () => createClient('SRC', 'resume:src');
+const getDest = () => createClient('DST', 'resume:dst');
 
 /* ===== helpers ===== */
 const get = (row, key) => (key in row ? row[key] : (row[String(key).toLowerCase()] ?? null));
@@ -128,6 +124,8 @@ async function main() {
   const dest   = getDest();
   await source.connect();
   await dest.connect();
+  await ensureIdMap(dest);
+  const runId = new Date().toISOString();
 
   // Detectar paginação
   const idFrontInfo = await getColInfo(source, 'public', 'Messages', 'idFront');
@@ -333,21 +331,27 @@ async function main() {
 
     skipped += rows.length - toInsert.length;
 
-    // quoted_msg_id
+    // mapa permanente (migration_id_map): o que já existia e o que entrou agora
+    const pairs = [...existingOldToNew, ...insertedMap];
+    if (pairs.length) await recordIds(dest, 'messages', pairs, { tenantId, runId });
+
+    // quoted_msg_id: primeiro pelo mapa; o que não estiver nele (migrado antes do mapa existir)
+    // é redescoberto pelo dedupe no destino e passa a constar no mapa
     const needQuotes = rows.filter(r => insertedMap.has(String(get(r, 'id'))) && get(r, 'quotedMsgId'));
     if (needQuotes.length) {
       const quotedOldIds = [...new Set(needQuotes.map(r => String(get(r, 'quotedMsgId'))))];
-      const ph = quotedOldIds.map((_, i) => `$${i+1}`).join(',');
-      const qRows = (await source.query(
+      const qOld2New = await lookupIds(dest, 'messages', quotedOldIds);
+      const unmapped = quotedOldIds.filter(id => !qOld2New.has(id));
+      const ph = unmapped.map((_, i) => `$${i+1}`).join(',');
+      const qRows = unmapped.length ? (await source.query(
         `SELECT id, "ticketId" AS ticket_id, COALESCE("messageId",'') AS message_id,
                 "fromMe" AS from_me, "createdAt" AS created_at, COALESCE("body",'') AS body_norm
-           FROM "public"."Messages" WHERE id IN (${ph})`, quotedOldIds
-      )).rows;
+           FROM "public"."Messages" WHERE id IN (${ph})`, unmapped
+      )).rows : [];
 
       const withM = qRows.filter(r => r.message_id);
       const noM   = qRows.filter(r => !r.message_id);
-      const qOld2New = new Map();
-
+      const rediscovered = [];
       if (withM.length) {
         const pairs = withM.map(r => [r.ticket_id, r.message_id]);
         const ph2 = pairs.map((_, i) => `($${i*2+1}, $${i*2+2})`).join(',');
@@ -358,7 +362,7 @@ async function main() {
         const idx = new Map(ex.rows.map(x => [keyWithMsg(x.ticket_id, x.message_id), x.id]));
         for (const r of withM) {
           const k = keyWithMsg(r.ticket_id, r.message_id);
-          if (idx.has(k)) qOld2New.set(String(r.id), idx.get(k));
+          if (idx.has(k)) rediscovered.push([String(r.id), idx.get(k)]);
         }
       }
       if (noM.length) {
@@ -376,10 +380,15 @@ async function main() {
         const idx = new Map(ex.rows.map(x => [keyNoMsg(x.ticket_id, x.from_me, x.created_at, x.body_norm), x.id]));
         for (const r of noM) {
           const k = keyNoMsg(r.ticket_id, !!r.from_me, r.created_at, r.body_norm);
-          if (idx.has(k)) qOld2New.set(String(r.id), idx.get(k));
+          if (idx.has(k)) rediscovered.push([String(r.id), idx.get(k)]);
         }
       }
 
+      if (rediscovered.length) {
+        await recordIds(dest, 'messages', rediscovered, { tenantId, runId });
+        for (const [oldId, newId] of rediscovered) qOld2New.set(oldId, newId);
+      }
+
       const upd = [];
       for (const row of needQuotes) {
         const newId = insertedMap.get(String(get(row, 'id')));
@@ -388,7 +397,7 @@ async function main() {
         if (newId && qNew) upd.push([qNew, newId]);
       }
       if (upd.length) {
-        const phU = upd.map((_, i) => `($${i*2+1}, $${i*2+2})`).join(',');
+        const phU = upd.map((_, i) => `($${i*2+1}::bigint, $${i*2+2}::bigint)`).join(',');
         const valsU = upd.flat();
         await dest.query(
           `UPDATE messages m SET quoted_msg_id = v.qid
@@ -2,7 +2,7 @@
 'use strict';
 
 require('dotenv').config();
-const { Client } = require('pg');
+const { createClient } = require('../utils/db');
 const Cursor = require('pg-cursor');
 
 const BATCH_SIZE = Number(process.env.BATCH_SIZE || 2000);
@@ -15,23 +15,8 @@ const BATCH_SIZE = Number(process.env.BATCH_SIZE || 2000);
       ? String(process.env.TENANT_ID).trim()
       : null;
 
-  const source = new Client({
-    host: process.env.SRC_HOST,
-    port: process.env.SRC_PORT,
-    user: process.env.SRC_USER,
-    password: process.env.SRC_PASS,
-    database: process.env.SRC_DB,
-    application_name: 'fixTickets:source'
-  });
-
-  const dest = new Client({
-    host: process.env.DST_HOST,
-    port: process.env.DST_PORT,
-    user: process.env.DST_USER,
-    password: process.env.DST_PASS,
-    database: process.env.DST_DB,
-    application_name: 'fixTickets:dest'
-  });
+  const source = createClient('SRC', 'fixTickets:source');
+  const dest = createClient('DST', 'fixTickets:dest');
 
   await source.connect();
   await dest.connect();
@@ -2,7 +2,7 @@
 'use strict';
 
 require('dotenv').config();
-const { Client } = require('pg');
+const { createClient } = require('../utils/db');
 
 /**
  * ENV esperadas:
@@ -38,14 +38,7 @@ const CLEAR_MISSING = flag('clear-missing');   // seta [] pra quem não veio do
 const DRY_RUN = flag('dry-run');
 
 function clientFrom(prefix) {
-  return new Client({
-    host: process.env[`${prefix}_HOST`],
-    port: Number(process.env[`${prefix}_PORT`] || 5432),
-    user: process.env[`${prefix}_USER`],
-    password: process.env[`${prefix}_PASS`],
-    database: process.env[`${prefix}_DB`],
-    application_name: 'migrate-user-departments'
-  });
+  return createClient(prefix, 'migrate-user-departments');
 }
 
 async function toRegClass(db, fqtn) {
@@ -0,0 +1,81 @@
+// test/changeCapture.test.js
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseChange, parseCommitTime } = require('../utils/changeCapture');
+
+// linhas no formato do test_decoding (PostgreSQL 16), capturadas de um slot de verdade
+const TS = "'2024-05-01 12:00:00.080639+00'";
+
+test('parseChange: id que não é a primeira coluna, com "id[...]:" dentro de um valor texto', () => {
+  const data = "table public.\"Tickets\": INSERT: body[text]:'hi id[integer]:99' id[character varying]:'ABC'";
+  assert.deepEqual(parseChange(data), { table: 'Tickets', id: 'ABC', op: 'I' });
+});
+
+test('parseChange: aspa escapada (\'\') e espaços dentro do valor', () => {
+  const data = "table public.\"Contacts\": UPDATE: name[text]:'it''s id[integer]:99 ok' id[integer]:42 \"tenantId\"[integer]:1";
+  assert.deepEqual(parseChange(data), { table: 'Contacts', id: '42', op: 'U' });
+});
+
+test('parseChange: valor que termina em aspa escapada não engole a coluna seguinte', () => {
+  const data = "table public.\"Contacts\": INSERT: name[text]:'O''' id[integer]:8";
+  assert.deepEqual(parseChange(data), { table: 'Contacts', id: '8', op: 'I' });
+});
+
+test('parseChange: nome de coluna entre aspas duplas e tipo array', () => {
+  const data = `table public."Messages": INSERT: "ticketId"[integer]:3 tags[text[]]:'{a,"b c"}' "createdAt"[timestamp with time zone]:${TS} id[integer]:7`;
+  assert.deepEqual(parseChange(data), { table: 'Messages', id: '7', op: 'I' });
+});
+
+test('parseChange: coluna "id" entre aspas conta; "ticketId" e "messageId" não', () => {
+  assert.deepEqual(
+    parseChange("table public.\"Messages\": INSERT: \"ticketId\"[integer]:3 \"messageId\"[text]:'X' \"id\"[integer]:5"),
+    { table: 'Messages', id: '5', op: 'I' }
+  );
+  assert.equal(parseChange("table public.\"Messages\": INSERT: \"ticketId\"[integer]:3 \"messageId\"[text]:'X'"), null);
+});
+
+test('parseChange: UPDATE com a chave alterada usa o new-tuple', () => {
+  const data = 'table public."Tickets": UPDATE: old-key: id[integer]:19 status[text]:\'open\' ' +
+    'new-tuple: id[integer]:200 status[text]:\'open\' "userId"[integer]:null';
+  assert.deepEqual(parseChange(data), { table: 'Tickets', id: '200', op: 'U' });
+});
+
+test('parseChange: DELETE com a chave e com a linha inteira (REPLICA IDENTITY FULL)', () => {
+  assert.deepEqual(parseChange('table public."Tickets": DELETE: id[integer]:20'), { table: 'Tickets', id: '20', op: 'D' });
+  const full = `table public."Tickets": DELETE: id[integer]:20 status[text]:'open' "lastMessage"[text]:'last 20' "updatedAt"[timestamp with time zone]:${TS}`;
+  assert.deepEqual(parseChange(full), { table: 'Tickets', id: '20', op: 'D' });
+});
+
+test('parseChange: DELETE sem chave, id nulo e TOAST não alterado', () => {
+  assert.equal(parseChange('table public."Tickets": DELETE: (no-tuple-data)'), null);
+  assert.equal(parseChange("table public.\"Tickets\": INSERT: status[text]:'open' id[integer]:null"), null);
+  assert.deepEqual(
+    parseChange('table public."Messages": UPDATE: id[integer]:9 "dataJson"[text]:unchanged-toast-datum body[text]:\'x\''),
+    { table: 'Messages', id: '9', op: 'U' }
+  );
+});
+
+test('parseChange: ignora outras tabelas, outros schemas e linhas que não são de tabela', () => {
+  assert.equal(parseChange('table public."Users": INSERT: id[integer]:1'), null);
+  assert.equal(parseChange('table audit."Tickets": INSERT: id[integer]:1'), null);
+  assert.equal(parseChange('BEGIN 1392'), null);
+  assert.equal(parseChange("message: transactional: 1 prefix: x, sz: 1 content:y"), null);
+});
+
+test('parseChange: saída malformada falha em vez de devolver outro id', () => {
+  assert.throws(() => parseChange("table public.\"Tickets\": INSERT: body[text]:'sem fim id[integer]:3"), /test_decoding/);
+  assert.throws(() => parseChange('table public."Tickets": INSERT: id[integer'), /test_decoding/);
+});
+
+test('parseCommitTime: fuso em horas, em horas e minutos e sem fração', () => {
+  assert.equal(parseCommitTime('COMMIT 1392 (at 2024-05-01 12:00:00.123456-03)').toISOString(), '2024-05-01T15:00:00.123Z');
+  assert.equal(parseCommitTime('COMMIT 1392 (at 2024-05-01 12:00:00.5+05:30)').toISOString(), '2024-05-01T06:30:00.500Z');
+  assert.equal(parseCommitTime('COMMIT 7 (at 2024-05-01 12:00:00+00)').toISOString(), '2024-05-01T12:00:00.000Z');
+});
+
+test('parseCommitTime: sem timestamp (include-timestamp desligado) devolve null', () => {
+  assert.equal(parseCommitTime('COMMIT 1392'), null);
+  assert.equal(parseCommitTime('COMMIT 1392 (at infinity)'), null);
+});
@@ -0,0 +1,339 @@
+// utils/changeCapture.js
+'use strict';
+
+/**
+ * Captura de mudanças na ORIGEM para o `node main.js replicate` (CDC do legado).
+ *
+ *   logical  slot de replicação lógica com o plugin test_decoding (precisa de wal_level=logical e
+ *            de um usuário com REPLICATION). As mudanças são lidas com pg_logical_slot_peek_changes
+ *            e o slot só avança (pg_replication_slot_advance) depois que o lote foi aplicado.
+ *   trigger  fallback sem wal_level=logical: triggers nas tabelas acompanhadas gravam id e operação
+ *            na tabela "migration_changes" da origem; o que foi aplicado é apagado.
+ *
+ * Nos dois métodos a captura começa no setup (--setup): o que mudou antes dele só entra pela
+ * migração normal, então o setup vem antes da carga completa.
+ *
+ * read(limit) devolve { changes: [{ table, id, op: 'I'|'U'|'D', at }], ack(), read } em ordem de
+ * commit (logical) ou de gravação (trigger); `read` conta também o que foi descartado (outras
+ * tabelas) e ack() confirma tudo o que foi lido, para o slot não reter WAL sem mudança relevante.
+ */
+const METHODS = ['logical', 'trigger'];
+const TABLES = ['Contacts', 'Whatsapps', 'Tickets', 'Messages'];
+const DEFAULT_SLOT = 'omni_migration';
+
+const CHANGES_SQL = `
+  CREATE TABLE IF NOT EXISTS migration_changes (
+    id          bigserial   PRIMARY KEY,
+    table_name  text        NOT NULL,
+    row_id      text        NOT NULL,
+    op          char(1)     NOT NULL,
+    changed_at  timestamptz NOT NULL DEFAULT clock_timestamp()
+  )
+`;
+
+const FUNCTION_SQL = `
+  CREATE OR REPLACE FUNCTION migration_capture_change() RETURNS trigger LANGUAGE plpgsql AS $$
+  BEGIN
+    IF TG_OP = 'DELETE' THEN
+      INSERT INTO migration_changes (table_name, row_id, op) VALUES (TG_TABLE_NAME, OLD.id::text, 'D');
+      RETURN OLD;
+    END IF;
+    INSERT INTO migration_changes (table_name, row_id, op) VALUES (TG_TABLE_NAME, NEW.id::text, left(TG_OP, 1));
+    RETURN NEW;
+  END $$
+`;
+
+/**
+ * @param {import('pg').Client} source   conexão com a origem (fora de transação)
+ * @param {{ method?: 'logical'|'trigger', slot?: string }} opts
+ */
+function openCapture(source, { method = 'logical', slot = DEFAULT_SLOT } = {}) {
+  if (!METHODS.includes(method)) {
+    throw new Error(`Método de captura inválido: "${method}" (use ${METHODS.join(' ou ')}).`);
+  }
+  if (!/^[a-z0-9_]+$/.test(slot)) {
+    throw new Error(`Nome de slot inválido: "${slot}" (só letras minúsculas, dígitos e _).`);
+  }
+  return method === 'logical' ? logicalCapture(source, slot) : triggerCapture(source);
+}
+
+function logicalCapture(source, slot) {
+  return {
+    method: 'logical',
+    label: `slot "${slot}" (test_decoding)`,
+
+    async setup() {
+      const { rows } = await source.query('SHOW wal_level');
+      if (rows[0].wal_level !== 'logical') {
+        throw new Error(`wal_level da origem é "${rows[0].wal_level}": a replicação lógica precisa de wal_level=logical (ou use --method=trigger).`);
+      }
+      if (await slotInfo(source, slot)) return false;
+      await source.query("SELECT pg_create_logical_replication_slot($1, 'test_decoding')", [slot]);
+      return true;
+    },
+
+    async drop() {
+      if (!(await slotInfo(source, slot))) return false;
+      await source.query('SELECT pg_drop_replication_slot($1)', [slot]);
+      return true;
+    },
+
+    async check() {
+      const info = await slotInfo(source, slot);
+      if (!info) throw new Error(`Slot "${slot}" não existe na origem: rode replicate --setup antes da carga completa.`);
+      if (info.plugin !== 'test_decoding') throw new Error(`Slot "${slot}" usa o plugin ${info.plugin}; o replicate lê test_decoding.`);
+    },
+
+    async read(limit) {
+      // até o fim do WAL de agora: sem nada deste banco no caminho, o slot avança até ali (o WAL
+      // de outros bancos do cluster não fica retido pelo slot parado)
+      const { rows: [{ lsn: upTo }] } = await source.query('SELECT pg_current_wal_lsn()::text AS lsn');
+      const { rows } = await source.query(
+        `SELECT lsn::text AS lsn, data
+           FROM pg_logical_slot_peek_changes($1, $2::pg_lsn, $3, 'include-timestamp', 'on', 'skip-empty-xacts', 'on')`,
+        [slot, upTo, limit]
+      );
+      const changes = [];
+      let txn = [];
+      let lastLsn = rows.length ? null : upTo;
+      for (const r of rows) {
+        if (r.data.startsWith('BEGIN')) {
+          txn = [];
+        } else if (r.data.startsWith('COMMIT')) {
+          const at = parseCommitTime(r.data);
+          for (const c of txn) changes.push({ ...c, at });
+          txn = [];
+          lastLsn = r.lsn;
+        } else {
+          const change = parseChange(r.data);
+          if (change) txn.push(change);
+        }
+      }
+      return {
+        changes,
+        read: rows.length,
+        async ack() {
+          if (lastLsn) await source.query('SELECT pg_replication_slot_advance($1, $2::pg_lsn)', [slot, lastLsn]);
+        }
+      };
+    },
+
+    // WAL retido pelo slot (bytes ainda não confirmados)
+    async lag() {
+      const { rows } = await source.query(
+        `SELECT pg_wal_lsn_diff(pg_current_wal_lsn(), confirmed_flush_lsn)::bigint AS bytes
+           FROM pg_replication_slots WHERE slot_name = $1`,
+        [slot]
+      );
+      return { pendingBytes: rows.length ? Number(rows[0].bytes) : null };
+    }
+  };
+}
+
+function triggerCapture(source) {
+  return {
+    method: 'trigger',
+    label: 'triggers → migration_changes',
+
+    // tudo ou nada: uma tabela faltando não deixa metade das triggers criadas
+    async setup() {
+      const existed = await changesTableExists(source);
+      await inTransaction(source, async () => {
+        await source.query(CHANGES_SQL);
+        await source.query(FUNCTION_SQL);
+        for (const table of TABLES) {
+          await source.query(`DROP TRIGGER IF EXISTS migration_capture ON "public"."${table}"`);
+          await source.query(
+            `CREATE TRIGGER migration_capture AFTER INSERT OR UPDATE OR DELETE ON "public"."${table}"
+             FOR EACH ROW EXECUTE PROCEDURE migration_capture_change()`
+          );
+        }
+      });
+      return !existed;
+    },
+
+    async drop() {
+      const existed = await changesTableExists(source);
+      await inTransaction(source, async () => {
+        for (const table of TABLES) {
+          if (await tableExists(source, table)) {
+            await source.query(`DROP TRIGGER IF EXISTS migration_capture ON "public"."${table}"`);
+          }
+        }
+        await source.query('DROP FUNCTION IF EXISTS migration_capture_change()');
+        await source.query('DROP TABLE IF EXISTS migration_changes');
+      });
+      return existed;
+    },
+
+    async check() {
+      if (!(await changesTableExists(source))) {
+        throw new Error('Tabela migration_changes não existe na origem: rode replicate --method=trigger --setup antes da carga completa.');
+      }
+    },
+
+    async read(limit) {
+      const { rows } = await source.query(
+        'SELECT id, table_name, row_id, op, changed_at FROM migration_changes ORDER BY id LIMIT $1',
+        [limit]
+      );
+      return {
+        changes: rows.map(r => ({ table: r.table_name, id: r.row_id, op: r.op, at: r.changed_at })),
+        read: rows.length,
+        // por id e não por faixa: uma transação mais lenta pode confirmar um id menor depois
+        async ack() {
+          if (rows.length) await source.query('DELETE FROM migration_changes WHERE id = ANY($1::bigint[])', [rows.map(r => r.id)]);
+        }
+      };
+    },
+
+    // mudanças na fila e idade da mais antiga
+    async lag() {
+      const { rows } = await source.query(
+        `SELECT COUNT(*)::bigint AS pending, EXTRACT(EPOCH FROM now() - MIN(changed_at))::float AS age
+           FROM migration_changes`
+      );
+      return {
+        pendingChanges: Number(rows[0].pending),
+        oldestSeconds: rows[0].age != null ? Math.max(0, Number(rows[0].age)) : 0
+      };
+    }
+  };
+}
+
+// —— helpers
+
+async function slotInfo(source, slot) {
+  const { rows } = await source.query(
+    'SELECT plugin, slot_type FROM pg_replication_slots WHERE slot_name = $1',
+    [slot]
+  );
+  return rows[0] || null;
+}
+
+async function changesTableExists(source) {
+  return tableExists(source, 'migration_changes');
+}
+
+async function tableExists(source, table) {
+  const { rows } = await source.query('SELECT to_regclass($1) IS NOT NULL AS ok', [`public."${table}"`]);
+  return rows[0].ok;
+}
+
+async function inTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+}
+
+// table public."Tickets": UPDATE: id[integer]:7 status[character varying]:'open' ...
+// (UPDATE com a chave alterada traz "old-key: ... new-tuple: ..."; DELETE traz só a chave)
+function parseChange(data) {
+  const m = /^table ([^:]+): (INSERT|UPDATE|DELETE): ([\s\S]*)$/.exec(data);
+  if (!m) return null;
+  const [schema, name] = m[1].split('.').map(s => s.replace(/^"|"$/g, ''));
+  if (schema !== 'public' || !TABLES.includes(name)) return null;
+  if (m[3].trim() === '(no-tuple-data)') return null; // DELETE sem chave (REPLICA IDENTITY NOTHING)
+
+  const { tuple, newTuple } = parseTuple(m[3]);
+  const id = (newTuple || tuple).find(c => c.name === 'id');
+  if (!id || id.value == null) return null;
+  return { table: name, id: id.value, op: m[2][0] };
+}
+
+/**
+ * Colunas do texto do test_decoding: nome[tipo]:valor separados por espaço. O nome pode vir entre
+ * aspas duplas ("tenantId"), o tipo pode ter colchetes (integer[]) e o valor texto vem entre aspas
+ * simples com '' para a aspa — espaços e "id[...]:" dentro dele não são colunas. null vira null.
+ * Retorna { tuple, newTuple } (newTuple só no UPDATE com "old-key: ... new-tuple: ...").
+ */
+function parseTuple(text) {
+  const sections = { tuple: [], newTuple: null };
+  let current = sections.tuple;
+  let i = 0;
+  const fail = what => {
+    throw new Error(`Saída do test_decoding inesperada (${what} na posição ${i}): ${text.slice(0, 200)}`);
+  };
+
+  while (i < text.length) {
+    if (text[i] === ' ') {
+      i++;
+      continue;
+    }
+    if (text.startsWith('old-key:', i)) {
+      i += 'old-key:'.length;
+      continue;
+    }
+    if (text.startsWith('new-tuple:', i)) {
+      i += 'new-tuple:'.length;
+      sections.newTuple = current = [];
+      continue;
+    }
+
+    let name;
+    if (text[i] === '"') {
+      const end = closingQuote(text, i, '"');
+      if (end < 0) fail('nome sem aspas de fechamento');
+      name = text.slice(i + 1, end).replace(/""/g, '"');
+      i = end + 1;
+    } else {
+      const end = text.indexOf('[', i);
+      if (end < 0) fail('coluna sem tipo');
+      name = text.slice(i, end);
+      i = end;
+    }
+    if (text[i] !== '[') fail('coluna sem tipo');
+    const typeEnd = text.indexOf(']:', i);
+    if (typeEnd < 0) fail('tipo sem fechamento');
+    const type = text.slice(i + 1, typeEnd);
+    i = typeEnd + 2;
+
+    let value;
+    if (text[i] === "'") {
+      const end = closingQuote(text, i, "'");
+      if (end < 0) fail('valor sem aspas de fechamento');
+      value = text.slice(i + 1, end).replace(/''/g, "'");
+      i = end + 1;
+    } else {
+      const end = text.indexOf(' ', i);
+      value = text.slice(i, end < 0 ? text.length : end);
+      i = end < 0 ? text.length : end;
+      if (value === 'null') value = null;
+    }
+    current.push({ name, type, value });
+  }
+  return sections;
+}
+
+// posição da aspa que fecha a aberta em start (a aspa dobrada é escape)
+function closingQuote(text, start, quote) {
+  let i = start + 1;
+  while (i < text.length) {
+    if (text[i] === quote) {
+      if (text[i + 1] === quote) {
+        i += 2;
+        continue;
+      }
+      return i;
+    }
+    i++;
+  }
+  return -1;
+}
+
+// COMMIT 1234 (at 2024-05-01 12:00:00.123456-03)
+function parseCommitTime(data) {
+  const m = /\(at (\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2})(?:\.(\d+))?([+-]\d{2})(?::?(\d{2}))?\)/.exec(data);
+  if (!m) return null;
+  const [, date, time, frac, hours, minutes] = m;
+  const ms = frac ? `.${frac.slice(0, 3).padEnd(3, '0')}` : '';
+  const at = new Date(`${date}T${time}${ms}${hours}:${minutes || '00'}`);
+  return Number.isNaN(at.getTime()) ? null : at;
+}
+
+module.exports = { METHODS, TABLES, DEFAULT_SLOT, openCapture, parseChange, parseCommitTime };
@@ -0,0 +1,159 @@
+// utils/checkpoint.js
+'use strict';
+
+const { openWatermark } = require('./watermark');
+
+/**
+ * Checkpoints por etapa/escopo na tabela "migration_checkpoints" do DESTINO.
+ *
+ * As migrations em lote gravam o último id de origem processado depois de cada lote
+ * confirmado; se o processo cair no meio da etapa, a próxima execução continua a partir
+ * desse id (WHERE id > last_id) em vez de reler tudo. Ao terminar a etapa o checkpoint
+ * é apagado. Com ctx.fresh (--fresh) o checkpoint existente é descartado.
+ *
+ * Como os upserts são idempotentes, um lote gravado mas sem checkpoint (queda entre o
+ * COMMIT e o save) é apenas reprocessado.
+ *
+ * Com rejects (ctx.rejects) os rejeitados pendentes vão para a quarentena ANTES do checkpoint
+ * avançar (em save e em clear): uma queda depois do save não perde os rejeitados dos lotes já
+ * confirmados, e uma falha ao gravá-los derruba a etapa com o checkpoint anterior intacto.
+ *
+ * Com onlyIds (reprocessamento da quarentena, `node main.js rejects retry`) o checkpoint da
+ * etapa não é lido nem alterado: where() passa a filtrar "coluna = ANY(ids)".
+ *
+ * O checkpoint também carrega o watermark da etapa (utils/watermark.js): no modo incremental
+ * where() acrescenta o filtro de "updatedAt" da mesma tabela (a coluna irmã da chave, ex.:
+ * c.id → c."updatedAt") ou, com `deltaColumn: 'id'`, o de id; clear() avança o watermark.
+ */
+
+const TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS migration_checkpoints (
+    step        text        NOT NULL,
+    scope       text        NOT NULL,
+    last_id     text        NOT NULL,
+    processed   bigint      NOT NULL DEFAULT 0,
+    updated_at  timestamptz NOT NULL DEFAULT now(),
+    PRIMARY KEY (step, scope)
+  )
+`;
+
+function scopeOf(tenantId) {
+  return tenantId ? `tenant-${tenantId}` : 'all-tenants';
+}
+
+/**
+ * @param {import('pg').Client} dest  conexão com o destino
+ * @param {string} step               nome da etapa (ex.: 'Messages')
+ * @param {{ tenantId?: string|null, fresh?: boolean, onlyIds?: string[]|null, delta?: object, deltaColumn?: 'updatedAt'|'id', rejects?: object }} opts
+ *        delta: ctx.delta, rejects: ctx.rejects ({ incremental, mark }); deltaColumn: coluna do watermark (padrão updatedAt);
+ *        rejects: ctx.rejects (utils/rejects.js)
+ * @returns {Promise<{ scope: string, lastId: string|null, processed: number, save: Function, where: Function, delta: Function, clear: Function }>}
+ */
+async function openCheckpoint(dest, step, { tenantId = null, fresh = false, onlyIds = null, delta = null, deltaColumn = 'updatedAt', rejects = null } = {}) {
+  const scope = scopeOf(tenantId);
+  if (onlyIds) return idsFilter(scope, onlyIds);
+
+  await dest.query(TABLE_SQL);
+
+  if (fresh) {
+    await dest.query('DELETE FROM migration_checkpoints WHERE step = $1 AND scope = $2', [step, scope]);
+  }
+
+  const { rows } = await dest.query(
+    'SELECT last_id, processed FROM migration_checkpoints WHERE step = $1 AND scope = $2',
+    [step, scope]
+  );
+  const found = rows[0] || null;
+  const watermark = await openWatermark(dest, step, { tenantId, delta, mode: deltaColumn === 'id' ? 'id' : 'updatedAt' });
+  if (found) watermark.seen(found.last_id);
+  const deltaOf = column => (watermark.mode === 'id' ? column : siblingColumn(column, deltaColumn));
+
+  const checkpoint = {
+    scope,
+    lastId: found ? found.last_id : null,
+    processed: found ? Number(found.processed) : 0,
+
+    // Grava o último id processado (chame depois do COMMIT do lote, ou dentro da mesma transação)
+    async save(lastId, processed) {
+      if (lastId == null) return;
+      if (rejects) await rejects.flush();
+      await dest.query(
+        `INSERT INTO migration_checkpoints (step, scope, last_id, processed, updated_at)
+         VALUES ($1, $2, $3, $4, now())
+         ON CONFLICT (step, scope) DO UPDATE SET
+           last_id    = EXCLUDED.last_id,
+           processed  = EXCLUDED.processed,
+           updated_at = EXCLUDED.updated_at`,
+        [step, scope, String(lastId), processed]
+      );
+      checkpoint.lastId = String(lastId);
+      checkpoint.processed = processed;
+      watermark.seen(lastId);
+    },
+
+    // Filtro "coluna > last_id" para retomar o cursor, mais o do watermark no modo incremental
+    // (acrescenta os parâmetros em params)
+    where(column, params, keyword = 'WHERE') {
+      const conds = [];
+      if (checkpoint.lastId != null) {
+        params.push(checkpoint.lastId);
+        conds.push(`${column} > $${params.length}`);
+      }
+      const since = watermark.where(deltaOf(column), params, '');
+      if (since) conds.push(since.trim());
+      return conds.length ? `${keyword} ${conds.join(' AND ')}` : '';
+    },
+
+    // Só o filtro do watermark (para o COUNT da etapa)
+    delta(column, params, keyword = 'WHERE') {
+      return watermark.where(deltaOf(column), params, keyword);
+    },
+
+    // Etapa concluída: a próxima execução começa do zero e o watermark avança
+    async clear() {
+      if (rejects) await rejects.flush();
+      await dest.query('DELETE FROM migration_checkpoints WHERE step = $1 AND scope = $2', [step, scope]);
+      await watermark.commit();
+      checkpoint.lastId = null;
+      checkpoint.processed = 0;
+    }
+  };
+
+  if (checkpoint.lastId != null) {
+    console.log(`↩️  Retomando ${step} (${scope}) após o id ${checkpoint.lastId} (${checkpoint.processed} já processados).`);
+  }
+  return checkpoint;
+}
+
+// "Checkpoint" do reprocessamento: só filtra os ids pedidos; save/clear não tocam a tabela
+function idsFilter(scope, ids) {
+  return {
+    scope,
+    lastId: null,
+    processed: 0,
+    onlyIds: ids.map(String),
+    async save() {},
+    where(column, params, keyword = 'WHERE') {
+      return onlyIdsFilter({ onlyIds: ids }, column, params, keyword);
+    },
+    delta() {
+      return '';
+    },
+    async clear() {}
+  };
+}
+
+/** Filtro de ctx.onlyIds para as etapas sem checkpoint ('' quando não é reprocessamento). */
+function onlyIdsFilter(ctx, column, params, keyword = 'WHERE') {
+  if (!ctx || !ctx.onlyIds) return '';
+  params.push(ctx.onlyIds.map(String));
+  return `${keyword} ${column} = ANY($${params.length})`;
+}
+
+// Coluna da mesma tabela da chave: ('c.id', 'updatedAt') → 'c."updatedAt"'
+function siblingColumn(column, name) {
+  const dot = column.lastIndexOf('.');
+  return `${dot >= 0 ? column.slice(0, dot + 1) : ''}"${name}"`;
+}
+
+module.exports = { openCheckpoint, onlyIdsFilter };
@@ -0,0 +1,141 @@
+// utils/cli.js
+'use strict';
+
+/**
+ * Leitura dos argumentos de linha de comando do main.js.
+ *
+ * Flags suportadas:
+ *   --yes | -y                 executa sem perguntar (cron, container, CI)
+ *   --only=Tickets,Messages    executa apenas as etapas listadas
+ *   --from=Contacts            começa na etapa informada (inclusive)
+ *   --until=Settings           para na etapa informada (inclusive)
+ *   --skip=MediaFiles          pula as etapas listadas
+ *   --tenant=2                 sobrescreve TENANT_ID do .env
+ *   --dry-run                  executa tudo numa transação desfeita no fim e relata o que mudaria
+ *   --json                     imprime o resumo final em JSON (uma linha) no stdout; o resto vai para o stderr
+ *   --ignore-deps              não bloqueia etapas cujas dependências não foram concluídas
+ *   --fresh                    descarta checkpoints de etapas interrompidas (recomeça do primeiro id)
+ *   --incremental              lê só o que mudou na origem desde o watermark de cada etapa (utils/watermark.js)
+ *   --no-snapshot              não usa o snapshot exportado da origem (cada etapa lê o legado no seu instante)
+ *   --concurrency=4            executa até N etapas independentes em paralelo (padrão: CONCURRENCY ou 1)
+ *   --help | -h                mostra a ajuda
+ */
+
+function arg(argv, name, def = null) {
+  const hit = argv.find(a => a.startsWith(`--${name}=`));
+  return hit ? hit.split('=').slice(1).join('=') : def;
+}
+function flag(argv, name, short = null) {
+  return argv.includes(`--${name}`) || (short ? argv.includes(`-${short}`) : false);
+}
+function list(v) {
+  if (v == null) return [];
+  return String(v).split(',').map(s => s.trim()).filter(Boolean);
+}
+
+const KNOWN = ['yes', 'only', 'from', 'until', 'skip', 'tenant', 'dry-run', 'json', 'ignore-deps', 'fresh', 'incremental', 'no-snapshot', 'concurrency', 'help'];
+
+function parseArgs(argv = process.argv.slice(2)) {
+  const unknown = argv
+    .filter(a => a.startsWith('--'))
+    .map(a => a.slice(2).split('=')[0])
+    .filter(n => !KNOWN.includes(n));
+
+  const tenant = arg(argv, 'tenant');
+  const concurrency = arg(argv, 'concurrency');
+  if (concurrency != null && !/^[1-9]\d*$/.test(String(concurrency).trim())) {
+    throw new Error(`--concurrency precisa ser um inteiro >= 1 (recebido: "${concurrency}").`);
+  }
+
+  return {
+    yes: flag(argv, 'yes', 'y'),
+    only: list(arg(argv, 'only')),
+    from: arg(argv, 'from'),
+    until: arg(argv, 'until'),
+    skip: list(arg(argv, 'skip')),
+    tenant: tenant != null && String(tenant).trim() !== '' ? String(tenant).trim() : null,
+    dryRun: flag(argv, 'dry-run'),
+    json: flag(argv, 'json'),
+    ignoreDeps: flag(argv, 'ignore-deps'),
+    fresh: flag(argv, 'fresh'),
+    incremental: flag(argv, 'incremental'),
+    snapshot: !flag(argv, 'no-snapshot'),
+    concurrency: concurrency != null ? Number(String(concurrency).trim()) : null,
+    help: flag(argv, 'help', 'h'),
+    unknown
+  };
+}
+
+/**
+ * Aplica --only/--from/--until/--skip sobre a lista de etapas (já em ordem topológica).
+ * Lança erro com mensagem amigável quando algum nome não existe.
+ */
+function selectSteps(steps, opts) {
+  const byName = new Map(steps.map(s => [s.name.toLowerCase(), s]));
+  const resolve = (name, flagName) => {
+    const step = byName.get(String(name).toLowerCase());
+    if (!step) {
+      throw new Error(
+        `Etapa desconhecida em --${flagName}: "${name}". Etapas válidas: ${steps.map(s => s.name).join(', ')}`
+      );
+    }
+    return step.name;
+  };
+
+  const only = new Set(opts.only.map(n => resolve(n, 'only')));
+  const skip = new Set(opts.skip.map(n => resolve(n, 'skip')));
+  const fromIdx = opts.from ? steps.findIndex(s => s.name === resolve(opts.from, 'from')) : 0;
+  const untilIdx = opts.until ? steps.findIndex(s => s.name === resolve(opts.until, 'until')) : steps.length - 1;
+
+  if (fromIdx > untilIdx) {
+    throw new Error(`--from=${opts.from} vem depois de --until=${opts.until} na ordem das etapas.`);
+  }
+
+  return steps.filter((s, i) =>
+    i >= fromIdx && i <= untilIdx &&
+    (!only.size || only.has(s.name)) &&
+    !skip.has(s.name)
+  );
+}
+
+function hasSelection(opts) {
+  return !!(opts.only.length || opts.skip.length || opts.from || opts.until);
+}
+
+function printHelp(steps) {
+  console.log(`
+Uso: node main.js [opções]
+     node main.js verify [--tenant=ID] [--only=A,B] [--samples=N] [--json]   confere origem × destino
+     node main.js rejects <summary|list|retry> [--step=A,B] [--reason=X]     quarentena de rejeitados
+     node main.js media-audit [--tenant=ID] [--input=ARQUIVO] [--json]       confere os anexos migrados
+     node main.js replicate [--setup|--drop] [--method=logical|trigger]       replica as mudanças do legado
+     node main.js rollback --tenant=ID [--only-migrated] [--yes]              apaga do destino os dados do tenant
+     node main.js preflight [--only=A,B] [--json]                             confere os esquemas antes de migrar
+
+  --yes, -y               executa todas as etapas sem confirmação
+  --only=A,B              executa apenas as etapas informadas
+  --from=A                começa na etapa A (inclusive)
+  --until=B               termina na etapa B (inclusive)
+  --skip=A,B              pula as etapas informadas
+  --tenant=ID             migra apenas o tenant informado (sobrescreve TENANT_ID)
+  --dry-run               não grava nada: relata quantas linhas seriam inseridas/atualizadas/rejeitadas
+  --json                  imprime o resumo final em JSON no stdout (o resto da saída vai para o stderr)
+  --ignore-deps           executa mesmo sem as etapas de que depende concluídas
+  --fresh                 ignora checkpoints de etapas interrompidas e recomeça cada etapa do início
+  --incremental           passada de atualização: lê só as linhas alteradas desde a última execução
+                          de cada etapa ("updatedAt" ou id acima do watermark) e avança o watermark
+  --no-snapshot           não fixa um snapshot único da origem para todas as etapas
+  --concurrency=N         executa até N etapas independentes ao mesmo tempo (padrão: CONCURRENCY ou 1)
+  --help, -h              mostra esta ajuda
+
+Etapas (ordem de execução): ${steps.map(s => s.name).join(', ')}
+Dependências:
+${steps.filter(s => s.dependsOn.length).map(s => `  ${s.name} ← ${s.dependsOn.join(', ')}`).join('\n')}
+Só ordem (roda depois delas quando estão no plano, sem exigir que tenham rodado):
+${steps.filter(s => s.after.length).map(s => `  ${s.name} ← ${s.after.join(', ')}`).join('\n')}
+
+Códigos de saída: 0 = sucesso, 1 = falha em alguma etapa, 2 = uso inválido.
+`);
+}
+
+module.exports = { parseArgs, selectSteps, hasSelection, printHelp, arg, flag, list };
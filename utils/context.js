@@ -2,29 +2,35 @@
 'use strict';
 
 require('dotenv').config();
+const { dbConfig } = require('./db');
 
-function buildContext() {
-  const tenantId = (process.env.TENANT_ID || '').toString().trim() || null;
+function buildContext(overrides = {}) {
+  // --tenant=ID (CLI) tem precedência sobre TENANT_ID do .env
+  const tenantId = (overrides.tenantId || process.env.TENANT_ID || '').toString().trim() || null;
 
   return {
     tenantId,
     isSingleTenant: !!tenantId,
 
-    // Dados DB origem/destino (use onde precisar)
-    srcDb: {
-      host: process.env.SRC_HOST,
-      port: Number(process.env.SRC_PORT || 5432),
-      user: process.env.SRC_USER,
-      password: process.env.SRC_PASS,
-      database: process.env.SRC_DB
-    },
-    dstDb: {
-      host: process.env.DST_HOST,
-      port: Number(process.env.DST_PORT || 5432),
-      user: process.env.DST_USER,
-      password: process.env.DST_PASS,
-      database: process.env.DST_DB
-    },
+    // Identifica a execução (quarentena de rejeitados, resumos)
+    runId: overrides.runId || new Date().toISOString(),
+
+    // --fresh: ignora os checkpoints de etapas interrompidas (utils/checkpoint.js)
+    fresh: !!overrides.fresh,
+
+    // --incremental: as etapas leem só o que mudou desde o watermark (utils/watermark.js);
+    // mark é o instante da leitura da origem (o do snapshot, quando houver)
+    delta: { incremental: !!overrides.incremental, mark: overrides.mark || null },
+
+    // Reprocessamento da quarentena: a etapa lê só esses ids de origem (utils/checkpoint.js)
+    onlyIds: overrides.onlyIds || null,
+
+    // Replicação (node main.js replicate): Messages atualiza no lugar as mensagens já mapeadas
+    refreshExisting: !!overrides.refreshExisting,
+
+    // Dados DB origem/destino (mesma configuração dos pools de utils/db.js)
+    srcDb: dbConfig('SRC'),
+    dstDb: dbConfig('DST'),
 
     // Dados SSH (caso suas migrations usem cópias remotas/rsync/scp)
     srcSSH: {
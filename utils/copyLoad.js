@@ -0,0 +1,88 @@
+// utils/copyLoad.js
+'use strict';
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const copyFrom = require('pg-copy-streams').from;
+const { prepareValue } = require('pg/lib/utils');
+
+/**
+ * Carga em massa por COPY FROM STDIN (LOAD_MODE=copy; o padrão, insert, usa os INSERTs de sempre).
+ *
+ * As linhas já transformadas vão por COPY para uma tabela de staging UNLOGGED e entram no destino
+ * por um único INSERT ... SELECT (merge set-based). Quem usa:
+ *   - utils/upsert.js (createUpsert com `copy: true`): contacts, tickets, campaign_contacts
+ *   - migrations/migrateMessages.js: merge próprio, com o dedupe de keyWithMsg/keyNoMsg
+ *
+ * O COPY precisa rodar dentro de BEGIN/COMMIT (no dry-run vira savepoint e continua valendo).
+ */
+const LOAD_MODES = ['insert', 'copy'];
+const LOAD_MODE = String(process.env.LOAD_MODE || 'insert').trim().toLowerCase();
+const COPY_CHUNK = 1000; // linhas por pedaço escrito no stream
+
+function copyEnabled() {
+  if (!LOAD_MODES.includes(LOAD_MODE)) {
+    throw new Error(`LOAD_MODE inválido: "${LOAD_MODE}" (use ${LOAD_MODES.join(' ou ')}).`);
+  }
+  return LOAD_MODE === 'copy';
+}
+
+// Staging já criada nesta execução (CREATE ... IF NOT EXISTS concorrente pode falhar no catálogo)
+const created = new Set();
+
+/**
+ * Cria (uma vez) a tabela de staging UNLOGGED com os tipos das colunas do destino:
+ *   ensureStage(dest, 'messages', { from: 'messages', columns: ['ticket_id', ...], extra: { old_id: 'text' } })
+ * O nome leva um hash das colunas: outra lista (ex.: j_id × jid) gera outra tabela, nunca uma
+ * staging velha com tipos errados. Retorna o nome da tabela.
+ */
+async function ensureStage(dest, name, { from, columns, extra = {} }) {
+  const signature = JSON.stringify([from, columns, extra]);
+  const hash = crypto.createHash('md5').update(signature).digest('hex').slice(0, 8);
+  const table = `migration_stage_${name}_${hash}`;
+  if (created.has(table)) return table;
+
+  const select = [
+    ...Object.entries(extra).map(([col, type]) => `NULL::${type} AS ${col}`),
+    ...columns
+  ];
+  await dest.query(`CREATE UNLOGGED TABLE IF NOT EXISTS ${table} AS SELECT ${select.join(', ')} FROM ${from} WITH NO DATA`);
+  created.add(table);
+  return table;
+}
+
+/**
+ * COPY table (columns) FROM STDIN com as linhas (arrays na ordem de `columns`).
+ * Os valores passam pela mesma conversão dos parâmetros do pg (datas, arrays, objetos → JSON).
+ */
+async function copyRows(dest, table, columns, rows) {
+  if (!rows.length) return 0;
+  // o dest do dry-run é async e devolve o stream dentro de uma promise
+  const stream = await dest.query(copyFrom(`COPY ${table} (${columns.join(', ')}) FROM STDIN`));
+  await pipeline(Readable.from(encode(rows)), stream);
+  return rows.length;
+}
+
+// —— helpers
+
+function* encode(rows) {
+  for (let i = 0; i < rows.length; i += COPY_CHUNK) {
+    let out = '';
+    for (const row of rows.slice(i, i + COPY_CHUNK)) out += `${row.map(copyValue).join('\t')}\n`;
+    yield out;
+  }
+}
+
+// Formato texto do COPY: \N é nulo; barra, tab e quebras de linha escapados
+function copyValue(v) {
+  const p = prepareValue(v);
+  if (p == null) return '\\N';
+  return String(p)
+    .replace(/\\/g, '\\\\')
+    .replace(/\t/g, '\\t')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r');
+}
+
+module.exports = { LOAD_MODE, copyEnabled, ensureStage, copyRows, copyValue };
@@ -0,0 +1,213 @@
+// utils/db.js
+'use strict';
+
+require('dotenv').config();
+const fs = require('fs');
+const { Client, Pool } = require('pg');
+
+/**
+ * Camada única de conexão com os bancos de ORIGEM (prefixo SRC_) e DESTINO (DST_).
+ *
+ * ENV (além de <P>_HOST/_PORT/_USER/_PASS/_DB):
+ *   <P>_SSL=true|require|no-verify   liga SSL (no-verify aceita certificado não confiável)
+ *   <P>_SSL_CA=/caminho/ca.pem       CA para validar o certificado do servidor
+ *   <P>_STATEMENT_TIMEOUT=600000     statement_timeout em ms (0 = sem limite)
+ *   DB_POOL_MAX=10                   conexões por pool
+ *   SRC_READ_ONLY=true               cada etapa lê a origem numa transação READ ONLY / REPEATABLE READ
+ *   SRC_SNAPSHOT=false               desliga o snapshot exportado da execução (ver exportSnapshot)
+ *
+ * As migrations pegam as conexões com connectStep(ctx, 'Etapa') e devolvem com db.release();
+ * os scripts avulsos usam createClient('SRC'|'DST', 'nome').
+ */
+
+const APP = 'omni-migration';
+
+function envFlag(v) {
+  return ['1', 'true', 'yes', 'on'].includes(String(v || '').trim().toLowerCase());
+}
+
+function sslConfig(prefix) {
+  const mode = String(process.env[`${prefix}_SSL`] || '').trim().toLowerCase();
+  if (!mode || ['0', 'false', 'off', 'disable'].includes(mode)) return false;
+
+  const ssl = { rejectUnauthorized: mode !== 'no-verify' };
+  const caPath = process.env[`${prefix}_SSL_CA`];
+  if (caPath) ssl.ca = fs.readFileSync(caPath, 'utf8');
+  return ssl;
+}
+
+/** Configuração do pg para 'SRC' ou 'DST' (também usada por utils/context.js). */
+function dbConfig(prefix, applicationName = APP) {
+  const timeout = Number(process.env[`${prefix}_STATEMENT_TIMEOUT`] || 0);
+  const config = {
+    host: process.env[`${prefix}_HOST`],
+    port: Number(process.env[`${prefix}_PORT`] || 5432),
+    user: process.env[`${prefix}_USER`],
+    password: process.env[`${prefix}_PASS`],
+    database: process.env[`${prefix}_DB`],
+    application_name: applicationName,
+    ssl: sslConfig(prefix)
+  };
+  if (timeout > 0) config.statement_timeout = timeout;
+  return config;
+}
+
+/** Client avulso (scripts): new Client com a mesma configuração das migrations. */
+function createClient(prefix, applicationName = APP) {
+  return new Client(dbConfig(prefix, `${APP}:${applicationName}`));
+}
+
+// —— Pools compartilhados pela execução inteira (criados sob demanda)
+let pools = null;
+
+function getPools() {
+  if (!pools) {
+    const max = Number(process.env.DB_POOL_MAX || 10);
+    pools = {
+      source: new Pool({ ...dbConfig('SRC'), max }),
+      dest: new Pool({ ...dbConfig('DST'), max })
+    };
+    // conexão ociosa que cai não deve derrubar o processo
+    pools.source.on('error', err => console.error(`⚠️  Pool origem: ${err.message}`));
+    pools.dest.on('error', err => console.error(`⚠️  Pool destino: ${err.message}`));
+  }
+  return pools;
+}
+
+async function checkout(pool, applicationName) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT set_config($1, $2, false)', ['application_name', applicationName]);
+    return client;
+  } catch (err) {
+    client.release(err);
+    throw err;
+  }
+}
+
+// Devolve ao pool com a sessão limpa (sem transação aberta, temp tables ou SETs); se falhar, descarta.
+// O limite de tempo cobre a etapa que falhou com um cursor aberto: a limpeza ficaria na fila atrás dele.
+async function giveBack(client) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error('timeout ao limpar a sessão')), 5000);
+  });
+  try {
+    await Promise.race([
+      (async () => {
+        await client.query('ROLLBACK');
+        await client.query('DISCARD ALL');
+      })(),
+      timeout
+    ]);
+    client.release();
+  } catch (err) {
+    client.release(err);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Conexões de uma etapa: { source, dest, release() }.
+ * Os clients vêm dos pools compartilhados com application_name "omni-migration:<Etapa>:source|dest".
+ * Com SRC_READ_ONLY (ou ctx.readOnlySource) a origem fica numa transação somente leitura
+ * REPEATABLE READ: todas as leituras da etapa veem o mesmo instante do legado.
+ * Com ctx.sourceSnapshot essa transação importa o snapshot exportado pelo main.js
+ * (SET TRANSACTION SNAPSHOT): todas as etapas veem o mesmo instante.
+ * Em dry-run (ctx.dryRun) o destino é a conexão compartilhada de utils/dryRun.js.
+ */
+async function connectStep(ctx = {}, stepName = 'step') {
+  const { source: srcPool, dest: dstPool } = getPools();
+  const source = await checkout(srcPool, `${APP}:${stepName}:source`);
+  const shared = ctx.dryRun ? ctx.dryRun.dest : null;
+  let dest = shared;
+  if (!shared) {
+    try {
+      dest = await checkout(dstPool, `${APP}:${stepName}:dest`);
+    } catch (err) {
+      await giveBack(source);
+      throw err;
+    }
+  }
+  const giveBackAll = () => Promise.all([giveBack(source), shared ? null : giveBack(dest)]);
+
+  const snapshot = ctx.sourceSnapshot || null;
+  const readOnly = snapshot
+    || (ctx.readOnlySource != null ? !!ctx.readOnlySource : envFlag(process.env.SRC_READ_ONLY));
+  if (readOnly) {
+    try {
+      await source.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+      if (snapshot) await source.query(`SET TRANSACTION SNAPSHOT '${snapshotId(snapshot)}'`);
+    } catch (err) {
+      await giveBackAll();
+      throw err;
+    }
+  }
+
+  let released = false;
+  return {
+    source,
+    dest,
+    async release() {
+      if (released) return;
+      released = true;
+      await giveBackAll();
+    }
+  };
+}
+
+/**
+ * Abre na origem uma transação REPEATABLE READ somente leitura e exporta o snapshot
+ * (pg_export_snapshot). A transação precisa ficar aberta enquanto as etapas importam o
+ * snapshot, então a conexão é dedicada (fora do pool) e só é encerrada em close().
+ * Retorna { id, takenAt, close() }.
+ */
+async function exportSnapshot() {
+  const client = createClient('SRC', 'snapshot');
+  await client.connect();
+  try {
+    // a transação fica ociosa durante a execução inteira
+    await client.query('SET idle_in_transaction_session_timeout = 0');
+    await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+    const { rows } = await client.query('SELECT pg_export_snapshot() AS id, now() AS taken_at');
+    client.on('error', err => console.error(`⚠️  Conexão do snapshot da origem: ${err.message}`));
+
+    let closed = false;
+    return {
+      id: rows[0].id,
+      takenAt: rows[0].taken_at,
+      async close() {
+        if (closed) return;
+        closed = true;
+        try { await client.query('COMMIT'); } catch { /* conexão já caiu */ }
+        await client.end().catch(() => {});
+      }
+    };
+  } catch (err) {
+    await client.end().catch(() => {});
+    throw err;
+  }
+}
+
+/** Snapshot exportado é o padrão; SRC_SNAPSHOT=false desliga. */
+function snapshotEnabled() {
+  return !['0', 'false', 'no', 'off'].includes(String(process.env.SRC_SNAPSHOT || '').trim().toLowerCase());
+}
+
+// SET TRANSACTION SNAPSHOT não aceita parâmetro ($1): valida o formato antes de interpolar
+function snapshotId(id) {
+  const s = String(id);
+  if (!/^[0-9A-Fa-f-]+$/.test(s)) throw new Error(`Identificador de snapshot inválido: ${s}`);
+  return s;
+}
+
+/** Encerra os pools (fim do main.js ou dos comandos). */
+async function closePools() {
+  if (!pools) return;
+  const { source, dest } = pools;
+  pools = null;
+  await Promise.allSettled([source.end(), dest.end()]);
+}
+
+module.exports = { dbConfig, createClient, connectStep, exportSnapshot, snapshotEnabled, closePools };
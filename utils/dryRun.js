@@ -0,0 +1,178 @@
+// utils/dryRun.js
+'use strict';
+
+const { createClient } = require('./db');
+
+/**
+ * Dry-run (--dry-run): as etapas rodam de verdade — leem a origem, aplicam todas as
+ * transformações e escrevem no destino — mas dentro de UMA transação que é desfeita no fim.
+ *
+ * - Todas as etapas usam a mesma conexão de destino (a etapa seguinte enxerga o que a
+ *   anterior "gravou"), por isso o dry-run roda em sequência.
+ * - BEGIN/COMMIT/ROLLBACK das migrations viram SAVEPOINT/RELEASE/ROLLBACK TO; comandos fora
+ *   de transação rodam num savepoint próprio, para um erro não abortar a transação inteira.
+ * - Antes de cada etapa guardamos (chave primária, xmin, md5 da linha) das tabelas de
+ *   meta.writes; depois comparamos: linha nova = inserir, xmin diferente com conteúdo
+ *   diferente = atualizar, xmin diferente com o mesmo conteúdo = sem mudança.
+ */
+async function openDryRun() {
+  const client = createClient('DST', 'dry-run');
+  await client.connect();
+  await client.query('BEGIN');
+
+  const stack = [];
+  let seq = 0;
+  const empty = { rows: [], rowCount: 0 };
+
+  // Executa no cliente "cru" sem deixar um erro abortar a transação de dry-run
+  async function safely(fn) {
+    const sp = `dry_${++seq}`;
+    await client.query(`SAVEPOINT ${sp}`);
+    try {
+      const res = await fn();
+      await client.query(`RELEASE SAVEPOINT ${sp}`);
+      return res;
+    } catch (err) {
+      await client.query(`ROLLBACK TO SAVEPOINT ${sp}`);
+      await client.query(`RELEASE SAVEPOINT ${sp}`);
+      throw err;
+    }
+  }
+
+  // O que as migrations recebem como "dest"
+  const dest = {
+    async query(q, values) {
+      const text = typeof q === 'string' ? q : (q && q.text) || '';
+      const cmd = text.trim().replace(/;+\s*$/, '').toUpperCase();
+
+      if (/^(BEGIN|START TRANSACTION)\b/.test(cmd)) {
+        const sp = `dry_${++seq}`;
+        stack.push(sp);
+        await client.query(`SAVEPOINT ${sp}`);
+        return empty;
+      }
+      if (/^(COMMIT|END)\b/.test(cmd)) {
+        const sp = stack.pop();
+        if (sp) await client.query(`RELEASE SAVEPOINT ${sp}`);
+        return empty;
+      }
+      if (/^ROLLBACK$/.test(cmd)) {
+        const sp = stack.pop();
+        if (sp) {
+          await client.query(`ROLLBACK TO SAVEPOINT ${sp}`);
+          await client.query(`RELEASE SAVEPOINT ${sp}`);
+        }
+        return empty;
+      }
+
+      if (stack.length) return client.query(q, values);
+      return safely(() => client.query(q, values));
+    }
+  };
+
+  async function primaryKey(table) {
+    const { rows } = await client.query(
+      `SELECT a.attname
+         FROM pg_index i
+         JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+        WHERE i.indrelid = to_regclass($1) AND i.indisprimary
+        ORDER BY array_position(i.indkey::int2[], a.attnum)`,
+      [table]
+    );
+    return rows.map(r => r.attname);
+  }
+
+  async function hasColumn(table, column) {
+    const { rows } = await client.query(
+      `SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = $1 AND column_name = $2`,
+      [table, column]
+    );
+    return rows.length > 0;
+  }
+
+  /**
+   * Fotografa as tabelas antes da etapa. Com tenant, filtra por company_id quando a tabela tem a coluna.
+   * Retorna um handle para diff().
+   */
+  async function before(tables, tenantId = null) {
+    const probes = [];
+    for (const table of tables) {
+      try {
+        const probe = await safely(async () => {
+          const pk = await primaryKey(table);
+          if (!pk.length) throw new Error('sem chave primária');
+          const key = pk.length === 1 ? `t.${pk[0]}::text` : `ROW(${pk.map(c => `t.${c}`).join(', ')})::text`;
+          const scoped = tenantId && await hasColumn(table, 'company_id');
+          const where = scoped ? 'WHERE t.company_id = $1' : '';
+          const params = scoped ? [tenantId] : [];
+          const tmp = `dry_before_${++seq}`;
+          await client.query(
+            `CREATE TEMP TABLE ${tmp} AS
+             SELECT ${key} AS k, t.xmin::text AS x, md5(t::text) AS h FROM ${table} t ${where}`,
+            params
+          );
+          await client.query(`CREATE INDEX ON ${tmp} (k)`);
+          return { table, tmp, key, where, params };
+        });
+        probes.push(probe);
+      } catch (err) {
+        probes.push({ table, error: err.message });
+      }
+    }
+    return probes;
+  }
+
+  /** Compara com a fotografia: { [tabela]: { inserted, updated, unchanged, deleted } | { error } } */
+  async function diff(probes) {
+    const out = {};
+    for (const p of probes) {
+      if (p.error) {
+        out[p.table] = { error: p.error };
+        continue;
+      }
+      try {
+        out[p.table] = await safely(async () => {
+          const { rows } = await client.query(
+            `WITH a AS (SELECT ${p.key} AS k, t.xmin::text AS x, md5(t::text) AS h FROM ${p.table} t ${p.where})
+             SELECT
+               COUNT(*) FILTER (WHERE b.k IS NULL)::int                     AS inserted,
+               COUNT(*) FILTER (WHERE b.k IS NOT NULL AND a.x <> b.x AND a.h <> b.h)::int AS updated,
+               COUNT(*) FILTER (WHERE b.k IS NOT NULL AND a.x <> b.x AND a.h = b.h)::int  AS unchanged,
+               (SELECT COUNT(*)::int FROM ${p.tmp} d WHERE NOT EXISTS (SELECT 1 FROM a WHERE a.k = d.k)) AS deleted
+             FROM a LEFT JOIN ${p.tmp} b ON b.k = a.k`,
+            p.params
+          );
+          await client.query(`DROP TABLE ${p.tmp}`);
+          return rows[0];
+        });
+      } catch (err) {
+        out[p.table] = { error: err.message };
+      }
+    }
+    return out;
+  }
+
+  // Fim da etapa: savepoints que ela deixou abertos (falha no meio de um lote) são desfeitos
+  async function settle() {
+    while (stack.length) {
+      const sp = stack.pop();
+      await client.query(`ROLLBACK TO SAVEPOINT ${sp}`);
+      await client.query(`RELEASE SAVEPOINT ${sp}`);
+    }
+  }
+
+  return {
+    dest,
+    before,
+    settle,
+    diff,
+    // Desfaz tudo e encerra a conexão
+    async close() {
+      try { await client.query('ROLLBACK'); } catch { /* conexão já caiu */ }
+      await client.end().catch(() => {});
+    }
+  };
+}
+
+module.exports = { openDryRun };
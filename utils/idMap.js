@@ -0,0 +1,78 @@
+// utils/idMap.js
+'use strict';
+
+/**
+ * Mapa permanente id legado → id novo na tabela "migration_id_map" do DESTINO, para as entidades
+ * que ganham id novo na migração (hoje: messages, que usa o serial do destino).
+ *
+ * Diferente do staging das etapas, o mapa não é apagado no fim: execuções seguintes (retomadas,
+ * por tenant, incrementais) e os scripts avulsos resolvem referências a registros migrados antes
+ * — quoted_msg_id, reações, mídias — sem refazer o dedupe. Uma linha por (entidade, id legado);
+ * gravar de novo atualiza o id novo, o tenant e a execução.
+ */
+const CHUNK = 5000;
+
+const TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS migration_id_map (
+    entity      text        NOT NULL,
+    tenant_id   text,
+    legacy_id   text        NOT NULL,
+    new_id      bigint      NOT NULL,
+    run_id      text,
+    created_at  timestamptz NOT NULL DEFAULT now(),
+    updated_at  timestamptz NOT NULL DEFAULT now(),
+    PRIMARY KEY (entity, legacy_id)
+  )
+`;
+const INDEX_SQL = 'CREATE INDEX IF NOT EXISTS migration_id_map_new_idx ON migration_id_map (entity, new_id)';
+
+async function ensureIdMap(dest) {
+  await dest.query(TABLE_SQL);
+  await dest.query(INDEX_SQL);
+}
+
+/**
+ * Grava os pares do lote: [[legacyId, newId, tenantId?], ...] (o tenant do par vence o das opções).
+ * Retorna quantos pares foram gravados.
+ */
+async function recordIds(dest, entity, pairs, { tenantId = null, runId = null } = {}) {
+  // o mesmo id legado duas vezes no comando quebraria o ON CONFLICT: fica o último
+  const unique = [...new Map(pairs.map(p => [String(p[0]), p])).values()];
+  for (let i = 0; i < unique.length; i += CHUNK) {
+    const chunk = unique.slice(i, i + CHUNK);
+    await dest.query(
+      `INSERT INTO migration_id_map (entity, tenant_id, legacy_id, new_id, run_id)
+       SELECT $1, v.tenant_id, v.legacy_id, v.new_id, $5
+         FROM unnest($2::text[], $3::bigint[], $4::text[]) AS v(legacy_id, new_id, tenant_id)
+       ON CONFLICT (entity, legacy_id) DO UPDATE SET
+         new_id     = EXCLUDED.new_id,
+         tenant_id  = COALESCE(EXCLUDED.tenant_id, migration_id_map.tenant_id),
+         run_id     = EXCLUDED.run_id,
+         updated_at = now()`,
+      [
+        entity,
+        chunk.map(p => String(p[0])),
+        chunk.map(p => p[1]),
+        chunk.map(p => (p[2] != null ? String(p[2]) : (tenantId != null ? String(tenantId) : null))),
+        runId
+      ]
+    );
+  }
+  return unique.length;
+}
+
+/** Map(id legado → id novo) dos ids informados que já estão no mapa. */
+async function lookupIds(dest, entity, legacyIds) {
+  const wanted = [...new Set(legacyIds.filter(id => id != null).map(String))];
+  const found = new Map();
+  for (let i = 0; i < wanted.length; i += CHUNK) {
+    const { rows } = await dest.query(
+      'SELECT legacy_id, new_id FROM migration_id_map WHERE entity = $1 AND legacy_id = ANY($2::text[])',
+      [entity, wanted.slice(i, i + CHUNK)]
+    );
+    for (const r of rows) found.set(r.legacy_id, r.new_id);
+  }
+  return found;
+}
+
+module.exports = { ensureIdMap, recordIds, lookupIds };
@@ -0,0 +1,204 @@
+// utils/mappingEngine.js
+'use strict';
+
+require('dotenv').config();
+const Cursor = require('pg-cursor');
+const { connectStep } = require('./db');
+const { createProgressBar } = require('./progress');
+const { openCheckpoint, onlyIdsFilter } = require('./checkpoint');
+const { openWatermark } = require('./watermark');
+const { createUpsert, addCounts, formatCounts } = require('./upsert');
+
+/**
+ * Executa um mapeamento declarativo legado → destino (mappings/*.js):
+ * COUNT, cursor ordenado pela chave (com checkpoint) e, por lote, o upsert de utils/upsert.js
+ * (registro a registro se o lote falhar, com os rejeitados indo para ctx.rejects).
+ *
+ *   module.exports = {
+ *     step: 'Departments',                    // nome da etapa (checkpoint, conexões)
+ *     title: '🏢 Migrando "Queues" → "departments"...',
+ *     label: 'departamento(s)',               // resumo final
+ *     source: {
+ *       table: '"public"."Queues"',
+ *       key: '"id"',                          // ordem do cursor e coluna do checkpoint
+ *       tenant: '"tenantId"',                 // filtro do TENANT_ID
+ *       updatedAt: '"updatedAt"',             // coluna do watermark sem checkpoint (padrão "updatedAt")
+ *       where: ({ tenantId }) => null,        // filtro extra opcional (texto ou função)
+ *       select: { id: '"id"', name: '"queue"', createdAt: '"createdAt"' }
+ *     },
+ *     dest: {
+ *       table: 'departments',
+ *       conflict: ['id'],                     // ON CONFLICT (...) DO UPDATE
+ *       insertOnly: ['created_at']            // colunas que o UPDATE não mexe
+ *     },
+ *     columns: {                              // na ordem do INSERT
+ *       id: 'id',                             // campo do select
+ *       name: row => safeName(row.name),      // (row, state) → valor
+ *       color: { value: '' },                 // constante
+ *       status: { from: 'status', transform: toBool, default: true },
+ *       transfer_type: { sql: "'queue'" },    // literal SQL, sem parâmetro
+ *       ai_keywords: { value: [], cast: 'jsonb' }
+ *     },
+ *     prepare: async ({ dest, ctx, tenantId }) => state,   // opcional, antes do cursor
+ *     tenantOf: row => row.company_id,        // tenant do rejeitado (padrão: company_id)
+ *     checkpoint: true,                       // false: sem retomada (etapas pequenas)
+ *     batchSize: 2000                         // linhas lidas por vez; o upsert fatia pelo limite de parâmetros
+ *   };
+ *
+ * Acrescentar uma coluna nova no destino é acrescentar uma entrada em `columns`: placeholders,
+ * casts e o SET do conflito saem daqui.
+ */
+async function runMapping(ctx = {}, mapping) {
+  console.log(mapping.title);
+
+  const BATCH_SIZE = Number(process.env.BATCH_SIZE || mapping.batchSize || 2000);
+  const tenantId =
+    ctx.tenantId != null && String(ctx.tenantId).trim() !== ''
+      ? String(ctx.tenantId).trim()
+      : (process.env.TENANT_ID ? String(process.env.TENANT_ID).trim() : null);
+
+  const plan = compile(mapping);
+  const src = mapping.source;
+  const tenantOf = mapping.tenantOf || (row => row.company_id);
+
+  const db = await connectStep(ctx, mapping.step);
+  const { source, dest } = db;
+
+  try {
+    const state = mapping.prepare ? await mapping.prepare({ source, dest, ctx, tenantId }) : {};
+
+    // 1) COUNT p/ barra/ETA (no modo incremental, só o que mudou desde o watermark)
+    const params = [];
+    const conds = [];
+    if (tenantId && src.tenant) {
+      params.push(tenantId);
+      conds.push(`${src.tenant} = $${params.length}`);
+    }
+    const extra = typeof src.where === 'function' ? src.where({ ctx, tenantId }) : src.where;
+    if (extra) conds.push(`(${extra})`);
+    const where = conds.length ? `WHERE ${conds.join(' AND ')}` : '';
+    const keyword = where ? 'AND' : 'WHERE';
+
+    // sem checkpoint (etapas pequenas) o watermark é aberto direto, na coluna source.updatedAt
+    const checkpoint = mapping.checkpoint === false
+      ? null
+      : await openCheckpoint(dest, mapping.step, { tenantId, fresh: ctx.fresh, onlyIds: ctx.onlyIds, delta: ctx.delta, rejects: ctx.rejects });
+    const watermark = checkpoint
+      ? null
+      : await openWatermark(dest, mapping.step, { tenantId, delta: ctx.delta, rejects: ctx.rejects, onlyIds: ctx.onlyIds });
+    const updatedAt = src.updatedAt || '"updatedAt"';
+
+    const countParams = [...params];
+    const delta = checkpoint
+      ? checkpoint.delta(src.key, countParams, keyword)
+      : watermark.where(updatedAt, countParams, keyword);
+    const { rows: countRows } = await source.query(`SELECT COUNT(*)::bigint AS total FROM ${src.table} ${where} ${delta}`, countParams);
+    const total = Number(countRows[0]?.total || 0);
+    if (!total) {
+      console.log(
+        tenantId ? `⚠️  Nada a migrar em ${src.table} para TENANT_ID=${tenantId}.`
+                 : `⚠️  Nada a migrar em ${src.table} na origem.`
+      );
+      if (checkpoint) await checkpoint.clear();
+      else await watermark.commit();
+      return;
+    }
+
+    // 2) Cursor server-side (ordem estável pela chave; retoma do checkpoint)
+    const selectParams = [...params];
+    const resume = checkpoint
+      ? checkpoint.where(src.key, selectParams, keyword)
+      : (ctx.onlyIds ? onlyIdsFilter(ctx, src.key, selectParams, keyword) : watermark.where(updatedAt, selectParams, keyword));
+    const selectSql = `
+      SELECT ${Object.entries(src.select).map(([alias, expr]) => `${expr} AS "${alias}"`).join(', ')}
+      FROM ${src.table}
+      ${where}
+      ${resume}
+      ORDER BY ${src.key}
+    `;
+    const cursor = source.query(new Cursor(selectSql, selectParams));
+
+    // 3) Barra de progresso
+    const bar = createProgressBar(ctx);
+    const startProcessed = checkpoint ? checkpoint.processed : 0;
+    bar.start(total, startProcessed, { rate: '0.0' });
+
+    const startedAt = Date.now();
+    let processed = startProcessed;
+    const counts = { inserted: 0, updated: 0, unchanged: 0, failed: 0 };
+
+    // 4) Loop por lote
+    while (true) {
+      const batch = await new Promise((resolve, reject) => {
+        cursor.read(BATCH_SIZE, (err, r) => (err ? reject(err) : resolve(r)));
+      });
+      if (!batch || batch.length === 0) break;
+
+      const r = await plan.upsert.write(dest, batch.map(row => plan.values(row, state)), {
+        onError: (err, i) => {
+          const original = batch[i];
+          console.error(`❌ Erro ao migrar ${mapping.dest.table} id=${original.id}: ${err.message}`);
+          ctx.rejects.add(mapping.dest.table, original.id, err, { tenantId: tenantOf(original), payload: original });
+        }
+      });
+      addCounts(counts, r);
+
+      processed += batch.length;
+      if (checkpoint) await checkpoint.save(batch[batch.length - 1].id, processed);
+      const elapsed = (Date.now() - startedAt) / 1000;
+      const rate = (processed / Math.max(1, elapsed)).toFixed(1);
+      bar.update(processed, { rate });
+    }
+
+    bar.stop();
+    if (checkpoint) await checkpoint.clear();
+    else await watermark.commit();
+    await new Promise((resolve, reject) => cursor.close(err => (err ? reject(err) : resolve())));
+    const secs = ((Date.now() - startedAt) / 1000).toFixed(1);
+    console.log(`✅ Migrados ${counts.inserted + counts.updated + counts.unchanged}/${total} ${mapping.label} em ${secs}s (${formatCounts(counts)}).`);
+  } finally {
+    await db.release();
+  }
+}
+
+/**
+ * Monta, uma vez por mapeamento, o upsert (colunas, casts, SET do conflito) e a função que
+ * transforma uma linha da origem no array de parâmetros.
+ */
+function compile(mapping) {
+  const entries = Object.entries(mapping.columns).map(([column, spec]) => [column, normalizeSpec(spec)]);
+  const bound = entries.filter(([, spec]) => spec.sql == null);
+  const upsert = createUpsert({
+    table: mapping.dest.table,
+    columns: entries.map(([name, spec]) => ({ name, sql: spec.sql, cast: spec.cast })),
+    conflict: mapping.dest.conflict || ['id'],
+    insertOnly: mapping.dest.insertOnly || []
+  });
+
+  return {
+    upsert,
+    values(row, state) {
+      return bound.map(([, spec]) => valueOf(spec, row, state));
+    }
+  };
+}
+
+// 'campo' | (row, state) => valor | { from, value, transform, default, cast, sql }
+function normalizeSpec(spec) {
+  if (typeof spec === 'string') return { from: spec };
+  if (typeof spec === 'function') return { compute: spec };
+  return spec;
+}
+
+function valueOf(spec, row, state) {
+  let v;
+  if (spec.compute) v = spec.compute(row, state);
+  else if (spec.from != null) v = row[spec.from];
+  else v = spec.value;
+  if (spec.transform) v = spec.transform(v, row, state);
+  if (v == null && spec.default !== undefined) v = spec.default;
+  if (spec.cast === 'jsonb' && v != null && typeof v !== 'string') v = JSON.stringify(v);
+  return v;
+}
+
+module.exports = { runMapping };
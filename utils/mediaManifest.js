@@ -0,0 +1,128 @@
+// utils/mediaManifest.js
+'use strict';
+
+const READ_SIZE = Number(process.env.BATCH_SIZE || 5000);
+
+// de onde vêm as referências no destino (lidas em páginas pela chave)
+const MANIFEST_SOURCES = [
+  { origin: 'messages', from: 'messages m JOIN tickets t ON t.id = m.ticket_id', key: 'm.id', tenant: 't.company_id', ref: 'm.media_name' },
+  { origin: 'campaigns', from: 'campaigns', key: 'id', tenant: 'company_id', ref: 'media_path' },
+  { origin: 'contacts', from: 'contacts', key: 'id', tenant: 'company_id', ref: 'profile_pic_url' }
+];
+
+/**
+ * Arquivos de mídia referenciados no destino, sem repetição (etapa MediaFiles e media-audit):
+ * messages.media_name, campaigns.media_path e contacts.profile_pic_url no escopo do tenant.
+ *
+ * Retorna { entries, byOrigin, external, rewritten }. Cada entrada traz o caminho relativo
+ * esperado (<tenant>/<nome>), os candidatos a procurar, o valor original (ref), de onde veio
+ * (messages, campaigns, contacts), os valores de media_name ainda no formato do legado que
+ * apontam para ele (messageRefs) e `pending` (há referência ainda não reescrita). Referências
+ * já reescritas para o armazenamento novo (target.owns) apontam direto para a chave dele.
+ */
+async function buildManifest(dest, tenantId, target = null) {
+  const collect = manifestCollector(target);
+  for (const source of MANIFEST_SOURCES) {
+    // paginado por id com SELECT comum (sem cursor): o dest do dry-run é um wrapper async que não
+    // devolve o cursor, e um portal aberto travaria o savepoint da transação compartilhada
+    let lastId = null;
+    while (true) {
+      const params = [READ_SIZE];
+      if (tenantId) params.push(tenantId);
+      if (lastId != null) params.push(lastId);
+      const { rows } = await dest.query(
+        `SELECT ${source.key}::text AS id, ${source.tenant}::text AS tenant, ${source.ref} AS ref
+           FROM ${source.from}
+          WHERE ${source.ref} IS NOT NULL AND ${source.ref} <> ''
+            ${tenantId ? `AND ${source.tenant} = $2` : ''}
+            ${lastId != null ? `AND ${source.key} > $${params.length}` : ''}
+          ORDER BY ${source.key}
+          LIMIT $1`,
+        params
+      );
+      for (const row of rows) collect.add(row.ref, row.tenant, source.origin);
+      if (rows.length < READ_SIZE) break;
+      lastId = rows[rows.length - 1].id;
+    }
+  }
+  return collect.result();
+}
+
+/**
+ * Acumula referências (ref, tenant, origem) no formato do buildManifest; usado também para
+ * listas vindas de arquivo (scripts/buscar_arquivos.js → media-names.txt).
+ */
+function manifestCollector(target = null) {
+  const byRel = new Map();
+  const seen = new Set(); // (origem, tenant, ref) já acumulados: a leitura é linha a linha
+  const byOrigin = { messages: 0, campaigns: 0, contacts: 0 };
+  let external = 0;
+  let rewritten = 0;
+
+  return {
+    add(ref, tenant, origin = 'messages') {
+      const key = `${origin}\u0001${tenant}\u0001${ref}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      const owned = !!target && target.owns(ref);
+      const candidates = owned ? [target.relOf(ref)].filter(Boolean) : refCandidates(ref, tenant);
+      if (!candidates || !candidates.length) {
+        external++;
+        return;
+      }
+      if (owned) rewritten++;
+
+      const rel = candidates[0];
+      let entry = byRel.get(rel);
+      if (!entry) {
+        entry = { rel, tenant: tenant != null ? String(tenant) : null, ref, candidates, origins: [], messageRefs: [], pending: false };
+        byRel.set(rel, entry);
+      }
+      if (!entry.origins.includes(origin)) {
+        entry.origins.push(origin);
+        byOrigin[origin] = (byOrigin[origin] || 0) + 1;
+      }
+      if (!owned) {
+        entry.pending = true;
+        if (origin === 'messages') entry.messageRefs.push(ref);
+      }
+    },
+
+    result() {
+      const entries = [...byRel.values()].sort((x, y) => (x.rel < y.rel ? -1 : x.rel > y.rel ? 1 : 0));
+      return { entries, byOrigin, external, rewritten };
+    }
+  };
+}
+
+/**
+ * Caminhos relativos (à pasta public do legado) onde o arquivo pode estar, do mais provável
+ * para o menos. O legado grava só o nome ("1699999-foto.jpg", salvo em public/<tenant>/) ou
+ * a URL completa (https://api.../public/1/1699999-foto.jpg). URL sem /public/ é de outro
+ * servidor (ex.: foto de perfil do WhatsApp) → null.
+ */
+function refCandidates(ref, tenant) {
+  let value = String(ref).trim();
+  if (/^https?:\/\//i.test(value)) {
+    let pathname;
+    try {
+      pathname = new URL(value).pathname;
+    } catch {
+      return null;
+    }
+    const at = pathname.lastIndexOf('/public/');
+    if (at < 0) return null;
+    value = pathname.slice(at + '/public/'.length);
+    try {
+      value = decodeURIComponent(value);
+    } catch { /* mantém como veio */ }
+  }
+  value = value.split('?')[0].replace(/^\/+/, '').replace(/^public\//, '');
+
+  const parts = value.split('/').filter(Boolean);
+  if (!parts.length || parts.some(p => p === '..' || p === '.')) return null;
+  if (parts.length > 1) return [parts.join('/')];
+  return tenant ? [`${tenant}/${parts[0]}`, parts[0]] : [parts[0]];
+}
+
+module.exports = { buildManifest, manifestCollector, refCandidates };
@@ -0,0 +1,408 @@
+// utils/mediaStorage.js
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { NodeSSH } = require('node-ssh');
+
+/**
+ * Armazenamento dos arquivos de mídia (etapa MediaFiles).
+ *
+ * A origem é sempre a pasta pública do legado por SFTP (openSftp). O destino é escolhido por
+ * MEDIA_TARGET e todos expõem a mesma interface, com caminhos relativos ("1/foto.jpg"):
+ *
+ *   stat(rel)                     { size } ou null
+ *   put(rel, open, { offset, size })  grava o conteúdo de open(offset) (stream da origem)
+ *   canResume                     aceita continuar um arquivo parcial a partir de offset
+ *   sha256(rel)                   hash do arquivo gravado (ausente no s3: lá vale o ETag)
+ *   keyOf(rel) / urlOf(rel)       chave e URL públicas, usadas para reescrever media_name
+ *   owns(ref) / relOf(ref)        a referência já aponta para este destino (reescrita antes) e
+ *                                 o caminho relativo dela
+ *   list(dir)                     [{ rel, size }] de todos os arquivos sob dir (relativo)
+ *   describe() / close()
+ *
+ *   local   pasta local em MEDIA_DST_DIR
+ *   sftp    MEDIA_DST_DIR no servidor DST_SSH_*
+ *   s3      bucket S3 ou compatível (MinIO): MEDIA_S3_ENDPOINT, MEDIA_S3_BUCKET, MEDIA_S3_REGION,
+ *           MEDIA_S3_ACCESS_KEY, MEDIA_S3_SECRET_KEY, MEDIA_S3_PREFIX, MEDIA_S3_PATH_STYLE
+ *
+ * MEDIA_PUBLIC_URL é a base das URLs novas (no s3 o padrão é o próprio endpoint/bucket).
+ */
+const TARGETS = ['local', 'sftp', 's3'];
+// MEDIA_DST_MODE=ssh|local é o nome antigo de MEDIA_TARGET
+const TARGET = String(process.env.MEDIA_TARGET || process.env.MEDIA_DST_MODE || 'sftp').trim().toLowerCase().replace(/^ssh$/, 'sftp');
+const SRC_DIR = (process.env.MEDIA_SRC_DIR || '/www/wwwroot/omniathostec/backend/public').replace(/\/+$/, '');
+
+// Pasta pública do legado (MEDIA_SRC_DIR) no servidor SRC_SSH_*
+function openSource(ctx = {}) {
+  return openSftp(ctx.srcSSH, SRC_DIR, 'origem');
+}
+
+async function openTarget(kind, ctx = {}) {
+  const dir = (process.env.MEDIA_DST_DIR || '/New-Omni/backend/public/media').replace(/\/+$/, '');
+  if (kind === 'local') return withKeys(localTarget(dir), '', process.env.MEDIA_PUBLIC_URL);
+  if (kind === 'sftp') return withKeys(await openSftp(ctx.dstSSH, dir, 'destino'), '', process.env.MEDIA_PUBLIC_URL);
+  if (kind === 's3') {
+    const prefix = String(process.env.MEDIA_S3_PREFIX || '').replace(/^\/+/, '').replace(/\/*$/, '/').replace(/^\/$/, '');
+    const s3 = s3Target({
+      prefix,
+      endpoint: process.env.MEDIA_S3_ENDPOINT,
+      region: process.env.MEDIA_S3_REGION || 'us-east-1',
+      bucket: process.env.MEDIA_S3_BUCKET,
+      accessKey: process.env.MEDIA_S3_ACCESS_KEY,
+      secretKey: process.env.MEDIA_S3_SECRET_KEY,
+      pathStyle: String(process.env.MEDIA_S3_PATH_STYLE || 'true').toLowerCase() !== 'false'
+    });
+    return withKeys(s3, prefix, process.env.MEDIA_PUBLIC_URL || s3.baseUrl);
+  }
+  throw new Error(`MEDIA_TARGET inválido: "${kind}" (use ${TARGETS.join(', ')}).`);
+}
+
+// Chave = prefixo + caminho relativo; URL = base pública + chave
+function withKeys(target, prefix, publicUrl) {
+  const base = publicUrl ? String(publicUrl).replace(/\/+$/, '') : null;
+  const keyOf = rel => `${prefix}${rel}`;
+  return {
+    ...target,
+    publicUrl: base,
+    keyOf,
+    urlOf(rel) {
+      if (!base) throw new Error('MEDIA_PUBLIC_URL não configurada (necessária para MEDIA_REWRITE=url).');
+      return `${base}/${keyOf(rel).split('/').map(encodeSegment).join('/')}`;
+    },
+    owns(ref) {
+      const v = String(ref || '');
+      return (!!base && v.startsWith(`${base}/`)) || (!!prefix && v.startsWith(prefix));
+    },
+    relOf(ref) {
+      let v = String(ref || '');
+      if (base && v.startsWith(`${base}/`)) {
+        try {
+          v = v.slice(base.length + 1).split('?')[0].split('/').map(decodeURIComponent).join('/');
+        } catch {
+          return null;
+        }
+      }
+      if (prefix) {
+        if (!v.startsWith(prefix)) return null;
+        v = v.slice(prefix.length);
+      }
+      return v && !v.split('/').some(p => p === '..') ? v : null;
+    }
+  };
+}
+
+// SFTP (origem, ou destino com MEDIA_TARGET=sftp); caminhos sempre relativos à pasta base
+async function openSftp(conf, baseDir, label) {
+  if (!conf || !conf.host || !conf.user) {
+    throw new Error(`Dados SSH de ${label} não configurados (${label === 'origem' ? 'SRC' : 'DST'}_SSH_*).`);
+  }
+  const ssh = new NodeSSH();
+  try {
+    await ssh.connect({ host: conf.host, username: conf.user, port: conf.port, password: conf.password });
+  } catch (err) {
+    throw new Error(`Não foi possível conectar por SSH na ${label} (${conf.host}): ${err.message}`);
+  }
+  const sftp = await ssh.requestSFTP();
+  const abs = rel => (rel ? `${baseDir}/${rel}` : baseDir);
+  const madeDirs = new Set();
+
+  const stat = rel => new Promise((resolve, reject) => {
+    sftp.stat(abs(rel), (err, st) => {
+      if (err && err.code === 2) return resolve(null); // SSH_FX_NO_SUCH_FILE
+      return err ? reject(err) : resolve(st);
+    });
+  });
+
+  return {
+    canResume: true,
+    stat,
+
+    // Primeiro candidato que existe como arquivo: { rel, size } (ou null)
+    async find(candidates) {
+      for (const rel of candidates) {
+        const st = await stat(rel);
+        if (st && st.isFile()) return { rel, size: st.size };
+      }
+      return null;
+    },
+
+    read: (rel, start) => sftp.createReadStream(abs(rel), { start }),
+
+    async list(dir = '') {
+      const files = [];
+      const queue = [dir];
+      while (queue.length) {
+        const current = queue.shift();
+        const items = await new Promise((resolve, reject) => {
+          sftp.readdir(abs(current), (err, list) => {
+            if (err && err.code === 2) return resolve([]);
+            return err ? reject(err) : resolve(list);
+          });
+        });
+        for (const item of items) {
+          const rel = current ? `${current}/${item.filename}` : item.filename;
+          if (item.attrs.isDirectory()) queue.push(rel);
+          else if (item.attrs.isFile()) files.push({ rel, size: item.attrs.size });
+        }
+      }
+      return files;
+    },
+
+    async put(rel, open, { offset }) {
+      const dir = path.posix.dirname(rel);
+      if (dir !== '.' && !madeDirs.has(dir)) {
+        await ssh.mkdir(abs(dir), 'sftp', sftp);
+        madeDirs.add(dir);
+      }
+      const out = sftp.createWriteStream(abs(rel), offset ? { flags: 'r+', start: offset } : { flags: 'w' });
+      await pipeline(open(offset), out);
+    },
+
+    async sha256(rel) {
+      const { stdout, stderr, code } = await ssh.execCommand(`sha256sum -- ${shellQuote(abs(rel))}`);
+      if (code !== 0) throw mediaError('checksum_failed', `sha256sum na ${label}: ${stderr || `código ${code}`}`);
+      return stdout.trim().split(/\s+/)[0];
+    },
+
+    describe: () => `${conf.user}@${conf.host}:${baseDir}`,
+
+    close() {
+      ssh.dispose();
+    }
+  };
+}
+
+function localTarget(baseDir) {
+  const abs = rel => path.join(baseDir, ...rel.split('/'));
+  return {
+    canResume: true,
+
+    async stat(rel) {
+      try {
+        return await fs.stat(abs(rel));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async list(dir = '') {
+      const files = [];
+      const queue = [dir];
+      while (queue.length) {
+        const current = queue.shift();
+        const items = await fs.readdir(current ? abs(current) : baseDir, { withFileTypes: true }).catch(err => {
+          if (err.code === 'ENOENT') return [];
+          throw err;
+        });
+        for (const item of items) {
+          const rel = current ? `${current}/${item.name}` : item.name;
+          if (item.isDirectory()) queue.push(rel);
+          else if (item.isFile()) files.push({ rel, size: (await fs.stat(abs(rel))).size });
+        }
+      }
+      return files;
+    },
+
+    async put(rel, open, { offset }) {
+      await fs.ensureDir(path.dirname(abs(rel)));
+      await pipeline(open(offset), fs.createWriteStream(abs(rel), offset ? { flags: 'r+', start: offset } : { flags: 'w' }));
+    },
+
+    async sha256(rel) {
+      const hash = crypto.createHash('sha256');
+      await pipeline(fs.createReadStream(abs(rel)), hash);
+      return hash.digest('hex');
+    },
+
+    describe: () => baseDir,
+    close() {}
+  };
+}
+
+/**
+ * Bucket S3/compatível via HTTP com assinatura SigV4 (sem SDK). Cada arquivo é um PUT único
+ * (sem retomada: objeto incompleto é enviado de novo); o ETag devolvido precisa bater com o
+ * md5 do que foi enviado.
+ */
+function s3Target({ endpoint, region, bucket, accessKey, secretKey, pathStyle, prefix = '' }) {
+  if (!endpoint || !bucket || !accessKey || !secretKey) {
+    throw new Error('Destino s3 incompleto: defina MEDIA_S3_ENDPOINT, MEDIA_S3_BUCKET, MEDIA_S3_ACCESS_KEY e MEDIA_S3_SECRET_KEY.');
+  }
+  const base = new URL(endpoint);
+  const baseUrl = pathStyle
+    ? `${base.origin}/${bucket}`
+    : `${base.protocol}//${bucket}.${base.host}`;
+  const objectUrl = rel => new URL(`${baseUrl}/${`${prefix}${rel}`.split('/').map(encodeSegment).join('/')}`);
+
+  function request(method, rel, { headers = {}, body = null, query = null } = {}) {
+    const url = rel == null ? new URL(`${baseUrl}/`) : objectUrl(rel);
+    if (query) url.search = canonicalQuery(query);
+    const signed = signV4({ method, url, headers, region, accessKey, secretKey });
+    const lib = url.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+      const req = lib.request(url, { method, headers: signed }, res => {
+        const chunks = [];
+        res.on('data', c => chunks.push(c));
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() }));
+        res.on('error', reject);
+      });
+      req.on('error', reject);
+      if (!body) return req.end();
+      pipeline(body, req).catch(reject);
+    });
+  }
+
+  return {
+    canResume: false,
+    baseUrl,
+
+    async stat(rel) {
+      const res = await request('HEAD', rel);
+      if (res.status === 404) return null;
+      if (res.status !== 200) throw new Error(`HEAD ${rel}: HTTP ${res.status}`);
+      return { size: Number(res.headers['content-length'] || 0), etag: unquote(res.headers.etag) };
+    },
+
+    // ListObjectsV2 paginado sob prefixo + dir
+    async list(dir = '') {
+      const files = [];
+      const listPrefix = `${prefix}${dir ? `${dir.replace(/\/+$/, '')}/` : ''}`;
+      let token = null;
+      do {
+        const query = { 'list-type': '2', prefix: listPrefix };
+        if (token) query['continuation-token'] = token;
+        const res = await request('GET', null, { query });
+        if (res.status !== 200) throw new Error(`ListObjectsV2: HTTP ${res.status} ${s3ErrorCode(res.body)}`.trim());
+        for (const m of res.body.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+          const key = xmlText(/<Key>([\s\S]*?)<\/Key>/.exec(m[1]));
+          const size = Number(xmlText(/<Size>(\d+)<\/Size>/.exec(m[1])) || 0);
+          if (key && key.startsWith(prefix) && !key.endsWith('/')) files.push({ rel: key.slice(prefix.length), size });
+        }
+        token = /<IsTruncated>true<\/IsTruncated>/.test(res.body)
+          ? xmlText(/<NextContinuationToken>([\s\S]*?)<\/NextContinuationToken>/.exec(res.body))
+          : null;
+      } while (token);
+      return files;
+    },
+
+    async put(rel, open, { size }) {
+      // o md5 do que foi enviado é conferido com o ETag da resposta
+      const body = open(0);
+      const md5 = crypto.createHash('md5');
+      body.on('data', chunk => md5.update(chunk));
+      const res = await request('PUT', rel, {
+        headers: { 'content-length': String(size), 'content-type': contentTypeOf(rel) },
+        body
+      });
+      if (res.status !== 200) {
+        throw mediaError('upload_failed', `PUT ${rel}: HTTP ${res.status} ${s3ErrorCode(res.body)}`.trim());
+      }
+      const sent = md5.digest('hex');
+      const etag = unquote(res.headers.etag);
+      if (etag && etag !== sent) throw mediaError('checksum_mismatch', `ETag ${etag} diferente do md5 enviado (${sent})`);
+    },
+
+    describe: () => `${baseUrl}/`,
+    close() {}
+  };
+}
+
+/**
+ * Assinatura AWS Signature Version 4 (cabeçalho Authorization). A query string precisa vir
+ * de canonicalQuery. Corpo não assinado (UNSIGNED-PAYLOAD), a menos que headers traga
+ * x-amz-content-sha256.
+ */
+function signV4({ method, url, headers, region, accessKey, secretKey, service = 's3', date = new Date() }) {
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const day = amzDate.slice(0, 8);
+  const all = {
+    ...Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v).trim()])),
+    host: url.host,
+    'x-amz-date': amzDate
+  };
+  if (!all['x-amz-content-sha256']) all['x-amz-content-sha256'] = 'UNSIGNED-PAYLOAD';
+
+  const names = Object.keys(all).sort();
+  const signedHeaders = names.join(';');
+  const canonical = [
+    method,
+    url.pathname,
+    url.search.replace(/^\?/, ''),
+    names.map(n => `${n}:${all[n]}\n`).join(''),
+    signedHeaders,
+    all['x-amz-content-sha256']
+  ].join('\n');
+  const scope = `${day}/${region}/${service}/aws4_request`;
+  const toSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonical)].join('\n');
+
+  const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+  const kSigning = hmac(hmac(hmac(hmac(`AWS4${secretKey}`, day), region), service), 'aws4_request');
+  const signature = crypto.createHmac('sha256', kSigning).update(toSign).digest('hex');
+
+  return {
+    ...all,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKey}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+}
+
+// —— helpers
+
+// Parâmetros ordenados e codificados como o SigV4 exige (a URL usa a mesma string)
+function canonicalQuery(query) {
+  return Object.keys(query).sort()
+    .map(k => `${encodeSegment(k)}=${encodeSegment(query[k])}`)
+    .join('&');
+}
+
+function xmlText(match) {
+  if (!match) return null;
+  return match[1]
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function sha256Hex(s) {
+  return crypto.createHash('sha256').update(s).digest('hex');
+}
+
+// encodeURIComponent + os caracteres que o S3 também exige codificados
+function encodeSegment(s) {
+  return encodeURIComponent(s).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function unquote(v) {
+  return v ? String(v).replace(/"/g, '') : null;
+}
+
+function s3ErrorCode(xml) {
+  const m = /<Code>([^<]+)<\/Code>/.exec(xml || '');
+  return m ? m[1] : '';
+}
+
+const CONTENT_TYPES = {
+  jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp',
+  mp4: 'video/mp4', mp3: 'audio/mpeg', ogg: 'audio/ogg', oga: 'audio/ogg', opus: 'audio/ogg',
+  pdf: 'application/pdf', txt: 'text/plain'
+};
+function contentTypeOf(rel) {
+  const ext = path.posix.extname(rel).slice(1).toLowerCase();
+  return CONTENT_TYPES[ext] || 'application/octet-stream';
+}
+
+function mediaError(reason, message) {
+  const err = new Error(message);
+  err.reason = reason;
+  return err;
+}
+
+function shellQuote(s) {
+  return `'${String(s).replace(/'/g, `'\\''`)}'`;
+}
+
+module.exports = { TARGETS, TARGET, openTarget, openSource, mediaError };
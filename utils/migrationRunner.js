@@ -3,59 +3,130 @@
 
 const oraPkg = require('ora');
 const ora = oraPkg.default || oraPkg; // compat ESM/CJS
-const chalk = require('chalk');
 const fs = require('fs-extra');
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createRejects } = require('./rejects');
 
-module.exports = async function runStep(name, fn, ctx = {}) {
+// Cada etapa roda dentro do seu próprio contexto assíncrono; o console consulta
+// esse contexto para saber em qual arquivo de log escrever (etapas em paralelo).
+const stepLog = new AsyncLocalStorage();
+const originalConsoleLog = console.log;
+const originalConsoleError = console.error;
+let consolePatched = false;
+// saída "humana" no terminal; com --json vai para o stderr e o stdout fica só com o resumo
+let terminalLog = originalConsoleLog;
+
+function patchConsole() {
+  if (consolePatched) return;
+  consolePatched = true;
+
+  console.log = (...args) => {
+    const store = stepLog.getStore();
+    if (!store) return terminalLog(...args);
+    const line = args.map(String).join(' ');
+    if (!store.panel) terminalLog(line);
+    if (!store.logStream.writableEnded) store.logStream.write(`[LOG ${new Date().toISOString()}] ${line}\n`);
+  };
+
+  console.error = (...args) => {
+    const store = stepLog.getStore();
+    if (!store) return originalConsoleError(...args);
+    const line = args.map(String).join(' ');
+    if (store.panel) store.panel.log(`[${store.name}] ${line}`);
+    else originalConsoleError(line);
+    if (!store.logStream.writableEnded) store.logStream.write(`[ERRO ${new Date().toISOString()}] ${line}\n`);
+  };
+}
+
+/** --json: todo console.log (fora e dentro das etapas) passa a sair no stderr. */
+function sendLogsToStderr() {
+  terminalLog = originalConsoleError;
+  patchConsole();
+}
+
+/**
+ * Executa uma etapa com spinner + log em arquivo.
+ * Com options.panel (execução paralela) não usa spinner: a etapa ganha uma linha
+ * no painel de barras e o console.log vai só para o arquivo de log dela.
+ * A etapa recebe em ctx.rejects o coletor de registros rejeitados (utils/rejects.js), gravados
+ * na quarentena do destino antes de cada checkpoint e, o que sobrar, ao fim da etapa — se essa
+ * gravação falhar, a etapa falha.
+ * Retorna { name, ok, ms, logFile, rejected, error? } (não lança).
+ */
+module.exports = async function runStep(name, fn, ctx = {}, options = {}) {
+  const panel = options.panel || null;
   const scopeKey = ctx.isSingleTenant ? `tenant-${ctx.tenantId}` : 'all-tenants';
   const logDir = path.resolve(__dirname, '../logs', scopeKey);
   fs.ensureDirSync(logDir);
 
   const startAt = new Date();
-  const timestamp = startAt.toISOString().replace(/[:.]/g, '-');
   const logFile = path.join(logDir, `migration-${name}.log`); // mantém append por etapa
   const logStream = fs.createWriteStream(logFile, { flags: 'a' });
 
-  const spinner = ora({
-    text: `Executando "${name}" (${scopeKey})...`,
-    discardStdin: false
-  }).start();
+  const spinner = panel
+    ? null
+    : ora({ text: `Executando "${name}" (${scopeKey})...`, discardStdin: false }).start();
+  const row = panel ? panel.add(name) : null;
 
   // Header do log
   logStream.write(`\n===== [${startAt.toISOString()}] STEP: ${name} | SCOPE: ${scopeKey} =====\n`);
 
-  // Redireciona console para o arquivo (sem perder saída no terminal)
-  const originalConsoleLog = console.log;
-  const originalConsoleError = console.error;
-
-  console.log = (...args) => {
-    const line = args.map(String).join(' ');
-    originalConsoleLog(line);
-    logStream.write(`[LOG ${new Date().toISOString()}] ${line}\n`);
-  };
-
-  console.error = (...args) => {
-    const line = args.map(String).join(' ');
-    originalConsoleError(line);
-    logStream.write(`[ERRO ${new Date().toISOString()}] ${line}\n`);
-  };
+  // Redireciona console para o arquivo da etapa (sem perder saída no terminal)
+  patchConsole();
+  const store = { name, logStream, panel };
+  // em dry-run nada vai para a quarentena (o destino é desfeito no fim)
+  const rejects = createRejects(name, { runId: ctx.runId, tenantId: ctx.tenantId, persist: !ctx.dryRun });
+  const stepCtx = row ? { ...ctx, rejects, progress: row } : { ...ctx, rejects };
 
   try {
-    await fn(ctx); // <<<<<<<<<< repassa o contexto para a migration
+    await stepLog.run(store, () => fn(stepCtx)); // <<<<<<<<<< repassa o contexto para a migration
+    await flushRejects(rejects);
     const ms = Date.now() - startAt.getTime();
-    spinner.succeed(`✅ ${name} executado com sucesso (${(ms / 1000).toFixed(2)}s).`);
+    if (panel) {
+      row.finish(true);
+      panel.done(name, true, ms);
+    } else {
+      spinner.succeed(`✅ ${name} executado com sucesso (${(ms / 1000).toFixed(2)}s).`);
+    }
     logStream.write(`----- SUCESSO em ${ms} ms -----\n`);
-    return true;
+    if (rejects.saved) logStream.write(`----- ${rejects.saved} registro(s) rejeitado(s) gravado(s) em migration_rejects -----\n`);
+    return { name, ok: true, ms, logFile, rejected: rejects.summary() };
   } catch (err) {
     const ms = Date.now() - startAt.getTime();
-    spinner.fail(`❌ Falha em ${name} (${(ms / 1000).toFixed(2)}s): ${err.message}`);
+    if (panel) {
+      row.finish(false);
+      panel.done(name, false, ms, err.message);
+    } else {
+      spinner.fail(`❌ Falha em ${name} (${(ms / 1000).toFixed(2)}s): ${err.message}`);
+    }
     logStream.write(`[${new Date().toISOString()}] STACK:\n${err.stack || err}\n`);
-    return false;
+    await saveRejects(rejects, logStream);
+    return { name, ok: false, ms, logFile, rejected: rejects.summary(), error: err.message };
   } finally {
-    // Restaura console
-    console.log = originalConsoleLog;
-    console.error = originalConsoleError;
     logStream.end();
   }
 };
+
+module.exports.sendLogsToStderr = sendLogsToStderr;
+
+// Fim da etapa: grava o que ainda não foi para a quarentena; a falha derruba a etapa
+async function flushRejects(rejects) {
+  try {
+    await rejects.flush();
+  } catch (err) {
+    throw new Error(`não foi possível gravar os rejeitados em migration_rejects: ${err.message}`);
+  }
+}
+
+// Etapa que já falhou: tenta gravar o que ficou pendente (a etapa será reexecutada a partir do
+// último checkpoint, então só registra a falha no log)
+async function saveRejects(rejects, logStream) {
+  try {
+    await rejects.flush();
+  } catch (err) {
+    originalConsoleError(`⚠️  Não foi possível gravar os rejeitados de ${rejects.step} em migration_rejects: ${err.message}`);
+    logStream.write(`[${new Date().toISOString()}] ERRO ao gravar migration_rejects: ${err.message}\n`);
+  }
+  if (rejects.saved) logStream.write(`----- ${rejects.saved} registro(s) rejeitado(s) gravado(s) em migration_rejects -----\n`);
+}
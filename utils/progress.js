@@ -0,0 +1,82 @@
+// utils/progress.js
+'use strict';
+
+const cliProgress = require('cli-progress');
+
+const FORMAT = 'Progresso |{bar}| {percentage}% | {value}/{total} | ETA: {eta_formatted} | {rate} r/s';
+const MULTI_FORMAT = '{step} |{bar}| {percentage}% | {value}/{total} | ETA: {eta_formatted} | {rate} r/s {status}';
+
+/**
+ * Barra de progresso usada pelas migrations.
+ * - Execução sequencial: SingleBar como antes.
+ * - Execução paralela: a linha da etapa no painel (ctx.progress), criada pelo runner.
+ * Em ambos os casos a API é a mesma: start(total, value, payload), update(value, payload), stop().
+ */
+function createProgressBar(ctx = {}) {
+  if (ctx.progress) return ctx.progress;
+  return new cliProgress.SingleBar({ format: FORMAT, hideCursor: true }, cliProgress.Presets.shades_classic);
+}
+
+/**
+ * Painel com uma linha por etapa em execução (MultiBar).
+ * Sem TTY (cron, CI) não desenha barras: registra início/fim de cada etapa em linhas simples.
+ */
+function createPanel(stream = process.stderr) {
+  const tty = !!stream.isTTY;
+  const multibar = tty
+    ? new cliProgress.MultiBar(
+      { format: MULTI_FORMAT, hideCursor: true, clearOnComplete: false, stream },
+      cliProgress.Presets.shades_classic
+    )
+    : null;
+  const width = 16;
+
+  const write = line => {
+    if (multibar) multibar.log(`${line}\n`);
+    else stream.write(`${line}\n`);
+  };
+
+  return {
+    // Linha da etapa; a migration chama start/update/stop como faria com a SingleBar
+    add(name) {
+      const label = name.padEnd(width).slice(0, width);
+      if (!multibar) {
+        write(`▶️  ${name} iniciada`);
+        return { start() {}, update() {}, stop() {}, finish: () => {} };
+      }
+
+      const bar = multibar.create(0, 0, { step: label, rate: '0.0', status: '⏳' });
+      return {
+        start(total, value = 0, payload = {}) {
+          bar.setTotal(total);
+          bar.update(value, payload);
+        },
+        update(value, payload = {}) {
+          bar.update(value, payload);
+        },
+        // o encerramento visual fica com o runner (finish)
+        stop() {},
+        finish(ok) {
+          bar.update({ status: ok ? '✅' : '❌' });
+          bar.stop();
+        }
+      };
+    },
+
+    // Mensagens que devem aparecer acima das barras (erros, falhas)
+    log: write,
+
+    done(name, ok, ms, message = '') {
+      const secs = (ms / 1000).toFixed(2);
+      write(ok
+        ? `✅ ${name} executado com sucesso (${secs}s).`
+        : `❌ Falha em ${name} (${secs}s): ${message}`);
+    },
+
+    stop() {
+      if (multibar) multibar.stop();
+    }
+  };
+}
+
+module.exports = { createProgressBar, createPanel };
@@ -0,0 +1,190 @@
+// utils/rejects.js
+'use strict';
+
+const { createClient } = require('./db');
+
+/**
+ * Quarentena de registros rejeitados (linha que não entrou no destino nem no fallback item a item).
+ *
+ * O runner cria um coletor por etapa em ctx.rejects; as migrations chamam
+ *   ctx.rejects.add('tags', legacyId, err, { tenantId, payload: row })
+ * no catch do fallback. O total vai para o resumo da execução (e para o relatório do dry-run)
+ * e flush() grava as linhas na tabela "migration_rejects" do DESTINO com etapa, id de origem,
+ * tenant, código do motivo, mensagem e a linha original da origem. O flush roda antes de cada
+ * checkpoint/watermark avançar (utils/checkpoint.js) e de novo no fim da etapa; se falhar, as
+ * linhas continuam pendentes e a etapa falha.
+ *
+ * A chave é (step, entity, legacy_id): rejeitar de novo o mesmo registro atualiza a linha e
+ * soma uma tentativa. `node main.js rejects` lista, resume e reprocessa a quarentena.
+ */
+const MAX_SAMPLES = 20;
+const INSERT_CHUNK = 1000;
+
+const TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS migration_rejects (
+    id           bigserial   PRIMARY KEY,
+    step         text        NOT NULL,
+    entity       text        NOT NULL,
+    legacy_id    text        NOT NULL,
+    tenant_id    text,
+    reason_code  text        NOT NULL,
+    message      text,
+    payload      jsonb,
+    run_id       text,
+    attempts     integer     NOT NULL DEFAULT 1,
+    created_at   timestamptz NOT NULL DEFAULT now(),
+    updated_at   timestamptz NOT NULL DEFAULT now(),
+    resolved_at  timestamptz,
+    UNIQUE (step, entity, legacy_id)
+  )
+`;
+
+/**
+ * Código estável do motivo a partir do erro do Postgres (ou do texto informado).
+ *   23503 FK   → missing_<coluna sem _id>_fk   (ex.: missing_channel_fk)
+ *   23505      → duplicate_<coluna>            23502 → null_<coluna>
+ *   22001      → value_too_long                22P02 → invalid_input
+ *   22021/22P05/unicode → invalid_text         23514 → check_violation
+ */
+function reasonFromError(reason) {
+  if (!(reason instanceof Error)) return 'skipped';
+  const col = columnOf(reason);
+  switch (reason.code) {
+    case '23503': return col ? `missing_${col.replace(/_id$/, '')}_fk` : 'missing_fk';
+    case '23505': return col ? `duplicate_${col}` : 'duplicate_key';
+    case '23502': return col ? `null_${col}` : 'not_null';
+    case '23514': return 'check_violation';
+    case '22001': return 'value_too_long';
+    case '22P02': return 'invalid_input';
+    case '22021':
+    case '22P05': return 'invalid_text';
+    default:
+      if (/unsupported Unicode escape sequence|invalid input syntax for type json/i.test(reason.message)) return 'invalid_json';
+      return reason.code ? `pg_${reason.code}` : 'error';
+  }
+}
+
+// "Key (channel_id)=(0) is not present ..." → channel_id
+function columnOf(err) {
+  if (err.column) return err.column;
+  const m = /Key \(([^)]+)\)=/.exec(err.detail || '');
+  return m ? m[1].split(',')[0].trim() : null;
+}
+
+function createRejects(step, { runId = null, tenantId = null, persist = true } = {}) {
+  const byEntity = {};
+  const byReason = {};
+  const samples = [];
+  let pending = [];
+  let count = 0;
+  let saved = 0;
+  let tableReady = false;
+
+  return {
+    step,
+
+    /**
+     * @param {string} entity              tabela de destino (ex.: 'tickets')
+     * @param {*} legacyId                 id na origem
+     * @param {Error|string} reason        erro do Postgres ou descrição do motivo
+     * @param {{ tenantId?: *, payload?: object, code?: string }} [extra]
+     */
+    add(entity, legacyId, reason, extra = {}) {
+      const code = extra.code || reasonFromError(reason);
+      const message = reason instanceof Error ? reason.message : String(reason);
+      count++;
+      byEntity[entity] = (byEntity[entity] || 0) + 1;
+      byReason[code] = (byReason[code] || 0) + 1;
+      if (samples.length < MAX_SAMPLES) {
+        samples.push({ entity, legacyId: legacyId == null ? null : String(legacyId), reason: code, message });
+      }
+      if (persist) {
+        pending.push({
+          entity,
+          legacyId: legacyId == null ? '' : String(legacyId),
+          tenantId: extra.tenantId != null ? String(extra.tenantId) : tenantId,
+          code,
+          message,
+          payload: extra.payload != null ? extra.payload : null
+        });
+      }
+    },
+
+    get count() {
+      return count;
+    },
+
+    // linhas já gravadas em migration_rejects nesta etapa
+    get saved() {
+      return saved;
+    },
+
+    summary() {
+      return { count, byEntity: { ...byEntity }, byReason: { ...byReason }, samples: samples.slice() };
+    },
+
+    // Grava na quarentena o que foi rejeitado desde o último flush (só tira de pending o que
+    // foi gravado: se falhar, o próximo flush tenta de novo)
+    async flush() {
+      if (!pending.length) return 0;
+      const taken = pending.length;
+      // o mesmo registro duas vezes no INSERT ... ON CONFLICT quebraria o comando: fica o último
+      const rows = [...new Map(pending.map(r => [`${r.entity}\u0001${r.legacyId}`, r])).values()];
+
+      const client = createClient('DST', 'rejects');
+      await client.connect();
+      try {
+        if (!tableReady) {
+          await client.query(TABLE_SQL);
+          tableReady = true;
+        }
+        // tudo ou nada: uma falha no meio não deixa parte do lote gravada e parte pendente
+        await client.query('BEGIN');
+        for (let i = 0; i < rows.length; i += INSERT_CHUNK) {
+          const chunk = rows.slice(i, i + INSERT_CHUNK);
+          const values = [];
+          const tuples = chunk.map((r, j) => {
+            const b = j * 8;
+            values.push(step, r.entity, r.legacyId, r.tenantId, r.code, r.message, safeJson(r.payload), runId);
+            return `($${b + 1}, $${b + 2}, $${b + 3}, $${b + 4}, $${b + 5}, $${b + 6}, $${b + 7}::jsonb, $${b + 8})`;
+          });
+          await client.query(
+            `INSERT INTO migration_rejects (step, entity, legacy_id, tenant_id, reason_code, message, payload, run_id)
+             VALUES ${tuples.join(',')}
+             ON CONFLICT (step, entity, legacy_id) DO UPDATE SET
+               tenant_id   = EXCLUDED.tenant_id,
+               reason_code = EXCLUDED.reason_code,
+               message     = EXCLUDED.message,
+               payload     = EXCLUDED.payload,
+               run_id      = EXCLUDED.run_id,
+               attempts    = migration_rejects.attempts + 1,
+               updated_at  = now(),
+               resolved_at = NULL`,
+            values
+          );
+        }
+        await client.query('COMMIT');
+        pending = pending.slice(taken);
+        saved += rows.length;
+        return rows.length;
+      } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+      } finally {
+        await client.end().catch(() => {});
+      }
+    }
+  };
+}
+
+// payload em jsonb: bigint vira texto e \u0000 (que o Postgres não aceita) é removido
+function safeJson(value) {
+  if (value == null) return null;
+  try {
+    return JSON.stringify(value, (_, v) => (typeof v === 'bigint' ? String(v) : v)).replace(/\\u0000/g, '');
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { createRejects, reasonFromError, TABLE_SQL };
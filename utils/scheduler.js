@@ -0,0 +1,79 @@
+// utils/scheduler.js
+'use strict';
+
+/**
+ * Executa as etapas do plano respeitando as dependências, com até `concurrency`
+ * etapas ao mesmo tempo. Uma etapa só começa quando todas as suas dependências
+ * que estão no plano terminaram com sucesso; dependências fora do plano precisam
+ * constar como concluídas (isDone) — a não ser com ignoreDeps. As etapas de `after`
+ * só adiam o início: ela espera as que estão no plano terminarem, com qualquer resultado.
+ *
+ * execute(step) deve resolver (nunca rejeitar) com { status: 'success'|'failed'|'skipped', ... }.
+ * Após uma falha nenhuma etapa nova é iniciada; as que já estão rodando terminam.
+ *
+ * Retorna Map<nome, resultado>, incluindo { status: 'blocked', unmet } e { status: 'not_run' }.
+ */
+async function runPlan(plan, { concurrency = 1, isDone = () => false, ignoreDeps = false, execute, onBlocked = () => {} }) {
+  const limit = Math.max(1, Number(concurrency) || 1);
+  const inPlan = new Set(plan.map(s => s.name));
+  const outcomes = new Map();
+  const running = new Map();
+  const pending = [...plan];
+  let stopped = false;
+
+  // 'ready' | 'wait' | { unmet: [...] }
+  const readiness = step => {
+    const unmet = [];
+    for (const dep of step.dependsOn) {
+      if (inPlan.has(dep)) {
+        const out = outcomes.get(dep);
+        if (!out) return 'wait';
+        if (out.status !== 'success' && !isDone(dep)) unmet.push(dep);
+      } else if (!ignoreDeps && !isDone(dep)) {
+        unmet.push(dep);
+      }
+    }
+    for (const dep of step.after || []) {
+      if (inPlan.has(dep) && !outcomes.has(dep)) return 'wait';
+    }
+    return unmet.length ? { unmet } : 'ready';
+  };
+
+  while (pending.length || running.size) {
+    let changed = false;
+
+    for (const step of [...pending]) {
+      if (stopped || running.size >= limit) break;
+      const state = readiness(step);
+      if (state === 'wait') continue;
+
+      pending.splice(pending.indexOf(step), 1);
+      changed = true;
+
+      if (state !== 'ready') {
+        const out = { status: 'blocked', unmet: state.unmet };
+        outcomes.set(step.name, out);
+        onBlocked(step, state.unmet);
+        continue;
+      }
+
+      running.set(step.name, Promise.resolve(execute(step)).then(res => ({ step, res })));
+    }
+
+    if (!running.size) {
+      if (changed && !stopped) continue;
+      // parada por falha (ou nada mais elegível): o resto fica sem executar
+      for (const step of pending) outcomes.set(step.name, { status: 'not_run' });
+      break;
+    }
+
+    const { step, res } = await Promise.race(running.values());
+    running.delete(step.name);
+    outcomes.set(step.name, res);
+    if (res.status === 'failed') stopped = true;
+  }
+
+  return outcomes;
+}
+
+module.exports = { runPlan };
@@ -0,0 +1,85 @@
+// utils/stepGraph.js
+'use strict';
+
+/**
+ * Ordenação topológica das etapas (Kahn), estável em relação à ordem do registro.
+ * `after` (opcional) entra só na ordem: a etapa vem depois delas, mas não depende delas.
+ * Lança erro se alguma dependência não existir ou se houver ciclo.
+ */
+function topoSort(steps) {
+  const byName = new Map(steps.map(s => [s.name, s]));
+  for (const s of steps) {
+    for (const dep of orderOf(s)) {
+      if (!byName.has(dep)) throw new Error(`Etapa "${s.name}" depende de "${dep}", que não está registrada.`);
+    }
+  }
+
+  const indexOf = new Map(steps.map((s, i) => [s.name, i]));
+  const pending = new Map(steps.map(s => [s.name, new Set(orderOf(s))]));
+  const ordered = [];
+
+  while (pending.size) {
+    const ready = [...pending.entries()]
+      .filter(([, deps]) => deps.size === 0)
+      .map(([name]) => name)
+      .sort((a, b) => indexOf.get(a) - indexOf.get(b));
+
+    if (!ready.length) {
+      throw new Error(`Ciclo de dependências entre as etapas: ${[...pending.keys()].join(', ')}`);
+    }
+
+    const next = ready[0];
+    ordered.push(byName.get(next));
+    pending.delete(next);
+    for (const deps of pending.values()) deps.delete(next);
+  }
+
+  return ordered;
+}
+
+/** Todas as dependências (diretas e transitivas) de uma etapa, na ordem topológica. */
+function prerequisitesOf(stepName, orderedSteps) {
+  const byName = new Map(orderedSteps.map(s => [s.name, s]));
+  const seen = new Set();
+  const visit = name => {
+    for (const dep of byName.get(name).dependsOn) {
+      if (!seen.has(dep)) {
+        seen.add(dep);
+        visit(dep);
+      }
+    }
+  };
+  visit(stepName);
+  return orderedSteps.filter(s => seen.has(s.name)).map(s => s.name);
+}
+
+/**
+ * Confere, antes de executar, se cada etapa selecionada tem suas dependências
+ * concluídas no escopo atual ou agendadas antes dela nesta execução.
+ * Retorna a lista de problemas (vazia = ok).
+ */
+function checkPrerequisites(plan, orderedSteps, completed) {
+  const scheduled = new Set();
+  const problems = [];
+
+  for (const step of plan) {
+    const missing = step.dependsOn.filter(dep => !completed.has(dep) && !scheduled.has(dep));
+    if (missing.length) {
+      const chain = prerequisitesOf(step.name, orderedSteps)
+        .filter(name => !completed.has(name));
+      problems.push({ step: step.name, missing, chain });
+    }
+    scheduled.add(step.name);
+  }
+
+  return problems;
+}
+
+// —— helpers
+
+// Etapas que precisam vir antes na ordem: dependências de verdade + `after`
+function orderOf(step) {
+  return [...step.dependsOn, ...(step.after || [])];
+}
+
+module.exports = { topoSort, prerequisitesOf, checkPrerequisites };
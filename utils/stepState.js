@@ -0,0 +1,55 @@
+// utils/stepState.js
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Estado das etapas por escopo (progress-<escopo>.json):
+ *   completed: { <etapa>: <ISO da última conclusão> }  → base da checagem de dependências
+ *   resume:    [<etapa>, ...]                           → etapas já feitas na execução completa em andamento
+ */
+function scopeKeyOf(ctx) {
+  return ctx.isSingleTenant ? `tenant-${ctx.tenantId}` : 'all-tenants';
+}
+
+function statePath(scopeKey) {
+  return path.resolve(__dirname, '..', `progress-${scopeKey}.json`);
+}
+
+async function loadState(scopeKey, legacyOrder = []) {
+  const file = statePath(scopeKey);
+  const empty = { completed: {}, resume: [] };
+  if (!fs.existsSync(file)) return empty;
+
+  const raw = await fs.readJson(file);
+
+  // Formato antigo: { lastCompleted: 'Etapa' } (ordem linear do array de etapas)
+  if (raw.lastCompleted && !raw.completed) {
+    const idx = legacyOrder.indexOf(raw.lastCompleted);
+    const done = idx >= 0 ? legacyOrder.slice(0, idx + 1) : [];
+    return { completed: Object.fromEntries(done.map(n => [n, null])), resume: done };
+  }
+
+  return { completed: raw.completed || {}, resume: raw.resume || [] };
+}
+
+async function saveState(scopeKey, state) {
+  await fs.writeJson(statePath(scopeKey), state, { spaces: 2 });
+}
+
+/**
+ * Etapas concluídas que valem para o escopo: as do próprio escopo e,
+ * em modo single tenant, também as de uma execução FULL (que cobre todos os tenants).
+ */
+async function completedSteps(ctx, legacyOrder = []) {
+  const own = await loadState(scopeKeyOf(ctx), legacyOrder);
+  const names = new Set(Object.keys(own.completed));
+  if (ctx.isSingleTenant) {
+    const full = await loadState('all-tenants', legacyOrder);
+    for (const n of Object.keys(full.completed)) names.add(n);
+  }
+  return names;
+}
+
+module.exports = { scopeKeyOf, statePath, loadState, saveState, completedSteps };
@@ -0,0 +1,174 @@
+// utils/upsert.js
+'use strict';
+
+const crypto = require('crypto');
+const { copyEnabled, ensureStage, copyRows } = require('./copyLoad');
+
+// Máximo de parâmetros ($n) num único comando do protocolo do Postgres
+const MAX_PARAMS = 65535;
+
+/**
+ * Upsert em lote usado pelas etapas (INSERT ... VALUES (...),(...) ON CONFLICT ...):
+ *
+ *   const upsert = createUpsert({
+ *     table: 'tags',
+ *     columns: [
+ *       'id', 'name',
+ *       { name: 'is_public', sql: 'true' },      // literal SQL, sem parâmetro
+ *       { name: 'meta', cast: 'jsonb' },         // $n::jsonb
+ *       'created_at', 'updated_at'
+ *     ],
+ *     conflict: ['id'],                         // ON CONFLICT (...) — padrão ['id']
+ *     insertOnly: ['created_at'],               // fora do DO UPDATE SET
+ *     update: ['name', 'updated_at'],           // ou a lista exata do SET; [] → DO NOTHING
+ *     set: { flow: "COALESCE(NULLIF(flows.flow, '{}'::jsonb), EXCLUDED.flow)" },  // SET fora do padrão
+ *     copy: true                                // com LOAD_MODE=copy: COPY + INSERT ... SELECT
+ *   });
+ *   const r = await upsert.write(dest, rows, {
+ *     onError: (err, i) => ctx.rejects.add('tags', batch[i].id, err, { ... })
+ *   });
+ *
+ * `rows` traz os parâmetros de cada linha na ordem das colunas com placeholder (as de `sql`
+ * ficam de fora). O lote vira comandos de até `maxRows` linhas — quantas cabem em 65535
+ * parâmetros com as colunas desta tabela — numa única transação; se ela falhar, grava linha a
+ * linha e entrega as que falharem a `onError` (com o índice em `rows`).
+ *
+ * Com `copy` e LOAD_MODE=copy (utils/copyLoad.js) o lote vai por COPY para uma staging UNLOGGED e
+ * entra por um único INSERT ... SELECT com o mesmo ON CONFLICT; se falhar, cai no caminho acima.
+ *
+ * Retorna { inserted, updated, unchanged, failed }: inserção × atualização pelo xmax da linha
+ * devolvida; conflito sem escrita (DO NOTHING) não devolve linha e conta como unchanged.
+ */
+function createUpsert({ table, columns, conflict = ['id'], insertOnly = [], update, set = {}, copy = false }) {
+  const cols = columns.map(c => (typeof c === 'string' ? { name: c } : c));
+  const names = cols.map(c => c.name);
+  const perRow = cols.filter(c => c.sql == null).length;
+  const maxRows = Math.max(1, Math.floor(MAX_PARAMS / Math.max(1, perRow)));
+
+  const keep = new Set([...conflict, ...insertOnly]);
+  const sets = update || names.filter(n => !keep.has(n));
+  const onConflict = sets.length
+    ? `DO UPDATE SET ${sets.map(c => `${c} = ${set[c] || `EXCLUDED.${c}`}`).join(', ')}`
+    : 'DO NOTHING';
+
+  const tuple = base => {
+    let n = base;
+    return `(${cols.map(c => (c.sql != null ? c.sql : `$${++n}${c.cast ? `::${c.cast}` : ''}`)).join(', ')})`;
+  };
+
+  function sql(rowCount) {
+    const tuples = [];
+    for (let i = 0; i < rowCount; i++) tuples.push(tuple(i * perRow));
+    return `
+      INSERT INTO ${table} (${names.join(', ')})
+      VALUES ${tuples.join(',')}
+      ON CONFLICT (${conflict.join(', ')}) ${onConflict}
+      RETURNING (xmax = 0) AS inserted
+    `;
+  }
+
+  const tally = (res, attempted, into) => {
+    const inserted = res.rows.filter(r => r.inserted).length;
+    into.inserted += inserted;
+    into.updated += res.rows.length - inserted;
+    into.unchanged += attempted - res.rows.length;
+  };
+
+  // COPY das colunas com parâmetro para a staging; as de `sql` entram no SELECT do merge
+  const useCopy = copy && copyEnabled();
+  const bound = cols.filter(c => c.sql == null).map(c => c.name);
+
+  async function copyWrite(dest, rows) {
+    const stage = await ensureStage(dest, table, { from: table, columns: bound, extra: { stage_batch: 'text' } });
+    const batch = crypto.randomUUID();
+    const counts = { inserted: 0, updated: 0, unchanged: 0 };
+    try {
+      await dest.query('BEGIN');
+      await dest.query('SET LOCAL synchronous_commit TO OFF');
+      await copyRows(dest, stage, ['stage_batch', ...bound], rows.map(r => [batch, ...r]));
+      const res = await dest.query(
+        `
+        INSERT INTO ${table} (${names.join(', ')})
+        SELECT ${cols.map(c => (c.sql != null ? c.sql : `s.${c.name}`)).join(', ')}
+        FROM ${stage} s
+        WHERE s.stage_batch = $1
+        ON CONFLICT (${conflict.join(', ')}) ${onConflict}
+        RETURNING (xmax = 0) AS inserted
+        `,
+        [batch]
+      );
+      tally(res, rows.length, counts);
+      await dest.query(`DELETE FROM ${stage} WHERE stage_batch = $1`, [batch]);
+      await dest.query('COMMIT');
+      return counts;
+    } catch (err) {
+      await dest.query('ROLLBACK');
+      throw err;
+    }
+  }
+
+  async function write(dest, rows, { onError } = {}) {
+    const counts = { inserted: 0, updated: 0, unchanged: 0, failed: 0 };
+    if (!rows.length) return counts;
+
+    if (useCopy) {
+      try {
+        return Object.assign(counts, await copyWrite(dest, rows));
+      } catch (err) {
+        console.log(`⚠️  COPY em ${table} falhou (${err.message}); gravando o lote por INSERT…`);
+      }
+    }
+
+    try {
+      const batch = { inserted: 0, updated: 0, unchanged: 0 };
+      await dest.query('BEGIN');
+      await dest.query('SET LOCAL synchronous_commit TO OFF');
+      for (let i = 0; i < rows.length; i += maxRows) {
+        const chunk = rows.slice(i, i + maxRows);
+        tally(await dest.query(sql(chunk.length), chunk.flat()), chunk.length, batch);
+      }
+      await dest.query('COMMIT');
+      Object.assign(counts, batch);
+      return counts;
+    } catch {
+      await dest.query('ROLLBACK');
+    }
+
+    // fallback: registro a registro, para um registro ruim não derrubar o lote
+    for (let i = 0; i < rows.length; i++) {
+      try {
+        await dest.query('BEGIN');
+        await dest.query('SET LOCAL synchronous_commit TO OFF');
+        const res = await dest.query(sql(1), rows[i]);
+        await dest.query('COMMIT');
+        tally(res, 1, counts);
+      } catch (rowErr) {
+        await dest.query('ROLLBACK');
+        counts.failed++;
+        if (onError) onError(rowErr, i);
+        else throw rowErr;
+      }
+    }
+    return counts;
+  }
+
+  return { table, maxRows, sql, write };
+}
+
+// Soma os contadores de write() (acumulado da etapa)
+function addCounts(total, r) {
+  for (const k of Object.keys(r)) total[k] = (total[k] || 0) + r[k];
+  return total;
+}
+
+// "12 inserido(s), 3 atualizado(s), 2 com erro" — só os contadores que não são zero
+function formatCounts(r) {
+  const parts = [];
+  if (r.inserted) parts.push(`${r.inserted} inserido(s)`);
+  if (r.updated) parts.push(`${r.updated} atualizado(s)`);
+  if (r.unchanged) parts.push(`${r.unchanged} sem mudança`);
+  if (r.failed) parts.push(`${r.failed} com erro`);
+  return parts.length ? parts.join(', ') : 'nada gravado';
+}
+
+module.exports = { MAX_PARAMS, createUpsert, addCounts, formatCounts };
@@ -0,0 +1,164 @@
+// utils/verify.js
+'use strict';
+
+const Cursor = require('pg-cursor');
+
+/**
+ * Conferência origem × destino de uma entidade (comando `node main.js verify`).
+ *
+ * Cada migration pode declarar em meta.verify como a mesma linha aparece nos dois bancos:
+ *
+ *   verify: {
+ *     source: { from: '"public"."Tags"', tenant: '"tenantId"', key: 'id', columns: [...] },
+ *     dest:   { from: 'tags',             tenant: 'company_id', key: 'id', columns: [...] }
+ *   }
+ *
+ *   from      tabela (ou JOIN) lida
+ *   tenant    expressão do tenant/empresa da linha
+ *   key       chave que liga as duas pontas (id numérico; com textKey: true, uma expressão texto)
+ *   label     o que mostrar nos exemplos (padrão: key)
+ *   where     filtro extra opcional
+ *   columns   expressões das colunas mapeadas, na mesma ordem e já normalizadas como a
+ *             migration grava (ex.: COALESCE(NULLIF(name, ''), 'Contato ' || id)); a coluna pode
+ *             ser { sql, skipWhen }: nas linhas em que skipWhen é verdadeiro ela fica fora da
+ *             comparação (ex.: ticket no canal de arquivo, que não guarda o canal legado)
+ *
+ * Os dois lados são lidos por cursor, ordenados por (tenant, chave) com COLLATE "C", e
+ * comparados num merge: chave só na origem = faltando, só no destino = sobrando, nas duas
+ * com md5 das colunas diferente = divergente. Nada é carregado inteiro em memória.
+ */
+
+const READ_SIZE = Number(process.env.VERIFY_BATCH || 5000);
+const NULL_MARK = '\\N';
+const SKIP_MARK = '\\S';
+
+/** Timestamp em segundos desde a época: mesma representação em timestamp e timestamptz. */
+function epoch(column) {
+  return `floor(extract(epoch from ${column}))::bigint`;
+}
+
+// skipped: posições das colunas que alguma das pontas pode deixar de fora (skipWhen)
+function sideSql(side, tenantId, skipped = []) {
+  const params = [];
+  const filters = [];
+  if (side.where) filters.push(`(${side.where})`);
+  if (tenantId) {
+    params.push(tenantId);
+    filters.push(`(${side.tenant})::text = $${params.length}`);
+  }
+
+  const key = side.textKey ? `(${side.key})::text` : `lpad((${side.key})::text, 20, '0')`;
+  const exprs = side.columns.map(columnSql);
+  // hl: o mesmo hash sem as colunas de skipped; skip: a linha compara por hl
+  const loose = skipped.length ? hashOf(exprs.map((c, i) => (skipped.includes(i) ? `'${SKIP_MARK}'` : c))) : 'NULL';
+  const conds = side.columns.filter(c => c && c.skipWhen).map(c => `(${c.skipWhen})`);
+  const text = `
+    SELECT v.sk, v.tenant, v.id, v.h, v.hl, v.skip FROM (
+      SELECT
+        lpad(COALESCE((${side.tenant})::text, ''), 20, '0') || '|' || ${key} AS sk,
+        (${side.tenant})::text AS tenant,
+        (${side.label || side.key})::text AS id,
+        ${hashOf(exprs)} AS h,
+        ${loose} AS hl,
+        ${conds.length ? `COALESCE(${conds.join(' OR ')}, false)` : 'false'} AS skip
+      FROM ${side.from}
+      ${filters.length ? `WHERE ${filters.join(' AND ')}` : ''}
+    ) v
+    ORDER BY v.sk COLLATE "C"
+  `;
+  return { text, params };
+}
+
+function columnSql(column) {
+  return typeof column === 'string' ? column : column.sql;
+}
+
+function hashOf(exprs) {
+  return `md5(concat_ws(chr(31), ${exprs.map(c => `COALESCE((${c})::text, '${NULL_MARK}')`).join(', ')}))`;
+}
+
+// Leitura linha a linha sobre um cursor, em blocos de READ_SIZE
+function reader(client, { text, params }) {
+  const cursor = client.query(new Cursor(text, params));
+  let buffer = [];
+  let pos = 0;
+  let done = false;
+
+  return {
+    async next() {
+      if (pos < buffer.length) return buffer[pos++];
+      if (done) return null;
+      buffer = await new Promise((resolve, reject) => {
+        cursor.read(READ_SIZE, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+      });
+      pos = 0;
+      if (!buffer.length) {
+        done = true;
+        return null;
+      }
+      return buffer[pos++];
+    },
+    close() {
+      return new Promise(resolve => cursor.close(() => resolve()));
+    }
+  };
+}
+
+/**
+ * Compara uma entidade. Retorna { [tenant]: { source, dest, missing, extra, divergent, samples } }
+ * com até `samples` ids de exemplo por tipo de diferença.
+ */
+async function compareEntity({ source, dest, spec, tenantId = null, samples = 20 }) {
+  const byTenant = {};
+  const bucket = tenant => {
+    const t = tenant == null ? '-' : tenant;
+    if (!byTenant[t]) {
+      byTenant[t] = {
+        source: 0, dest: 0, missing: 0, extra: 0, divergent: 0,
+        samples: { missing: [], extra: [], divergent: [] }
+      };
+    }
+    return byTenant[t];
+  };
+  const note = (b, kind, sample) => {
+    b[kind]++;
+    if (b.samples[kind].length < samples) b.samples[kind].push(sample);
+  };
+
+  const skipped = [];
+  [spec.source, spec.dest].forEach(side => side.columns.forEach((c, i) => {
+    if (c && c.skipWhen && !skipped.includes(i)) skipped.push(i);
+  }));
+  const a = reader(source, sideSql(spec.source, tenantId, skipped));
+  const b = reader(dest, sideSql(spec.dest, tenantId, skipped));
+  try {
+    let x = await a.next();
+    let y = await b.next();
+    while (x || y) {
+      if (x && (!y || x.sk < y.sk)) {
+        const t = bucket(x.tenant);
+        t.source++;
+        note(t, 'missing', x.id);
+        x = await a.next();
+      } else if (y && (!x || y.sk < x.sk)) {
+        const t = bucket(y.tenant);
+        t.dest++;
+        note(t, 'extra', y.id);
+        y = await b.next();
+      } else {
+        const t = bucket(x.tenant);
+        t.source++;
+        t.dest++;
+        const same = x.skip || y.skip ? x.hl === y.hl : x.h === y.h;
+        if (!same) note(t, 'divergent', x.id === y.id ? x.id : `${x.id} → ${y.id}`);
+        x = await a.next();
+        y = await b.next();
+      }
+    }
+  } finally {
+    await Promise.all([a.close(), b.close()]);
+  }
+  return byTenant;
+}
+
+module.exports = { epoch, compareEntity };
@@ -0,0 +1,131 @@
+// utils/watermark.js
+'use strict';
+
+/**
+ * Watermarks por etapa/escopo na tabela "migration_watermarks" do DESTINO (modo incremental).
+ *
+ * Toda etapa concluída grava até onde a origem foi lida: o instante da leitura (o do snapshot da
+ * execução, ou o da abertura da etapa) para as tabelas com "updatedAt", ou o último id para as que
+ * não têm. Com --incremental (ctx.delta.incremental) a etapa lê só as linhas com "updatedAt" >=
+ * watermark − INCREMENTAL_OVERLAP_SECONDS (ou id > watermark) e faz o upsert de sempre; ao terminar,
+ * o watermark avança. Sem watermark do tenant vale o da execução FULL (all-tenants); sem nenhum,
+ * a passada lê tudo.
+ *
+ * A marca da passada fica em "pending" desde a abertura: se a etapa cair e for retomada, vale a
+ * marca mais antiga. A sobreposição cobre relógios diferentes e transações do legado que gravaram
+ * "updatedAt" antes do snapshot mas só confirmaram depois — os upserts são idempotentes.
+ *
+ * Nas etapas sem checkpoint, commit() grava antes a quarentena pendente (opts.rejects): se ela
+ * falhar, o watermark não avança e a próxima passada relê as mesmas linhas.
+ */
+const OVERLAP_SECONDS = Math.max(0, Number(process.env.INCREMENTAL_OVERLAP_SECONDS || 300));
+
+const TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS migration_watermarks (
+    step        text        NOT NULL,
+    scope       text        NOT NULL,
+    mode        text        NOT NULL,
+    value       text,
+    pending     text,
+    updated_at  timestamptz NOT NULL DEFAULT now(),
+    PRIMARY KEY (step, scope)
+  )
+`;
+
+function scopeOf(tenantId) {
+  return tenantId ? `tenant-${tenantId}` : 'all-tenants';
+}
+
+/**
+ * @param {import('pg').Client} dest
+ * @param {string} step                 nome da etapa (ex.: 'Tickets')
+ * @param {{ tenantId?: string|null, delta?: { incremental?: boolean, mark?: string|null }, mode?: 'updatedAt'|'id', onlyIds?: string[]|null, rejects?: object }} opts
+ *        onlyIds: reprocessamento da quarentena — sem filtro e sem gravar o watermark;
+ *        rejects: ctx.rejects, gravado antes do watermark avançar
+ * @returns {Promise<{ scope: string, mode: string, since: string|null, where: Function, seen: Function, commit: Function }>}
+ */
+async function openWatermark(dest, step, { tenantId = null, delta = null, mode = 'updatedAt', onlyIds = null, rejects = null } = {}) {
+  const scope = scopeOf(tenantId);
+  if (onlyIds) {
+    return { scope, mode, since: null, where: () => '', seen() {}, async commit() {} };
+  }
+  const incremental = !!(delta && delta.incremental);
+  const mark = (delta && delta.mark) || new Date().toISOString();
+
+  await dest.query(TABLE_SQL);
+  const { rows } = await dest.query(
+    'SELECT scope, mode, value FROM migration_watermarks WHERE step = $1 AND scope = ANY($2::text[])',
+    [step, [scope, 'all-tenants']]
+  );
+  const own = rows.find(r => r.scope === scope && r.mode === mode);
+  const full = rows.find(r => r.scope === 'all-tenants' && r.mode === mode);
+  const base = (own && own.value) || (full && full.value) || null;
+
+  if (mode === 'updatedAt') {
+    await dest.query(
+      `INSERT INTO migration_watermarks (step, scope, mode, pending)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (step, scope) DO UPDATE SET
+         mode       = EXCLUDED.mode,
+         pending    = CASE WHEN migration_watermarks.mode = EXCLUDED.mode
+                           THEN COALESCE(migration_watermarks.pending, EXCLUDED.pending)
+                           ELSE EXCLUDED.pending END,
+         updated_at = now()`,
+      [step, scope, mode, mark]
+    );
+  }
+
+  let lastSeen = null;
+  const watermark = {
+    scope,
+    mode,
+    since: incremental ? base : null,
+
+    // Filtro da passada incremental ('' fora do modo incremental ou na primeira passada)
+    where(column, params, keyword = 'WHERE') {
+      if (watermark.since == null) return '';
+      if (mode === 'id') {
+        params.push(watermark.since);
+        return `${keyword} ${column} > $${params.length}`;
+      }
+      params.push(new Date(Date.parse(watermark.since) - OVERLAP_SECONDS * 1000).toISOString());
+      return `${keyword} ${column} >= $${params.length}::timestamptz`;
+    },
+
+    // Modo id: último id lido (o cursor vem ordenado pela chave)
+    seen(id) {
+      if (id != null) lastSeen = String(id);
+    },
+
+    // Etapa concluída: o watermark avança para a marca da passada (ou o último id lido)
+    async commit() {
+      if (rejects) await rejects.flush();
+      if (mode === 'id') {
+        if (lastSeen == null) return;
+        await dest.query(
+          `INSERT INTO migration_watermarks (step, scope, mode, value)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (step, scope) DO UPDATE SET
+             mode = EXCLUDED.mode, value = EXCLUDED.value, pending = NULL, updated_at = now()`,
+          [step, scope, mode, lastSeen]
+        );
+        return;
+      }
+      await dest.query(
+        `UPDATE migration_watermarks
+            SET value = COALESCE(pending, $3), pending = NULL, updated_at = now()
+          WHERE step = $1 AND scope = $2`,
+        [step, scope, mark]
+      );
+    }
+  };
+
+  if (watermark.since != null) {
+    console.log(`⏩ ${step} (${scope}) incremental: ${mode === 'id' ? `id > ${watermark.since}` : `"updatedAt" desde ${watermark.since}`}.`);
+  } else if (incremental) {
+    console.log(`⏩ ${step} (${scope}) sem watermark: a primeira passada incremental lê tudo.`);
+  }
+  return watermark;
+}
+
+module.exports = { OVERLAP_SECONDS, openWatermark };